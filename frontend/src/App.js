@@ -5,6 +5,19 @@ import ComplianceSelector from './components/ComplianceSelector';
 import RequirementsEditor from './components/RequirementsEditor';
 import TestResults from './components/TestResults';
 import ProcessingIndicator from './components/ProcessingIndicator';
+import RunHistory from './components/RunHistory';
+import SuiteDiff from './components/SuiteDiff';
+import { API_ENDPOINTS } from './config';
+import { postEventStream } from './utils/eventStream';
+
+const initialProgress = {
+  stage: 'upload',
+  requirementsCount: 0,
+  batchesTotal: 0,
+  batchesCompleted: 0,
+  batchesFailed: 0,
+  partialTests: []
+};
 
 function App() {
   // State Management
@@ -12,13 +25,19 @@ function App() {
   const [fileName, setFileName] = useState('');
   const [methodology, setMethodology] = useState('agile');
   const [selectedCompliances, setSelectedCompliances] = useState(['hipaa']);
+  const [projectId, setProjectId] = useState('');
+  const [deidentifyMode, setDeidentifyMode] = useState('redact');
+  const [reidentify, setReidentify] = useState(false);
   const [results, setResults] = useState(null);
   const [loading, setLoading] = useState(false);
   const [processingStage, setProcessingStage] = useState('');
+  const [progress, setProgress] = useState(null);
   const [error, setError] = useState(null);
   const [isProcessed, setIsProcessed] = useState(false);
   const [showRequirementsEditor, setShowRequirementsEditor] = useState(false);
   const [regenerating, setRegenerating] = useState(false);
+  const [previousSuite, setPreviousSuite] = useState(null);
+  const [showDiff, setShowDiff] = useState(false);
 
   // Derived state for easier access
   const testCases = results?.testCases || [];
@@ -39,14 +58,24 @@ function App() {
     setLoading(true);
     setError(null);
     setResults(null);
+    setPreviousSuite(null);
+    setShowDiff(false);
     setIsProcessed(false);
     setShowRequirementsEditor(false);
     setProcessingStage('Uploading document...');
+    setProgress(initialProgress);
     
     try {
       const formData = new FormData();
       formData.append('document', uploadedFile);
       formData.append('methodology', methodology);
+      if (projectId) {
+        formData.append('projectId', projectId);
+      }
+      formData.append('deidentifyMode', deidentifyMode);
+      if (deidentifyMode === 'pseudonymize' && reidentify) {
+        formData.append('reidentify', 'true');
+      }
       
       selectedCompliances.forEach(compliance => {
         formData.append('complianceFrameworks[]', compliance);
@@ -54,22 +83,64 @@ function App() {
       
       console.log('Processing with:', { methodology, compliances: selectedCompliances });
       
-      setProcessingStage('Document AI Processing...');
-      
-      const response = await fetch(
-        'https://medtestai-backend-1067292712875.us-central1.run.app/api/workflow/complete',
-        {
-          method: 'POST',
-          body: formData
+      let data = null;
+
+      // The streaming endpoint reports each stage as it happens
+      await postEventStream(API_ENDPOINTS.workflowStream, formData, (event, payload) => {
+        switch (event) {
+          case 'upload':
+            setProcessingStage(`Uploaded ${payload.fileName}`);
+            break;
+          case 'extraction':
+            setProgress(prev => ({ ...prev, stage: 'extraction' }));
+            setProcessingStage(payload.method === 'document-ai'
+              ? 'Extracting requirements with Document AI...'
+              : 'Extracting requirements from document text...');
+            break;
+          case 'deidentification':
+            setProcessingStage(payload.identifiersFound > 0
+              ? `Removed ${payload.identifiersFound} PHI identifier(s) (${payload.mode})`
+              : 'No PHI identifiers found');
+            break;
+          case 'requirements':
+            setProgress(prev => ({ ...prev, stage: 'requirements', requirementsCount: payload.count }));
+            setProcessingStage(`Found ${payload.count} requirements (${payload.processingMethod})`);
+            break;
+          case 'generation.planned':
+            setProgress(prev => ({ ...prev, stage: 'generation', batchesTotal: payload.batches }));
+            setProcessingStage(`Generating test cases in ${payload.batches} batch(es)...`);
+            break;
+          case 'batch.started':
+            setProcessingStage(`Generating batch ${payload.batch} of ${payload.total}...`);
+            break;
+          case 'batch.completed':
+            setProgress(prev => ({
+              ...prev,
+              batchesCompleted: prev.batchesCompleted + 1,
+              partialTests: [
+                ...prev.partialTests,
+                ...payload.testCases.map(tc => ({ ...tc, batch: payload.batch }))
+              ]
+            }));
+            break;
+          case 'batch.failed':
+            setProgress(prev => ({ ...prev, batchesFailed: prev.batchesFailed + 1 }));
+            break;
+          case 'complete':
+            setProgress(prev => ({ ...prev, stage: 'complete' }));
+            data = payload;
+            break;
+          case 'error':
+            throw new Error(payload.error);
+          default:
+            break;
         }
-      );
+      });
 
-      if (!response.ok) {
-        throw new Error(`Server error: ${response.status}`);
+      if (!data) {
+        throw new Error('Connection closed before processing finished');
       }
 
-      setProcessingStage('Generating test cases...');
-      const data = await response.json();
       console.log('Received response:', data);
       console.log('Test cases count:', data.testCases?.length || 0);
       
@@ -81,6 +152,7 @@ function App() {
     } finally {
       setLoading(false);
       setProcessingStage('');
+      setProgress(null);
     }
   };
 
@@ -93,14 +165,29 @@ function App() {
       // Simulate processing time for better UX
       await new Promise(resolve => setTimeout(resolve, 1000));
       
+      // The regenerate endpoint wraps its payload in `data`
+      const regenerated = data.data || data;
+
+      // Keep the version being replaced so the new one can be diffed against it
+      setPreviousSuite({ runId: results?.runId, testCases });
+      setShowDiff(true);
+
       setResults(prev => ({
         ...prev,
-        testCases: data.testCases || prev.testCases,
+        runId: regenerated.runId || prev.runId,
+        projectId: regenerated.projectId || prev.projectId,
+        // Server-assigned IDs for new requirements, so the next edit diffs against them
+        extractedData: {
+          ...prev.extractedData,
+          requirements: regenerated.requirements || prev.extractedData?.requirements
+        },
+        testCases: regenerated.testCases || prev.testCases,
+        deidentification: regenerated.deidentification || prev.deidentification,
         metadata: {
           ...prev.metadata,
-          ...data.metadata
+          ...regenerated.metadata
         },
-        summary: data.summary || prev.summary
+        summary: regenerated.summary || prev.summary
       }));
       setShowRequirementsEditor(false);
     } catch (error) {
@@ -112,8 +199,38 @@ function App() {
     }
   };
 
+  // Reopen a saved run from history in the same shape as a fresh workflow response
+  const handleOpenRun = (run) => {
+    setPreviousSuite(null);
+    setShowDiff(false);
+    setMethodology(run.methodology || 'agile');
+    setSelectedCompliances(run.complianceFrameworks?.length ? run.complianceFrameworks : ['hipaa']);
+    setProjectId(run.projectId || '');
+    setFile(null);
+    setFileName(run.document?.fileName || run.name);
+    setResults({
+      success: true,
+      runId: run.id,
+      projectId: run.projectId,
+      extractedData: {
+        requirements: run.requirements,
+        fileName: run.document?.fileName,
+        documentType: run.document?.documentType,
+        processingMethod: run.document?.processingMethod
+      },
+      testCases: run.testCases,
+      metadata: run.metadata,
+      summary: run.summary
+    });
+    setError(null);
+    setShowRequirementsEditor(false);
+    setIsProcessed(true);
+  };
+
   // Reset Handler
   const handleReset = () => {
+    setPreviousSuite(null);
+    setShowDiff(false);
     setFile(null);
     setFileName('');
     setResults(null);
@@ -154,10 +271,38 @@ function App() {
               </select>
             </div>
 
+            {/* PHI handling before the document reaches the model */}
+            <div className="methodology-section">
+              <h3>PHI Handling</h3>
+              <select
+                value={deidentifyMode}
+                onChange={(e) => setDeidentifyMode(e.target.value)}
+                disabled={loading}
+                className="methodology-select"
+              >
+                <option value="redact">Redact identifiers</option>
+                <option value="pseudonymize">Pseudonymize (reversible tokens)</option>
+                <option value="block">Block documents containing PHI</option>
+              </select>
+              {deidentifyMode === 'pseudonymize' && (
+                <label className="reidentify-option">
+                  <input
+                    type="checkbox"
+                    checked={reidentify}
+                    onChange={(e) => setReidentify(e.target.checked)}
+                    disabled={loading}
+                  />
+                  Restore original values in generated test data
+                </label>
+              )}
+            </div>
+
             {/* Compliance Selector */}
             <ComplianceSelector
               selectedCompliances={selectedCompliances}
               onChange={setSelectedCompliances}
+              projectId={projectId}
+              onProjectChange={setProjectId}
             />
 
             {/* File Upload */}
@@ -182,7 +327,7 @@ function App() {
               
               <input 
                 type="file" 
-                accept=".pdf,.doc,.docx,.txt"
+                accept=".pdf,.doc,.docx,.txt,.md,.markdown,.xlsx,.csv,.html,.htm,.json,.xml,.png,.jpg,.jpeg,.tif,.tiff"
                 onChange={handleFileUpload}
                 disabled={loading}
                 className="file-input"
@@ -191,6 +336,7 @@ function App() {
               {loading && (
                 <ProcessingIndicator 
                   stage={processingStage}
+                  progress={progress}
                   methodology={methodology}
                   complianceFramework={selectedCompliances.join(', ')}
                 />
@@ -206,6 +352,9 @@ function App() {
                 </div>
               )}
             </div>
+
+            {/* Saved runs (hidden when the backend has no database) */}
+            {!loading && <RunHistory onOpen={handleOpenRun} />}
           </div>
         ) : (
           <div className="results-container">
@@ -247,14 +396,30 @@ function App() {
                   >
                     {showRequirementsEditor ? 'Hide Editor' : 'Edit Requirements & Regenerate'}
                   </button>
-                  <button onClick={handleReprocess} className="reprocess-button">
-                    Reprocess with New Settings
-                  </button>
+                  {previousSuite && (
+                    <button onClick={() => setShowDiff(!showDiff)} className="reprocess-button">
+                      {showDiff ? 'Hide Changes' : 'View Changes'}
+                    </button>
+                  )}
+                  {file && (
+                    <button onClick={handleReprocess} className="reprocess-button">
+                      Reprocess with New Settings
+                    </button>
+                  )}
                   <button onClick={handleReset} className="reset-button">
                     Upload New Document
                   </button>
                 </div>
 
+                {/* Diff against the version replaced by the last regeneration */}
+                {showDiff && previousSuite && (
+                  <SuiteDiff
+                    base={previousSuite}
+                    target={{ runId: results?.runId, testCases }}
+                    onClose={() => setShowDiff(false)}
+                  />
+                )}
+
                 {/* Requirements Editor */}
                 {showRequirementsEditor && (
                   <div className="requirements-editor-container">
@@ -262,6 +427,10 @@ function App() {
                       initialRequirements={requirements}
                       methodology={methodology}
                       complianceFrameworks={selectedCompliances}
+                      sourceRunId={results?.runId}
+                      previousTestCases={testCases}
+                      deidentifyMode={deidentifyMode}
+                      reidentify={reidentify}
                       onRegenerate={handleRegenerateTests}
                     />
                   </div>
@@ -274,6 +443,7 @@ function App() {
                       results={results}
                       methodology={methodology}
                       complianceFramework={selectedCompliances.join(', ')}
+                      complianceFrameworks={selectedCompliances}
                       onNewAnalysis={handleReset}
                     />
                   </div>
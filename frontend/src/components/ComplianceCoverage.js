@@ -0,0 +1,177 @@
+// frontend/src/components/ComplianceCoverage.js - Per-control compliance coverage with evidence
+import React, { useState, useEffect } from 'react';
+import { API_ENDPOINTS } from '../config';
+import './ComplianceCoverage.css';
+
+const COVERAGE_LABELS = {
+  strong: 'Strong',
+  weak: 'Weak',
+  none: 'Not covered'
+};
+
+/**
+ * Renders the report from POST /api/compliance/coverage: every catalog control
+ * of the selected frameworks with the tests that evidence it. Weak and
+ * uncovered controls can be filtered so auditors see the gaps first.
+ */
+const ComplianceCoverage = ({ testCases, complianceFrameworks, projectId, onExport, exportLoading }) => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [gapsOnly, setGapsOnly] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadReport = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await fetch(API_ENDPOINTS.complianceCoverage, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ testCases, complianceFrameworks, projectId })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+          throw new Error(result.error || `Failed to build coverage report (${response.status})`);
+        }
+        if (!cancelled) setReport(result.report);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadReport();
+    return () => { cancelled = true; };
+  }, [testCases, complianceFrameworks, projectId]);
+
+  if (loading) return <p className="coverage-note">Mapping test cases to compliance controls...</p>;
+  if (error) return <div className="coverage-error">{error}</div>;
+  if (!report) return null;
+
+  if (report.frameworks.length === 0) {
+    return <p className="coverage-note">No catalog frameworks selected for this suite.</p>;
+  }
+
+  return (
+    <div className="coverage-section">
+      <div className="coverage-header">
+        <h2>Compliance Control Coverage</h2>
+        {onExport && (
+          <button
+            className="export-button csv"
+            onClick={() => onExport('coverage-csv')}
+            disabled={exportLoading}
+          >
+            {exportLoading ? 'Exporting...' : 'Export Coverage (CSV)'}
+          </button>
+        )}
+      </div>
+
+      <div className="stats-grid">
+        <div className="stat-card">
+          <div className="stat-number">{report.summary.coveragePercent}%</div>
+          <div className="stat-label">Controls Covered</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-number">{report.summary.strong}</div>
+          <div className="stat-label">Strong</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-number">{report.summary.weak}</div>
+          <div className="stat-label">Weak</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-number">{report.summary.none}</div>
+          <div className="stat-label">Not Covered</div>
+        </div>
+      </div>
+
+      <label className="coverage-filter">
+        <input type="checkbox" checked={gapsOnly} onChange={(e) => setGapsOnly(e.target.checked)} />
+        Show only weak and uncovered controls
+      </label>
+
+      <p className="coverage-note">
+        Strong: a test cites the control ID and its steps match the control. Weak: citation or matching content alone.
+      </p>
+
+      {report.frameworks.map(framework => {
+        const controls = gapsOnly
+          ? framework.controls.filter(c => c.coverage !== 'strong')
+          : framework.controls;
+
+        return (
+          <div key={framework.id} className="coverage-framework">
+            <h3>
+              {framework.name}
+              <span className="coverage-note">
+                {' '}catalog {framework.version} · {framework.summary.strong} strong, {framework.summary.weak} weak, {framework.summary.none} not covered
+              </span>
+            </h3>
+
+            {framework.frameworkOnlyTestIds.length > 0 && (
+              <p className="coverage-note">
+                {framework.frameworkOnlyTestIds.length} test(s) name {framework.name} without citing a control: {framework.frameworkOnlyTestIds.join(', ')}
+              </p>
+            )}
+
+            <table className="coverage-table">
+              <thead>
+                <tr>
+                  <th>Control</th>
+                  <th>Severity</th>
+                  <th>Coverage</th>
+                  <th>Evidence</th>
+                </tr>
+              </thead>
+              <tbody>
+                {controls.map(control => (
+                  <tr key={control.id} className={`coverage-row-${control.coverage}`}>
+                    <td>
+                      <strong>{control.id}</strong>
+                      <div className="coverage-title">{control.title}</div>
+                    </td>
+                    <td>{control.severity}</td>
+                    <td>
+                      <span className={`coverage-status coverage-status-${control.coverage}`}>
+                        {COVERAGE_LABELS[control.coverage]}
+                      </span>
+                    </td>
+                    <td>
+                      {control.evidence.length > 0
+                        ? control.evidence.map(e => (
+                          <div key={e.testId} title={e.matchedKeywords.join(', ')}>
+                            {e.testId} - {e.testName}
+                            <span className="coverage-note"> ({e.cited ? 'cited' : 'content match'})</span>
+                          </div>
+                        ))
+                        : <span className="coverage-note">No tests</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        );
+      })}
+
+      {report.unmappedCitations.length > 0 && (
+        <div className="coverage-unmapped">
+          <h3>Unrecognized Citations</h3>
+          <p className="coverage-note">These compliance references match no control in the selected frameworks.</p>
+          <ul>
+            {report.unmappedCitations.map((u, i) => (
+              <li key={`${u.testId}-${i}`}><strong>{u.testId}</strong> - {u.citation}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ComplianceCoverage;
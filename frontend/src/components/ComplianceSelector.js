@@ -1,5 +1,6 @@
 // frontend/src/components/ComplianceSelector.js
 import React, { useState, useEffect } from 'react';
+import { API_ENDPOINTS } from '../config';
 import './ComplianceSelector.css';
 
 /**
@@ -8,148 +9,120 @@ import './ComplianceSelector.css';
  * Allows users to select multiple compliance standards that apply to their
  * healthcare application. The AI will generate test cases that satisfy ALL
  * selected compliance requirements.
+ *
+ * Frameworks and their controls come from the backend control catalog
+ * (GET /api/compliance/frameworks), the same source the prompt builder uses.
+ * With a project selected, the project's custom frameworks are listed too and
+ * new ones can be uploaded as YAML or JSON.
  */
 
-const COMPLIANCE_FRAMEWORKS = [
-  {
-    id: 'hipaa',
-    name: 'HIPAA',
-    fullName: 'Health Insurance Portability and Accountability Act',
-    region: 'United States',
-    description: 'Protects sensitive patient health information from being disclosed',
-    icon: '🇺🇸',
-    requirements: [
-      'Access control and authentication',
-      'Audit trails and logging',
-      'Data encryption (at rest and in transit)',
-      'Emergency access procedures',
-      'Automatic logoff',
-      'PHI protection and de-identification'
-    ]
-  },
-  {
-    id: 'fda-21-cfr-11',
-    name: 'FDA 21 CFR Part 11',
-    fullName: 'FDA Electronic Records; Electronic Signatures',
-    region: 'United States',
-    description: 'Defines criteria for electronic records and signatures in FDA-regulated systems',
-    icon: '💊',
-    requirements: [
-      'Electronic signature validation',
-      'Audit trail requirements',
-      'System validation documentation',
-      'Record retention policies',
-      'Data integrity controls',
-      'Change control procedures'
-    ]
-  },
-  {
-    id: 'gdpr',
-    name: 'GDPR',
-    fullName: 'General Data Protection Regulation',
-    region: 'European Union',
-    description: 'Protects personal data and privacy of EU citizens',
-    icon: '🇪🇺',
-    requirements: [
-      'Right to access and data portability',
-      'Right to be forgotten (data deletion)',
-      'Consent management',
-      'Data breach notification (72 hours)',
-      'Privacy by design',
-      'Data processing agreements'
-    ]
-  },
-  {
-    id: 'hitrust',
-    name: 'HITRUST CSF',
-    fullName: 'HITRUST Common Security Framework',
-    region: 'Global',
-    description: 'Comprehensive security framework for healthcare organizations',
-    icon: '🔒',
-    requirements: [
-      'Risk management framework',
-      'Information protection program',
-      'Access control management',
-      'Incident management',
-      'Business continuity planning',
-      'Third-party assurance'
-    ]
-  },
-  {
-    id: 'soc2',
-    name: 'SOC 2',
-    fullName: 'Service Organization Control 2',
-    region: 'Global',
-    description: 'Security, availability, and confidentiality controls for service providers',
-    icon: '🛡️',
-    requirements: [
-      'Security controls and monitoring',
-      'Availability and performance',
-      'Processing integrity',
-      'Confidentiality controls',
-      'Privacy safeguards',
-      'Change management procedures'
-    ]
-  },
-  {
-    id: 'iso-13485',
-    name: 'ISO 13485',
-    fullName: 'Medical Devices Quality Management',
-    region: 'International',
-    description: 'Quality management systems for medical device manufacturers',
-    icon: '🏥',
-    requirements: [
-      'Design and development controls',
-      'Risk management processes',
-      'Software validation requirements',
-      'Document control',
-      'Traceability and recall procedures',
-      'Post-market surveillance'
-    ]
-  },
-  {
-    id: 'iso-27001',
-    name: 'ISO 27001',
-    fullName: 'Information Security Management',
-    region: 'International',
-    description: 'Information security management system standard',
-    icon: '🔐',
-    requirements: [
-      'Information security policies',
-      'Asset management',
-      'Access control',
-      'Cryptography',
-      'Security incident management',
-      'Business continuity'
-    ]
-  },
-  {
-    id: 'abdm',
-    name: 'ABDM',
-    fullName: 'Ayushman Bharat Digital Mission',
-    region: 'India',
-    description: 'India\'s national digital health ecosystem standards',
-    icon: '🇮🇳',
-    requirements: [
-      'Health ID integration',
-      'Healthcare professional registry',
-      'Health facility registry',
-      'Electronic health records standards',
-      'Consent management framework',
-      'Interoperability standards'
-    ]
-  }
-];
-
-const ComplianceSelector = ({ selectedCompliances = [], onChange }) => {
+const ComplianceSelector = ({ selectedCompliances = [], onChange, projectId = '', onProjectChange }) => {
   const [selected, setSelected] = useState(selectedCompliances);
   const [showDetails, setShowDetails] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
+  const [frameworks, setFrameworks] = useState([]);
+  const [loadError, setLoadError] = useState(null);
+  const [projects, setProjects] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [uploading, setUploading] = useState(false);
+  const [uploadMessage, setUploadMessage] = useState(null);
+  const [analysis, setAnalysis] = useState(null);
 
   useEffect(() => {
     setSelected(selectedCompliances);
   }, [selectedCompliances]);
 
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadFrameworks = async () => {
+      try {
+        const query = projectId ? `&projectId=${encodeURIComponent(projectId)}` : '';
+        const response = await fetch(`${API_ENDPOINTS.complianceFrameworks}?include=controls${query}`);
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+          throw new Error(result.error || `Request failed (${response.status})`);
+        }
+        if (!cancelled) {
+          setFrameworks(result.frameworks);
+          setLoadError(null);
+        }
+      } catch (err) {
+        if (!cancelled) setLoadError(err.message);
+      }
+    };
+
+    loadFrameworks();
+    return () => { cancelled = true; };
+  }, [projectId, reloadKey]);
+
+  // Shared controls and conflicting obligations only exist between two or more frameworks
+  useEffect(() => {
+    if (selected.length < 2) {
+      setAnalysis(null);
+      return undefined;
+    }
+    let cancelled = false;
+
+    const params = new URLSearchParams({ frameworks: selected.join(',') });
+    if (projectId) params.set('projectId', projectId);
+
+    fetch(`${API_ENDPOINTS.complianceAnalysis}?${params}`)
+      .then(response => response.json())
+      .then(result => {
+        if (!cancelled) setAnalysis(result.success ? result.analysis : null);
+      })
+      .catch(() => {
+        if (!cancelled) setAnalysis(null);
+      });
+
+    return () => { cancelled = true; };
+  }, [selected, projectId]);
+
+  // Projects need the history database; without it (503) the picker stays hidden
+  useEffect(() => {
+    if (!onProjectChange) return undefined;
+    let cancelled = false;
+
+    fetch(API_ENDPOINTS.projects)
+      .then(response => response.json())
+      .then(result => {
+        if (!cancelled) setProjects(result.success ? result.projects : null);
+      })
+      .catch(() => {
+        if (!cancelled) setProjects(null);
+      });
+
+    return () => { cancelled = true; };
+  }, [onProjectChange]);
+
+  const handleCustomUpload = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file || !projectId) return;
+
+    setUploading(true);
+    setUploadMessage(null);
+    try {
+      const formData = new FormData();
+      formData.append('framework', file);
+      const response = await fetch(`${API_ENDPOINTS.projects}/${projectId}/frameworks`, {
+        method: 'POST',
+        body: formData
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || `Upload failed (${response.status})`);
+      }
+      setUploadMessage(`${result.replaced ? 'Updated' : 'Added'} ${result.framework.name} (${result.framework.controls.length} controls)`);
+      setReloadKey(key => key + 1);
+    } catch (err) {
+      setUploadMessage(`Could not add framework: ${err.message}`);
+    } finally {
+      setUploading(false);
+    }
+  };
+
   const handleToggle = (complianceId) => {
     const newSelected = selected.includes(complianceId)
       ? selected.filter(id => id !== complianceId)
@@ -160,7 +133,7 @@ const ComplianceSelector = ({ selectedCompliances = [], onChange }) => {
   };
 
   const handleSelectAll = () => {
-    const allIds = COMPLIANCE_FRAMEWORKS.map(f => f.id);
+    const allIds = frameworks.map(f => f.id);
     setSelected(allIds);
     onChange(allIds);
   };
@@ -170,7 +143,7 @@ const ComplianceSelector = ({ selectedCompliances = [], onChange }) => {
     onChange([]);
   };
 
-  const filteredFrameworks = COMPLIANCE_FRAMEWORKS.filter(framework =>
+  const filteredFrameworks = frameworks.filter(framework =>
     framework.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
     framework.fullName.toLowerCase().includes(searchTerm.toLowerCase()) ||
     framework.region.toLowerCase().includes(searchTerm.toLowerCase())
@@ -179,7 +152,7 @@ const ComplianceSelector = ({ selectedCompliances = [], onChange }) => {
   const getSelectedSummary = () => {
     if (selected.length === 0) return 'No compliance frameworks selected';
     if (selected.length === 1) {
-      const framework = COMPLIANCE_FRAMEWORKS.find(f => f.id === selected[0]);
+      const framework = frameworks.find(f => f.id === selected[0]);
       return framework ? framework.name : '';
     }
     return `${selected.length} frameworks selected`;
@@ -198,6 +171,36 @@ const ComplianceSelector = ({ selectedCompliances = [], onChange }) => {
         </p>
       </div>
 
+      {projects && (
+        <div className="compliance-project">
+          <label>
+            Project{' '}
+            <select value={projectId} onChange={(e) => onProjectChange(e.target.value)}>
+              <option value="">No project</option>
+              {projects.map(project => (
+                <option key={project.id} value={project.id}>{project.name}</option>
+              ))}
+            </select>
+          </label>
+
+          {projectId ? (
+            <label className="custom-framework-upload">
+              {uploading ? 'Uploading...' : '➕ Add custom framework (YAML/JSON)'}
+              <input
+                type="file"
+                accept=".yaml,.yml,.json"
+                onChange={handleCustomUpload}
+                disabled={uploading}
+              />
+            </label>
+          ) : (
+            <span className="catalog-version">Select a project to add your organization's own frameworks</span>
+          )}
+
+          {uploadMessage && <p className="catalog-version">{uploadMessage}</p>}
+        </div>
+      )}
+
       <div className="compliance-controls">
         <div className="compliance-search">
           <input
@@ -260,6 +263,7 @@ const ComplianceSelector = ({ selectedCompliances = [], onChange }) => {
                       <h4 className="compliance-name">{framework.name}</h4>
                       <p className="compliance-full-name">{framework.fullName}</p>
                     </div>
+                    {framework.custom && <span className="compliance-custom">Custom</span>}
                     <span className="compliance-region">{framework.region}</span>
                   </div>
                   
@@ -273,16 +277,21 @@ const ComplianceSelector = ({ selectedCompliances = [], onChange }) => {
                       setShowDetails(showDetails === framework.id ? null : framework.id);
                     }}
                   >
-                    {showDetails === framework.id ? '▲ Hide' : '▼ Show'} Requirements
+                    {showDetails === framework.id ? '▲ Hide' : '▼ Show'} Controls
                   </button>
                   
                   {showDetails === framework.id && (
                     <div className="compliance-requirements">
+                      <p className="catalog-version">
+                        {framework.controls.length} controls · catalog {framework.version}
+                      </p>
                       <ul>
-                        {framework.requirements.map((req, idx) => (
-                          <li key={idx}>
+                        {framework.controls.map(control => (
+                          <li key={control.id} title={control.description}>
                             <span className="req-bullet">✓</span>
-                            {req}
+                            <span>
+                              <span className="control-id">{control.id}</span> {control.title}
+                            </span>
                           </li>
                         ))}
                       </ul>
@@ -295,17 +304,54 @@ const ComplianceSelector = ({ selectedCompliances = [], onChange }) => {
         })}
       </div>
 
-      {filteredFrameworks.length === 0 && (
+      {loadError && (
+        <div className="no-results">
+          <p>Could not load compliance frameworks: {loadError}</p>
+        </div>
+      )}
+
+      {!loadError && frameworks.length > 0 && filteredFrameworks.length === 0 && (
         <div className="no-results">
           <p>No frameworks found matching "{searchTerm}"</p>
         </div>
       )}
 
+      {analysis && (analysis.overlaps.length > 0 || analysis.conflicts.length > 0) && (
+        <div className="compliance-analysis">
+          {analysis.overlaps.length > 0 && (
+            <div>
+              <h4>🔗 Shared controls</h4>
+              <p className="catalog-version">One test will cover these controls for every selected framework.</p>
+              <ul>
+                {analysis.overlaps.map(overlap => (
+                  <li key={overlap.id} title={overlap.controls.map(c => c.id).join(', ')}>
+                    {overlap.name} <span className="catalog-version">({overlap.frameworks.join(', ')})</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {analysis.conflicts.length > 0 && (
+            <div className="compliance-conflicts">
+              <h4>⚠️ Conflicting obligations</h4>
+              <ul>
+                {analysis.conflicts.map(conflict => (
+                  <li key={conflict.id}>
+                    <strong>{conflict.name}</strong>
+                    <div className="catalog-version">{conflict.resolution}</div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+
       {selected.length > 0 && (
         <div className="compliance-footer">
           <div className="selected-tags">
             {selected.map(id => {
-              const framework = COMPLIANCE_FRAMEWORKS.find(f => f.id === id);
+              const framework = frameworks.find(f => f.id === id);
               return framework ? (
                 <span key={id} className="selected-tag">
                   {framework.icon} {framework.name}
@@ -24,12 +24,22 @@ const DocumentUpload = ({ onDocumentProcessed, disabled, methodology, compliance
       'application/pdf',
       'application/msword', 
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'text/plain'
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'text/plain',
+      'text/markdown',
+      'text/html',
+      'text/csv',
+      'image/png',
+      'image/jpeg',
+      'image/tiff'
     ];
+    // Markdown and Jira, Confluence and Azure DevOps exports; browsers report these types inconsistently
+    const extraExtensions = ['.md', '.markdown', '.json', '.xml', '.html', '.htm', '.csv'];
     const maxSize = 10 * 1024 * 1024; // 10MB
+    const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
 
-    if (!allowedTypes.includes(file.type)) {
-      return 'Invalid file type. Please upload PDF, Word documents, or text files only.';
+    if (!allowedTypes.includes(file.type) && !extraExtensions.includes(extension)) {
+      return 'Invalid file type. Please upload PDF, Word, Excel, HTML, Markdown or text documents, scanned pages (PNG, JPEG, TIFF), or a Jira, Confluence or Azure DevOps export.';
     }
     if (file.size > maxSize) {
       return 'File size too large. Please upload files smaller than 10MB.';
@@ -245,7 +255,7 @@ const DocumentUpload = ({ onDocumentProcessed, disabled, methodology, compliance
             <input
               type="file"
               id="file-upload"
-              accept=".pdf,.doc,.docx,.txt"
+              accept=".pdf,.doc,.docx,.txt,.md,.markdown,.xlsx,.csv,.html,.htm,.json,.xml,.png,.jpg,.jpeg,.tif,.tiff"
               onChange={handleChange}
               className="file-input"
               disabled={processing}
@@ -268,7 +278,7 @@ const DocumentUpload = ({ onDocumentProcessed, disabled, methodology, compliance
                     <div className="upload-title">Drop your healthcare document here</div>
                     <div className="upload-subtitle">or click to browse</div>
                     <div className="supported-formats">
-                      Supports: PDF, Word (.docx, .doc), Text (.txt)
+                      Supports: PDF, Word (.docx), Excel (.xlsx, .csv), HTML, Markdown, Text (.txt), scanned images (.png, .jpg, .tiff), Jira (.json, .xml), Confluence (.html), Azure DevOps (.csv)
                     </div>
                   </div>
                 </div>
@@ -1,7 +1,30 @@
 import React, { useState, useEffect } from 'react';
 import './ProcessingIndicator.css';
 
-const ProcessingIndicator = ({ stage, methodology, complianceFramework }) => {
+// Map streamed workflow progress onto the stage list and an overall percentage
+const getLiveStage = (progress, stageCount) => {
+  switch (progress.stage) {
+    case 'upload':
+      return { index: 0, percent: 5 };
+    case 'extraction':
+      return { index: 1, percent: 15 };
+    case 'requirements':
+      return { index: 2, percent: 25 };
+    case 'generation': {
+      const finished = progress.batchesCompleted + progress.batchesFailed;
+      const ratio = progress.batchesTotal ? finished / progress.batchesTotal : 0;
+      return ratio >= 1
+        ? { index: 4, percent: 95 }
+        : { index: 3, percent: 25 + Math.round(ratio * 70) };
+    }
+    case 'complete':
+      return { index: stageCount - 1, percent: 100 };
+    default:
+      return { index: 0, percent: 0 };
+  }
+};
+
+const ProcessingIndicator = ({ stage, methodology, complianceFramework, progress: liveProgress }) => {
   const [progress, setProgress] = useState(0);
   const [currentStageIndex, setCurrentStageIndex] = useState(0);
   
@@ -50,8 +73,16 @@ const ProcessingIndicator = ({ stage, methodology, complianceFramework }) => {
     }
   ];
 
+  const liveStage = liveProgress ? getLiveStage(liveProgress, processingStages.length) : null;
+  const liveStageIndex = liveStage ? liveStage.index : null;
+
   useEffect(() => {
-    // Update current stage based on the stage prop
+    // Streamed progress is authoritative; otherwise infer the stage from its label
+    if (liveStageIndex !== null) {
+      setCurrentStageIndex(liveStageIndex);
+      return;
+    }
+
     const stageIndex = processingStages.findIndex(s => 
       stage.toLowerCase().includes(s.name.toLowerCase().replace(/\s+/g, ''))
     );
@@ -60,13 +91,16 @@ const ProcessingIndicator = ({ stage, methodology, complianceFramework }) => {
       setCurrentStageIndex(stageIndex);
       setProgress(((stageIndex + 1) / processingStages.length) * 100);
     }
-  }, [stage, processingStages]);
+  }, [stage, processingStages, liveStageIndex]);
+
+  const targetProgress = liveStage
+    ? liveStage.percent
+    : ((currentStageIndex + 1) / processingStages.length) * 100;
 
   useEffect(() => {
-    // Simulate smooth progress animation
+    // Smooth progress animation towards the current target
     const timer = setInterval(() => {
       setProgress(prev => {
-        const targetProgress = ((currentStageIndex + 1) / processingStages.length) * 100;
         if (prev < targetProgress) {
           return Math.min(prev + 1, targetProgress);
         }
@@ -75,7 +109,7 @@ const ProcessingIndicator = ({ stage, methodology, complianceFramework }) => {
     }, 50);
 
     return () => clearInterval(timer);
-  }, [currentStageIndex, processingStages.length]);
+  }, [targetProgress]);
 
   return (
     <section className="processing-section">
@@ -118,6 +152,31 @@ const ProcessingIndicator = ({ stage, methodology, complianceFramework }) => {
           </div>
         </div>
 
+        {/* Live generation progress */}
+        {liveProgress && liveProgress.batchesTotal > 0 && (
+          <div className="batch-progress">
+            Batches: {liveProgress.batchesCompleted}/{liveProgress.batchesTotal} complete
+            {liveProgress.batchesFailed > 0 && ` (${liveProgress.batchesFailed} failed)`}
+            {liveProgress.requirementsCount > 0 && ` · ${liveProgress.requirementsCount} requirements`}
+          </div>
+        )}
+
+        {liveProgress && liveProgress.partialTests.length > 0 && (
+          <div className="partial-tests">
+            <h4>Test Cases So Far ({liveProgress.partialTests.length})</h4>
+            <ul>
+              {liveProgress.partialTests.slice(-10).map(test => (
+                <li key={`${test.batch}-${test.testId}`}>
+                  <span className="partial-test-name">{test.testName}</span>
+                  {test.requirementIds.length > 0 && (
+                    <span className="partial-test-reqs">{test.requirementIds.join(', ')}</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {/* Stages List */}
         <div className="stages-list">
           {processingStages.map((stageItem, index) => (
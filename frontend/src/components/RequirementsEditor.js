@@ -6,11 +6,15 @@ const RequirementsEditor = ({
   initialRequirements = [], 
   methodology = 'agile', 
   complianceFrameworks = ['hipaa'],
+  sourceRunId = null,
+  previousTestCases = [],
+  deidentifyMode = 'redact',
+  reidentify = false,
   onRegenerate 
 }) => {
   const [requirements, setRequirements] = useState(
-    initialRequirements.map((req, index) => ({
-      id: req.id || `req-${index}`,
+    initialRequirements.map((req) => ({
+      id: req.id || null,
       text: typeof req === 'string' ? req : req.text || '',
       category: req.category || 'functional',
       confidence: req.confidence || 1.0
@@ -55,7 +59,7 @@ const RequirementsEditor = ({
       setRequirements([
         ...requirements,
         {
-          id: `req-new-${Date.now()}`,
+          id: null,
           text: newRequirement.trim(),
           category: 'functional',
           confidence: 1.0
@@ -87,9 +91,20 @@ const RequirementsEditor = ({
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
-            requirements: requirements.map(r => r.text),
+            // Keep IDs so regenerated tests trace to the same requirements; new ones get IDs server-side
+            requirements: requirements.map(r => ({ id: r.id, text: r.text })),
             methodology: methodology,
-            complianceFrameworks: frameworks
+            complianceFrameworks: frameworks,
+            // Saves the regenerated suite into the same project as the run being edited
+            sourceRunId,
+            // Only added or edited requirements are sent to the model; other tests are kept
+            previousSuite: {
+              requirements: initialRequirements,
+              testCases: previousTestCases
+            },
+            // Requirements and the previous suite are de-identified like the uploaded document
+            deidentifyMode,
+            reidentify: deidentifyMode === 'pseudonymize' && reidentify
           })
         }
       );
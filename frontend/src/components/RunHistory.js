@@ -0,0 +1,120 @@
+// frontend/src/components/RunHistory.js - Previously generated suites (GET /api/runs)
+import React, { useState, useEffect, useCallback } from 'react';
+import { API_ENDPOINTS } from '../config';
+import './RunHistory.css';
+
+/**
+ * Lists saved generation runs so a suite can be reopened, renamed or deleted
+ * without regenerating it. Hidden when the backend has history disabled.
+ */
+const RunHistory = ({ onOpen }) => {
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [available, setAvailable] = useState(true);
+  const [error, setError] = useState(null);
+
+  const request = async (url, options) => {
+    const response = await fetch(url, options);
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      const failure = new Error(result.error || `Request failed (${response.status})`);
+      failure.status = response.status;
+      throw failure;
+    }
+    return result;
+  };
+
+  const loadRuns = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await request(`${API_ENDPOINTS.runs}?limit=20`);
+      setRuns(result.runs);
+      setError(null);
+    } catch (err) {
+      if (err.status === 503) {
+        setAvailable(false);
+      } else {
+        setError(err.message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRuns();
+  }, [loadRuns]);
+
+  const handleOpen = async (run) => {
+    try {
+      const result = await request(`${API_ENDPOINTS.runs}/${run.id}`);
+      onOpen(result.run);
+    } catch (err) {
+      setError(`Could not open run: ${err.message}`);
+    }
+  };
+
+  const handleRename = async (run) => {
+    const name = window.prompt('Rename run', run.name);
+    if (!name || !name.trim() || name === run.name) return;
+
+    try {
+      const result = await request(`${API_ENDPOINTS.runs}/${run.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name })
+      });
+      setRuns(prev => prev.map(r => (r.id === run.id ? result.run : r)));
+    } catch (err) {
+      setError(`Could not rename run: ${err.message}`);
+    }
+  };
+
+  const handleDelete = async (run) => {
+    if (!window.confirm(`Delete "${run.name}" and its ${run.testCaseCount} test cases?`)) return;
+
+    try {
+      await request(`${API_ENDPOINTS.runs}/${run.id}`, { method: 'DELETE' });
+      setRuns(prev => prev.filter(r => r.id !== run.id));
+    } catch (err) {
+      setError(`Could not delete run: ${err.message}`);
+    }
+  };
+
+  if (!available || (!loading && runs.length === 0 && !error)) {
+    return null;
+  }
+
+  return (
+    <div className="run-history">
+      <h3>Recent Test Suites</h3>
+
+      {error && <div className="run-history-error">{error}</div>}
+      {loading && <p className="run-history-empty">Loading history...</p>}
+
+      <ul className="run-history-list">
+        {runs.map(run => (
+          <li key={run.id} className="run-history-item">
+            <div className="run-history-info">
+              <span className="run-history-name">
+                {run.name}
+                {run.version > 1 && <span className="run-history-version">v{run.version}</span>}
+              </span>
+              <span className="run-history-meta">
+                {new Date(run.createdAt).toLocaleString()} · {run.requirementCount} requirements ·{' '}
+                {run.testCaseCount} tests · {run.methodology} · {run.complianceFrameworks.join(', ')}
+              </span>
+            </div>
+            <div className="run-history-actions">
+              <button onClick={() => handleOpen(run)}>Open</button>
+              <button onClick={() => handleRename(run)}>Rename</button>
+              <button onClick={() => handleDelete(run)} className="run-history-delete">Delete</button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default RunHistory;
@@ -0,0 +1,158 @@
+// frontend/src/components/SuiteDiff.js - Tests added, removed and changed between two suite versions
+import React, { useState, useEffect } from 'react';
+import { API_ENDPOINTS } from '../config';
+import './SuiteDiff.css';
+
+const FIELD_LABELS = {
+  testName: 'Name',
+  category: 'Category',
+  priority: 'Priority',
+  description: 'Description',
+  preconditions: 'Preconditions',
+  testSteps: 'Steps',
+  expectedResults: 'Expected Results',
+  complianceRequirements: 'Compliance',
+  riskLevel: 'Risk',
+  testingTechnique: 'Technique',
+  automationFeasibility: 'Automation',
+  requirementIds: 'Requirements',
+  tags: 'Tags',
+  testType: 'Test Type'
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '(none)';
+    return value
+      .map(item => (typeof item === 'object' ? `${item.step}. ${item.action} → ${item.expectedResult}` : item))
+      .join('\n');
+  }
+  return String(value);
+};
+
+/**
+ * Saved runs are diffed by ID (GET /api/runs/:id/diff); unsaved suites are sent
+ * inline (POST /api/suites/diff). Tests are matched by requirement link and content,
+ * not by TC IDs, so a renumbered test still shows up as "changed".
+ */
+const SuiteDiff = ({ base, target, onClose }) => {
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadDiff = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const response = base.runId && target.runId
+          ? await fetch(`${API_ENDPOINTS.runs}/${target.runId}/diff?base=${base.runId}`)
+          : await fetch(API_ENDPOINTS.suiteDiff, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ base: base.testCases, target: target.testCases })
+          });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+          throw new Error(result.error || `Diff failed (${response.status})`);
+        }
+        if (!cancelled) setDiff(result.diff);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadDiff();
+    return () => { cancelled = true; };
+  }, [base.runId, base.testCases, target.runId, target.testCases]);
+
+  return (
+    <div className="suite-diff">
+      <div className="suite-diff-header">
+        <h3>Changes Since Previous Version</h3>
+        {onClose && <button onClick={onClose} className="suite-diff-close">Close</button>}
+      </div>
+
+      {loading && <p className="suite-diff-empty">Comparing versions...</p>}
+      {error && <div className="suite-diff-error">{error}</div>}
+
+      {diff && (
+        <>
+          <div className="suite-diff-summary">
+            <span className="diff-badge diff-added">{diff.summary.added} added</span>
+            <span className="diff-badge diff-removed">{diff.summary.removed} removed</span>
+            <span className="diff-badge diff-changed">{diff.summary.changed} changed</span>
+            <span className="diff-badge diff-unchanged">{diff.summary.unchanged} unchanged</span>
+          </div>
+
+          {diff.added.length > 0 && (
+            <section>
+              <h4>Added</h4>
+              {diff.added.map(tc => (
+                <div key={`added-${tc.testId}`} className="diff-test diff-test-added">
+                  <strong>{tc.testId}</strong> {tc.testName}
+                  <span className="diff-test-reqs">{(tc.requirementIds || []).join(', ')}</span>
+                </div>
+              ))}
+            </section>
+          )}
+
+          {diff.removed.length > 0 && (
+            <section>
+              <h4>Removed</h4>
+              {diff.removed.map(tc => (
+                <div key={`removed-${tc.testId}`} className="diff-test diff-test-removed">
+                  <strong>{tc.testId}</strong> {tc.testName}
+                  <span className="diff-test-reqs">{(tc.requirementIds || []).join(', ')}</span>
+                </div>
+              ))}
+            </section>
+          )}
+
+          {diff.changed.length > 0 && (
+            <section>
+              <h4>Changed</h4>
+              {diff.changed.map(change => (
+                <div key={`changed-${change.targetTestId}`} className="diff-test diff-test-changed">
+                  <div className="diff-test-title">
+                    <strong>
+                      {change.baseTestId === change.targetTestId
+                        ? change.targetTestId
+                        : `${change.baseTestId} → ${change.targetTestId}`}
+                    </strong>{' '}
+                    {change.after.testName}
+                    <span className="diff-test-reqs">
+                      matched by {change.matchedBy} ({Math.round(change.similarity * 100)}%)
+                    </span>
+                  </div>
+                  <table className="diff-fields">
+                    <tbody>
+                      {change.changes.map(({ field, before, after }) => (
+                        <tr key={field}>
+                          <th>{FIELD_LABELS[field] || field}</th>
+                          <td className="diff-before">{formatValue(before)}</td>
+                          <td className="diff-after">{formatValue(after)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ))}
+            </section>
+          )}
+
+          {diff.added.length + diff.removed.length + diff.changed.length === 0 && (
+            <p className="suite-diff-empty">No differences - the regenerated suite matches the previous one.</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SuiteDiff;
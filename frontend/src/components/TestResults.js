@@ -1,8 +1,76 @@
 ﻿// frontend/src/components/TestResults.js - ABSOLUTE FIX FOR EXPORT
 import React, { useState } from 'react';
+import TraceabilityMatrix from './TraceabilityMatrix';
+import ComplianceCoverage from './ComplianceCoverage';
 import './TestResults.css';
 
-const TestResults = ({ results, methodology, complianceFramework, onNewAnalysis }) => {
+/**
+ * Save one export response file ({ data, filename, mimeType, encoding }) through a temporary link
+ */
+function downloadExportFile(file, format) {
+  // Create blob with CORRECT data extraction
+  let blobData;
+  let mimeType = file.mimeType || 'text/plain';
+
+  if (file.encoding === 'base64') {
+    console.log('[EXPORT] Decoding base64 data for Excel...');
+    // Decode base64 for Excel files
+    try {
+      const binaryString = atob(file.data);
+      const bytes = new Uint8Array(binaryString.length);
+      for (let i = 0; i < binaryString.length; i++) {
+        bytes[i] = binaryString.charCodeAt(i);
+      }
+      blobData = bytes;
+      console.log('[EXPORT] Base64 decoded successfully, bytes:', bytes.length);
+    } catch (e) {
+      console.error('[EXPORT] Base64 decode failed:', e);
+      throw new Error('Failed to decode Excel file');
+    }
+  } else {
+    // Regular string data for CSV/JSON
+    console.log('[EXPORT] Using string data directly');
+    blobData = file.data;
+  }
+
+  // Create the blob
+  const blob = new Blob([blobData], { type: mimeType });
+  console.log('[EXPORT] Blob created:', {
+    size: blob.size,
+    type: blob.type
+  });
+
+  // Create download link
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = file.filename || `medtestai-${format}-${Date.now()}.${format}`;
+  link.style.display = 'none';
+
+  console.log('[EXPORT] Download link created:', {
+    href: url.substring(0, 50) + '...',
+    download: link.download
+  });
+
+  // Trigger download
+  document.body.appendChild(link);
+  console.log('[EXPORT] Link appended to body, triggering click...');
+
+  // Force click with timeout to ensure it works
+  setTimeout(() => {
+    link.click();
+    console.log('[EXPORT] Click triggered');
+
+    // Cleanup
+    setTimeout(() => {
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+      console.log('[EXPORT] Cleanup complete');
+    }, 100);
+  }, 100);
+}
+
+const TestResults = ({ results, methodology, complianceFramework, complianceFrameworks, onNewAnalysis }) => {
   const [activeTab, setActiveTab] = useState('overview');
   const [exportFormat, setExportFormat] = useState('csv');
   const [selectedCategory, setSelectedCategory] = useState('all');
@@ -91,7 +159,8 @@ const TestResults = ({ results, methodology, complianceFramework, onNewAnalysis
             folderId: folderId.trim(),
             fileName: 'MedTestAI Test Cases',
             methodology: methodology,
-            compliance: complianceFramework
+            compliance: complianceFramework,
+            requirements
           })
         });
 
@@ -116,9 +185,41 @@ const TestResults = ({ results, methodology, complianceFramework, onNewAnalysis
           throw new Error(result.error || 'Export failed');
         }
         
+      } else if (format === 'jira') {
+        // Pushing again updates the issues created last time instead of duplicating them
+        const projectKey = prompt('Jira project key (leave empty for the server default):', '');
+        if (projectKey === null) {
+          throw new Error('Jira push cancelled');
+        }
+
+        const response = await fetch(`${API_URL}/api/jira/push`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            testCases: filteredTests,
+            projectKey: projectKey.trim().toUpperCase() || undefined,
+            projectId: results?.projectId,
+            requirements
+          })
+        });
+
+        const result = await response.json().catch(() => ({ error: `Jira push failed: ${response.status}` }));
+        if (!response.ok || !result.success) {
+          throw new Error(result.error || `Jira push failed: ${response.status}`);
+        }
+
+        const { created, updated, unchanged, failed } = result.summary;
+        setExportSuccess(
+          `Jira ${result.projectKey}: ${created} created, ${updated} updated, ${unchanged} unchanged` +
+          (failed > 0 ? `, ${failed} failed` : '')
+        );
+        setTimeout(() => setExportSuccess(null), 8000);
+
       } else {
         // CSV, JSON, Excel - COMPLETELY REWRITTEN
-        console.log(`[EXPORT] Calling API: ${API_URL}/api/tests/export`);
+        // Automation skeletons come from their own endpoint but answer in the same shape
+        const endpoint = format === 'automation' ? '/api/tests/automation' : '/api/tests/export';
+        console.log(`[EXPORT] Calling API: ${API_URL}${endpoint}`);
         console.log(`[EXPORT] Format: ${format}`);
         console.log(`[EXPORT] Test cases count: ${filteredTests.length}`);
         
@@ -126,12 +227,16 @@ const TestResults = ({ results, methodology, complianceFramework, onNewAnalysis
           testCases: filteredTests,
           format: format,
           methodology: methodology,
-          complianceFrameworks: [complianceFramework]
+          complianceFrameworks: complianceFrameworks || [complianceFramework],
+          // Lets coverage include the project's custom frameworks
+          projectId: results?.projectId,
+          // Adds the traceability matrix sheet (Excel) or builds it (rtm-csv)
+          requirements
         };
         
         console.log('[EXPORT] Request body:', JSON.stringify(requestBody, null, 2));
         
-        const response = await fetch(`${API_URL}/api/tests/export`, {
+        const response = await fetch(`${API_URL}${endpoint}`, {
           method: 'POST',
           headers: { 
             'Content-Type': 'application/json',
@@ -149,7 +254,13 @@ const TestResults = ({ results, methodology, complianceFramework, onNewAnalysis
         if (!response.ok) {
           const errorText = await response.text();
           console.error('[EXPORT] Error response:', errorText);
-          throw new Error(`Export failed: ${response.status}`);
+          let message = `Export failed: ${response.status}`;
+          try {
+            message = JSON.parse(errorText).error || message;
+          } catch (e) {
+            // Not JSON; keep the status
+          }
+          throw new Error(message);
         }
 
         // Parse JSON response
@@ -167,70 +278,12 @@ const TestResults = ({ results, methodology, complianceFramework, onNewAnalysis
           throw new Error(result.error || 'Export failed - backend returned success: false');
         }
 
-        if (!result.data) {
+        // Test data CSV comes back as one file per entity
+        const files = result.files || [result];
+        if (files.some(file => !file.data)) {
           throw new Error('Export failed - no data received from backend');
         }
-
-        // Create blob with CORRECT data extraction
-        let blobData;
-        let mimeType = result.mimeType || 'text/plain';
-        
-        if (result.encoding === 'base64') {
-          console.log('[EXPORT] Decoding base64 data for Excel...');
-          // Decode base64 for Excel files
-          try {
-            const binaryString = atob(result.data);
-            const bytes = new Uint8Array(binaryString.length);
-            for (let i = 0; i < binaryString.length; i++) {
-              bytes[i] = binaryString.charCodeAt(i);
-            }
-            blobData = bytes;
-            console.log('[EXPORT] Base64 decoded successfully, bytes:', bytes.length);
-          } catch (e) {
-            console.error('[EXPORT] Base64 decode failed:', e);
-            throw new Error('Failed to decode Excel file');
-          }
-        } else {
-          // Regular string data for CSV/JSON
-          console.log('[EXPORT] Using string data directly');
-          blobData = result.data;
-        }
-        
-        // Create the blob
-        const blob = new Blob([blobData], { type: mimeType });
-        console.log('[EXPORT] Blob created:', {
-          size: blob.size,
-          type: blob.type
-        });
-        
-        // Create download link
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = result.filename || `medtestai-${format}-${Date.now()}.${format}`;
-        link.style.display = 'none';
-        
-        console.log('[EXPORT] Download link created:', {
-          href: url.substring(0, 50) + '...',
-          download: link.download
-        });
-        
-        // Trigger download
-        document.body.appendChild(link);
-        console.log('[EXPORT] Link appended to body, triggering click...');
-        
-        // Force click with timeout to ensure it works
-        setTimeout(() => {
-          link.click();
-          console.log('[EXPORT] Click triggered');
-          
-          // Cleanup
-          setTimeout(() => {
-            document.body.removeChild(link);
-            URL.revokeObjectURL(url);
-            console.log('[EXPORT] Cleanup complete');
-          }, 100);
-        }, 100);
+        files.forEach(file => downloadExportFile(file, format));
 
         setExportSuccess(`Exported ${filteredTests.length} test cases as ${format.toUpperCase()}!`);
         setTimeout(() => setExportSuccess(null), 5000);
@@ -261,6 +314,18 @@ const TestResults = ({ results, methodology, complianceFramework, onNewAnalysis
         >
           Test Cases ({testCases.length})
         </button>
+        <button 
+          className={activeTab === 'traceability' ? 'tab active' : 'tab'}
+          onClick={() => setActiveTab('traceability')}
+        >
+          Traceability
+        </button>
+        <button 
+          className={activeTab === 'coverage' ? 'tab active' : 'tab'}
+          onClick={() => setActiveTab('coverage')}
+        >
+          Compliance Coverage
+        </button>
         <button 
           className={activeTab === 'export' ? 'tab active' : 'tab'}
           onClick={() => setActiveTab('export')}
@@ -296,6 +361,44 @@ const TestResults = ({ results, methodology, complianceFramework, onNewAnalysis
               </div>
             </div>
 
+            {/* Framework conflicts and shared controls */}
+            {metadata.complianceAnalysis?.warnings?.length > 0 && (
+              <div className="compliance-warnings">
+                <h3>⚠️ Conflicting Compliance Obligations</h3>
+                <ul>
+                  {metadata.complianceAnalysis.warnings.map(warning => (
+                    <li key={warning}>{warning}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            {metadata.complianceAnalysis?.overlaps?.length > 0 && (
+              <p className="export-note">
+                🔗 Shared controls tested once across frameworks: {metadata.complianceAnalysis.overlaps.map(o => o.name).join(', ')}
+              </p>
+            )}
+
+            {/* FHIR conformance tests added for resources the requirements name */}
+            {metadata.interoperability?.addedTests > 0 && (
+              <p className="export-note">
+                🔥 FHIR R{metadata.interoperability.fhirVersion} interoperability: {metadata.interoperability.addedTests} test(s) with {metadata.interoperability.bundles} Bundle(s) for {Object.keys(metadata.interoperability.resources).join(', ')}
+              </p>
+            )}
+
+            {metadata.hl7v2?.addedTests > 0 && (
+              <p className="export-note">
+                📨 HL7 v{metadata.hl7v2.version} messaging: {metadata.hl7v2.addedTests} test(s) with {metadata.hl7v2.messages} sample message(s) for {Object.keys(metadata.hl7v2.messageTypes).join(', ')}
+              </p>
+            )}
+
+            {/* PHI removed before the document reached the model */}
+            {metadata.deidentification?.identifiersFound > 0 && (
+              <p className="export-note">
+                🔒 {metadata.deidentification.identifiersFound} PHI identifier(s) {metadata.deidentification.mode === 'pseudonymize' ? 'pseudonymized' : 'redacted'}: {Object.entries(metadata.deidentification.byType).map(([type, count]) => `${type} ×${count}`).join(', ')}
+                {results.deidentification?.reidentified && ' (original values restored in this view)'}
+              </p>
+            )}
+
             {/* Priority Distribution */}
             {summary.byPriority && (
               <div className="distribution-section">
@@ -362,9 +465,9 @@ const TestResults = ({ results, methodology, complianceFramework, onNewAnalysis
 
             <div className="test-cases-list">
               {filteredTests.map((test, index) => (
-                <div key={test.id || index} className="test-case-card">
+                <div key={test.testId || index} className="test-case-card">
                   <div className="test-header">
-                    <h3>{test.testId || test.id} - {test.testName || test.name}</h3>
+                    <h3>{test.testId} - {test.testName}</h3>
                     <span 
                       className="priority-badge"
                       style={{ backgroundColor: getPriorityColor(test.priority) }}
@@ -378,30 +481,33 @@ const TestResults = ({ results, methodology, complianceFramework, onNewAnalysis
                     {test.riskLevel && (
                       <span className="meta-item">Risk: {test.riskLevel}</span>
                     )}
+                    {test.requirementIds.length > 0 && (
+                      <span className="meta-item">Requirements: {test.requirementIds.join(', ')}</span>
+                    )}
                   </div>
 
                   <div className="test-description">
                     <strong>Description:</strong> {test.description}
                   </div>
 
-                  {test.preconditions && test.preconditions.length > 0 && (
+                  {test.preconditions.length > 0 && (
                     <div className="test-section">
                       <strong>Preconditions:</strong>
                       <ul>
-                        {(Array.isArray(test.preconditions) ? test.preconditions : [test.preconditions]).map((pre, i) => (
+                        {test.preconditions.map((pre, i) => (
                           <li key={i}>{pre}</li>
                         ))}
                       </ul>
                     </div>
                   )}
 
-                  {test.testSteps && test.testSteps.length > 0 && (
+                  {test.testSteps.length > 0 && (
                     <div className="test-section">
                       <strong>Test Steps:</strong>
                       <ol>
-                        {test.testSteps.map((step, i) => (
-                          <li key={i}>
-                            {typeof step === 'object' ? step.action : step.step || step}
+                        {test.testSteps.map((step) => (
+                          <li key={step.step}>
+                            {step.action}
                           </li>
                         ))}
                       </ol>
@@ -409,16 +515,56 @@ const TestResults = ({ results, methodology, complianceFramework, onNewAnalysis
                   )}
 
                   <div className="test-section">
-                    <strong>Expected Results:</strong> {test.expectedResults || test.expected}
+                    <strong>Expected Results:</strong> {test.expectedResults}
                   </div>
 
-                  {test.complianceRequirements && test.complianceRequirements.length > 0 && (
+                  {test.complianceRequirements.length > 0 && (
                     <div className="test-section compliance">
-                      <strong>Compliance:</strong> {
-                        Array.isArray(test.complianceRequirements) 
-                          ? test.complianceRequirements.join(', ')
-                          : test.complianceRequirements
-                      }
+                      <strong>Compliance:</strong> {test.complianceRequirements.join(', ')}
+                    </div>
+                  )}
+
+                  {test.dataSets?.length > 0 && (
+                    <div className="test-section test-data">
+                      <strong>Test Data:</strong>
+                      {test.dataSets.map(dataSet => (
+                        <details key={dataSet.id} className={`data-set ${dataSet.variant}`}>
+                          <summary>
+                            {dataSet.id} · {dataSet.entity} · {dataSet.description} ({dataSet.expected})
+                          </summary>
+                          <pre>{JSON.stringify(dataSet.record, null, 2)}</pre>
+                        </details>
+                      ))}
+                    </div>
+                  )}
+
+                  {test.fhirBundles?.length > 0 && (
+                    <div className="test-section test-data">
+                      <strong>FHIR Bundles:</strong>
+                      {test.fhirBundles.map(fixture => (
+                        <details key={fixture.id} className={`data-set ${fixture.variant}`}>
+                          <summary>
+                            {fixture.id} · {fixture.description} ({fixture.expected}
+                            {fixture.expectedIssue && `: ${fixture.expectedIssue.code} at ${fixture.expectedIssue.expression}`})
+                          </summary>
+                          <pre>{JSON.stringify(fixture.bundle, null, 2)}</pre>
+                        </details>
+                      ))}
+                    </div>
+                  )}
+
+                  {test.hl7Messages?.length > 0 && (
+                    <div className="test-section test-data">
+                      <strong>HL7 v2 Messages:</strong>
+                      {test.hl7Messages.map(fixture => (
+                        <details key={fixture.id} className={`data-set ${fixture.variant}`}>
+                          <summary>
+                            {fixture.id} · {fixture.description} ({fixture.expected}
+                            {fixture.expectedError && `: ${fixture.expectedError.code} ${fixture.expectedError.codeName} at ${fixture.expectedError.location}`})
+                          </summary>
+                          <pre>{fixture.message.trim().replace(/\r/g, '\n')}</pre>
+                        </details>
+                      ))}
                     </div>
                   )}
                 </div>
@@ -427,6 +573,27 @@ const TestResults = ({ results, methodology, complianceFramework, onNewAnalysis
           </div>
         )}
 
+        {/* Traceability Tab */}
+        {activeTab === 'traceability' && (
+          <TraceabilityMatrix
+            requirements={requirements}
+            testCases={testCases}
+            complianceFrameworks={complianceFrameworks}
+            projectId={results?.projectId}
+          />
+        )}
+
+        {/* Compliance Coverage Tab */}
+        {activeTab === 'coverage' && (
+          <ComplianceCoverage
+            testCases={testCases}
+            complianceFrameworks={complianceFrameworks}
+            projectId={results?.projectId}
+            onExport={handleExport}
+            exportLoading={exportLoading}
+          />
+        )}
+
         {/* Export Tab */}
         {activeTab === 'export' && (
           <div className="export-section">
@@ -469,6 +636,104 @@ const TestResults = ({ results, methodology, complianceFramework, onNewAnalysis
                 {exportLoading ? 'Exporting...' : 'Export as Excel'}
               </button>
 
+              {requirements.length > 0 && (
+                <button
+                  onClick={() => handleExport('rtm-csv')}
+                  disabled={exportLoading}
+                  className="export-button csv"
+                >
+                  {exportLoading ? 'Exporting...' : 'Export Traceability Matrix (CSV)'}
+                </button>
+              )}
+
+              <button
+                onClick={() => handleExport('coverage-csv')}
+                disabled={exportLoading}
+                className="export-button csv"
+              >
+                {exportLoading ? 'Exporting...' : 'Export Compliance Coverage (CSV)'}
+              </button>
+
+              <button
+                onClick={() => handleExport('fixtures-json')}
+                disabled={exportLoading}
+                className="export-button json"
+              >
+                {exportLoading ? 'Exporting...' : 'Export Test Data Fixtures (JSON)'}
+              </button>
+
+              <button
+                onClick={() => handleExport('fixtures-csv')}
+                disabled={exportLoading}
+                className="export-button csv"
+              >
+                {exportLoading ? 'Exporting...' : 'Export Test Data Fixtures (CSV per entity)'}
+              </button>
+
+              <button
+                onClick={() => handleExport('fhir-bundles')}
+                disabled={exportLoading}
+                className="export-button json"
+              >
+                {exportLoading ? 'Exporting...' : 'Export FHIR Bundles (JSON per Bundle)'}
+              </button>
+
+              <button
+                onClick={() => handleExport('automation')}
+                disabled={exportLoading}
+                className="export-button json"
+              >
+                {exportLoading ? 'Exporting...' : 'Export Automation Scripts (ZIP)'}
+              </button>
+
+              <button
+                onClick={() => handleExport('gherkin')}
+                disabled={exportLoading}
+                className="export-button json"
+              >
+                {exportLoading ? 'Exporting...' : 'Export Gherkin Features (ZIP)'}
+              </button>
+
+              <button
+                onClick={() => handleExport('testrail-xml')}
+                disabled={exportLoading}
+                className="export-button json"
+              >
+                {exportLoading ? 'Exporting...' : 'Export to TestRail (XML)'}
+              </button>
+
+              <button
+                onClick={() => handleExport('testrail-csv')}
+                disabled={exportLoading}
+                className="export-button csv"
+              >
+                {exportLoading ? 'Exporting...' : 'Export to TestRail (CSV)'}
+              </button>
+
+              <button
+                onClick={() => handleExport('xray-json')}
+                disabled={exportLoading}
+                className="export-button json"
+              >
+                {exportLoading ? 'Exporting...' : 'Export to Xray (JSON)'}
+              </button>
+
+              <button
+                onClick={() => handleExport('zephyr-scale-csv')}
+                disabled={exportLoading}
+                className="export-button csv"
+              >
+                {exportLoading ? 'Exporting...' : 'Export to Zephyr Scale (CSV)'}
+              </button>
+
+              <button
+                onClick={() => handleExport('jira')}
+                disabled={exportLoading}
+                className="export-button json"
+              >
+                {exportLoading ? 'Exporting...' : 'Push to Jira'}
+              </button>
+
               <button
                 onClick={() => handleExport('google-sheets')}
                 disabled={exportLoading}
@@ -483,6 +748,14 @@ const TestResults = ({ results, methodology, complianceFramework, onNewAnalysis
               <p className="export-note">
                 Files will be downloaded to your default download folder.
                 For Google Sheets, you'll need to provide a folder ID.
+                Excel and Google Sheets exports include a Traceability Matrix sheet;
+                Excel also includes Compliance Coverage, Test Data and HL7 Messages sheets.
+                Automation Scripts zips Playwright, Cypress and supertest/Jest skeletons
+                for the test cases rated High for automation feasibility.
+                Gherkin Features zips one .feature file per requirement for BDD tooling.
+                TestRail, Xray and Zephyr Scale exports are native import files, filed
+                into sections or folders by category.
+                Push to Jira creates one issue per test case and updates them on later pushes.
               </p>
             </div>
           </div>
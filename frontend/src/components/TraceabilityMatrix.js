@@ -0,0 +1,153 @@
+// frontend/src/components/TraceabilityMatrix.js - Requirement × test × compliance control view
+import React, { useState, useEffect } from 'react';
+import { API_ENDPOINTS } from '../config';
+import './TraceabilityMatrix.css';
+
+const STATUS_LABELS = {
+  covered: 'Covered',
+  untested: 'Untested',
+  orphan: 'Orphan'
+};
+
+/**
+ * Renders the RTM built by POST /api/rtm. Untested requirements and orphan
+ * tests (no link to any requirement) are listed first so gaps are obvious.
+ * Citations that resolve to no catalog control are shown apart as unmapped.
+ */
+const TraceabilityMatrix = ({ requirements, testCases, complianceFrameworks, projectId }) => {
+  const [matrix, setMatrix] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadMatrix = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await fetch(API_ENDPOINTS.rtm, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ requirements, testCases, complianceFrameworks, projectId })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+          throw new Error(result.error || `Failed to build matrix (${response.status})`);
+        }
+        if (!cancelled) setMatrix(result.matrix);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadMatrix();
+    return () => { cancelled = true; };
+  }, [requirements, testCases, complianceFrameworks, projectId]);
+
+  if (loading) return <p className="rtm-note">Building traceability matrix...</p>;
+  if (error) return <div className="rtm-error">{error}</div>;
+  if (!matrix) return null;
+
+  const testNames = new Map(matrix.testCases.map(tc => [tc.testId, tc.testName]));
+  const orphans = matrix.testCases.filter(tc => tc.status === 'orphan');
+
+  return (
+    <div className="rtm-section">
+      <h2>Requirements Traceability Matrix</h2>
+
+      <div className="stats-grid">
+        <div className="stat-card">
+          <div className="stat-number">{matrix.summary.coveragePercent}%</div>
+          <div className="stat-label">Requirement Coverage</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-number">{matrix.summary.untestedRequirements}</div>
+          <div className="stat-label">Untested Requirements</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-number">{matrix.summary.orphanTests}</div>
+          <div className="stat-label">Orphan Tests</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-number">{matrix.summary.controls}</div>
+          <div className="stat-label">Compliance Controls</div>
+        </div>
+      </div>
+
+      <table className="rtm-table">
+        <thead>
+          <tr>
+            <th>Requirement</th>
+            <th>Test Cases</th>
+            <th>Compliance Controls</th>
+            <th>Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          {matrix.requirements.map(req => (
+            <tr key={req.id} className={`rtm-row-${req.status}`}>
+              <td>
+                <strong>{req.id}</strong>
+                <div className="rtm-text">{req.text}</div>
+              </td>
+              <td>
+                {req.testIds.length > 0
+                  ? req.testIds.map(id => (
+                    <div key={id} title={testNames.get(id)}>{id} - {testNames.get(id)}</div>
+                  ))
+                  : <span className="rtm-note">No tests</span>}
+              </td>
+              <td>
+                {req.controls.length > 0
+                  ? req.controls.map(control => (
+                    <div key={control.id} title={control.title}>{control.id} - {control.title}</div>
+                  ))
+                  : '-'}
+                {req.unmapped.length > 0 && (
+                  <div className="rtm-note">Unmapped: {req.unmapped.join(', ')}</div>
+                )}
+              </td>
+              <td><span className={`rtm-status rtm-status-${req.status}`}>{STATUS_LABELS[req.status]}</span></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {matrix.unmapped.length > 0 && (
+        <div className="rtm-orphans">
+          <h3>Unmapped Citations</h3>
+          <p className="rtm-note">These compliance citations name a framework or control that no catalog control matched.</p>
+          <ul>
+            {matrix.unmapped.map(entry => (
+              <li key={entry.citation}>
+                <strong>{entry.citation}</strong> - {entry.testIds.join(', ')}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {orphans.length > 0 && (
+        <div className="rtm-orphans">
+          <h3>Orphan Tests</h3>
+          <p className="rtm-note">These tests do not trace to any extracted requirement.</p>
+          <ul>
+            {orphans.map(tc => (
+              <li key={tc.testId}>
+                <strong>{tc.testId}</strong> - {tc.testName}
+                {tc.unknownRequirementIds.length > 0 && (
+                  <span className="rtm-note"> (references unknown {tc.unknownRequirementIds.join(', ')})</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TraceabilityMatrix;
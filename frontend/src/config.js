@@ -3,5 +3,13 @@ export const API_ENDPOINTS = {
   health: `${API_BASE_URL}/health`,
   apiHealth: `${API_BASE_URL}/api/health`,
   workflow: `${API_BASE_URL}/api/workflow/complete`,
-  export: `${API_BASE_URL}/api/tests/export`
+  workflowStream: `${API_BASE_URL}/api/workflow/complete/stream`,
+  export: `${API_BASE_URL}/api/tests/export`,
+  projects: `${API_BASE_URL}/api/projects`,
+  runs: `${API_BASE_URL}/api/runs`,
+  suiteDiff: `${API_BASE_URL}/api/suites/diff`,
+  rtm: `${API_BASE_URL}/api/rtm`,
+  complianceFrameworks: `${API_BASE_URL}/api/compliance/frameworks`,
+  complianceCoverage: `${API_BASE_URL}/api/compliance/coverage`,
+  complianceAnalysis: `${API_BASE_URL}/api/compliance/analysis`
 };
\ No newline at end of file
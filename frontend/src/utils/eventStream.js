@@ -0,0 +1,59 @@
+// frontend/src/utils/eventStream.js
+// EventSource only supports GET, so uploads stream their progress over a POST
+// fetch and the Server-Sent Events are parsed from the response body here.
+
+/**
+ * POST a body and invoke onEvent(event, data) for every SSE message received
+ * Resolves when the server closes the stream.
+ */
+export async function postEventStream(url, body, onEvent) {
+  const response = await fetch(url, {
+    method: 'POST',
+    body,
+    headers: { Accept: 'text/event-stream' }
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Server error (${response.status}): ${errorText}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (block) => {
+    let event = 'message';
+    const dataLines = [];
+
+    block.split('\n').forEach(line => {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trimStart());
+      }
+    });
+
+    // Comment-only blocks (": ping" heartbeats) carry no data
+    if (dataLines.length === 0) return;
+    onEvent(event, JSON.parse(dataLines.join('\n')));
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      dispatch(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+
+  if (buffer.trim()) {
+    dispatch(buffer);
+  }
+}
@@ -1,8 +1,8 @@
 // File: routes/health.routes.js
-// UPDATED: Health check using Vertex AI SDK
+// UPDATED: Health check using the shared LLM provider layer
 
 import express from 'express';
-import { VertexAI } from '@google-cloud/vertexai'; // NEW: Vertex AI SDK
+import { getLLMProvider, resolveProviderName } from '../services/llm/index.js';
 
 const router = express.Router();
 
@@ -20,8 +20,8 @@ router.get('/health', async (req, res) => {
   };
 
   try {
-    // Check Gemini AI via Vertex AI
-    health.services.gemini = await checkGeminiHealth();
+    // Check the configured LLM provider
+    health.services.llm = await checkLLMHealth();
     
     // Check Database (if configured)
     if (process.env.DB_HOST) {
@@ -73,6 +73,7 @@ router.get('/health/detailed', async (req, res) => {
     configuration: {
       projectId: process.env.GOOGLE_CLOUD_PROJECT || 'not configured',
       region: 'us-central1',
+      llmProvider: process.env.LLM_PROVIDER || 'vertex',
       documentAI: !!process.env.DOCUMENT_AI_PROCESSOR_ID,
       database: !!process.env.DB_HOST,
       googleSheets: !!process.env.GOOGLE_SHEETS_SPREADSHEET_ID
@@ -82,15 +83,15 @@ router.get('/health/detailed', async (req, res) => {
 
   try {
     // Parallel health checks
-    const [gemini, database, googleSheets, documentAI] = await Promise.allSettled([
-      checkGeminiHealth(),
+    const [llm, database, googleSheets, documentAI] = await Promise.allSettled([
+      checkLLMHealth(),
       process.env.DB_HOST ? checkDatabaseHealth() : Promise.resolve({ status: 'not_configured' }),
       process.env.GOOGLE_SHEETS_SPREADSHEET_ID ? checkGoogleSheetsHealth() : Promise.resolve({ status: 'not_configured' }),
       process.env.DOCUMENT_AI_PROCESSOR_ID ? checkDocumentAIHealth() : Promise.resolve({ status: 'not_configured' })
     ]);
 
     detailedHealth.services = {
-      gemini: gemini.status === 'fulfilled' ? gemini.value : { status: 'unhealthy', error: gemini.reason?.message },
+      llm: llm.status === 'fulfilled' ? llm.value : { status: 'unhealthy', error: llm.reason?.message },
       database: database.status === 'fulfilled' ? database.value : { status: 'unhealthy', error: database.reason?.message },
       googleSheets: googleSheets.status === 'fulfilled' ? googleSheets.value : { status: 'unhealthy', error: googleSheets.reason?.message },
       documentAI: documentAI.status === 'fulfilled' ? documentAI.value : { status: 'unhealthy', error: documentAI.reason?.message }
@@ -114,55 +115,42 @@ router.get('/health/detailed', async (req, res) => {
 });
 
 /**
- * Check Gemini AI health via Vertex AI
+ * Check the configured LLM provider (Vertex AI, AI Studio, OpenAI-compatible or fixture)
  */
-async function checkGeminiHealth() {
+async function checkLLMHealth() {
   try {
-    const projectId = process.env.GOOGLE_CLOUD_PROJECT;
-    const location = 'us-central1';
-    
-    if (!projectId) {
+    const providerName = resolveProviderName();
+
+    if (providerName === 'vertex' && !process.env.GOOGLE_CLOUD_PROJECT) {
       return { 
         status: 'unhealthy', 
+        provider: providerName,
         error: 'GOOGLE_CLOUD_PROJECT not configured',
         message: 'Project ID is required for Vertex AI'
       };
     }
 
-    // Initialize Vertex AI client
-    const vertex_ai = new VertexAI({
-      project: projectId, 
-      location: location
-    });
-    
-    // Make a minimal API call to check authentication/connectivity
-    const model = vertex_ai.preview.getGenerativeModel({
-      model: 'gemini-2.0-flash-exp'
-    });
+    const provider = await getLLMProvider();
 
-    const response = await model.generateContent({
-      contents: [{ role: 'user', parts: [{ text: 'ping' }] }],
-      generationConfig: {
-        maxOutputTokens: 1, // Keep it fast and cheap
-        temperature: 0.0
-      }
-    });
+    // Minimal round trip to check authentication/connectivity
+    const result = await provider.healthCheck();
 
-    // If we got here, the service is healthy
-    return { 
-      status: 'healthy',
-      model: 'gemini-2.0-flash-exp',
-      location: location,
-      authentication: 'ADC',
-      message: 'Vertex AI is operational'
-    };
+    if (result.status !== 'healthy') {
+      console.error(`❌ LLM health check failed (${provider.name}):`, result.error);
+      return {
+        ...result,
+        troubleshooting: 'Check LLM_PROVIDER and the credentials for that provider'
+      };
+    }
+
+    return result;
   } catch (error) {
-    console.error('❌ Gemini health check failed:', error);
+    console.error('❌ LLM health check failed:', error);
     return { 
       status: 'unhealthy', 
       error: error.message,
       details: error.code || 'unknown_error',
-      troubleshooting: 'Check Application Default Credentials and Vertex AI API enablement'
+      troubleshooting: 'Check LLM_PROVIDER and the credentials for that provider'
     };
   }
 }
@@ -270,9 +258,9 @@ router.get('/health/liveness', (req, res) => {
 router.get('/health/readiness', async (req, res) => {
   try {
     // Check if critical services are ready
-    const geminiHealth = await checkGeminiHealth();
+    const llmHealth = await checkLLMHealth();
     
-    if (geminiHealth.status === 'healthy') {
+    if (llmHealth.status === 'healthy') {
       res.status(200).json({ 
         status: 'ready',
         timestamp: new Date().toISOString()
@@ -280,7 +268,7 @@ router.get('/health/readiness', async (req, res) => {
     } else {
       res.status(503).json({ 
         status: 'not_ready',
-        reason: 'Gemini AI not available',
+        reason: 'LLM provider not available',
         timestamp: new Date().toISOString()
       });
     }
@@ -12,6 +12,42 @@ import GoogleDriveService from './services/GoogleDriveService.js';
 import { asyncHandler, errorHandler } from './middleware/errorHandler.js';
 import googleSheets from './services/google-sheets.js';
 import GoogleDriveExport from './services/GoogleDriveExport.js';
+import ExcelJS from 'exceljs';
+import { normalizeTestCases, formatStepsAsText } from './services/schema/testCaseSchema.js';
+import { diffTestSuites } from './services/schema/suiteDiff.js';
+import { buildTraceabilityMatrix } from './services/rtm/traceabilityMatrix.js';
+import { rtmToRows, addRtmWorksheet } from './services/rtm/rtmExport.js';
+import workflowService, { WorkflowError, parseWorkflowOptions, summarizeProgress } from './services/workflowService.js';
+import { getJobQueue, registerJobHandler } from './services/jobs/index.js';
+import historyService from './services/HistoryService.js';
+import controlCatalog from './services/compliance/controlCatalog.js';
+import customFrameworks, { CustomFrameworkError } from './services/compliance/customFrameworks.js';
+import complianceEngine from './services/healthcare/complianceEngine.js';
+import deidentifier, { PhiDetectedError, resolveDeidentifyMode } from './services/privacy/deidentifier.js';
+import { buildComplianceCoverage } from './services/compliance/coverageEngine.js';
+import { coverageToRows, addCoverageWorksheet } from './services/compliance/coverageExport.js';
+import syntheticData, { ENTITIES, VARIANTS } from './services/testdata/syntheticData.js';
+import { buildFixtures, fixturesToTables, addTestDataWorksheet } from './services/testdata/fixtureExport.js';
+import fhirValidator from './services/fhir/fhirValidator.js';
+import fhirFixtures, { FHIR_RESOURCES, FHIR_VARIANTS } from './services/fhir/fhirFixtures.js';
+import { collectFhirBundles } from './services/fhir/interoperabilityTests.js';
+import hl7Parser from './services/hl7/hl7Parser.js';
+import hl7Fixtures, { HL7_MESSAGE_TYPES, HL7_VARIANTS } from './services/hl7/hl7Fixtures.js';
+import { collectHl7Messages, addHl7Worksheet } from './services/hl7/hl7Export.js';
+import { buildAutomationProject, AUTOMATION_FRAMEWORKS } from './services/automation/automationProject.js';
+import { buildFeatureFiles, GHERKIN_GROUPS } from './services/bdd/gherkinExport.js';
+import { lintFeature } from './services/bdd/gherkinLinter.js';
+import tmsMappings, { TmsMappingError } from './services/tms/tmsMappings.js';
+import { buildTmsExport, TMS_FORMATS } from './services/tms/tmsExport.js';
+import { verifyTmsExport } from './services/tms/tmsRoundTrip.js';
+import jiraSync, { requirementIssueMap, DEFAULT_SCOPE } from './services/jira/jiraSync.js';
+import { JiraError } from './services/jira/JiraClient.js';
+import { RequirementImportError } from './services/importers/index.js';
+import { DocumentParseError } from './services/documents/index.js';
+import requirementColumns from './services/documents/requirementColumns.js';
+import { openEventStream } from './utils/sse.js';
+import { zipFiles } from './utils/zip.js';
+import { toCsv } from './utils/csv.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -32,6 +68,12 @@ const upload = multer({
   limits: { fileSize: 20 * 1024 * 1024 }
 });
 
+// Custom framework definitions are parsed straight from memory, never written to disk
+const frameworkUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 512 * 1024 }
+});
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({
@@ -42,7 +84,9 @@ app.get('/health', (req, res) => {
       googleDrive: true,
       chromeExtension: true,
       multiCompliance: true,
-      vertexAI: true
+      vertexAI: (process.env.LLM_PROVIDER || 'vertex') === 'vertex',
+      llmProvider: process.env.LLM_PROVIDER || 'vertex',
+      history: historyService.isEnabled ? historyService.db.describe().client : false
     }
   });
 });
@@ -161,7 +205,7 @@ app.get('/api/drive/auth-status', asyncHandler(async (req, res) => {
 app.post('/api/export/google-sheets', asyncHandler(async (req, res) => {
   console.log('📊 [Sheets] Export request received');
   
-  const { testCases, config } = req.body;
+  const { testCases, config, requirements } = req.body;
   
   if (!testCases || !Array.isArray(testCases) || testCases.length === 0) {
     return res.status(400).json({
@@ -170,7 +214,11 @@ app.post('/api/export/google-sheets', asyncHandler(async (req, res) => {
     });
   }
   
-  const result = await googleSheets.exportTestCases(testCases, config);
+  // requirements (top level or in config) add a Traceability Matrix sheet
+  const result = await googleSheets.exportTestCases(testCases, {
+    ...config,
+    requirements: requirements || config?.requirements
+  });
   
   res.json({
     success: true,
@@ -208,7 +256,7 @@ app.post('/api/drive/verify-folder', asyncHandler(async (req, res) => {
 app.post('/api/export/drive-folder', asyncHandler(async (req, res) => {
   console.log('📁 [Drive] Export to folder request received');
   
-  const { testCases, folderId, fileName, methodology, compliance } = req.body;
+  const { testCases, folderId, fileName, methodology, compliance, requirements } = req.body;
   
   if (!testCases || !Array.isArray(testCases) || testCases.length === 0) {
     return res.status(400).json({
@@ -231,7 +279,9 @@ app.post('/api/export/drive-folder', asyncHandler(async (req, res) => {
       folderId,
       fileName: fileName || 'MedTestAI Test Cases',
       methodology: methodology || 'agile',
-      compliance: compliance || 'HIPAA'
+      compliance: compliance || 'HIPAA',
+      // Adds a Traceability Matrix sheet
+      requirements
     });
 
     console.log('✅ [Drive] Export successful:', result.spreadsheetUrl);
@@ -254,19 +304,80 @@ app.post('/api/export/drive-folder', asyncHandler(async (req, res) => {
 
 // ==================== EXPORT ENDPOINTS ====================
 
+// Sending `requirements` adds the traceability matrix (RTM) to Excel and JSON exports;
+// format "rtm-csv" exports the matrix on its own. Per-control compliance coverage is
+// added the same way, and format "coverage-csv" exports it on its own. Synthetic test
+// data travels in the JSON and Excel exports; "fixtures-json" and "fixtures-csv" export it on its own.
+// "fhir-bundles" exports the FHIR interoperability Bundles as one JSON file each plus a manifest.
+// HL7 v2 sample messages travel in the JSON and Excel exports. "testrail-xml", "testrail-csv",
+// "xray-json" and "zephyr-scale-csv" write the tool's own import file, with field mappings from
+// config/tms/field-mappings.json overridden by the request's tmsMapping, and read it back before sending.
 app.post('/api/tests/export', asyncHandler(async (req, res) => {
   console.log('📤 [Export] Export request received');
   
-  const { testCases, format, methodology, complianceFrameworks } = req.body;
+  const { format, methodology, complianceFrameworks, requirements, projectId, groupBy, tmsMapping } = req.body;
   
-  if (!testCases || testCases.length === 0) {
+  if (!req.body.testCases || req.body.testCases.length === 0) {
     return res.status(400).json({
       success: false,
       error: 'No test cases provided for export'
     });
   }
+
+  const testCases = normalizeTestCases(req.body.testCases);
+  const hasRequirements = Array.isArray(requirements) && requirements.length > 0;
+
+  if (format === 'rtm-csv' && !hasRequirements) {
+    return res.status(400).json({
+      success: false,
+      error: 'Requirements are required to export a traceability matrix'
+    });
+  }
+
+  const fixtures = format?.startsWith('fixtures-') ? buildFixtures(testCases) : null;
+  if (fixtures?.dataSetCount === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'The test cases carry no synthetic test data to export'
+    });
+  }
+
+  if (format === 'gherkin' && groupBy && !GHERKIN_GROUPS.includes(groupBy)) {
+    return res.status(400).json({
+      success: false,
+      error: `groupBy must be one of ${GHERKIN_GROUPS.join(', ')}`
+    });
+  }
+
+  let mapping = null;
+  if (Object.hasOwn(TMS_FORMATS, format)) {
+    try {
+      mapping = tmsMappings.resolve(tmsMapping);
+    } catch (error) {
+      if (error instanceof TmsMappingError) {
+        return res.status(error.statusCode).json({ success: false, error: error.message });
+      }
+      throw error;
+    }
+  }
+
+  const fhirBundles = format === 'fhir-bundles' ? collectFhirBundles(testCases) : [];
+  if (format === 'fhir-bundles' && fhirBundles.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'The test cases carry no FHIR Bundles to export'
+    });
+  }
   
-  console.log(`📤 [Export] Format: ${format}, Test cases: ${testCases.length}`);
+  // Each format builds only the artefacts it emits; the RTM reuses the coverage report's control mapping
+  const complianceArtefacts = async () => {
+    const catalog = await customFrameworks.catalogFor(projectId);
+    const coverage = buildComplianceCoverage(testCases, complianceFrameworks, { catalog });
+    const matrix = hasRequirements ? buildTraceabilityMatrix(requirements, testCases, { catalog, coverage }) : null;
+    return { coverage, matrix };
+  };
+
+  console.log(`📤 [Export] Format: ${format}, Test cases: ${testCases.length}${hasRequirements ? `, Requirements: ${requirements.length}` : ''}`);
   
   try {
     switch (format) {
@@ -285,24 +396,19 @@ app.post('/api/tests/export', asyncHandler(async (req, res) => {
         ];
         
         const rows = testCases.map(tc => [
-          tc.testId || tc.id || '',
-          tc.testName || tc.name || tc.title || '',
-          tc.category || '',
-          tc.priority || 'Medium',
-          tc.description || '',
-          Array.isArray(tc.preconditions) ? tc.preconditions.join('; ') : tc.preconditions || '',
-          Array.isArray(tc.testSteps) ? tc.testSteps.map((s, i) => `${i+1}. ${s.step || s}`).join('\n') : '',
-          tc.expectedResults || tc.expected || '',
-          Array.isArray(tc.complianceRequirements) ? tc.complianceRequirements.join(', ') : tc.complianceRequirements || '',
-          tc.riskLevel || ''
+          tc.testId,
+          tc.testName,
+          tc.category,
+          tc.priority,
+          tc.description,
+          tc.preconditions.join('; '),
+          formatStepsAsText(tc.testSteps),
+          tc.expectedResults,
+          tc.complianceRequirements.join(', '),
+          tc.riskLevel
         ]);
         
-        const csv = [headers, ...rows]
-          .map(row => row.map(cell => {
-            const cellStr = String(cell).replace(/"/g, '""');
-            return `"${cellStr}"`;
-          }).join(','))
-          .join('\n');
+        const csv = toCsv([headers, ...rows]);
         
         console.log(`✅ [Export] CSV generated - ${rows.length} rows`);
         
@@ -316,7 +422,171 @@ app.post('/api/tests/export', asyncHandler(async (req, res) => {
         break;
       }
 
+      case 'rtm-csv': {
+        const { matrix } = await complianceArtefacts();
+        const rows = rtmToRows(matrix);
+
+        console.log(`✅ [Export] RTM CSV generated - ${rows.length - 1} rows`);
+
+        res.json({
+          success: true,
+          data: toCsv(rows),
+          filename: `medtestai-rtm-${methodology || 'export'}-${Date.now()}.csv`,
+          mimeType: 'text/csv',
+          count: rows.length - 1,
+          summary: matrix.summary
+        });
+        break;
+      }
+
+      case 'coverage-csv': {
+        const catalog = await customFrameworks.catalogFor(projectId);
+        const coverage = buildComplianceCoverage(testCases, complianceFrameworks, { catalog });
+        const rows = coverageToRows(coverage);
+
+        console.log(`✅ [Export] Coverage CSV generated - ${rows.length - 1} controls`);
+
+        res.json({
+          success: true,
+          data: toCsv(rows),
+          filename: `medtestai-compliance-coverage-${Date.now()}.csv`,
+          mimeType: 'text/csv',
+          count: rows.length - 1,
+          summary: coverage.summary
+        });
+        break;
+      }
+
+      case 'fixtures-json': {
+        console.log(`✅ [Export] Test data fixtures generated - ${fixtures.dataSetCount} datasets`);
+
+        res.json({
+          success: true,
+          data: JSON.stringify({
+            exportDate: new Date().toISOString(),
+            referenceVersion: syntheticData.version,
+            ...fixtures
+          }, null, 2),
+          filename: `medtestai-test-data-${Date.now()}.json`,
+          mimeType: 'application/json',
+          count: fixtures.dataSetCount
+        });
+        break;
+      }
+
+      // One CSV per entity, since patients, encounters and medications have different columns
+      case 'fixtures-csv': {
+        const stamp = Date.now();
+        const files = fixturesToTables(fixtures).map(({ entity, rows }) => ({
+          entity,
+          data: toCsv(rows),
+          filename: `medtestai-test-data-${entity}-${stamp}.csv`,
+          mimeType: 'text/csv',
+          count: rows.length - 1
+        }));
+
+        console.log(`✅ [Export] Test data CSV generated - ${files.length} file(s)`);
+
+        res.json({
+          success: true,
+          files,
+          count: fixtures.dataSetCount
+        });
+        break;
+      }
+
+      // One file per Bundle so a test can load exactly the fixture it posts; the manifest says what to expect
+      case 'fhir-bundles': {
+        const stamp = Date.now();
+        const manifest = {
+          exportDate: new Date().toISOString(),
+          fhirVersion: fhirValidator.fhirVersion,
+          bundles: fhirBundles.map(({ bundle, ...entry }) => ({ ...entry, file: `${entry.fixtureId}.json` }))
+        };
+        const files = [
+          ...fhirBundles.map(({ fixtureId, resourceType, bundle }) => ({
+            entity: resourceType,
+            data: JSON.stringify(bundle, null, 2),
+            filename: `${fixtureId}.json`,
+            mimeType: 'application/fhir+json',
+            count: 1
+          })),
+          {
+            entity: 'manifest',
+            data: JSON.stringify(manifest, null, 2),
+            filename: `medtestai-fhir-manifest-${stamp}.json`,
+            mimeType: 'application/json',
+            count: fhirBundles.length
+          }
+        ];
+
+        console.log(`✅ [Export] FHIR Bundles generated - ${fhirBundles.length} file(s)`);
+
+        res.json({
+          success: true,
+          files,
+          count: fhirBundles.length
+        });
+        break;
+      }
+
+      // One .feature file per requirement (or category), each checked by the Gherkin linter
+      case 'gherkin': {
+        const catalog = await customFrameworks.catalogFor(projectId);
+        const features = buildFeatureFiles(testCases, { groupBy, requirements, catalog });
+        const scenarios = features.reduce((sum, file) => sum + file.scenarios, 0);
+        const warnings = features.reduce((sum, file) => sum + file.issues.length, 0);
+        const zip = await zipFiles('medtestai-features', features.map(({ path, content }) => ({ path, content })));
+
+        console.log(`✅ [Export] Gherkin generated - ${features.length} feature file(s), ${scenarios} scenario(s), ${warnings} lint warning(s)`);
+
+        res.json({
+          success: true,
+          data: zip.toString('base64'),
+          filename: `medtestai-features-${methodology || 'export'}-${Date.now()}.zip`,
+          mimeType: 'application/zip',
+          count: scenarios,
+          encoding: 'base64',
+          lint: features.map(({ path, feature, scenarios: count, issues }) => ({ path, feature, scenarios: count, issues }))
+        });
+        break;
+      }
+
+      // Native import files; a file that does not read back is never sent
+      case 'testrail-xml':
+      case 'testrail-csv':
+      case 'xray-json':
+      case 'zephyr-scale-csv': {
+        const { tool, extension, mimeType } = TMS_FORMATS[format];
+        const content = buildTmsExport(format, testCases, mapping);
+        const verification = verifyTmsExport(format, content, testCases, mapping);
+
+        if (!verification.valid) {
+          console.error(`❌ [Export] ${tool} export failed its round-trip check - ${verification.issues.length} issue(s)`);
+          return res.status(500).json({
+            success: false,
+            error: `Generated ${tool} file does not match the import schema`,
+            verification
+          });
+        }
+
+        console.log(`✅ [Export] ${tool} ${extension.toUpperCase()} generated - ${verification.checked} test cases, round trip OK`);
+
+        res.json({
+          success: true,
+          data: content,
+          filename: `medtestai-${format}-${Date.now()}.${extension}`,
+          mimeType,
+          count: verification.checked,
+          verification
+        });
+        break;
+      }
+
       case 'json': {
+        const { matrix, coverage } = await complianceArtefacts();
+        const fixtures = buildFixtures(testCases);
+        const hl7Messages = collectHl7Messages(testCases);
         const exportData = {
           metadata: {
             exportDate: new Date().toISOString(),
@@ -324,7 +594,11 @@ app.post('/api/tests/export', asyncHandler(async (req, res) => {
             complianceFrameworks: complianceFrameworks || [],
             totalTests: testCases.length
           },
-          testCases: testCases
+          testCases: testCases,
+          ...(matrix && { traceabilityMatrix: matrix }),
+          complianceCoverage: coverage,
+          ...(fixtures.dataSetCount > 0 && { testDataFixtures: fixtures }),
+          ...(hl7Messages.length > 0 && { hl7Messages })
         };
         
         console.log(`✅ [Export] JSON generated - ${testCases.length} test cases`);
@@ -341,6 +615,7 @@ app.post('/api/tests/export', asyncHandler(async (req, res) => {
 
       case 'excel': {
         console.log('📊 [Export] Generating proper Excel file...');
+        const { matrix, coverage } = await complianceArtefacts();
         
         const workbook = new ExcelJS.Workbook();
         const worksheet = workbook.addWorksheet('Test Cases');
@@ -370,26 +645,18 @@ app.post('/api/tests/export', asyncHandler(async (req, res) => {
         
         testCases.forEach(tc => {
           worksheet.addRow({
-            testId: tc.testId || tc.id || '',
-            testName: tc.testName || tc.name || tc.title || '',
-            category: tc.category || '',
-            priority: tc.priority || 'Medium',
-            description: tc.description || '',
-            preconditions: Array.isArray(tc.preconditions) ? tc.preconditions.join('; ') : tc.preconditions || '',
-            testSteps: Array.isArray(tc.testSteps) ? 
-              tc.testSteps.map((s, i) => {
-                if (typeof s === 'object' && s.action) {
-                  return `Step ${s.step || i+1}: ${s.action}`;
-                }
-                return `${i+1}. ${s.step || s}`;
-              }).join('\n') : '',
-            expectedResults: tc.expectedResults || tc.expected || '',
-            compliance: Array.isArray(tc.complianceRequirements) ? 
-              tc.complianceRequirements.join(', ') : 
-              tc.complianceRequirements || '',
-            riskLevel: tc.riskLevel || '',
-            testingTechnique: tc.testingTechnique || '',
-            automationFeasibility: tc.automationFeasibility || ''
+            testId: tc.testId,
+            testName: tc.testName,
+            category: tc.category,
+            priority: tc.priority,
+            description: tc.description,
+            preconditions: tc.preconditions.join('; '),
+            testSteps: tc.testSteps.map(s => `Step ${s.step}: ${s.action}`).join('\n'),
+            expectedResults: tc.expectedResults,
+            compliance: tc.complianceRequirements.join(', '),
+            riskLevel: tc.riskLevel,
+            testingTechnique: tc.testingTechnique,
+            automationFeasibility: tc.automationFeasibility
           });
         });
         
@@ -400,6 +667,22 @@ app.post('/api/tests/export', asyncHandler(async (req, res) => {
           }
         });
         
+        if (matrix) {
+          addRtmWorksheet(workbook, matrix);
+        }
+        
+        if (coverage.frameworks.length > 0) {
+          addCoverageWorksheet(workbook, coverage);
+        }
+
+        if (testCases.some(tc => tc.dataSets?.length > 0)) {
+          addTestDataWorksheet(workbook, testCases);
+        }
+
+        if (testCases.some(tc => tc.hl7Messages?.length > 0)) {
+          addHl7Worksheet(workbook, testCases);
+        }
+        
         const buffer = await workbook.xlsx.writeBuffer();
         
         console.log(`✅ [Export] Excel file generated - ${testCases.length} test cases`);
@@ -414,6 +697,12 @@ app.post('/api/tests/export', asyncHandler(async (req, res) => {
         });
         break;
       }
+
+      default:
+        return res.status(400).json({
+          success: false,
+          error: `Unsupported format "${format}"`
+        });
     }
     console.log(`✅ [Export] Export successful - Format: ${format}`);
     
@@ -427,6 +716,25 @@ app.post('/api/tests/export', asyncHandler(async (req, res) => {
   }
 }));
 
+// Requirements traceability matrix: { requirements, testCases, complianceFrameworks?, projectId? }
+// → requirement × test × catalog control
+app.post('/api/rtm', asyncHandler(async (req, res) => {
+  const { requirements, testCases, complianceFrameworks, projectId } = req.body || {};
+
+  if (!Array.isArray(requirements) || !Array.isArray(testCases)) {
+    return res.status(400).json({
+      success: false,
+      error: 'requirements and testCases arrays are required'
+    });
+  }
+
+  const catalog = await customFrameworks.catalogFor(projectId);
+  res.json({
+    success: true,
+    matrix: buildTraceabilityMatrix(requirements, testCases, { frameworks: complianceFrameworks, catalog })
+  });
+}));
+
 // ==================== EXISTING ENDPOINTS (FIXED) ====================
 
 // Process document
@@ -435,10 +743,37 @@ app.post('/api/process-document', upload.single('document'), asyncHandler(async
     return res.status(400).json({ error: 'No file uploaded' });
   }
   
-  const result = await documentProcessor.processDocument(
-    req.file.path,
-    req.file.originalname
-  );
+  let deidentifyMode;
+  let columnMapping;
+  try {
+    deidentifyMode = resolveDeidentifyMode(req.body.deidentifyMode);
+    columnMapping = requirementColumns.resolve(req.body.columnMapping);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  let result;
+  try {
+    // The token map stays server-side; this endpoint has nothing to re-identify
+    const { tokenMap, ...processed } = await documentProcessor.processDocument(
+      req.file.path,
+      req.file.originalname,
+      { deidentifyMode, columnMapping }
+    );
+    result = processed;
+  } catch (error) {
+    if (error instanceof PhiDetectedError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        deidentification: error.report
+      });
+    }
+    if (error instanceof RequirementImportError || error instanceof DocumentParseError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    throw error;
+  }
   
   // Trigger webhooks
   await WebhookManager.triggerWebhook('document.processed', {
@@ -453,7 +788,17 @@ app.post('/api/process-document', upload.single('document'), asyncHandler(async
 app.post('/api/workflow/regenerate', asyncHandler(async (req, res) => {
   console.log('🔄 [Regenerate] Request received');
   
-  const { requirements, methodology, complianceFrameworks } = req.body;
+  const {
+    requirements,
+    methodology,
+    complianceFrameworks,
+    previousSuite,
+    incremental,
+    projectId,
+    sourceRunId,
+    deidentifyMode,
+    reidentify
+  } = req.body;
   
   if (!requirements || !Array.isArray(requirements)) {
     return res.status(400).json({
@@ -467,69 +812,42 @@ app.post('/api/workflow/regenerate', asyncHandler(async (req, res) => {
   console.log(`🛡️ [Regenerate] Compliance: ${complianceFrameworks?.join(', ') || 'HIPAA'}`);
 
   try {
-    // Normalize compliance frameworks
-    const frameworks = Array.isArray(complianceFrameworks) 
-      ? complianceFrameworks 
-      : (complianceFrameworks ? [complianceFrameworks] : ['hipaa']);
-
-    // Map requirements to text strings
-    const requirementTexts = requirements.map(req => {
-      if (typeof req === 'string') {
-        return req;
-      } else if (req && typeof req === 'object') {
-        return req.text || req.requirement || req.description || String(req);
-      }
-      return String(req);
-    }).filter(text => text && text.trim().length > 0);
-
-    if (requirementTexts.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'No valid requirement texts found'
+    if (wantsAsync(req)) {
+      // The job store holds the de-identified requirements; the previous suite's tests are kept as sent
+      const clean = workflowService.deidentifyRegeneration({ requirements, previousSuite, deidentifyMode });
+      const jobQueue = await getJobQueue();
+      const job = await jobQueue.enqueue('workflow.regenerate', {
+        requirements: clean.requirements,
+        previousSuite: previousSuite && { testCases: previousSuite.testCases },
+        previousRequirements: clean.previousRequirements,
+        deidentification: clean.deidentification,
+        methodology, complianceFrameworks, incremental, projectId, sourceRunId
       });
+      holdTokenMap(job.id, workflowService.reidentifyTokens(reidentify, clean.tokenMap, clean.deidentification.mode));
+      return res.status(202).json(jobAccepted(job));
     }
 
-    console.log('📤 [Regenerate] Calling test generator...');
-    
-    // Generate test cases using the multi-compliance generator
-    const result = await testCaseGeneratorMultiCompliance.generateTestCases(
-      requirementTexts,
-      methodology || 'agile',
-      frameworks
-    );
-
-    console.log('✅ [Regenerate] Test generation successful');
-    console.log(`📊 [Regenerate] Generated ${result.testCases?.length || 0} test cases`);
-
-    // Validate response structure
-    if (!result || typeof result !== 'object') {
-      throw new Error('Invalid response from test generator');
-    }
-
-    if (!result.testCases || !Array.isArray(result.testCases)) {
-      throw new Error('Test generator did not return test cases array');
-    }
+    const data = await workflowService.runRegenerate({
+      requirements, methodology, complianceFrameworks, previousSuite, incremental, projectId, sourceRunId,
+      deidentifyMode, reidentify: reidentify === true || reidentify === 'true'
+    });
 
     // Return success response with consistent structure
     res.json({
       success: true,
-      data: {
-        testCases: result.testCases,
-        metadata: result.metadata || {
-          methodology: methodology || 'agile',
-          complianceFrameworks: frameworks,
-          generatedAt: new Date().toISOString()
-        },
-        summary: result.summary || {
-          totalTests: result.testCases.length,
-          byPriority: {},
-          byCategory: {}
-        }
-      },
-      message: `Successfully generated ${result.testCases.length} test cases`
+      data,
+      message: `Successfully generated ${data.testCases.length} test cases`
     });
 
   } catch (error) {
+    if (error instanceof WorkflowError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        details: error.details
+      });
+    }
+
     console.error('❌ [Regenerate] Error:', error);
     console.error('❌ [Regenerate] Stack:', error.stack);
     
@@ -555,161 +873,37 @@ app.post('/api/workflow/complete', upload.single('document'), asyncHandler(async
     });
   }
   
+  if (wantsAsync(req)) {
+    const jobQueue = await getJobQueue();
+    const job = await jobQueue.enqueue('workflow.complete', {
+      file: {
+        path: req.file.path,
+        originalname: req.file.originalname,
+        size: req.file.size,
+        mimetype: req.file.mimetype
+      },
+      ...parseWorkflowOptions(req.body)
+    });
+    return res.status(202).json(jobAccepted(job));
+  }
+  
   try {
-    // Extract parameters
-    const methodology = req.body.methodology || 'agile';
-    let complianceFrameworks = [];
-    
-    // Handle compliance frameworks from FormData
-    if (req.body['complianceFrameworks[]']) {
-      // Can be array or single value
-      if (Array.isArray(req.body['complianceFrameworks[]'])) {
-        complianceFrameworks = req.body['complianceFrameworks[]'];
-      } else {
-        complianceFrameworks = [req.body['complianceFrameworks[]']];
-      }
-    } else if (req.body.complianceFrameworks) {
-      complianceFrameworks = Array.isArray(req.body.complianceFrameworks) 
-        ? req.body.complianceFrameworks 
-        : [req.body.complianceFrameworks];
-    } else {
-      complianceFrameworks = ['hipaa']; // Default
-    }
-    
-    console.log('📋 [Workflow] Configuration:');
-    console.log('   File:', req.file.originalname);
-    console.log('   Size:', req.file.size);
-    console.log('   Methodology:', methodology);
-    console.log('   Compliance:', complianceFrameworks.join(', '));
-    
-    // Step 1: Process document
-    console.log('📄 [Workflow] Step 1: Processing document...');
-    const documentResult = await documentProcessor.processDocument(
-      req.file.path,
-      req.file.originalname
-    );
-    
-    console.log(`✅ [Workflow] Document processed: ${documentResult.requirements.length} requirements`);
-    console.log(`   Method: ${documentResult.processingMethod}`);
-    
-    // Validate requirements
-    if (!documentResult.requirements || documentResult.requirements.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'No requirements found in document',
-        details: {
-          fileName: req.file.originalname,
-          processingMethod: documentResult.processingMethod,
-          suggestion: 'Document may be empty or in unsupported format'
-        }
-      });
-    }
-    
-    // Step 2: Generate test cases
-    console.log('🧪 [Workflow] Step 2: Generating test cases...');
-    
-    // Map requirements to text array
-    const requirementTexts = documentResult.requirements.map(req => {
-      if (typeof req === 'string') {
-        return req;
-      } else if (req && typeof req === 'object' && req.text) {
-        return req.text;
-      } else {
-        return String(req);
-      }
-    }).filter(text => text && text.trim().length > 0);
-    
-    console.log(`   Processing ${requirementTexts.length} valid requirements`);
-    
-    const testResult = await testCaseGeneratorMultiCompliance.generateTestCases(
-      requirementTexts,
-      methodology,
-      complianceFrameworks
-    );
+    const response = await workflowService.runComplete({
+      file: req.file,
+      ...parseWorkflowOptions(req.body)
+    });
     
-    console.log(`✅ [Workflow] Generated ${testResult.testCases?.length || 0} test cases`);
+    res.json(response);
     
-    // Validate test results
-    if (!testResult || !testResult.testCases || testResult.testCases.length === 0) {
-      return res.status(500).json({
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return res.status(error.statusCode).json({
         success: false,
-        error: 'Test generation failed',
-        details: {
-          documentProcessed: true,
-          requirementsFound: requirementTexts.length,
-          testCasesGenerated: 0,
-          suggestion: 'Check Vertex AI configuration and service account credentials'
-        }
-      });
-    }
-    
-    // Step 3: Trigger webhooks
-    try {
-      await WebhookManager.triggerWebhook('document.processed', {
-        fileName: req.file.originalname,
-        requirements: documentResult.requirements
+        error: error.message,
+        details: error.details
       });
-      
-      await WebhookManager.triggerWebhook('test.generated', {
-        testCases: testResult.testCases,
-        summary: testResult.summary
-      });
-    } catch (webhookError) {
-      console.warn('⚠️  [Workflow] Webhook trigger failed:', webhookError.message);
-      // Continue anyway - webhooks are non-critical
     }
-    
-    // Step 4: Build comprehensive response
-    const response = {
-      success: true,
-      message: `Successfully processed ${req.file.originalname} and generated ${testResult.testCases.length} test cases`,
-      
-      // Document processing results
-      extractedData: {
-        requirements: documentResult.requirements,
-        fileName: req.file.originalname,
-        documentType: documentResult.documentType,
-        processedAt: documentResult.processedAt,
-        processingMethod: documentResult.processingMethod,
-        text: documentResult.text // Full document text
-      },
-      
-      // Test generation results
-      testCases: testResult.testCases,
-      
-      // Metadata
-      metadata: {
-        methodology: methodology,
-        complianceFrameworks: complianceFrameworks,
-        generatedAt: new Date().toISOString(),
-        requirementCount: documentResult.requirements.length,
-        testCaseCount: testResult.testCases.length,
-        ...testResult.metadata
-      },
-      
-      // Summary statistics
-      summary: testResult.summary || {
-        totalTests: testResult.testCases.length,
-        byPriority: {},
-        byCategory: {},
-        complianceCoverage: {}
-      },
-      
-      // Service status
-      serviceStatus: documentResult.serviceStatus || {
-        documentAI: false,
-        cloudStorage: false,
-        geminiAI: true,
-        vertexAI: true
-      }
-    };
-    
-    console.log('✅ [Workflow] Complete workflow successful');
-    console.log(`   ${documentResult.requirements.length} requirements → ${testResult.testCases.length} test cases`);
-    
-    res.json(response);
-    
-  } catch (error) {
+
     console.error('❌ [Workflow] Complete workflow failed:', error);
     console.error('   Stack:', error.stack);
     
@@ -725,6 +919,603 @@ app.post('/api/workflow/complete', upload.single('document'), asyncHandler(async
   }
 }));
 
+// Streaming variant: same workflow, progress delivered as Server-Sent Events
+app.post('/api/workflow/complete/stream', upload.single('document'), async (req, res) => {
+  console.log('📡 [Workflow] Streaming workflow request received');
+
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      error: 'No file uploaded'
+    });
+  }
+
+  const stream = openEventStream(res);
+
+  try {
+    const response = await workflowService.runComplete({
+      file: req.file,
+      ...parseWorkflowOptions(req.body)
+    }, (event, data) => stream.send(event, data));
+
+    stream.send('complete', response);
+  } catch (error) {
+    console.error('❌ [Workflow] Streaming workflow failed:', error.message);
+    stream.send('error', {
+      success: false,
+      error: error.message || 'Workflow processing failed',
+      details: error instanceof WorkflowError ? error.details : undefined
+    });
+  } finally {
+    stream.close();
+  }
+});
+
+// ==================== JOB ENDPOINTS ====================
+
+// Job progress is the streaming events folded into one compact status object
+function trackWorkflowProgress(reportProgress) {
+  let progress = null;
+  return (event, data) => {
+    progress = summarizeProgress(progress, event, data);
+    reportProgress(progress);
+  };
+}
+
+// Pseudonym maps of jobs that asked for reidentify. They stay in this process's memory and
+// never reach the job store, so a result read from another instance or after a restart keeps its tokens.
+const jobTokenMaps = new Map();
+const JOB_TOKEN_MAP_TTL_MS = parseFloat(process.env.JOB_TTL_HOURS || '24') * 3600000;
+
+function holdTokenMap(jobId, tokenMap) {
+  if (!tokenMap) return;
+  jobTokenMaps.set(jobId, tokenMap);
+  setTimeout(() => jobTokenMaps.delete(jobId), JOB_TOKEN_MAP_TTL_MS).unref();
+}
+
+registerJobHandler('workflow.complete', async ({ reidentify, ...payload }, { jobId, signal, reportProgress }) => {
+  const emit = trackWorkflowProgress(reportProgress);
+  const { result, tokenMap } = await workflowService.runCompleteDeidentified({ ...payload, signal }, emit);
+  holdTokenMap(jobId, workflowService.reidentifyTokens(reidentify, tokenMap, result.deidentification.mode));
+  emit('complete');
+  return result;
+});
+
+registerJobHandler('workflow.regenerate', async (payload, { signal, reportProgress }) => {
+  const emit = trackWorkflowProgress(reportProgress);
+  const { result } = await workflowService.runRegenerateDeidentified({ ...payload, signal }, emit);
+  emit('complete');
+  return result;
+});
+
+// ?async=true (or "async": true in the body) queues the workflow and returns 202 with a job ID
+function wantsAsync(req) {
+  return req.query.async === 'true' || req.body?.async === true || req.body?.async === 'true';
+}
+
+function jobAccepted(job) {
+  return {
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`
+  };
+}
+
+// Job status, progress and result
+app.get('/api/jobs/:id', asyncHandler(async (req, res) => {
+  const jobQueue = await getJobQueue();
+  const job = await jobQueue.get(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  // Stored results keep their pseudonyms; they are swapped back only in this response
+  const publicJob = jobQueue.toPublic(job);
+  const tokenMap = jobTokenMaps.get(job.id);
+  if (publicJob.result && tokenMap) {
+    publicJob.result = workflowService.reidentifyResult(publicJob.result, tokenMap);
+  }
+
+  res.json({ success: true, job: publicJob });
+}));
+
+// Cancel a queued or running job
+app.post('/api/jobs/:id/cancel', asyncHandler(async (req, res) => {
+  const jobQueue = await getJobQueue();
+  const job = await jobQueue.cancel(req.params.id);
+  res.json({ success: true, job: jobQueue.toPublic(job) });
+}));
+
+// Re-run a failed job with its original input
+app.post('/api/jobs/:id/retry', asyncHandler(async (req, res) => {
+  const jobQueue = await getJobQueue();
+  const job = await jobQueue.retry(req.params.id);
+  res.status(202).json({ success: true, job: jobQueue.toPublic(job) });
+}));
+
+// ==================== SYNTHETIC TEST DATA ENDPOINTS ====================
+
+// Synthetic records on demand: ?variant=valid|boundary|invalid&count=&seed=
+app.get('/api/test-data/:entity', asyncHandler(async (req, res) => {
+  const { variant = 'valid', seed } = req.query;
+  const count = Math.min(Math.max(parseInt(req.query.count, 10) || 1, 1), 100);
+
+  if (!ENTITIES.includes(req.params.entity) || !VARIANTS.includes(variant)) {
+    return res.status(400).json({
+      success: false,
+      error: `Use an entity from ${ENTITIES.join(', ')} and a variant from ${VARIANTS.join(', ')}`
+    });
+  }
+
+  res.json({
+    success: true,
+    entity: req.params.entity,
+    referenceVersion: syntheticData.version,
+    data: syntheticData.generate(req.params.entity, { variant, count, seed })
+  });
+}));
+
+// ==================== FHIR ENDPOINTS ====================
+
+// Validate a FHIR R4 resource or Bundle offline against the bundled structure definitions;
+// returns an OperationOutcome whether or not it is valid. Accepts application/fhir+json too.
+app.post('/api/fhir/validate', express.json({ type: 'application/fhir+json', limit: '50mb' }), asyncHandler(async (req, res) => {
+  if (!req.body || typeof req.body !== 'object' || !req.body.resourceType) {
+    return res.status(400).json({
+      success: false,
+      error: 'Send a FHIR resource or Bundle as the JSON body'
+    });
+  }
+
+  const { valid, outcome } = fhirValidator.validate(req.body);
+  res.json({ success: true, valid, fhirVersion: fhirValidator.fhirVersion, outcome });
+}));
+
+// Bundle fixtures on demand: ?variant=valid|invalid&seed=
+app.get('/api/fhir/fixtures/:resourceType', asyncHandler(async (req, res) => {
+  const { variant, seed } = req.query;
+
+  if (!FHIR_RESOURCES.includes(req.params.resourceType) || (variant && !FHIR_VARIANTS.includes(variant))) {
+    return res.status(400).json({
+      success: false,
+      error: `Use a resource type from ${FHIR_RESOURCES.join(', ')} and a variant from ${FHIR_VARIANTS.join(', ')}`
+    });
+  }
+
+  res.json({
+    success: true,
+    resourceType: req.params.resourceType,
+    fhirVersion: fhirValidator.fhirVersion,
+    fixtures: fhirFixtures.fixturesFor(req.params.resourceType, { variant, seed })
+  });
+}));
+
+// ==================== HL7 v2 ENDPOINTS ====================
+
+// Parse and validate an HL7 v2 message: send it as text/plain (or x-application/hl7-v2+er7),
+// or as JSON { message }. Returns the issues an ACK's ERR segments would carry.
+app.post('/api/hl7/validate', express.text({ type: ['text/plain', 'x-application/hl7-v2+er7'], limit: '5mb' }), asyncHandler(async (req, res) => {
+  const message = typeof req.body === 'string' ? req.body : req.body?.message;
+
+  if (!message || typeof message !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'Send an HL7 v2 message as a text/plain body or as JSON { "message": "MSH|..." }'
+    });
+  }
+
+  res.json({ success: true, ...hl7Parser.validate(message) });
+}));
+
+// Sample messages on demand: ?variant=valid|invalid&seed=
+app.get('/api/hl7/fixtures/:messageType', asyncHandler(async (req, res) => {
+  const { variant, seed } = req.query;
+
+  if (!HL7_MESSAGE_TYPES.includes(req.params.messageType) || (variant && !HL7_VARIANTS.includes(variant))) {
+    return res.status(400).json({
+      success: false,
+      error: `Use a message type from ${HL7_MESSAGE_TYPES.join(', ')} and a variant from ${HL7_VARIANTS.join(', ')}`
+    });
+  }
+
+  res.json({
+    success: true,
+    messageType: req.params.messageType,
+    version: hl7Parser.version,
+    fixtures: hl7Fixtures.fixturesFor(req.params.messageType, { variant, seed })
+  });
+}));
+
+// ==================== TEST AUTOMATION ENDPOINTS ====================
+
+// Automation skeletons for automatable test cases as a zipped project:
+// { testCases, frameworks?: ['playwright','cypress','api'], includeMedium?, projectName? }
+app.post('/api/tests/automation', asyncHandler(async (req, res) => {
+  const { frameworks = AUTOMATION_FRAMEWORKS, includeMedium = false, projectName } = req.body || {};
+
+  if (!Array.isArray(req.body?.testCases) || req.body.testCases.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'No test cases provided for automation'
+    });
+  }
+
+  if (!Array.isArray(frameworks) || frameworks.length === 0 || frameworks.some(f => !AUTOMATION_FRAMEWORKS.includes(f))) {
+    return res.status(400).json({
+      success: false,
+      error: `frameworks must be a non-empty list from ${AUTOMATION_FRAMEWORKS.join(', ')}`
+    });
+  }
+
+  const testCases = normalizeTestCases(req.body.testCases);
+  const project = buildAutomationProject(testCases, { frameworks, includeMedium: includeMedium === true, projectName });
+
+  if (project.files.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: `None of the test cases are rated ${includeMedium === true ? 'High or Medium' : 'High'} for automation feasibility and suited to ${frameworks.join(', ')}`,
+      summary: project.summary
+    });
+  }
+
+  const zip = await zipFiles(project.summary.projectName, project.files);
+  console.log(`🤖 [Automation] ${project.summary.specs} spec(s) for ${project.summary.frameworks.join(', ')} - ${project.summary.skipped.length} test(s) not automatable`);
+
+  res.json({
+    success: true,
+    data: zip.toString('base64'),
+    filename: `${project.summary.projectName}-${Date.now()}.zip`,
+    mimeType: 'application/zip',
+    encoding: 'base64',
+    count: project.summary.specs,
+    summary: project.summary
+  });
+}));
+
+// ==================== BDD ENDPOINTS ====================
+
+// Parse and lint a .feature file sent as text/plain or as JSON { feature }
+app.post('/api/bdd/lint', express.text({ type: ['text/plain', 'text/x-gherkin'], limit: '5mb' }), asyncHandler(async (req, res) => {
+  const feature = typeof req.body === 'string' ? req.body : req.body?.feature;
+
+  if (!feature || typeof feature !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'Send a Gherkin feature as a text/plain body or as JSON { "feature": "Feature: ..." }'
+    });
+  }
+
+  res.json({ success: true, ...lintFeature(feature) });
+}));
+
+// ==================== JIRA ENDPOINTS ====================
+
+app.get('/api/jira/status', (req, res) => {
+  res.json({
+    success: true,
+    configured: jiraSync.isConfigured,
+    baseUrl: jiraSync.client?.baseUrl || null,
+    projectKey: process.env.JIRA_PROJECT_KEY || null
+  });
+});
+
+// Create or update one Jira issue per test case:
+// { testCases, projectKey?, projectId?, issueType?, requirements?, requirementIssues?: { 'REQ-001': 'MED-12' }, tmsMapping? }
+app.post('/api/jira/push', asyncHandler(async (req, res) => {
+  const { projectId, issueType, requirements, requirementIssues, tmsMapping } = req.body || {};
+  const projectKey = req.body?.projectKey || process.env.JIRA_PROJECT_KEY;
+
+  if (!Array.isArray(req.body?.testCases) || req.body.testCases.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'No test cases provided to push to Jira'
+    });
+  }
+
+  if (!projectKey || !/^[A-Z][A-Z0-9_]+$/.test(projectKey)) {
+    return res.status(400).json({
+      success: false,
+      error: 'projectKey must be a Jira project key (or set JIRA_PROJECT_KEY)'
+    });
+  }
+
+  try {
+    const { jira } = tmsMappings.resolve(tmsMapping);
+    const result = await jiraSync.push(normalizeTestCases(req.body.testCases), {
+      projectKey,
+      scope: projectId || DEFAULT_SCOPE,
+      issueType,
+      jira,
+      catalog: await customFrameworks.catalogFor(projectId),
+      requirementIssues: requirementIssueMap(requirementIssues, requirements)
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof JiraError || error instanceof TmsMappingError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    throw error;
+  }
+}));
+
+// Which Jira issue each test case was pushed to: ?projectId=&projectKey=
+app.get('/api/jira/issues', asyncHandler(async (req, res) => {
+  const issues = await jiraSync.listMappings(req.query.projectId || DEFAULT_SCOPE, req.query.projectKey || null);
+  res.json({ success: true, issues });
+}));
+
+// ==================== COMPLIANCE CATALOG ENDPOINTS ====================
+
+// Framework overviews; ?include=controls adds each framework's controls,
+// ?projectId= adds that project's custom frameworks
+app.get('/api/compliance/frameworks', asyncHandler(async (req, res) => {
+  const catalog = await customFrameworks.catalogFor(req.query.projectId);
+  const frameworks = req.query.include === 'controls'
+    ? catalog.frameworkIds().map(id => catalog.getFramework(id))
+    : catalog.listFrameworks();
+  res.json({ success: true, frameworks });
+}));
+
+// One framework (by ID, name or alias) with its controls
+app.get('/api/compliance/frameworks/:id', asyncHandler(async (req, res) => {
+  const catalog = await customFrameworks.catalogFor(req.query.projectId);
+  const framework = catalog.getFramework(req.params.id);
+  if (!framework) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown compliance framework "${req.params.id}"`,
+      frameworks: catalog.frameworkIds()
+    });
+  }
+  res.json({ success: true, framework });
+}));
+
+// Shared controls and conflicting obligations between frameworks: ?frameworks=gdpr,hipaa,abdm
+app.get('/api/compliance/analysis', asyncHandler(async (req, res) => {
+  const frameworks = String(req.query.frameworks || '').split(',').map(f => f.trim()).filter(Boolean);
+  if (frameworks.length === 0) {
+    return res.status(400).json({ success: false, error: 'frameworks query parameter is required' });
+  }
+
+  const catalog = await customFrameworks.catalogFor(req.query.projectId);
+  const { tests, ...analysis } = complianceEngine.analyzeFrameworks(frameworks, { catalog });
+  res.json({ success: true, analysis: { ...analysis, testCount: tests.length } });
+}));
+
+// Per-control coverage: { testCases, complianceFrameworks?, projectId? } → strong / weak / uncovered
+// controls with the tests that evidence them (frameworks are inferred from the suite when omitted)
+app.post('/api/compliance/coverage', asyncHandler(async (req, res) => {
+  const { testCases, complianceFrameworks, projectId } = req.body || {};
+
+  if (!Array.isArray(testCases)) {
+    return res.status(400).json({ success: false, error: 'testCases array is required' });
+  }
+
+  const catalog = await customFrameworks.catalogFor(projectId);
+  res.json({ success: true, report: buildComplianceCoverage(testCases, complianceFrameworks, { catalog }) });
+}));
+
+// ==================== HISTORY ENDPOINTS ====================
+
+// 503 unless DB_CLIENT configured a database
+function requireHistory(req, res, next) {
+  if (!historyService.isEnabled) {
+    return res.status(503).json({
+      success: false,
+      error: 'History is disabled (set DB_CLIENT=sqlite or DB_CLIENT=postgres)'
+    });
+  }
+  next();
+}
+
+function requireName(req, res) {
+  const { name } = req.body || {};
+  if (typeof name !== 'string' || !name.trim()) {
+    res.status(400).json({ success: false, error: 'A non-empty name is required' });
+    return null;
+  }
+  return name;
+}
+
+app.get('/api/projects', requireHistory, asyncHandler(async (req, res) => {
+  const projects = await historyService.listProjects();
+  res.json({ success: true, projects });
+}));
+
+app.post('/api/projects', requireHistory, asyncHandler(async (req, res) => {
+  const name = requireName(req, res);
+  if (!name) return;
+
+  const project = await historyService.createProject({ name, description: req.body.description });
+  res.status(201).json({ success: true, project });
+}));
+
+app.get('/api/projects/:id', requireHistory, asyncHandler(async (req, res) => {
+  const project = await historyService.getProject(req.params.id);
+  if (!project) {
+    return res.status(404).json({ success: false, error: 'Project not found' });
+  }
+  res.json({ success: true, project });
+}));
+
+app.patch('/api/projects/:id', requireHistory, asyncHandler(async (req, res) => {
+  if (req.body?.name !== undefined && !requireName(req, res)) return;
+
+  const project = await historyService.updateProject(req.params.id, req.body || {});
+  if (!project) {
+    return res.status(404).json({ success: false, error: 'Project not found' });
+  }
+  res.json({ success: true, project });
+}));
+
+// Deletes the project's documents, runs and test cases too
+app.delete('/api/projects/:id', requireHistory, asyncHandler(async (req, res) => {
+  const deleted = await historyService.deleteProject(req.params.id);
+  if (!deleted) {
+    return res.status(404).json({ success: false, error: 'Project not found' });
+  }
+  res.json({ success: true, message: 'Project deleted' });
+}));
+
+// Organization-defined frameworks (internal baselines, state regulations) for one project
+app.get('/api/projects/:id/frameworks', requireHistory, asyncHandler(async (req, res) => {
+  if (!await historyService.getProject(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Project not found' });
+  }
+  res.json({ success: true, frameworks: await customFrameworks.list(req.params.id) });
+}));
+
+// Upload a YAML or JSON definition as multipart field "framework", or send it as the JSON body.
+// A definition with an existing framework id replaces that framework.
+app.post('/api/projects/:id/frameworks', requireHistory, frameworkUpload.single('framework'), asyncHandler(async (req, res) => {
+  if (!await historyService.getProject(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Project not found' });
+  }
+
+  const content = req.file ? req.file.buffer.toString('utf8') : req.body?.definition ?? req.body;
+  if (!content || (typeof content === 'object' && Object.keys(content).length === 0)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Upload a YAML or JSON file as "framework" or send the definition as JSON'
+    });
+  }
+
+  try {
+    const { framework, replaced } = await customFrameworks.save(
+      req.params.id,
+      content,
+      req.file?.originalname
+    );
+    res.status(replaced ? 200 : 201).json({ success: true, framework, replaced });
+  } catch (error) {
+    if (error instanceof CustomFrameworkError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    throw error;
+  }
+}));
+
+app.delete('/api/projects/:id/frameworks/:frameworkId', requireHistory, asyncHandler(async (req, res) => {
+  const deleted = await customFrameworks.delete(req.params.id, req.params.frameworkId);
+  if (!deleted) {
+    return res.status(404).json({ success: false, error: 'Custom framework not found' });
+  }
+  res.json({ success: true, message: 'Custom framework deleted' });
+}));
+
+// Newest first; ?projectId=&limit=&offset=
+app.get('/api/runs', requireHistory, asyncHandler(async (req, res) => {
+  const page = await historyService.listRuns({
+    projectId: req.query.projectId,
+    limit: req.query.limit,
+    offset: req.query.offset
+  });
+  res.json({ success: true, ...page });
+}));
+
+// Full run with requirements and test cases, ready to reopen or re-export
+app.get('/api/runs/:id', requireHistory, asyncHandler(async (req, res) => {
+  const run = await historyService.getRun(req.params.id);
+  if (!run) {
+    return res.status(404).json({ success: false, error: 'Run not found' });
+  }
+  res.json({ success: true, run });
+}));
+
+// Every version of the run's suite, oldest first
+app.get('/api/runs/:id/versions', requireHistory, asyncHandler(async (req, res) => {
+  const versions = await historyService.listVersions(req.params.id);
+  if (!versions) {
+    return res.status(404).json({ success: false, error: 'Run not found' });
+  }
+  res.json({ success: true, versions });
+}));
+
+// Tests added, removed and changed since ?base=<runId> (defaults to the previous version)
+app.get('/api/runs/:id/diff', requireHistory, asyncHandler(async (req, res) => {
+  const target = await historyService.getRun(req.params.id);
+  if (!target) {
+    return res.status(404).json({ success: false, error: 'Run not found' });
+  }
+
+  const baseRunId = req.query.base || target.parentRunId;
+  if (!baseRunId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Run has no previous version; pass ?base=<runId> to compare against another run'
+    });
+  }
+
+  const base = await historyService.getRun(baseRunId);
+  if (!base) {
+    return res.status(404).json({ success: false, error: 'Base run not found' });
+  }
+
+  res.json({
+    success: true,
+    base: { runId: base.id, version: base.version, name: base.name, createdAt: base.createdAt },
+    target: { runId: target.id, version: target.version, name: target.name, createdAt: target.createdAt },
+    diff: diffTestSuites(base.testCases, target.testCases)
+  });
+}));
+
+// Same diff for suites that were never saved: { base: TestCase[], target: TestCase[] }
+app.post('/api/suites/diff', asyncHandler(async (req, res) => {
+  const { base, target } = req.body || {};
+  if (!Array.isArray(base) || !Array.isArray(target)) {
+    return res.status(400).json({ success: false, error: 'base and target test case arrays are required' });
+  }
+
+  res.json({
+    success: true,
+    diff: diffTestSuites(normalizeTestCases(base), normalizeTestCases(target))
+  });
+}));
+
+// Requirements traceability matrix for a saved run
+app.get('/api/runs/:id/rtm', requireHistory, asyncHandler(async (req, res) => {
+  const run = await historyService.getRun(req.params.id);
+  if (!run) {
+    return res.status(404).json({ success: false, error: 'Run not found' });
+  }
+  const catalog = await customFrameworks.catalogFor(run.projectId);
+  res.json({
+    success: true,
+    matrix: buildTraceabilityMatrix(run.requirements, run.testCases, { frameworks: run.complianceFrameworks, catalog })
+  });
+}));
+
+app.get('/api/runs/:id/coverage', requireHistory, asyncHandler(async (req, res) => {
+  const run = await historyService.getRun(req.params.id);
+  if (!run) {
+    return res.status(404).json({ success: false, error: 'Run not found' });
+  }
+  const catalog = await customFrameworks.catalogFor(run.projectId);
+  res.json({ success: true, report: buildComplianceCoverage(run.testCases, run.complianceFrameworks, { catalog }) });
+}));
+
+app.patch('/api/runs/:id', requireHistory, asyncHandler(async (req, res) => {
+  const name = requireName(req, res);
+  if (!name) return;
+
+  const run = await historyService.renameRun(req.params.id, name);
+  if (!run) {
+    return res.status(404).json({ success: false, error: 'Run not found' });
+  }
+  res.json({ success: true, run });
+}));
+
+app.delete('/api/runs/:id', requireHistory, asyncHandler(async (req, res) => {
+  const deleted = await historyService.deleteRun(req.params.id);
+  if (!deleted) {
+    return res.status(404).json({ success: false, error: 'Run not found' });
+  }
+  res.json({ success: true, message: 'Run deleted' });
+}));
+
 app.post('/api/export/google-sheets', asyncHandler(async (req, res) => {
   const { testCases, config } = req.body;
   if (!testCases || testCases.length === 0) {
@@ -744,8 +1535,8 @@ async function initializeServices() {
   console.log('=' .repeat(60));
   
   try {
-    // Initialize test generator (Vertex AI)
-    console.log('🤖 [Init] Initializing Test Generator (Vertex AI)...');
+    // Initialize test generator (configured LLM provider)
+    console.log(`🤖 [Init] Initializing Test Generator (${process.env.LLM_PROVIDER || 'vertex'})...`);
     await testCaseGeneratorMultiCompliance.initialize();
     console.log('✅ [Init] Test generator ready');
     
@@ -756,6 +1547,45 @@ async function initializeServices() {
       console.log('✅ [Init] Document processor ready');
     }
     
+    // Background jobs (JOB_STORE=memory|redis|postgres)
+    console.log(`📥 [Init] Initializing job queue (${process.env.JOB_STORE || 'memory'})...`);
+    await getJobQueue();
+    console.log('✅ [Init] Job queue ready');
+    
+    // Compliance control catalog (config/compliance/*-controls.json) and baseline test rules
+    controlCatalog.load();
+    complianceEngine.load();
+
+    // Reference values for synthetic test data (config/testdata/reference-data.json)
+    syntheticData.load();
+
+    // FHIR R4 structure definitions (config/fhir/r4-structure-definitions.json)
+    fhirValidator.load();
+
+    // HL7 v2 segment, structure and table definitions (config/hl7/v2.5.1-definitions.json)
+    hl7Parser.load();
+
+    // Test management tool field mappings (config/tms/field-mappings.json or TMS_MAPPINGS_FILE)
+    tmsMappings.load();
+
+    // Requirement table columns for Word, Excel, CSV, HTML and Markdown uploads (REQUIREMENT_COLUMNS_FILE)
+    requirementColumns.load();
+
+    // PHI name dictionary (config/privacy/given-names.json); DEIDENTIFY_MODE sets the default mode
+    deidentifier.loadNames();
+    console.log(`🔒 [Init] De-identification mode: ${resolveDeidentifyMode()}`);
+    
+    // Project and run history (DB_CLIENT=sqlite|postgres|none)
+    console.log(`🗄️  [Init] Initializing history (${process.env.DB_CLIENT || 'sqlite'})...`);
+    const historyEnabled = await historyService.initialize();
+    console.log(historyEnabled ? '✅ [Init] History ready' : '⚠️  [Init] History disabled');
+    
+    // Custom frameworks live in the history database
+    await customFrameworks.initialize();
+
+    // Jira push (JIRA_BASE_URL); test -> issue mappings share the history database
+    await jiraSync.initialize();
+    
     console.log('=' .repeat(60));
     console.log('✅ [Init] All services initialized successfully\n');
     return true;
@@ -782,7 +1612,7 @@ async function initializeServices() {
     console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`📦 Project: ${process.env.GOOGLE_CLOUD_PROJECT || 'not configured'}`);
     console.log('\n✅ Enabled Features:');
-    console.log('   • Vertex AI (Gemini)');
+    console.log(`   • LLM provider: ${process.env.LLM_PROVIDER || 'vertex'}`);
     console.log('   • Multi-compliance testing');
     console.log('   • Document processing');
     console.log('   • Webhooks');
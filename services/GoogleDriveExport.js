@@ -1,5 +1,8 @@
 ﻿// services/GoogleDriveExport.js
 import { google } from 'googleapis';
+import { normalizeTestCases, formatStepsAsText } from './schema/testCaseSchema.js';
+import { buildTraceabilityMatrix } from './rtm/traceabilityMatrix.js';
+import { rtmToRows, RTM_SHEET_TITLE } from './rtm/rtmExport.js';
 
 class GoogleDriveExport {
   constructor() {
@@ -64,7 +67,7 @@ class GoogleDriveExport {
     try {
       await this.initialize();
 
-      const { folderId, fileName = 'MedTestAI Test Cases', methodology = 'agile', compliance = 'HIPAA' } = config;
+      const { folderId, fileName = 'MedTestAI Test Cases', methodology = 'agile', compliance = 'HIPAA', requirements } = config;
 
       console.log(`[DriveExport] Creating sheet for ${testCases.length} test cases`);
 
@@ -91,16 +94,16 @@ class GoogleDriveExport {
 
       const headers = ['Test ID', 'Test Name', 'Category', 'Priority', 'Description', 'Preconditions', 'Test Steps', 'Expected Results', 'Compliance'];
       
-      const rows = testCases.map(tc => [
-        tc.testId || tc.id || '',
-        tc.testName || tc.name || tc.title || '',
-        tc.category || '',
-        tc.priority || 'Medium',
-        tc.description || '',
+      const rows = normalizeTestCases(testCases).map(tc => [
+        tc.testId,
+        tc.testName,
+        tc.category,
+        tc.priority,
+        tc.description,
         this.formatArray(tc.preconditions),
-        this.formatArray(tc.testSteps),
-        tc.expectedResults || tc.expected || '',
-        this.formatArray(tc.complianceRequirements)
+        formatStepsAsText(tc.testSteps),
+        tc.expectedResults,
+        tc.complianceRequirements.join(', ')
       ]);
 
       await this.sheets.spreadsheets.values.update({
@@ -133,6 +136,10 @@ class GoogleDriveExport {
         }
       });
 
+      if (Array.isArray(requirements) && requirements.length > 0) {
+        await this.addTraceabilitySheet(spreadsheetId, buildTraceabilityMatrix(requirements, testCases));
+      }
+
       const url = `https://docs.google.com/spreadsheets/d/${spreadsheetId}`;
       console.log('[DriveExport] Complete:', url);
 
@@ -143,6 +150,50 @@ class GoogleDriveExport {
     }
   }
 
+  async addTraceabilitySheet(spreadsheetId, matrix) {
+    const response = await this.sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: {
+        requests: [{
+          addSheet: { properties: { title: RTM_SHEET_TITLE, gridProperties: { frozenRowCount: 1 } } }
+        }]
+      }
+    });
+    const sheetId = response.data.replies[0].addSheet.properties.sheetId;
+    const rows = rtmToRows(matrix);
+
+    await this.sheets.spreadsheets.values.update({
+      spreadsheetId,
+      range: `'${RTM_SHEET_TITLE}'!A1`,
+      valueInputOption: 'RAW',
+      requestBody: { values: rows }
+    });
+
+    await this.sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: {
+        requests: [{
+          repeatCell: {
+            range: { sheetId, startRowIndex: 0, endRowIndex: 1 },
+            cell: {
+              userEnteredFormat: {
+                backgroundColor: { red: 0.4, green: 0.5, blue: 0.9 },
+                textFormat: { foregroundColor: { red: 1, green: 1, blue: 1 }, bold: true }
+              }
+            },
+            fields: 'userEnteredFormat(backgroundColor,textFormat)'
+          }
+        }, {
+          autoResizeDimensions: {
+            dimensions: { sheetId, dimension: 'COLUMNS', startIndex: 0, endIndex: rows[0].length }
+          }
+        }]
+      }
+    });
+
+    console.log(`[DriveExport] Traceability matrix: ${matrix.summary.coveredRequirements}/${matrix.summary.requirements} requirements covered, ${matrix.summary.orphanTests} orphan test(s)`);
+  }
+
   formatArray(arr) {
     if (!arr) return '';
     if (typeof arr === 'string') return arr;
@@ -0,0 +1,356 @@
+// services/HistoryService.js - Projects and generation runs, persisted via services/db
+// Lets a team reopen an earlier generated suite without regenerating or re-exporting it.
+
+import crypto from 'crypto';
+import path from 'path';
+import { getDatabase } from './db/index.js';
+import { formatTestId } from './schema/testCaseSchema.js';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const RUN_COLUMNS = `
+  id, project_id, document_id, name, kind, methodology, compliance_frameworks,
+  llm_provider, llm_model, requirement_count, test_case_count, summary, metadata,
+  created_at, updated_at, suite_id, version, parent_run_id
+`;
+
+function parseJSON(value, fallback = null) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function toJSON(value) {
+  return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+function toProject(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    runCount: row.run_count === undefined ? undefined : Number(row.run_count),
+    lastRunAt: row.last_run_at || undefined,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toRun(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    documentId: row.document_id,
+    name: row.name,
+    kind: row.kind,
+    suiteId: row.suite_id,
+    version: Number(row.version),
+    parentRunId: row.parent_run_id,
+    methodology: row.methodology,
+    complianceFrameworks: parseJSON(row.compliance_frameworks, []),
+    llm: { provider: row.llm_provider, model: row.llm_model },
+    requirementCount: Number(row.requirement_count),
+    testCaseCount: Number(row.test_case_count),
+    summary: parseJSON(row.summary),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function clampPage({ limit, offset } = {}) {
+  const size = Number.parseInt(limit, 10);
+  const start = Number.parseInt(offset, 10);
+  return {
+    limit: Number.isFinite(size) && size > 0 ? Math.min(size, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE,
+    offset: Number.isFinite(start) && start > 0 ? start : 0
+  };
+}
+
+class HistoryService {
+  constructor() {
+    this.db = null;
+  }
+
+  /**
+   * Connect to the configured database (DB_CLIENT=none leaves history disabled)
+   */
+  async initialize() {
+    this.db = await getDatabase();
+    return this.isEnabled;
+  }
+
+  get isEnabled() {
+    return Boolean(this.db);
+  }
+
+  // ==================== PROJECTS ====================
+
+  async createProject({ name, description = null }) {
+    const now = new Date().toISOString();
+    const project = {
+      id: crypto.randomUUID(),
+      name: String(name).trim(),
+      description,
+      created_at: now,
+      updated_at: now
+    };
+
+    await this.db.execute(
+      'INSERT INTO projects (id, name, description, created_at, updated_at) VALUES ($1, $2, $3, $4, $5)',
+      [project.id, project.name, project.description, project.created_at, project.updated_at]
+    );
+
+    console.log(`🗂️  [History] Created project "${project.name}" (${project.id})`);
+    return toProject(project);
+  }
+
+  async listProjects() {
+    const rows = await this.db.query(`
+      SELECT p.*, COUNT(r.id) AS run_count, MAX(r.created_at) AS last_run_at
+      FROM projects p
+      LEFT JOIN runs r ON r.project_id = p.id
+      GROUP BY p.id, p.name, p.description, p.created_at, p.updated_at
+      ORDER BY p.updated_at DESC
+    `);
+    return rows.map(toProject);
+  }
+
+  async getProject(id) {
+    const [row] = await this.db.query('SELECT * FROM projects WHERE id = $1', [id]);
+    return row ? toProject(row) : null;
+  }
+
+  async updateProject(id, { name, description }) {
+    const project = await this.getProject(id);
+    if (!project) return null;
+
+    const updatedAt = new Date().toISOString();
+    await this.db.execute(
+      'UPDATE projects SET name = $1, description = $2, updated_at = $3 WHERE id = $4',
+      [
+        name !== undefined ? String(name).trim() : project.name,
+        description !== undefined ? description : project.description,
+        updatedAt,
+        id
+      ]
+    );
+    return this.getProject(id);
+  }
+
+  /**
+   * Deletes the project with its documents, runs, requirements and test cases
+   */
+  async deleteProject(id) {
+    const { changes } = await this.db.execute('DELETE FROM projects WHERE id = $1', [id]);
+    return changes > 0;
+  }
+
+  // ==================== RUNS ====================
+
+  /**
+   * Persist a finished generation run. With parentRunId the run becomes the next
+   * version of the parent's suite; otherwise it starts a new suite at version 1.
+   * @param {Object} run - { projectId?, projectName?, parentRunId?, name?, kind, document?, requirements,
+   *   testCases, methodology, complianceFrameworks, llm?, summary?, metadata? }
+   * @returns {Promise<Object>} the stored run (without requirements and test cases)
+   */
+  async saveRun(run) {
+    const parent = run.parentRunId ? await this.getRunSummary(run.parentRunId) : null;
+    if (run.parentRunId && !parent) {
+      throw new Error(`Run ${run.parentRunId} not found`);
+    }
+
+    const project = run.projectId
+      ? await this.getProject(run.projectId)
+      : await this.createProject({ name: run.projectName || defaultProjectName(run) });
+
+    if (!project) {
+      throw new Error(`Project ${run.projectId} not found`);
+    }
+
+    const now = new Date().toISOString();
+    const runId = crypto.randomUUID();
+    const suiteId = parent ? parent.suiteId : runId;
+    const requirements = run.requirements || [];
+    const testCases = run.testCases || [];
+    const statements = [];
+
+    let documentId = run.documentId || null;
+    if (run.document) {
+      documentId = crypto.randomUUID();
+      statements.push({
+        sql: `INSERT INTO documents (id, project_id, file_name, document_type, processing_method, size, text, created_at)
+              VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        params: [
+          documentId,
+          project.id,
+          run.document.fileName,
+          run.document.documentType || null,
+          run.document.processingMethod || null,
+          run.document.size ?? null,
+          run.document.text || null,
+          now
+        ]
+      });
+    }
+
+    // Version is computed inside the transaction so concurrent regenerations don't collide
+    statements.push({
+      sql: `INSERT INTO runs (${RUN_COLUMNS})
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16,
+              (SELECT COALESCE(MAX(version), 0) + 1 FROM runs WHERE suite_id = $16), $17)`,
+      params: [
+        runId,
+        project.id,
+        documentId,
+        run.name || defaultRunName(run),
+        run.kind,
+        run.methodology || null,
+        toJSON(run.complianceFrameworks || []),
+        run.llm?.provider || null,
+        run.llm?.model || null,
+        requirements.length,
+        testCases.length,
+        toJSON(run.summary),
+        toJSON(run.metadata),
+        now,
+        now,
+        suiteId,
+        parent?.id || null
+      ]
+    });
+
+    requirements.forEach((requirement, position) => {
+      statements.push({
+        sql: 'INSERT INTO requirements (run_id, position, requirement_id, text, data) VALUES ($1, $2, $3, $4, $5)',
+        params: [runId, position, requirement.id, requirement.text, toJSON(requirement)]
+      });
+    });
+
+    testCases.forEach((testCase, position) => {
+      statements.push({
+        sql: 'INSERT INTO test_cases (run_id, position, test_id, data) VALUES ($1, $2, $3, $4)',
+        params: [runId, position, testCase.testId || formatTestId(position + 1), toJSON(testCase)]
+      });
+    });
+
+    statements.push({
+      sql: 'UPDATE projects SET updated_at = $1 WHERE id = $2',
+      params: [now, project.id]
+    });
+
+    await this.db.batch(statements);
+
+    const saved = await this.getRunSummary(runId);
+    console.log(`💾 [History] Saved ${run.kind} run ${runId} (v${saved.version}): ${requirements.length} requirements, ${testCases.length} test cases`);
+    return saved;
+  }
+
+  /**
+   * Every version of the suite the run belongs to, oldest first
+   * @returns {Promise<Object[]|null>} null when the run does not exist
+   */
+  async listVersions(runId) {
+    const run = await this.getRunSummary(runId);
+    if (!run) return null;
+
+    const rows = await this.db.query(
+      `SELECT ${RUN_COLUMNS} FROM runs WHERE suite_id = $1 ORDER BY version, created_at`,
+      [run.suiteId]
+    );
+    return rows.map(toRun);
+  }
+
+  /**
+   * @returns {Promise<{ runs: Object[], total: number, limit: number, offset: number }>}
+   */
+  async listRuns({ projectId, ...page } = {}) {
+    const { limit, offset } = clampPage(page);
+    const where = projectId ? 'WHERE project_id = $1' : '';
+    const filter = projectId ? [projectId] : [];
+    const next = filter.length;
+
+    const rows = await this.db.query(
+      `SELECT ${RUN_COLUMNS} FROM runs ${where}
+       ORDER BY created_at DESC, id
+       LIMIT $${next + 1} OFFSET $${next + 2}`,
+      [...filter, limit, offset]
+    );
+    const [{ total }] = await this.db.query(`SELECT COUNT(*) AS total FROM runs ${where}`, filter);
+
+    return { runs: rows.map(toRun), total: Number(total), limit, offset };
+  }
+
+  async getRunSummary(id) {
+    const [row] = await this.db.query(`SELECT ${RUN_COLUMNS} FROM runs WHERE id = $1`, [id]);
+    return row ? toRun(row) : null;
+  }
+
+  /**
+   * Full run: metadata, source document (without its text), requirements and test cases
+   */
+  async getRun(id) {
+    const [row] = await this.db.query(`SELECT ${RUN_COLUMNS} FROM runs WHERE id = $1`, [id]);
+    if (!row) return null;
+
+    const [documentRows, requirementRows, testCaseRows] = await Promise.all([
+      row.document_id
+        ? this.db.query(
+          'SELECT id, file_name, document_type, processing_method, size, created_at FROM documents WHERE id = $1',
+          [row.document_id]
+        )
+        : [],
+      this.db.query('SELECT requirement_id, text, data FROM requirements WHERE run_id = $1 ORDER BY position', [id]),
+      this.db.query('SELECT data FROM test_cases WHERE run_id = $1 ORDER BY position', [id])
+    ]);
+
+    const [document] = documentRows;
+
+    return {
+      ...toRun(row),
+      metadata: parseJSON(row.metadata, {}),
+      document: document ? {
+        id: document.id,
+        fileName: document.file_name,
+        documentType: document.document_type,
+        processingMethod: document.processing_method,
+        size: document.size === null ? null : Number(document.size),
+        createdAt: document.created_at
+      } : null,
+      requirements: requirementRows.map(r => parseJSON(r.data) || { id: r.requirement_id, text: r.text }),
+      testCases: testCaseRows.map(r => parseJSON(r.data))
+    };
+  }
+
+  async renameRun(id, name) {
+    const { changes } = await this.db.execute(
+      'UPDATE runs SET name = $1, updated_at = $2 WHERE id = $3',
+      [String(name).trim(), new Date().toISOString(), id]
+    );
+    return changes > 0 ? this.getRunSummary(id) : null;
+  }
+
+  async deleteRun(id) {
+    const { changes } = await this.db.execute('DELETE FROM runs WHERE id = $1', [id]);
+    return changes > 0;
+  }
+}
+
+function defaultProjectName(run) {
+  if (run.document?.fileName) {
+    return path.parse(run.document.fileName).name;
+  }
+  return `Project ${new Date().toISOString().slice(0, 10)}`;
+}
+
+function defaultRunName(run) {
+  const source = run.document?.fileName || 'Edited requirements';
+  return `${source} (${run.methodology || 'agile'})`;
+}
+
+export default new HistoryService();
@@ -1,7 +1,8 @@
 // services/WebhookManager.js
-// UPDATED: Uses Vertex AI SDK with Application Default Credentials (ADC)
+// UPDATED: Uses the shared LLM provider layer (services/llm)
 
-import { VertexAI } from '@google-cloud/vertexai'; // NEW: Vertex AI SDK
+import { getLLMProvider } from './llm/index.js';
+import { validateGeneratedTestCases } from './schema/testCaseValidator.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -13,36 +14,16 @@ dotenv.config();
 class WebhookManager {
   constructor() {
     this.webhooks = new Map();
-    this.model = null;
-    this.projectId = process.env.GOOGLE_CLOUD_PROJECT;
-    this.location = 'us-central1';
+    this.llm = null;
   }
 
   async initialize() {
     try {
-      console.log('🔗 [WebhookManager] Initializing with Vertex AI...');
-      
-      if (!this.projectId) {
-        throw new Error('GOOGLE_CLOUD_PROJECT not configured');
-      }
-
-      // Initialize Vertex AI client using ADC
-      const vertex_ai = new VertexAI({
-        project: this.projectId,
-        location: this.location
-      });
-      
-      this.model = vertex_ai.preview.getGenerativeModel({
-        model: 'gemini-2.0-flash-exp',
-        generationConfig: {
-          maxOutputTokens: 8192,
-          temperature: 0.7,
-          topP: 0.95,
-          responseMimeType: "application/json"
-        }
-      });
+      console.log('🔗 [WebhookManager] Initializing LLM provider...');
+
+      this.llm = await getLLMProvider();
 
-      console.log('✅ [WebhookManager] Webhook manager initialized with Vertex AI ADC');
+      console.log(`✅ [WebhookManager] Webhook manager initialized with ${this.llm.name}`);
       return true;
     } catch (error) {
       console.error('❌ [WebhookManager] Initialization failed:', error);
@@ -81,7 +62,7 @@ class WebhookManager {
     try {
       console.log(`🔔 [WebhookManager] Triggering webhook: ${webhookId}`);
       
-      // Generate test cases using Vertex AI
+      // Generate test cases using the configured LLM provider
       const testCases = await this.generateTestCases(payload.requirements, payload.options);
       
       // Update webhook last triggered time
@@ -101,7 +82,7 @@ class WebhookManager {
   }
 
   /**
-   * Generate test cases using Vertex AI
+   * Generate test cases using the configured LLM provider
    */
   async generateTestCases(requirements, options = {}) {
     await this.initialize();
@@ -151,21 +132,19 @@ Generate test cases in JSON format:
 }`;
 
     try {
-      const result = await this.model.generateContent({
-        contents: [{ role: 'user', parts: [{ text: prompt }] }]
+      const text = await this.llm.generateText(prompt, {
+        topP: 0.95,
+        responseMimeType: 'application/json'
       });
 
-      const response = result.response;
-      const text = response.candidates[0].content.parts[0].text;
-
-      // Clean and parse JSON
-      const cleanedText = text
-        .replace(/^```json\s*/i, '')
-        .replace(/^```\s*/i, '')
-        .replace(/```\s*$/i, '')
-        .trim();
+      // Parse, repair and validate against the canonical TestCase schema
+      const { testCases, envelope, validation } = await validateGeneratedTestCases(text, {
+        llm: this.llm,
+        defaults: { complianceRequirements: complianceFrameworks },
+        label: 'WebhookManager'
+      });
 
-      return JSON.parse(cleanedText);
+      return { ...envelope, testCases, validation };
     } catch (error) {
       console.error('❌ [WebhookManager] Test case generation failed:', error);
       throw error;
@@ -1,22 +1,19 @@
 // src/services/ai/testGenerator.js
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { createLLMProvider } from '../llm/index.js';
+import { validateGeneratedTestCases } from '../schema/testCaseValidator.js';
 
 class GeminiService {
   constructor() {
-    this.genAI = null;
-    this.model = null;
+    this.llm = null;
   }
 
   async initialize() {
     try {
-      if (!process.env.GEMINI_API_KEY) {
-        throw new Error('GEMINI_API_KEY not found in environment variables');
-      }
+      // This service has always used the AI Studio key path; LLM_PROVIDER can still override it
+      this.llm = createLLMProvider(process.env.LLM_PROVIDER || 'ai-studio');
+      await this.llm.initialize();
 
-      this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-      this.model = this.genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-      
-      console.log('✅ Gemini AI Service initialized');
+      console.log(`✅ Gemini AI Service initialized (${this.llm.name})`);
       return true;
     } catch (error) {
       console.error('❌ Failed to initialize Gemini Service:', error.message);
@@ -26,60 +23,60 @@ class GeminiService {
 
   async generateTestCases(requirements, testType = 'functional') {
     try {
-      if (!this.model) {
+      if (!this.llm) {
         await this.initialize();
       }
 
       const prompt = this.buildTestGenerationPrompt(requirements, testType);
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      const text = await this.llm.generateText(prompt);
 
       return this.parseTestCases(text);
     } catch (error) {
       console.error('Error generating test cases:', error);
-      throw new Error(\`Test generation failed: \${error.message}\`);
+      throw new Error(`Test generation failed: ${error.message}`);
     }
   }
 
   buildTestGenerationPrompt(requirements, testType) {
-    return \`
-You are a healthcare software testing expert. Generate comprehensive \${testType} test cases for the following healthcare requirements.
+    return `
+You are a healthcare software testing expert. Generate comprehensive ${testType} test cases for the following healthcare requirements.
 
 Requirements:
-\${JSON.stringify(requirements, null, 2)}
+${JSON.stringify(requirements, null, 2)}
 
 Please generate test cases in the following JSON format:
 {
-  \"testCases\": [
+  "testCases": [
     {
-      \"id\": \"TC001\",
-      \"title\": \"Test case title\",
-      \"description\": \"Detailed description\",
-      \"preconditions\": [\"List of preconditions\"],
-      \"steps\": [
+      "id": "TC001",
+      "title": "Test case title",
+      "description": "Detailed description",
+      "preconditions": ["List of preconditions"],
+      "steps": [
         {
-          \"stepNumber\": 1,
-          \"action\": \"Action to perform\",
-          \"expectedResult\": \"Expected outcome\"
+          "stepNumber": 1,
+          "action": "Action to perform",
+          "expectedResult": "Expected outcome"
         }
       ],
-      \"priority\": \"High|Medium|Low\",
-      \"type\": \"\${testType}\",
-      \"tags\": [\"healthcare\", \"hipaa\"]
+      "priority": "High|Medium|Low",
+      "type": "${testType}",
+      "tags": ["healthcare", "hipaa"]
     }
   ]
 }
 
 Focus on HIPAA compliance, patient safety, and regulatory requirements.
-\`;
+`;
   }
 
-  parseTestCases(text) {
+  async parseTestCases(text) {
     try {
-      const jsonText = text.replace(/\`\`\`json\n?/g, '').replace(/\`\`\`\n?/g, '').trim();
-      const parsed = JSON.parse(jsonText);
-      return parsed.testCases || [];
+      const { testCases } = await validateGeneratedTestCases(text, {
+        llm: this.llm,
+        label: 'Gemini AI'
+      });
+      return testCases;
     } catch (error) {
       console.error('Error parsing test cases:', error);
       return [];
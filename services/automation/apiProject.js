@@ -0,0 +1,243 @@
+// services/automation/apiProject.js - supertest/Jest TypeScript project for API test cases
+//
+// Steps that name a request ("POST /api/patients ... 201") become that request and
+// status assertion; FHIR Bundles attached to a test are posted as transactions and
+// HL7 v2 messages, which need an MLLP socket rather than HTTP, become it.todo entries.
+
+import { tagsFor, specName, quote, commentText } from './scriptPlan.js';
+
+export const API_DIR = 'api';
+
+const REQUEST = /\b(GET|POST|PUT|PATCH|DELETE)\b/i;
+const PATH = /(\/[\w\-./{}:]*[\w}])/;
+const STATUS = /\b([1-5]\d\d)\b/;
+const BODY_METHODS = new Set(['post', 'put', 'patch']);
+
+const json = value => `${JSON.stringify(value, null, 2)}\n`;
+
+function packageJson(projectName) {
+  return json({
+    name: `${projectName}-api`,
+    version: '0.1.0',
+    private: true,
+    scripts: {
+      test: 'jest',
+      typecheck: 'tsc --noEmit',
+      lint: 'eslint . --ext .ts'
+    },
+    devDependencies: {
+      '@types/jest': '^29.5.12',
+      '@types/node': '^20.14.0',
+      '@types/supertest': '^6.0.2',
+      '@typescript-eslint/eslint-plugin': '^7.16.0',
+      '@typescript-eslint/parser': '^7.16.0',
+      eslint: '^8.57.0',
+      jest: '^29.7.0',
+      supertest: '^7.0.0',
+      'ts-jest': '^29.2.0',
+      typescript: '^5.5.0'
+    }
+  });
+}
+
+const TSCONFIG = json({
+  compilerOptions: {
+    target: 'ES2022',
+    module: 'commonjs',
+    moduleResolution: 'node',
+    strict: true,
+    esModuleInterop: true,
+    resolveJsonModule: true,
+    skipLibCheck: true,
+    noEmit: true,
+    types: ['jest', 'node']
+  },
+  include: ['src/**/*.ts', 'tests/**/*.ts']
+});
+
+const ESLINTRC = json({
+  root: true,
+  parser: '@typescript-eslint/parser',
+  plugins: ['@typescript-eslint'],
+  extends: ['eslint:recommended', 'plugin:@typescript-eslint/recommended'],
+  env: { node: true, es2022: true, jest: true },
+  ignorePatterns: ['node_modules/', 'coverage/', 'jest.config.js']
+});
+
+const JEST_CONFIG = `/** @type {import('ts-jest').JestConfigWithTsJest} */
+module.exports = {
+  preset: 'ts-jest',
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/tests/**/*.test.ts']
+};
+`;
+
+const CLIENT = `import request from 'supertest';
+
+export const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:3000';
+export const FHIR_BASE_PATH = process.env.FHIR_BASE_PATH || '/fhir';
+
+export const api = request(API_BASE_URL);
+`;
+
+const FIXTURES = `import { readFileSync } from 'fs';
+import path from 'path';
+import testData from '../fixtures/test-data.json';
+
+export type TestRecord = Record<string, unknown>;
+
+export interface DataSet {
+  id: string;
+  entity: string;
+  variant: string;
+  case?: string;
+  expected?: string;
+  record: TestRecord;
+}
+
+const dataSets = testData as unknown as Record<string, DataSet[]>;
+
+/** The record a test sends: its first dataset of the given variant, or {} when it has none */
+export function recordFor(testId: string, variant = 'valid'): TestRecord {
+  const sets = dataSets[testId] ?? [];
+  return (sets.find(set => set.variant === variant) ?? sets[0])?.record ?? {};
+}
+
+/** A FHIR Bundle from fixtures/fhir/ */
+export function fhirBundle(file: string): object {
+  return JSON.parse(readFileSync(path.join(__dirname, '../fixtures/fhir', file), 'utf8'));
+}
+`;
+
+/**
+ * The request a step describes, or a GET / placeholder when it names none
+ */
+export function requestFor(step) {
+  const text = `${step.action} ${step.expectedResult}`;
+  const method = (text.match(REQUEST)?.[1] || 'get').toLowerCase();
+  const rawPath = step.action.match(PATH)?.[1];
+  const path = rawPath?.replace(/\{[^}]+\}|:[A-Za-z]\w*/g, '1');
+  const status = step.expectedResult?.match(STATUS)?.[1];
+
+  return {
+    method,
+    path: path || '/',
+    placeholder: !path,
+    parameterized: Boolean(rawPath && path !== rawPath),
+    status: status ? Number(status) : null
+  };
+}
+
+function header(testCase) {
+  const description = testCase.description !== testCase.testName ? `\n * ${commentText(testCase.description)}` : '';
+  return `/**
+ * ${commentText(testCase.testName)}${description}
+ * Expected: ${commentText(testCase.expectedResults)}
+ * Requirements: ${commentText(testCase.requirementIds.join(', ') || 'none')}
+ * Compliance: ${commentText(testCase.complianceRequirements.join(', ') || 'none')}
+ * Priority: ${testCase.priority} | Risk: ${testCase.riskLevel}
+ * Tags: ${tagsFor(testCase).join(' ')}
+ * Skeleton generated by MedTestAI; implement the TODOs
+ */`;
+}
+
+function stepsSpec(testCase) {
+  const requests = testCase.testSteps.map(step => ({ step, request: requestFor(step) }));
+  const sendsData = requests.some(({ request }) => BODY_METHODS.has(request.method));
+  const imports = sendsData
+    ? "import { api } from '../src/client';\nimport { recordFor } from '../src/fixtures';"
+    : "import { api } from '../src/client';";
+
+  const body = requests.map(({ step, request }, i) => {
+    const name = `step${i + 1}`;
+    const send = BODY_METHODS.has(request.method)
+      ? `.send(recordFor(${quote(testCase.testId)}${testCase.testType === 'negative' ? ", 'invalid'" : ''}))`
+      : '';
+    return [
+      `    // ${step.step || i + 1}. ${commentText(step.action)}`,
+      request.placeholder && '    // TODO: the step names no endpoint; set the real request',
+      request.parameterized && '    // TODO: path parameters were set to 1',
+      `    const ${name} = await api.${request.method}(${quote(request.path)})${send};`,
+      `    // Expected: ${commentText(step.expectedResult)}`,
+      request.status
+        ? `    expect(${name}.status).toBe(${request.status});`
+        : `    expect(${name}.status).toBeLessThan(500);`
+    ].filter(Boolean).join('\n');
+  });
+
+  return `${imports}
+
+${header(testCase)}
+describe(${quote(`${testCase.testId} ${testCase.testName}`)}, () => {
+  it(${quote(testCase.expectedResults || testCase.testName)}, async () => {
+${body.join('\n\n')}
+  });
+});
+`;
+}
+
+function fhirSpec(testCase) {
+  const cases = testCase.fhirBundles.map(fixture => `  it(${quote(`${fixture.id}: ${fixture.case} is ${fixture.expected === 'accept' ? 'accepted' : 'rejected'}`)}, async () => {
+    const response = await api
+      .post(FHIR_BASE_PATH)
+      .set('Content-Type', 'application/fhir+json')
+      .send(fhirBundle(${quote(`${testCase.testId}-${fixture.id}.json`)}));
+${fixture.expected === 'accept'
+    ? '    expect(response.status).toBe(200);'
+    : `    // Expected issue: ${commentText(fixture.expectedIssue ? `${fixture.expectedIssue.code} at ${fixture.expectedIssue.expression}` : fixture.description)}
+    expect([400, 422]).toContain(response.status);`}
+  });`);
+
+  return `import { api, FHIR_BASE_PATH } from '../src/client';
+import { fhirBundle } from '../src/fixtures';
+
+${header(testCase)}
+describe(${quote(`${testCase.testId} ${testCase.testName}`)}, () => {
+${cases.join('\n\n')}
+});
+`;
+}
+
+function hl7Spec(testCase) {
+  const cases = testCase.hl7Messages.map(fixture => `  // fixtures/hl7/${testCase.testId}-${fixture.id}.hl7${fixture.expectedError ? ` - expect ${fixture.expectedError.code} ${commentText(fixture.expectedError.codeName)} at ${fixture.expectedError.location}` : ' - expect AA'}
+  it.todo(${quote(`${fixture.id}: ${fixture.case} is ${fixture.expected === 'accept' ? 'acknowledged with AA' : 'rejected with AE/AR'}`)});`);
+
+  return `${header(testCase)}
+// HL7 v2 messages travel over MLLP, not HTTP: send each fixture with an MLLP client
+// (0x0B + message + 0x1C 0x0D) and assert on MSA-1 and the ERR segment of the ACK.
+describe(${quote(`${testCase.testId} ${testCase.testName}`)}, () => {
+${cases.join('\n\n')}
+});
+`;
+}
+
+function spec(testCase) {
+  if (testCase.fhirBundles?.length) return fhirSpec(testCase);
+  if (testCase.hl7Messages?.length) return hl7Spec(testCase);
+  return stepsSpec(testCase);
+}
+
+/**
+ * @param {Object[]} testCases - API test cases (isApiTest)
+ * @returns {Array<{ path: string, content: string }>} paths relative to the project root
+ */
+export function renderApiProject(testCases, { projectName, testData }) {
+  return [
+    { path: 'package.json', content: packageJson(projectName) },
+    { path: 'tsconfig.json', content: TSCONFIG },
+    { path: '.eslintrc.json', content: ESLINTRC },
+    { path: 'jest.config.js', content: JEST_CONFIG },
+    { path: 'src/client.ts', content: CLIENT },
+    { path: 'src/fixtures.ts', content: FIXTURES },
+    { path: 'fixtures/test-data.json', content: json(testData) },
+    ...testCases.flatMap(tc => (tc.fhirBundles || []).map(fixture => ({
+      path: `fixtures/fhir/${tc.testId}-${fixture.id}.json`,
+      content: json(fixture.bundle)
+    }))),
+    ...testCases.flatMap(tc => (tc.hl7Messages || []).map(fixture => ({
+      path: `fixtures/hl7/${tc.testId}-${fixture.id}.hl7`,
+      content: fixture.message
+    }))),
+    ...testCases.map(tc => ({ path: `tests/${specName(tc)}.test.ts`, content: spec(tc) }))
+  ].map(file => ({ ...file, path: `${API_DIR}/${file.path}` }));
+}
@@ -0,0 +1,114 @@
+// services/automation/automationProject.js - Zipped automation skeletons for automatable test cases
+//
+// High-feasibility test cases (optionally Medium too) are split into UI tests,
+// rendered for Playwright and Cypress, and API tests, rendered for supertest/Jest.
+// Each framework is its own sub-project so Jest and Cypress globals never meet
+// in one tsconfig; every sub-project has typecheck and lint scripts.
+
+import { slugify, isApiTest, planUiTest, testDataFile } from './scriptPlan.js';
+import { renderPlaywrightProject, PLAYWRIGHT_DIR } from './playwrightProject.js';
+import { renderCypressProject, CYPRESS_DIR } from './cypressProject.js';
+import { renderApiProject, API_DIR } from './apiProject.js';
+
+export const AUTOMATION_FRAMEWORKS = ['playwright', 'cypress', 'api'];
+
+const DEFAULT_PROJECT_NAME = 'medtestai-automation';
+
+/**
+ * Test cases worth automating, split by how they are driven
+ * @returns {{ ui: Object[], api: Object[], skipped: Object[] }}
+ */
+export function selectAutomatable(testCases, { includeMedium = false } = {}) {
+  const levels = includeMedium ? ['High', 'Medium'] : ['High'];
+  const selected = { ui: [], api: [], skipped: [] };
+
+  for (const testCase of testCases) {
+    if (!levels.includes(testCase.automationFeasibility) || testCase.testSteps.length === 0) {
+      selected.skipped.push(testCase);
+    } else {
+      selected[isApiTest(testCase) ? 'api' : 'ui'].push(testCase);
+    }
+  }
+  return selected;
+}
+
+function readme(projectName, frameworks, selected) {
+  const sections = {
+    playwright: `## ${PLAYWRIGHT_DIR}/ - Playwright (TypeScript)
+
+${selected.ui.length} UI test(s). Page objects live in \`pages/\`; each step calls one page-object method whose body is a TODO.
+
+\`\`\`bash
+cd ${PLAYWRIGHT_DIR} && npm install && npx playwright install
+npm run typecheck && npm run lint
+BASE_URL=https://your-app.example npm test
+npx playwright test --grep @hipaa   # run by compliance tag
+\`\`\``,
+    cypress: `## ${CYPRESS_DIR}/ - Cypress (TypeScript)
+
+${selected.ui.length} UI test(s). Page objects live in \`cypress/support/pages/\`; tags are filtered with @cypress/grep.
+
+\`\`\`bash
+cd ${CYPRESS_DIR} && npm install
+npm run typecheck && npm run lint
+BASE_URL=https://your-app.example npm test
+npx cypress run --env grepTags=@priority-critical
+\`\`\``,
+    api: `## ${API_DIR}/ - REST API (supertest + Jest)
+
+${selected.api.length} API test(s). FHIR Bundles in \`fixtures/fhir/\` are posted as transactions to \`FHIR_BASE_PATH\`; HL7 v2 messages in \`fixtures/hl7/\` need an MLLP client and are left as \`it.todo\`.
+
+\`\`\`bash
+cd ${API_DIR} && npm install
+npm run typecheck && npm run lint
+API_BASE_URL=https://your-api.example FHIR_BASE_PATH=/fhir npm test
+\`\`\``
+  };
+
+  return `# ${projectName}
+
+Automation skeletons generated by MedTestAI from ${selected.ui.length + selected.api.length} test case(s) rated automatable.
+Steps, tags and annotations come from the test cases; locators, screen paths and assertions are TODOs.
+
+Tags on every test: \`@<testId>\`, \`@priority-<level>\`, one per requirement ID and one per compliance control.
+Test data from the suite is in each project's \`test-data.json\`, keyed by test ID.
+
+${frameworks.map(framework => sections[framework]).join('\n\n')}
+`;
+}
+
+/**
+ * All project files, paths relative to the zip root folder
+ * @returns {{ files: Array<{ path, content }>, summary: Object }}
+ */
+export function buildAutomationProject(testCases, {
+  frameworks = AUTOMATION_FRAMEWORKS,
+  includeMedium = false,
+  projectName = DEFAULT_PROJECT_NAME
+} = {}) {
+  const name = slugify(projectName) || DEFAULT_PROJECT_NAME;
+  const selected = selectAutomatable(testCases, { includeMedium });
+  const uiPlans = selected.ui.map(planUiTest);
+  const options = { projectName: name, testData: testDataFile([...selected.ui, ...selected.api]) };
+
+  const files = [
+    ...(frameworks.includes('playwright') && uiPlans.length > 0 ? renderPlaywrightProject(uiPlans, options) : []),
+    ...(frameworks.includes('cypress') && uiPlans.length > 0 ? renderCypressProject(uiPlans, options) : []),
+    ...(frameworks.includes('api') && selected.api.length > 0 ? renderApiProject(selected.api, options) : [])
+  ];
+  const rendered = [...new Set(files.map(file => file.path.split('/')[0]))];
+
+  return {
+    files: files.length > 0 ? [{ path: 'README.md', content: readme(name, rendered, selected) }, ...files] : [],
+    summary: {
+      projectName: name,
+      frameworks: rendered,
+      uiTests: frameworks.some(f => f !== 'api') ? selected.ui.map(tc => tc.testId) : [],
+      apiTests: frameworks.includes('api') ? selected.api.map(tc => tc.testId) : [],
+      skipped: selected.skipped.map(tc => tc.testId),
+      specs: files.filter(file => /\.(spec|cy|test)\.ts$/.test(file.path)).length,
+      files: files.length + (files.length > 0 ? 1 : 0)
+    }
+  };
+}
+
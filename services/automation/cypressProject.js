@@ -0,0 +1,212 @@
+// services/automation/cypressProject.js - Cypress TypeScript project for UI test cases
+
+import { tagsFor, specName, quote, commentText, collectPages } from './scriptPlan.js';
+
+export const CYPRESS_DIR = 'cypress';
+
+const json = value => `${JSON.stringify(value, null, 2)}\n`;
+
+function packageJson(projectName) {
+  return json({
+    name: `${projectName}-cypress`,
+    version: '0.1.0',
+    private: true,
+    scripts: {
+      test: 'cypress run',
+      typecheck: 'tsc --noEmit',
+      lint: 'eslint . --ext .ts'
+    },
+    devDependencies: {
+      '@cypress/grep': '^4.1.0',
+      '@types/node': '^20.14.0',
+      '@typescript-eslint/eslint-plugin': '^7.16.0',
+      '@typescript-eslint/parser': '^7.16.0',
+      cypress: '^13.13.0',
+      eslint: '^8.57.0',
+      'eslint-plugin-cypress': '^3.3.0',
+      typescript: '^5.5.0'
+    }
+  });
+}
+
+const TSCONFIG = json({
+  compilerOptions: {
+    target: 'ES2022',
+    lib: ['ES2022', 'DOM'],
+    module: 'commonjs',
+    moduleResolution: 'node',
+    strict: true,
+    esModuleInterop: true,
+    resolveJsonModule: true,
+    skipLibCheck: true,
+    noEmit: true,
+    // @cypress/grep's index.d.ts adds the { tags } option to Cypress's global types
+    types: ['cypress', 'node', '@cypress/grep']
+  },
+  include: ['cypress.config.ts', 'cypress/**/*.ts']
+});
+
+const ESLINTRC = json({
+  root: true,
+  parser: '@typescript-eslint/parser',
+  plugins: ['@typescript-eslint', 'cypress'],
+  extends: ['eslint:recommended', 'plugin:@typescript-eslint/recommended', 'plugin:cypress/recommended'],
+  env: { node: true, es2022: true },
+  ignorePatterns: ['node_modules/', 'cypress/screenshots/', 'cypress/videos/']
+});
+
+const CONFIG = `import { defineConfig } from 'cypress';
+
+export default defineConfig({
+  e2e: {
+    baseUrl: process.env.BASE_URL || 'http://localhost:3000',
+    specPattern: 'cypress/e2e/**/*.cy.ts',
+    supportFile: 'cypress/support/e2e.ts',
+    fixturesFolder: 'cypress/fixtures'
+  }
+});
+`;
+
+// @cypress/grep adds the { tags } test option and --env grepTags=@tag filtering. Its
+// package entry only declares global types, so the support file is imported directly.
+const SUPPORT = `import registerCypressGrep from '@cypress/grep/src/support';
+
+registerCypressGrep();
+`;
+
+const GREP_TYPES = `declare module '@cypress/grep/src/support' {
+  export default function registerCypressGrep(): void;
+}
+`;
+
+const TEST_DATA = `export type TestRecord = Record<string, unknown>;
+
+export interface DataSet {
+  id: string;
+  entity: string;
+  variant: string;
+  case?: string;
+  expected?: string;
+  record: TestRecord;
+}
+
+/** The record a test enters from cypress/fixtures/test-data.json, or {} when it has none */
+export function recordFor(testData: Record<string, DataSet[]>, testId: string, variant = 'valid'): TestRecord {
+  const sets = testData[testId] ?? [];
+  return (sets.find(set => set.variant === variant) ?? sets[0])?.record ?? {};
+}
+`;
+
+const BASE_PAGE = `import { type TestRecord } from '../testData';
+
+export class BasePage {
+  constructor(private readonly path = '/') {}
+
+  open(): void {
+    cy.visit(this.path);
+  }
+
+  /** Type into every input whose name or data-testid is a record field */
+  fillForm(data: TestRecord): void {
+    Object.entries(data).forEach(([field, value]) => {
+      if (value === undefined || typeof value === 'object') return;
+      cy.get('body').then($body => {
+        const input = $body.find(\`[data-testid="\${field}"], [name="\${field}"]\`).first();
+        if (input.length === 0) return;
+        cy.wrap(input).clear();
+        cy.wrap(input).type(String(value), { parseSpecialCharSequences: false });
+      });
+    });
+  }
+}
+`;
+
+function pageObject(name, methods) {
+  const takesData = [...methods.values()].some(m => m.takesData);
+  const body = [...methods].map(([method, { action, takesData: withData }]) => (withData
+    ? `  /** ${commentText(action)} */
+  ${method}(data: TestRecord): void {
+    // TODO: replace with the screen's real inputs if they are not named after the record fields
+    this.fillForm(data);
+  }`
+    : `  /** ${commentText(action)} */
+  ${method}(): void {
+    // TODO: replace with the real interaction
+    cy.log(${quote(`TODO: ${action}`)});
+  }`));
+
+  return `import { BasePage } from './BasePage';
+${takesData ? "import { type TestRecord } from '../testData';\n" : ''}
+export class ${name} extends BasePage {
+  constructor() {
+    // TODO: path of this screen
+    super('/');
+  }
+
+${body.join('\n\n')}
+}
+`;
+}
+
+function spec(plan) {
+  const { testCase, pageName, steps } = plan;
+  const variable = pageName.charAt(0).toLowerCase() + pageName.slice(1);
+  const takesData = steps.some(s => s.takesData);
+  const description = testCase.description !== testCase.testName ? `\n * ${commentText(testCase.description)}` : '';
+  const indent = takesData ? '      ' : '    ';
+
+  const body = steps.map(step => [
+    `${indent}// ${step.number}. ${commentText(step.action)}`,
+    `${indent}${variable}.${step.method}(${step.takesData ? 'data' : ''});`,
+    `${indent}// TODO: assert - ${commentText(step.expectedResult)}`
+  ].join('\n'));
+
+  const run = takesData
+    ? `    cy.fixture<Record<string, DataSet[]>>('test-data').then(testData => {
+      const data = recordFor(testData, ${quote(testCase.testId)}${testCase.testType === 'negative' ? ", 'invalid'" : ''});
+
+${body.join('\n\n')}
+    });`
+    : body.join('\n\n');
+
+  return `import { ${pageName} } from '../support/pages/${pageName}';
+${takesData ? "import { recordFor, type DataSet } from '../support/testData';\n" : ''}
+/**
+ * ${commentText(testCase.testName)}${description}
+ * Expected: ${commentText(testCase.expectedResults)}
+ * Requirements: ${commentText(testCase.requirementIds.join(', ') || 'none')}
+ * Compliance: ${commentText(testCase.complianceRequirements.join(', ') || 'none')}
+ * Priority: ${testCase.priority} | Risk: ${testCase.riskLevel}
+ * Skeleton generated by MedTestAI; implement the TODOs in support/pages/
+ */
+describe(${quote(`${testCase.testId} ${testCase.testName}`)}, { tags: [${tagsFor(testCase).map(quote).join(', ')}] }, () => {
+  it(${quote(testCase.expectedResults || testCase.testName)}, () => {
+    const ${variable} = new ${pageName}();
+    ${variable}.open();
+
+${run}
+  });
+});
+`;
+}
+
+/**
+ * @param {Array} plans - planUiTest() output
+ * @returns {Array<{ path: string, content: string }>} paths relative to the project root
+ */
+export function renderCypressProject(plans, { projectName, testData }) {
+  const pages = collectPages(plans);
+  return [
+    { path: 'package.json', content: packageJson(projectName) },
+    { path: 'tsconfig.json', content: TSCONFIG },
+    { path: '.eslintrc.json', content: ESLINTRC },
+    { path: 'cypress.config.ts', content: CONFIG },
+    { path: 'cypress/fixtures/test-data.json', content: json(testData) },
+    { path: 'cypress/support/e2e.ts', content: SUPPORT },
+    { path: 'cypress/support/grep.d.ts', content: GREP_TYPES },
+    { path: 'cypress/support/testData.ts', content: TEST_DATA },
+    { path: 'cypress/support/pages/BasePage.ts', content: BASE_PAGE },
+    ...[...pages].map(([name, methods]) => ({ path: `cypress/support/pages/${name}.ts`, content: pageObject(name, methods) })),
+    ...plans.map(plan => ({ path: `cypress/e2e/${specName(plan.testCase)}.cy.ts`, content: spec(plan) }))
+  ].map(file => ({ ...file, path: `${CYPRESS_DIR}/${file.path}` }));
+}
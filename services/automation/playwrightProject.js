@@ -0,0 +1,208 @@
+// services/automation/playwrightProject.js - Playwright TypeScript project for UI test cases
+
+import { tagsFor, specName, quote, commentText, collectPages } from './scriptPlan.js';
+
+export const PLAYWRIGHT_DIR = 'playwright';
+
+const json = value => `${JSON.stringify(value, null, 2)}\n`;
+
+function packageJson(projectName) {
+  return json({
+    name: `${projectName}-playwright`,
+    version: '0.1.0',
+    private: true,
+    scripts: {
+      test: 'playwright test',
+      typecheck: 'tsc --noEmit',
+      lint: 'eslint . --ext .ts'
+    },
+    devDependencies: {
+      '@playwright/test': '^1.45.0',
+      '@types/node': '^20.14.0',
+      '@typescript-eslint/eslint-plugin': '^7.16.0',
+      '@typescript-eslint/parser': '^7.16.0',
+      eslint: '^8.57.0',
+      typescript: '^5.5.0'
+    }
+  });
+}
+
+const TSCONFIG = json({
+  compilerOptions: {
+    target: 'ES2022',
+    module: 'commonjs',
+    moduleResolution: 'node',
+    strict: true,
+    esModuleInterop: true,
+    resolveJsonModule: true,
+    skipLibCheck: true,
+    noEmit: true
+  },
+  include: ['**/*.ts']
+});
+
+const ESLINTRC = json({
+  root: true,
+  parser: '@typescript-eslint/parser',
+  plugins: ['@typescript-eslint'],
+  extends: ['eslint:recommended', 'plugin:@typescript-eslint/recommended'],
+  env: { node: true, es2022: true },
+  ignorePatterns: ['node_modules/', 'test-results/', 'playwright-report/']
+});
+
+const CONFIG = `import { defineConfig } from '@playwright/test';
+
+export default defineConfig({
+  testDir: './tests',
+  reporter: [['list'], ['html', { open: 'never' }]],
+  use: {
+    baseURL: process.env.BASE_URL || 'http://localhost:3000',
+    trace: 'retain-on-failure'
+  }
+});
+`;
+
+const FIXTURES = `import { test as base } from '@playwright/test';
+import testData from './test-data.json';
+
+export type TestRecord = Record<string, unknown>;
+
+export interface DataSet {
+  id: string;
+  entity: string;
+  variant: string;
+  case?: string;
+  expected?: string;
+  record: TestRecord;
+}
+
+const dataSets = testData as unknown as Record<string, DataSet[]>;
+
+/** The record a test enters: its first dataset of the given variant, or {} when it has none */
+export function recordFor(testId: string, variant = 'valid'): TestRecord {
+  const sets = dataSets[testId] ?? [];
+  return (sets.find(set => set.variant === variant) ?? sets[0])?.record ?? {};
+}
+
+export const test = base.extend<{ testData: typeof recordFor }>({
+  // eslint-disable-next-line no-empty-pattern
+  testData: async ({}, use) => {
+    await use(recordFor);
+  }
+});
+
+export { expect } from '@playwright/test';
+`;
+
+const BASE_PAGE = `import { type Page } from '@playwright/test';
+import { type TestRecord } from '../fixtures';
+
+export class BasePage {
+  constructor(protected readonly page: Page, private readonly path = '/') {}
+
+  async open(): Promise<void> {
+    await this.page.goto(this.path);
+  }
+
+  /** Fill every input labelled like a record field, e.g. birthDate -> "Birth Date" */
+  async fillForm(data: TestRecord): Promise<void> {
+    for (const [field, value] of Object.entries(data)) {
+      if (value === undefined || typeof value === 'object') continue;
+      const label = field.replace(/([a-z])([A-Z])/g, '$1 $2');
+      const input = this.page.getByLabel(new RegExp(\`^\${label}$\`, 'i'));
+      if ((await input.count()) > 0) await input.first().fill(String(value));
+    }
+  }
+}
+`;
+
+function pageObject(name, methods) {
+  const takesData = [...methods.values()].some(m => m.takesData);
+  const body = [...methods].map(([method, { action, takesData: withData }]) => (withData
+    ? `  /** ${commentText(action)} */
+  async ${method}(data: TestRecord): Promise<void> {
+    // TODO: replace with the screen's real inputs if their labels differ from the record fields
+    await this.fillForm(data);
+  }`
+    : `  /** ${commentText(action)} */
+  async ${method}(): Promise<void> {
+    // TODO: replace with the real interaction
+    await this.page.waitForLoadState();
+  }`));
+
+  return `import { type Page } from '@playwright/test';
+import { BasePage } from './BasePage';
+${takesData ? "import { type TestRecord } from '../fixtures';\n" : ''}
+export class ${name} extends BasePage {
+  constructor(page: Page) {
+    // TODO: path of this screen
+    super(page, '/');
+  }
+
+${body.join('\n\n')}
+}
+`;
+}
+
+function annotations(testCase) {
+  return [
+    ...testCase.requirementIds.map(id => ['requirement', id]),
+    ...testCase.complianceRequirements.map(id => ['compliance', id]),
+    ['priority', testCase.priority],
+    ['risk', testCase.riskLevel],
+    ['skeleton', 'Generated by MedTestAI; implement the TODOs in pages/']
+  ].map(([type, description]) => `    { type: ${quote(type)}, description: ${quote(description)} }`);
+}
+
+function spec(plan) {
+  const { testCase, pageName, steps } = plan;
+  const variable = pageName.charAt(0).toLowerCase() + pageName.slice(1);
+  const takesData = steps.some(s => s.takesData);
+  const description = testCase.description !== testCase.testName ? `\n * ${commentText(testCase.description)}` : '';
+  const fixtures = takesData ? '{ page, testData }' : '{ page }';
+
+  const body = steps.map(step => `  await test.step(${quote(`${step.number}. ${step.action}`)}, async () => {
+    await ${variable}.${step.method}(${step.takesData ? 'data' : ''});
+    // TODO: assert - ${commentText(step.expectedResult)}
+  });`);
+
+  return `import { test } from '../fixtures';
+import { ${pageName} } from '../pages/${pageName}';
+
+/**
+ * ${commentText(testCase.testName)}${description}
+ * Expected: ${commentText(testCase.expectedResults)}
+ */
+test(${quote(`${testCase.testId} ${testCase.testName}`)}, {
+  tag: [${tagsFor(testCase).map(quote).join(', ')}],
+  annotation: [
+${annotations(testCase).join(',\n')}
+  ]
+}, async (${fixtures}) => {
+  const ${variable} = new ${pageName}(page);
+${takesData ? `  const data = testData(${quote(testCase.testId)}${testCase.testType === 'negative' ? ", 'invalid'" : ''});\n` : ''}
+  await ${variable}.open();
+
+${body.join('\n\n')}
+});
+`;
+}
+
+/**
+ * @param {Array} plans - planUiTest() output
+ * @returns {Array<{ path: string, content: string }>} paths relative to the project root
+ */
+export function renderPlaywrightProject(plans, { projectName, testData }) {
+  const pages = collectPages(plans);
+  return [
+    { path: 'package.json', content: packageJson(projectName) },
+    { path: 'tsconfig.json', content: TSCONFIG },
+    { path: '.eslintrc.json', content: ESLINTRC },
+    { path: 'playwright.config.ts', content: CONFIG },
+    { path: 'fixtures/test-data.json', content: json(testData) },
+    { path: 'fixtures/index.ts', content: FIXTURES },
+    { path: 'pages/BasePage.ts', content: BASE_PAGE },
+    ...[...pages].map(([name, methods]) => ({ path: `pages/${name}.ts`, content: pageObject(name, methods) })),
+    ...plans.map(plan => ({ path: `tests/${specName(plan.testCase)}.spec.ts`, content: spec(plan) }))
+  ].map(file => ({ ...file, path: `${PLAYWRIGHT_DIR}/${file.path}` }));
+}
@@ -0,0 +1,152 @@
+// services/automation/scriptPlan.js - Turns test cases into named specs, steps and page objects
+//
+// Shared by the Playwright, Cypress and API renderers so every framework uses
+// the same file names, tags, page objects and step methods for a test case.
+
+// Steps that talk HTTP directly rather than through the UI
+const API_STEP = /\b(GET|POST|PUT|PATCH|DELETE)\s+\/|\bAPI\b|\bendpoint\b|\/api\/|\bHTTP\b|\bREST\b|\bstatus code\b|\bFHIR\b|\bMLLP\b|\bHL7\b/i;
+
+// Steps that enter data, so their page-object method takes the test's record
+const DATA_STEP = /\b(enter|fill|input|type|submit|register|create|update|edit|upload|provide|select)\b/i;
+
+const SCREEN = /\b([A-Za-z]+)\s+(page|screen|form|portal|dashboard|modal|dialog)\b/i;
+
+const STOP_WORDS = new Set(['a', 'an', 'the', 'to', 'of', 'and', 'with', 'for', 'as', 'by', 'is', 'be', 'that', 'this']);
+
+// "patient's" is one word, not "patient s"
+const words = text => String(text || '').replace(/['’]s\b/g, '').replace(/['’]/g, '').match(/[A-Za-z0-9]+/g) || [];
+
+/**
+ * Lower-case words joined by hyphens, cut at a word boundary
+ */
+export function slugify(text, maxLength = 50) {
+  let slug = '';
+  for (const word of words(text).map(w => w.toLowerCase())) {
+    const next = slug ? `${slug}-${word}` : word;
+    if (next.length > maxLength) return slug || word.slice(0, maxLength);
+    slug = next;
+  }
+  return slug || 'test';
+}
+
+export function pascalCase(text) {
+  return words(text).map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase()).join('');
+}
+
+/**
+ * "Log in as an authorized test user" -> logInAuthorizedTestUser
+ */
+export function methodName(text, maxWords = 5) {
+  const picked = words(text).filter(w => !STOP_WORDS.has(w.toLowerCase())).slice(0, maxWords);
+  const name = picked.map((w, i) => (i === 0
+    ? w.toLowerCase()
+    : w.charAt(0).toUpperCase() + w.slice(1).toLowerCase())).join('');
+  return /^[a-z]/.test(name) ? name : `step${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+}
+
+/**
+ * Single-quoted TypeScript string literal
+ */
+export function quote(value) {
+  return `'${String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\r?\n|\r/g, ' ')}'`;
+}
+
+/**
+ * Text safe inside a // or /** comment
+ */
+export function commentText(value) {
+  return String(value ?? '').replace(/\*\//g, '* /').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * @TC001, @priority-high, @req-001 and one tag per compliance control, e.g. @hipaa-164-312-b
+ */
+export function tagsFor(testCase) {
+  return [
+    `@${testCase.testId}`,
+    `@priority-${slugify(testCase.priority || 'medium')}`,
+    ...(testCase.requirementIds || []).map(id => `@${slugify(id)}`),
+    ...(testCase.complianceRequirements || []).map(id => `@${slugify(id)}`)
+  ].filter((tag, i, all) => all.indexOf(tag) === i);
+}
+
+export function specName(testCase) {
+  return `${testCase.testId}-${slugify(testCase.testName, 40)}`;
+}
+
+export function isApiTest(testCase) {
+  if (testCase.fhirBundles?.length || testCase.hl7Messages?.length) return true;
+  const steps = testCase.testSteps || [];
+  const apiSteps = steps.filter(s => API_STEP.test(`${s.action} ${s.expectedResult}`)).length;
+  return steps.length > 0 && apiSteps * 2 >= steps.length;
+}
+
+/**
+ * Page object a UI test drives: the first "<name> page/screen/form" it mentions, else AppPage
+ */
+export function pageNameFor(testCase) {
+  const text = [testCase.testName, ...(testCase.testSteps || []).map(s => s.action)].join(' ');
+  const match = text.match(SCREEN);
+  if (!match) return 'AppPage';
+  const screen = match[2].toLowerCase() === 'page' ? '' : match[2];
+  return `${pascalCase(`${match[1]} ${screen}`)}Page`;
+}
+
+/**
+ * A UI test as a page object plus one method call per step
+ * @returns {{ testCase, pageName, steps: Array<{ number, action, expectedResult, method, takesData }> }}
+ */
+export function planUiTest(testCase) {
+  const used = new Map();
+  const steps = (testCase.testSteps || []).map((step, i) => {
+    let method = methodName(step.action) || `step${i + 1}`;
+    // The same action twice in one test is the same method; different actions never share a name
+    const previous = used.get(method);
+    if (previous !== undefined && previous !== step.action) method = `${method}${i + 1}`;
+    used.set(method, step.action);
+
+    return {
+      number: step.step || i + 1,
+      action: step.action,
+      expectedResult: step.expectedResult,
+      method,
+      takesData: DATA_STEP.test(step.action)
+    };
+  });
+
+  return { testCase, pageName: pageNameFor(testCase), steps };
+}
+
+/**
+ * Page objects across all UI tests, each with the union of its step methods
+ * @returns {Map<string, Map<string, { action, takesData }>>}
+ */
+export function collectPages(plans) {
+  const pages = new Map();
+  for (const plan of plans) {
+    if (!pages.has(plan.pageName)) pages.set(plan.pageName, new Map());
+    const methods = pages.get(plan.pageName);
+    for (const step of plan.steps) {
+      const existing = methods.get(step.method);
+      methods.set(step.method, {
+        action: existing?.action || step.action,
+        takesData: Boolean(existing?.takesData || step.takesData)
+      });
+    }
+  }
+  return pages;
+}
+
+/**
+ * Test data keyed by test ID, for the fixture files each framework loads
+ */
+export function testDataFile(testCases) {
+  return Object.fromEntries(testCases
+    .filter(tc => tc.dataSets?.length)
+    .map(tc => [tc.testId, tc.dataSets.map(({ id, entity, variant, case: dataCase, expected, record }) => ({
+      id, entity, variant, case: dataCase, expected, record
+    }))]));
+}
@@ -0,0 +1,247 @@
+// services/bdd/gherkinExport.js - Test cases as Gherkin .feature files
+//
+// One feature per requirement (or per category). Preconditions every scenario
+// shares become the Background, steps become Given/When/Then, tests carrying
+// synthetic test data become Scenario Outlines with an Examples table per
+// entity and variant, and compliance frameworks and priority become tags.
+
+import controlCatalog from '../compliance/controlCatalog.js';
+import { normalizeRequirements } from '../schema/requirementSchema.js';
+import { slugify } from '../automation/scriptPlan.js';
+import { lintFeature } from './gherkinLinter.js';
+
+export const GHERKIN_GROUPS = ['requirement', 'category'];
+
+// Leading steps that set the scene rather than exercise the feature
+const SETUP_STEP = /^(log ?in|sign ?in|navigate|open|go to|launch|access|start|ensure)\b/i;
+
+// Lines a description must not start with, or the parser would read them as structure
+const STRUCTURE_START = /^(@|\||"""|```|#|(Feature|Rule|Background|Scenario Outline|Scenario Template|Scenario|Example|Examples|Scenarios):)/;
+
+export class GherkinLintError extends Error {
+  constructor(message, file, issues) {
+    super(message);
+    this.name = 'GherkinLintError';
+    this.file = file;
+    this.issues = issues;
+  }
+}
+
+function oneLine(text) {
+  return String(text ?? '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Step text reads on from the keyword: "Enter valid data" -> "enter valid data", "MFA prompt" stays
+ */
+function stepText(text) {
+  const line = oneLine(text).replace(/[.;]+$/, '');
+  return /^[A-Z][a-z]/.test(line) ? line.charAt(0).toLowerCase() + line.slice(1) : line;
+}
+
+function descriptionLine(text) {
+  const line = oneLine(text);
+  return STRUCTURE_START.test(line) ? `- ${line}` : line;
+}
+
+function tag(value) {
+  return `@${String(value).trim().replace(/[\s#@]+/g, '-')}`;
+}
+
+function cell(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\|/g, '\\|')
+    .replace(/\r?\n|\r/g, '\\n');
+}
+
+function tableRow(cells) {
+  return `| ${cells.map(cell).join(' | ')} |`;
+}
+
+/**
+ * @HIPAA, @GDPR ... for the frameworks a test's compliance requirements belong to
+ */
+function frameworkTags(testCase, catalog) {
+  const tags = new Set();
+  for (const entry of testCase.complianceRequirements) {
+    const id = catalog.frameworkOf(entry);
+    if (id) tags.add(tag(id.toUpperCase()));
+  }
+  return [...tags];
+}
+
+/**
+ * Scalar record fields, nested objects flattened with dots ("address.city")
+ */
+function flatten(record, prefix = '') {
+  return Object.entries(record || {}).flatMap(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value === null || value === undefined) return [[name, '']];
+    if (Array.isArray(value)) {
+      return value.every(v => typeof v !== 'object') ? [[name, value.join(', ')]] : [];
+    }
+    if (typeof value === 'object') return flatten(value, name);
+    return [[name, value]];
+  });
+}
+
+/**
+ * One Examples table per entity and variant
+ */
+function examplesTables(dataSets) {
+  const groups = new Map();
+  for (const dataSet of dataSets) {
+    const key = `${dataSet.entity}|${dataSet.variant}`;
+    if (!groups.has(key)) groups.set(key, { entity: dataSet.entity, variant: dataSet.variant, rows: [] });
+    groups.get(key).rows.push({ dataSet, fields: Object.fromEntries(flatten(dataSet.record)) });
+  }
+
+  return [...groups.values()].map(({ entity, variant, rows }) => {
+    const fields = [...new Set(rows.flatMap(row => Object.keys(row.fields)))]
+      .filter(field => !['dataSet', 'entity', 'case', 'expected'].includes(field));
+    return {
+      entity,
+      variant,
+      header: ['dataSet', 'entity', 'case', 'expected', ...fields],
+      rows: rows.map(({ dataSet, fields: values }) => [
+        dataSet.id, dataSet.entity, dataSet.case, dataSet.expected, ...fields.map(field => values[field] ?? '')
+      ])
+    };
+  });
+}
+
+/**
+ * Given/When/Then lines for a test; consecutive repeats of a keyword become And
+ */
+function scenarioSteps(testCase, preconditions, outline) {
+  // In an outline "<x>" is a placeholder, so angle brackets from the test itself become parentheses
+  const text = value => (outline ? stepText(value).replace(/<([^<>]*)>/g, '($1)') : stepText(value));
+  const steps = preconditions.map(p => ['Given', text(p)]);
+  if (outline) steps.push(['Given', 'the <entity> test data "<dataSet>"']);
+
+  // The last step is always the action under test, even when it reads like setup
+  let setup = true;
+  testCase.testSteps.forEach((step, i) => {
+    setup = setup && i < testCase.testSteps.length - 1 && SETUP_STEP.test(step.action.trim());
+    steps.push([setup ? 'Given' : 'When', text(step.action)]);
+    if (oneLine(step.expectedResult)) steps.push([setup ? 'And' : 'Then', text(step.expectedResult)]);
+  });
+  if (outline) steps.push(['Then', 'the system should <expected> the <entity> test data']);
+
+  return steps.map(([keyword, text], i) => {
+    const previous = steps[i - 1]?.[0];
+    return `${keyword === previous ? 'And' : keyword} ${text}`;
+  });
+}
+
+function renderScenario(testCase, { backgroundSet, groupBy, catalog }) {
+  const outline = testCase.dataSets?.length > 0;
+  const preconditions = testCase.preconditions.filter(p => !backgroundSet.has(oneLine(p)));
+  const tags = [
+    tag(testCase.testId),
+    ...frameworkTags(testCase, catalog),
+    tag(testCase.priority.toLowerCase()),
+    ...(groupBy === 'requirement' ? [tag(testCase.category)] : testCase.requirementIds.map(tag))
+  ];
+
+  const lines = [
+    `  ${[...new Set(tags)].join(' ')}`,
+    `  ${outline ? 'Scenario Outline' : 'Scenario'}: ${oneLine(`${testCase.testId} ${testCase.testName}`)}`
+  ];
+  if (oneLine(testCase.description) && oneLine(testCase.description) !== oneLine(testCase.testName)) {
+    lines.push(`    ${descriptionLine(testCase.description)}`);
+    lines.push('');
+  }
+  lines.push(...scenarioSteps(testCase, preconditions, outline).map(step => `    ${step}`));
+
+  if (outline) {
+    for (const table of examplesTables(testCase.dataSets)) {
+      lines.push('', `    ${tag(table.variant)}`, `    Examples: ${table.entity} (${table.variant})`);
+      lines.push(`      ${tableRow(table.header)}`, ...table.rows.map(row => `      ${tableRow(row)}`));
+    }
+  }
+  return lines.join('\n');
+}
+
+function renderFeature(group, options) {
+  const { testCases } = group;
+  // Preconditions every scenario shares go in the Background
+  const background = testCases[0].preconditions
+    .map(oneLine)
+    .filter(p => p && testCases.every(tc => tc.preconditions.some(q => oneLine(q) === p)));
+  const backgroundSet = new Set(background);
+
+  const lines = [`${group.tag}`, `Feature: ${oneLine(group.name)}`];
+  if (group.description) lines.push(`  ${descriptionLine(group.description)}`);
+  if (background.length > 0) {
+    lines.push('', '  Background:', ...background.map((p, i) => `    ${i === 0 ? 'Given' : 'And'} ${stepText(p)}`));
+  }
+  for (const testCase of testCases) {
+    lines.push('', renderScenario(testCase, { ...options, backgroundSet }));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Group tests into features: by their first requirement (tests without one fall
+ * back to their category) or by category
+ */
+function groupTests(testCases, groupBy, requirements) {
+  const texts = new Map(normalizeRequirements(requirements).map(r => [r.id, r.text]));
+  const groups = new Map();
+
+  for (const testCase of testCases) {
+    const requirementId = groupBy === 'requirement' ? testCase.requirementIds[0] : null;
+    const key = requirementId ? `requirement:${requirementId}` : `category:${testCase.category}`;
+
+    if (!groups.has(key)) {
+      const text = requirementId && texts.get(requirementId);
+      groups.set(key, requirementId
+        ? {
+          file: slugify(`${requirementId} ${text || ''}`, 60),
+          name: text ? `${requirementId} ${text.length > 80 ? `${text.slice(0, 77)}...` : text}` : requirementId,
+          description: text && text.length > 80 ? text : null,
+          tag: tag(requirementId),
+          testCases: []
+        }
+        : {
+          file: slugify(`${testCase.category} tests`),
+          name: `${testCase.category.charAt(0).toUpperCase()}${testCase.category.slice(1)} tests`,
+          description: null,
+          tag: tag(testCase.category),
+          testCases: []
+        });
+    }
+    groups.get(key).testCases.push(testCase);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Render and lint one .feature file per group
+ * @param {Object[]} testCases - canonical test cases
+ * @param {string} [options.groupBy] - 'requirement' (default) or 'category'
+ * @param {Array} [options.requirements] - { id, text } for feature names and descriptions
+ * @param {Object} [options.catalog] - control catalog used to tag compliance frameworks
+ * @returns {Array<{ path, feature, scenarios, content, issues }>}
+ * @throws {GherkinLintError} when a generated file does not parse
+ */
+export function buildFeatureFiles(testCases, { groupBy = 'requirement', requirements = [], catalog = controlCatalog } = {}) {
+  return groupTests(testCases, groupBy, requirements).map(group => {
+    const content = renderFeature(group, { groupBy, catalog });
+    const path = `features/${group.file}.feature`;
+    const lint = lintFeature(content);
+
+    if (!lint.valid) {
+      const errors = lint.issues.filter(issue => issue.severity === 'error');
+      throw new GherkinLintError(
+        `Generated ${path} does not parse: ${errors.map(e => `line ${e.line}: ${e.message}`).join('; ')}`,
+        path,
+        lint.issues
+      );
+    }
+
+    return { path, feature: lint.feature, scenarios: lint.scenarios, content, issues: lint.issues };
+  });
+}
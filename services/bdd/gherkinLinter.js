@@ -0,0 +1,238 @@
+// services/bdd/gherkinLinter.js - Local Gherkin parser and linter
+//
+// Follows the structure of the Cucumber Gherkin grammar (English keywords):
+// one Feature, an optional Background before any scenario, Rules, Scenarios and
+// Scenario Outlines with tagged Examples tables, data tables and doc strings.
+// Grammar violations are errors; cucumber would refuse to load the file.
+// Style problems (an outline placeholder with no column, a scenario without
+// steps, a scenario starting with "And") are warnings or errors as noted.
+
+const KEYWORD_LINE = /^(Feature|Rule|Background|Scenario Outline|Scenario Template|Scenario|Example|Examples|Scenarios):(.*)$/;
+const STEP_LINE = /^(Given|When|Then|And|But|\*) (.*)$/;
+const DOC_STRING = /^("""|```)/;
+const PLACEHOLDER = /<([^<>]+)>/g;
+
+const OUTLINE_KEYWORDS = new Set(['Scenario Outline', 'Scenario Template']);
+const SCENARIO_KEYWORDS = new Set(['Scenario', 'Example', ...OUTLINE_KEYWORDS]);
+const EXAMPLES_KEYWORDS = new Set(['Examples', 'Scenarios']);
+
+// What may follow a tag line
+const TAGGABLE = new Set(['Feature', 'Rule', ...SCENARIO_KEYWORDS, ...EXAMPLES_KEYWORDS]);
+
+/**
+ * Split a table row into cells, honouring \| \\ and \n escapes
+ */
+function tableCells(line) {
+  const cells = [];
+  let cell = '';
+  for (let i = 1; i < line.length; i++) {
+    const char = line[i];
+    if (char === '\\' && i + 1 < line.length) {
+      const next = line[++i];
+      cell += next === 'n' ? '\n' : next;
+    } else if (char === '|') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  return { cells, closed: cell.trim() === '' };
+}
+
+/**
+ * Parse and lint a .feature file
+ * @returns {{ valid: boolean, feature: string|null, scenarios: number, issues: Array<{ severity, line, message }> }}
+ */
+export function lintFeature(text) {
+  const lines = String(text || '').split(/\r\n|\r|\n/);
+  const issues = [];
+  const error = (line, message) => issues.push({ severity: 'error', line, message });
+  const warning = (line, message) => issues.push({ severity: 'warning', line, message });
+
+  let feature = null;
+  let container = null;     // Feature or Rule the next Background/Scenario belongs to
+  let scenario = null;      // current Background or scenario
+  let examples = null;      // current Examples block
+  let table = null;         // current data table or Examples table
+  let docString = null;     // open doc string delimiter and its line
+  let pendingTags = null;   // line of tags waiting for a Feature/Rule/Scenario/Examples
+  let section = 'start';    // start | description | steps | examples
+  const scenarios = [];
+  const names = new Map();
+
+  const closeTable = () => { table = null; };
+
+  const closeScenario = () => {
+    closeTable();
+    if (!scenario) return;
+    if (scenario.keyword !== 'Background' && scenario.steps === 0) {
+      warning(scenario.line, `${scenario.keyword} "${scenario.name}" has no steps`);
+    }
+    if (OUTLINE_KEYWORDS.has(scenario.keyword)) {
+      if (scenario.examples.length === 0) {
+        error(scenario.line, `${scenario.keyword} "${scenario.name}" has no Examples`);
+      }
+      for (const block of scenario.examples) {
+        if (!block.header) {
+          error(block.line, 'Examples need a table with a header row');
+          continue;
+        }
+        if (block.rows === 0) warning(block.line, 'Examples table has a header but no rows');
+        for (const { name, line } of scenario.placeholders) {
+          if (!block.header.includes(name)) {
+            error(line, `<${name}> has no column in the Examples table at line ${block.line}`);
+          }
+        }
+      }
+    }
+    scenario = null;
+    examples = null;
+  };
+
+  lines.forEach((raw, index) => {
+    const number = index + 1;
+    const line = raw.trim();
+
+    if (docString) {
+      if (line.startsWith(docString.delimiter)) docString = null;
+      return;
+    }
+    if (line === '' || line.startsWith('#')) return;
+
+    if (line.startsWith('@')) {
+      closeTable();
+      const tags = line.replace(/\s#.*$/, '').trim().split(/\s+/);
+      const bad = tags.find(tag => !/^@[^@\s]+$/.test(tag));
+      if (bad) error(number, `"${bad}" is not a valid tag; tags start with @ and contain no spaces`);
+      pendingTags = number;
+      return;
+    }
+
+    const keyword = line.match(KEYWORD_LINE);
+    if (keyword) {
+      const [, word, rest] = keyword;
+      const name = rest.trim();
+
+      if (pendingTags && !TAGGABLE.has(word)) {
+        error(pendingTags, `Tags cannot be placed on ${word}`);
+      }
+      pendingTags = null;
+
+      if (word === 'Feature') {
+        if (feature) return error(number, 'A file can contain only one Feature');
+        feature = { name, line: number };
+        container = { keyword: word, hasScenario: false, hasBackground: false };
+        section = 'description';
+        return;
+      }
+      if (!feature) return error(number, `${word} found before Feature`);
+
+      if (word === 'Rule') {
+        closeScenario();
+        container = { keyword: word, hasScenario: false, hasBackground: false };
+        section = 'description';
+        return;
+      }
+
+      if (word === 'Background') {
+        closeScenario();
+        if (container.hasScenario) error(number, `Background must come before the first scenario of the ${container.keyword}`);
+        if (container.hasBackground) error(number, `A ${container.keyword} can have only one Background`);
+        container.hasBackground = true;
+        scenario = { keyword: word, name, line: number, steps: 0, placeholders: [], examples: [] };
+        section = 'description';
+        return;
+      }
+
+      if (SCENARIO_KEYWORDS.has(word)) {
+        closeScenario();
+        container.hasScenario = true;
+        scenario = { keyword: word, name, line: number, steps: 0, placeholders: [], examples: [] };
+        scenarios.push(scenario);
+        if (!name) warning(number, `${word} has no name`);
+        if (names.has(name) && name) warning(number, `Scenario name "${name}" is also used at line ${names.get(name)}`);
+        names.set(name, number);
+        section = 'description';
+        return;
+      }
+
+      // Examples
+      if (!scenario || scenario.keyword === 'Background') {
+        return error(number, 'Examples must belong to a scenario');
+      }
+      closeTable();
+      examples = { line: number, header: null, rows: 0 };
+      scenario.examples.push(examples);
+      section = 'examples';
+      return;
+    }
+
+    if (pendingTags) {
+      error(pendingTags, 'Tags must be followed by Feature, Rule, Scenario or Examples');
+      pendingTags = null;
+    }
+
+    const step = line.match(STEP_LINE) || (line === '*' ? [line, '*', ''] : null);
+    if (step && scenario && section !== 'examples') {
+      closeTable();
+      const [, stepKeyword, stepText] = step;
+      if (scenario.steps === 0 && (stepKeyword === 'And' || stepKeyword === 'But')) {
+        warning(number, `${scenario.keyword} starts with "${stepKeyword}"; use Given, When or Then`);
+      }
+      if (!stepText.trim()) error(number, `${stepKeyword} step has no text`);
+      for (const [, placeholder] of stepText.matchAll(PLACEHOLDER)) {
+        scenario.placeholders.push({ name: placeholder, line: number });
+      }
+      scenario.steps++;
+      section = 'steps';
+      return;
+    }
+
+    if (line.startsWith('|')) {
+      const { cells, closed } = tableCells(line);
+      if (!closed) return error(number, 'Table row must end with |');
+
+      if (section === 'examples') {
+        if (!examples.header) {
+          const duplicate = cells.find((cell, i) => cells.indexOf(cell) !== i);
+          if (duplicate) error(number, `Examples column "${duplicate}" appears twice`);
+          examples.header = cells;
+        } else {
+          examples.rows++;
+        }
+      } else if (section !== 'steps') {
+        return error(number, 'A table must follow a step or an Examples line');
+      }
+
+      if (table && table.width !== cells.length) {
+        error(number, `Row has ${cells.length} cell(s); the table started at line ${table.line} has ${table.width}`);
+      }
+      if (!table) table = { line: number, width: cells.length };
+      return;
+    }
+
+    if (DOC_STRING.test(line)) {
+      if (section !== 'steps' || table) return error(number, 'A doc string must follow a step');
+      docString = { delimiter: line.slice(0, 3), line: number };
+      return;
+    }
+
+    // Free text is only allowed as a description under a Feature, Rule, Background or scenario line
+    if (section === 'description' || (section === 'examples' && !examples.header)) return;
+    if (!feature) return error(number, `Expected Feature, found "${line}"`);
+    error(number, `Unexpected text "${line}"; expected a step, table row, tag or keyword line`);
+  });
+
+  if (docString) error(docString.line, 'Doc string is never closed');
+  if (pendingTags) error(pendingTags, 'Tags at the end of the file are not attached to anything');
+  closeScenario();
+  if (!feature) error(1, 'No Feature found');
+
+  return {
+    valid: !issues.some(issue => issue.severity === 'error'),
+    feature: feature?.name ?? null,
+    scenarios: scenarios.length,
+    issues: issues.sort((a, b) => a.line - b.line)
+  };
+}
@@ -0,0 +1,221 @@
+// services/compliance/controlCatalog.js - Versioned compliance control catalog
+//
+// One JSON file per framework in config/compliance/<id>-controls.json. The
+// prompt builder, the request validator, the compliance engine and the
+// /api/compliance/frameworks endpoint all read frameworks from here.
+// Project-specific custom frameworks are layered on with extend().
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CATALOG_DIR = path.resolve(__dirname, '../../config/compliance');
+const CATALOG_FILE_SUFFIX = '-controls.json';
+
+export const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+/**
+ * "FDA 21 CFR 11", "fda_21_cfr_11" and "fda-21-cfr-11" all become "fda-21-cfr-11"
+ */
+export function normalizeFrameworkId(name) {
+  return String(name || '')
+    .toLowerCase()
+    .trim()
+    .replace(/[\s_]+/g, '-');
+}
+
+function toStringList(value) {
+  return Array.isArray(value) ? value.map(v => String(v).trim()).filter(Boolean) : [];
+}
+
+function parseControl(control, file) {
+  if (!control?.id || !control?.title) {
+    throw new Error(`${file}: every control needs an id and a title`);
+  }
+
+  const severity = String(control.severity || 'medium').toLowerCase();
+  if (!SEVERITIES.includes(severity)) {
+    throw new Error(`${file}: control "${control.id}" has unknown severity "${control.severity}"`);
+  }
+
+  return {
+    id: String(control.id).trim(),
+    title: String(control.title).trim(),
+    description: control.description || '',
+    severity,
+    testObjectives: toStringList(control.testObjectives),
+    keywords: toStringList(control.keywords).map(k => k.toLowerCase())
+  };
+}
+
+/**
+ * Validate a framework definition and fill in defaults
+ * @param {Object} data - { id?, name, version?, controls: [{ id, title, description?, severity?, testObjectives?, keywords? }] }
+ * @param {string} file - where the definition came from, for error messages
+ * @returns {Object} the framework; throws on an invalid definition
+ */
+export function parseFrameworkDefinition(data, file) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`${file}: a framework definition must be an object`);
+  }
+  if (!data.name || !normalizeFrameworkId(data.id || data.name)) {
+    throw new Error(`${file}: a framework needs a name`);
+  }
+  if (!Array.isArray(data.controls) || data.controls.length === 0) {
+    throw new Error(`${file}: framework "${data.id || data.name}" has no controls`);
+  }
+
+  const controls = data.controls.map(control => parseControl(control, file));
+  const duplicate = controls.find((c, i) => controls.findIndex(other => other.id === c.id) !== i);
+  if (duplicate) {
+    throw new Error(`${file}: duplicate control id "${duplicate.id}"`);
+  }
+
+  // Framework-specific settings (e.g. HIPAA accessControls) stay alongside the catalog fields
+  const { controls: _controls, aliases, ...rest } = data;
+
+  return {
+    ...rest,
+    id: normalizeFrameworkId(data.id || data.name),
+    name: String(data.name).trim(),
+    fullName: data.fullName || data.name,
+    region: data.region || 'Global',
+    description: data.description || '',
+    icon: data.icon || '📋',
+    version: String(data.version || '1'),
+    source: data.source || null,
+    aliases: toStringList(aliases).map(normalizeFrameworkId),
+    controls
+  };
+}
+
+class ControlCatalog {
+  constructor(dir = process.env.COMPLIANCE_CATALOG_DIR || DEFAULT_CATALOG_DIR) {
+    this.dir = dir;
+    this.frameworks = null;
+    this.aliases = null;
+  }
+
+  /**
+   * Read every catalog file. Called lazily; a malformed file fails loudly
+   * because a silently missing framework would drop controls from prompts.
+   */
+  load() {
+    const files = fs.readdirSync(this.dir)
+      .filter(file => file.endsWith(CATALOG_FILE_SUFFIX))
+      .sort();
+
+    this.frameworks = new Map();
+    this.aliases = new Map();
+
+    for (const file of files) {
+      const raw = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+      const framework = parseFrameworkDefinition(raw, file);
+
+      if (this.frameworks.has(framework.id)) {
+        throw new Error(`${file}: framework "${framework.id}" is defined twice`);
+      }
+      this.register(framework);
+    }
+
+    const controlCount = [...this.frameworks.values()].reduce((sum, f) => sum + f.controls.length, 0);
+    console.log(`📚 [Compliance] Loaded ${this.frameworks.size} frameworks, ${controlCount} controls from ${this.dir}`);
+    return this;
+  }
+
+  register(framework) {
+    this.frameworks.set(framework.id, framework);
+    for (const key of [normalizeFrameworkId(framework.name), ...framework.aliases]) {
+      if (!this.frameworks.has(key) && !this.aliases.has(key)) this.aliases.set(key, framework.id);
+    }
+  }
+
+  /**
+   * A catalog with extra frameworks (e.g. a project's custom ones) layered on top.
+   * Built-in IDs and aliases always win; a clashing extra framework is skipped.
+   * @returns {ControlCatalog}
+   */
+  extend(frameworks = []) {
+    this.ensureLoaded();
+    if (frameworks.length === 0) return this;
+
+    const view = new ControlCatalog(this.dir);
+    view.frameworks = new Map(this.frameworks);
+    view.aliases = new Map(this.aliases);
+
+    for (const framework of frameworks) {
+      if (this.resolveFrameworkId(framework.id) || this.resolveFrameworkId(framework.name)) {
+        console.warn(`⚠️  [Compliance] Custom framework "${framework.id}" clashes with a built-in framework, skipped`);
+        continue;
+      }
+      view.register(framework);
+    }
+    return view;
+  }
+
+  ensureLoaded() {
+    if (!this.frameworks) this.load();
+    return this;
+  }
+
+  /**
+   * Catalog ID for a framework ID, name or alias, or null when unknown
+   */
+  resolveFrameworkId(name) {
+    this.ensureLoaded();
+    const normalized = normalizeFrameworkId(name);
+    if (this.frameworks.has(normalized)) return normalized;
+    return this.aliases.get(normalized) || null;
+  }
+
+  /**
+   * @returns {Object|null} the framework with its controls
+   */
+  getFramework(name) {
+    const id = this.resolveFrameworkId(name);
+    return id ? this.frameworks.get(id) : null;
+  }
+
+  /**
+   * Framework a test's compliance entry belongs to: "HIPAA", "164.312(b)" or "HIPAA §164.312(b)"
+   */
+  frameworkOf(entry) {
+    const text = String(entry || '').trim();
+    return this.resolveFrameworkId(text)
+      || this.findControl(text)?.framework
+      || this.resolveFrameworkId(text.split(/[\s§:]/)[0]);
+  }
+
+  frameworkIds() {
+    this.ensureLoaded();
+    return [...this.frameworks.keys()];
+  }
+
+  /**
+   * Framework overviews without control details, for pickers and validation messages
+   */
+  listFrameworks() {
+    this.ensureLoaded();
+    return [...this.frameworks.values()].map(({ controls, ...framework }) => ({
+      ...framework,
+      controlCount: controls.length
+    }));
+  }
+
+  /**
+   * Look a control up by its ID across all frameworks
+   * @returns {{ framework: string, control: Object }|null}
+   */
+  findControl(controlId) {
+    this.ensureLoaded();
+    const wanted = String(controlId || '').trim().toLowerCase();
+    for (const framework of this.frameworks.values()) {
+      const control = framework.controls.find(c => c.id.toLowerCase() === wanted);
+      if (control) return { framework: framework.id, control };
+    }
+    return null;
+  }
+}
+
+export default new ControlCatalog();
@@ -0,0 +1,218 @@
+// services/compliance/coverageEngine.js - Per-control compliance coverage with evidence
+//
+// Maps each test case to the catalog controls it exercises. A test tagged only
+// with a framework name ("HIPAA") no longer counts as covering the whole
+// framework: coverage needs a cited control ID and/or test content that
+// matches the control's keywords and test objectives.
+
+import controlCatalog, { normalizeFrameworkId } from './controlCatalog.js';
+import { normalizeTestCases } from '../schema/testCaseSchema.js';
+import { termVector, cosineSimilarity } from '../../utils/textSimilarity.js';
+
+export const COVERAGE_LEVELS = {
+  STRONG: 'strong',
+  WEAK: 'weak',
+  NONE: 'none'
+};
+
+// Content-only evidence (no citation) needs this many keywords or a close objective match
+const MIN_UNCITED_KEYWORDS = 2;
+const OBJECTIVE_MATCH_THRESHOLD = 0.35;
+
+function normalizeCitation(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/§/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * True when `needle` appears in `haystack` as a whole token run,
+ * so "a.8.2" does not match inside "a.8.24"
+ * @param {boolean} [plural] - also accept a trailing "s"/"es" ("roles" for "role")
+ */
+function containsToken(haystack, needle, plural = false) {
+  if (!needle) return false;
+  const suffix = plural ? '(?:e?s)?' : '';
+  return new RegExp(`(^|[^a-z0-9])${escapeRegExp(needle)}${suffix}(?![a-z0-9])`).test(haystack);
+}
+
+/**
+ * Forms of a control ID a test may cite: the full ID and, for "45 CFR §164.312(b)"
+ * style citations, the section alone ("164.312(b)")
+ */
+function citationForms(controlId) {
+  const forms = [normalizeCitation(controlId)];
+  const section = controlId.split('§')[1];
+  if (section) forms.push(normalizeCitation(section));
+  return forms;
+}
+
+function testText(testCase) {
+  return [
+    testCase.testName,
+    testCase.description,
+    testCase.expectedResults,
+    ...testCase.preconditions,
+    ...testCase.testSteps.map(s => `${s.action} ${s.expectedResult || ''}`)
+  ].join(' ').toLowerCase();
+}
+
+/**
+ * Evidence that one test exercises one control, or null
+ */
+function matchControl(control, test) {
+  const cited = test.citations.some(citation =>
+    control.citationForms.some(form => containsToken(citation, form))
+  );
+
+  const matchedKeywords = control.keywords.filter(keyword => containsToken(test.text, keyword, true));
+  const objectiveSimilarity = Math.max(0, ...control.objectiveVectors.map(v => cosineSimilarity(v, test.vector)));
+  const objectiveMatched = objectiveSimilarity >= OBJECTIVE_MATCH_THRESHOLD;
+  const contentMatched = matchedKeywords.length > 0 || objectiveMatched;
+
+  if (!cited && matchedKeywords.length < MIN_UNCITED_KEYWORDS && !objectiveMatched) {
+    return null;
+  }
+
+  return {
+    testId: test.testId,
+    testName: test.testName,
+    cited,
+    matchedKeywords,
+    objectiveSimilarity: Math.round(objectiveSimilarity * 100) / 100,
+    // A cited control whose content checks out is strong; citation or content alone is weak
+    strength: cited && contentMatched ? COVERAGE_LEVELS.STRONG : COVERAGE_LEVELS.WEAK
+  };
+}
+
+/**
+ * Frameworks referenced by the suite: by name, ID or alias, or through a cited control ID
+ */
+export function inferFrameworks(testCases, catalog = controlCatalog) {
+  const found = new Set();
+  for (const tc of normalizeTestCases(testCases)) {
+    for (const entry of tc.complianceRequirements) {
+      const id = catalog.resolveFrameworkId(entry) || catalog.findControl(entry)?.framework;
+      if (id) found.add(id);
+    }
+  }
+  return [...found];
+}
+
+/**
+ * Build the coverage report
+ * @param {Array} testCases - generated test cases (coerced to the canonical shape)
+ * @param {string[]|string} [frameworks] - catalog IDs, names or aliases (comma-separated strings are split);
+ *   inferred from the suite when omitted
+ * @param {Object} [options.catalog] - control catalog including the project's custom frameworks
+ * @returns {{ generatedAt, frameworks, unknownFrameworks, unmappedCitations, summary }}
+ */
+export function buildComplianceCoverage(testCases = [], frameworks, { catalog = controlCatalog } = {}) {
+  const tests = normalizeTestCases(testCases).map(tc => {
+    const text = testText(tc);
+    return {
+      testId: tc.testId,
+      testName: tc.testName,
+      complianceRequirements: tc.complianceRequirements,
+      citations: tc.complianceRequirements.map(normalizeCitation),
+      text,
+      vector: termVector(text)
+    };
+  });
+
+  const listed = [frameworks].flat()
+    .filter(Boolean)
+    .flatMap(fw => String(fw).split(','))
+    .map(fw => fw.trim())
+    .filter(Boolean);
+  const requested = listed.length > 0 ? listed : inferFrameworks(testCases, catalog);
+  const unknownFrameworks = requested.filter(fw => !catalog.resolveFrameworkId(fw));
+  const frameworkIds = [...new Set(requested.map(fw => catalog.resolveFrameworkId(fw)).filter(Boolean))];
+
+  const frameworkReports = frameworkIds.map(id => {
+    const framework = catalog.getFramework(id);
+    const frameworkNames = new Set([framework.id, normalizeFrameworkId(framework.name), ...framework.aliases]);
+
+    const controls = framework.controls.map(control => {
+      const prepared = {
+        ...control,
+        citationForms: citationForms(control.id),
+        objectiveVectors: control.testObjectives.map(termVector)
+      };
+
+      const evidence = tests
+        .map(test => matchControl(prepared, test))
+        .filter(Boolean)
+        .sort((a, b) => (b.strength === COVERAGE_LEVELS.STRONG) - (a.strength === COVERAGE_LEVELS.STRONG));
+
+      const strongTests = evidence.filter(e => e.strength === COVERAGE_LEVELS.STRONG).length;
+      return {
+        id: control.id,
+        title: control.title,
+        severity: control.severity,
+        coverage: strongTests > 0
+          ? COVERAGE_LEVELS.STRONG
+          : (evidence.length > 0 ? COVERAGE_LEVELS.WEAK : COVERAGE_LEVELS.NONE),
+        strongTests,
+        weakTests: evidence.length - strongTests,
+        testIds: evidence.map(e => e.testId),
+        evidence
+      };
+    });
+
+    // Tests that name the framework but cite none of its controls
+    const frameworkOnlyTestIds = tests
+      .filter(test => test.complianceRequirements.some(entry => frameworkNames.has(normalizeFrameworkId(entry))))
+      .filter(test => !controls.some(c => c.evidence.some(e => e.testId === test.testId && e.cited)))
+      .map(test => test.testId);
+
+    return {
+      id: framework.id,
+      name: framework.name,
+      version: framework.version,
+      custom: Boolean(framework.custom),
+      controls,
+      frameworkOnlyTestIds,
+      summary: summarize(controls)
+    };
+  });
+
+  // complianceRequirements entries that are neither a framework nor a control in scope
+  const scopeForms = frameworkReports.flatMap(fw => fw.controls.flatMap(c => citationForms(c.id)));
+  const unmappedCitations = tests.flatMap(test =>
+    test.complianceRequirements
+      .filter(entry => !catalog.resolveFrameworkId(entry))
+      .filter(entry => !scopeForms.some(form => containsToken(normalizeCitation(entry), form)))
+      .map(citation => ({ testId: test.testId, citation }))
+  );
+
+  return {
+    generatedAt: new Date().toISOString(),
+    frameworks: frameworkReports,
+    unknownFrameworks,
+    unmappedCitations,
+    summary: summarize(frameworkReports.flatMap(fw => fw.controls))
+  };
+}
+
+function summarize(controls) {
+  const count = level => controls.filter(c => c.coverage === level).length;
+  const strong = count(COVERAGE_LEVELS.STRONG);
+  const weak = count(COVERAGE_LEVELS.WEAK);
+  const percent = n => (controls.length > 0 ? Math.round((n / controls.length) * 100) : 0);
+
+  return {
+    controls: controls.length,
+    strong,
+    weak,
+    none: controls.length - strong - weak,
+    coveragePercent: percent(strong + weak),
+    strongPercent: percent(strong)
+  };
+}
@@ -0,0 +1,89 @@
+// services/compliance/coverageExport.js - Tabular compliance coverage layout for CSV and Excel exports
+
+export const COVERAGE_SHEET_TITLE = 'Compliance Coverage';
+
+const COVERAGE_LABELS = {
+  strong: 'Strong',
+  weak: 'Weak',
+  none: 'Not covered'
+};
+
+const COVERAGE_FILLS = {
+  weak: 'FFFFF2CC',
+  none: 'FFFCE4D6'
+};
+
+const COLUMNS = [
+  { header: 'Framework', key: 'framework', width: 18 },
+  { header: 'Control ID', key: 'controlId', width: 26 },
+  { header: 'Control', key: 'title', width: 40 },
+  { header: 'Severity', key: 'severity', width: 10 },
+  { header: 'Coverage', key: 'coverage', width: 14 },
+  { header: 'Strong Tests', key: 'strongTests', width: 12 },
+  { header: 'Weak Tests', key: 'weakTests', width: 12 },
+  { header: 'Evidence', key: 'evidence', width: 70 }
+];
+
+function describeEvidence(evidence) {
+  const basis = [
+    evidence.cited ? 'cites control' : null,
+    evidence.matchedKeywords.length > 0 ? `keywords: ${evidence.matchedKeywords.join(', ')}` : null
+  ].filter(Boolean).join('; ') || `objective similarity ${evidence.objectiveSimilarity}`;
+  return `${evidence.testId} (${evidence.strength}; ${basis})`;
+}
+
+/**
+ * Report as [headers, ...rows] of plain strings, one row per control
+ */
+export function coverageToRows(report) {
+  return [
+    COLUMNS.map(c => c.header),
+    ...report.frameworks.flatMap(framework => framework.controls.map(control => [
+      framework.name,
+      control.id,
+      control.title,
+      control.severity,
+      COVERAGE_LABELS[control.coverage] || control.coverage,
+      String(control.strongTests),
+      String(control.weakTests),
+      control.evidence.map(describeEvidence).join(' | ')
+    ]))
+  ];
+}
+
+/**
+ * Add the report as its own worksheet; weak and uncovered controls are highlighted
+ * @param {import('exceljs').Workbook} workbook
+ */
+export function addCoverageWorksheet(workbook, report) {
+  const worksheet = workbook.addWorksheet(COVERAGE_SHEET_TITLE);
+  worksheet.columns = COLUMNS.map(({ header, key, width }) => ({ header, key, width }));
+
+  worksheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  worksheet.getRow(1).fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FF4472C4' }
+  };
+  worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  const controls = report.frameworks.flatMap(framework => framework.controls);
+  const [, ...rows] = coverageToRows(report);
+  rows.forEach((values, i) => {
+    const row = worksheet.addRow(values);
+    row.alignment = { vertical: 'top', wrapText: true };
+
+    const fill = COVERAGE_FILLS[controls[i].coverage];
+    if (fill) {
+      row.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: fill } };
+    }
+  });
+
+  worksheet.addRow([]);
+  for (const framework of report.frameworks) {
+    const { strong, weak, none, controls: total } = framework.summary;
+    worksheet.addRow([`${framework.name} (catalog ${framework.version})`, `${strong} strong, ${weak} weak, ${none} not covered of ${total} controls`]);
+  }
+
+  return worksheet;
+}
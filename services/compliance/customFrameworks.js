@@ -0,0 +1,147 @@
+// services/compliance/customFrameworks.js - Organization-defined compliance frameworks, stored per project
+//
+// Hospitals bring internal security baselines and state regulations (CCPA/CMIA...)
+// as YAML or JSON. Once stored for a project they are layered onto the built-in
+// control catalog, so prompts and coverage reports treat them like any other framework.
+
+import YAML from 'yaml';
+import { getDatabase } from '../db/index.js';
+import controlCatalog, { parseFrameworkDefinition } from './controlCatalog.js';
+
+// Uploaded definitions are small; anything larger is almost certainly the wrong file
+const MAX_DEFINITION_BYTES = 512 * 1024;
+
+export class CustomFrameworkError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CustomFrameworkError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Parse an uploaded definition. YAML is a superset of JSON, so one parser handles both.
+ * @param {string|Object} content - file text, or an already parsed object
+ * @param {string} [source] - file name for error messages
+ */
+export function parseCustomFramework(content, source = 'definition') {
+  let data = content;
+
+  if (typeof content === 'string') {
+    if (Buffer.byteLength(content) > MAX_DEFINITION_BYTES) {
+      throw new CustomFrameworkError(`${source}: definition is larger than ${MAX_DEFINITION_BYTES / 1024} KB`);
+    }
+    try {
+      data = YAML.parse(content);
+    } catch (error) {
+      throw new CustomFrameworkError(`${source}: not valid YAML or JSON (${error.message})`);
+    }
+  }
+
+  let framework;
+  try {
+    framework = parseFrameworkDefinition(data, source);
+  } catch (error) {
+    throw new CustomFrameworkError(error.message);
+  }
+
+  if (controlCatalog.resolveFrameworkId(framework.id) || controlCatalog.resolveFrameworkId(framework.name)) {
+    throw new CustomFrameworkError(`Framework "${framework.id}" clashes with a built-in framework; choose another id or name`, 409);
+  }
+
+  return { ...framework, custom: true };
+}
+
+class CustomFrameworkStore {
+  constructor() {
+    this.db = null;
+  }
+
+  /**
+   * Shares the history database (DB_CLIENT=none leaves custom frameworks disabled)
+   */
+  async initialize() {
+    this.db = await getDatabase();
+    return this.isEnabled;
+  }
+
+  get isEnabled() {
+    return Boolean(this.db);
+  }
+
+  /**
+   * Store a framework for the project, replacing one with the same id
+   * @returns {Promise<{ framework: Object, replaced: boolean }>}
+   */
+  async save(projectId, content, source) {
+    const framework = parseCustomFramework(content, source);
+    const existing = await this.get(projectId, framework.id);
+    const now = new Date().toISOString();
+
+    if (existing) {
+      await this.db.execute(
+        `UPDATE custom_frameworks SET name = $1, version = $2, definition = $3, updated_at = $4
+         WHERE project_id = $5 AND framework_id = $6`,
+        [framework.name, framework.version, JSON.stringify(framework), now, projectId, framework.id]
+      );
+    } else {
+      await this.db.execute(
+        `INSERT INTO custom_frameworks (project_id, framework_id, name, version, definition, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [projectId, framework.id, framework.name, framework.version, JSON.stringify(framework), now, now]
+      );
+    }
+
+    console.log(`📚 [Compliance] ${existing ? 'Replaced' : 'Added'} custom framework "${framework.id}" v${framework.version} (${framework.controls.length} controls) for project ${projectId}`);
+    return { framework: await this.get(projectId, framework.id), replaced: Boolean(existing) };
+  }
+
+  /**
+   * @returns {Promise<Object[]>} the project's frameworks with their controls
+   */
+  async list(projectId) {
+    const rows = await this.db.query(
+      'SELECT * FROM custom_frameworks WHERE project_id = $1 ORDER BY name',
+      [projectId]
+    );
+    return rows.map(toFramework);
+  }
+
+  async get(projectId, frameworkId) {
+    const [row] = await this.db.query(
+      'SELECT * FROM custom_frameworks WHERE project_id = $1 AND framework_id = $2',
+      [projectId, frameworkId]
+    );
+    return row ? toFramework(row) : null;
+  }
+
+  async delete(projectId, frameworkId) {
+    const { changes } = await this.db.execute(
+      'DELETE FROM custom_frameworks WHERE project_id = $1 AND framework_id = $2',
+      [projectId, frameworkId]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * The control catalog as seen by a project: built-in frameworks plus its custom ones
+   */
+  async catalogFor(projectId) {
+    if (!projectId || !this.isEnabled) {
+      return controlCatalog;
+    }
+    return controlCatalog.extend(await this.list(projectId));
+  }
+}
+
+function toFramework(row) {
+  return {
+    ...JSON.parse(row.definition),
+    custom: true,
+    projectId: row.project_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export default new CustomFrameworkStore();
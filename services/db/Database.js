@@ -0,0 +1,95 @@
+// services/db/Database.js
+// Base class for the SQL backends. Repositories only ever talk to this interface.
+
+import { MIGRATIONS } from './migrations.js';
+
+/**
+ * Database interface
+ *
+ * SQL is written once with Postgres-style $1, $2 placeholders; each backend
+ * translates as needed. JSON is stored in TEXT columns so the schema is
+ * identical on SQLite and Postgres.
+ *
+ * Subclasses implement connect(), query(), execute(), batch() and close().
+ */
+class Database {
+  constructor() {
+    this.name = 'base';
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    if (this.isInitialized) {
+      return true;
+    }
+
+    await this.connect();
+    await this.migrate();
+
+    this.isInitialized = true;
+    return true;
+  }
+
+  async connect() {
+    throw new Error(`${this.constructor.name} must implement connect()`);
+  }
+
+  /**
+   * @returns {Promise<Object[]>} result rows
+   */
+  async query() {
+    throw new Error(`${this.constructor.name} must implement query()`);
+  }
+
+  /**
+   * @returns {Promise<{ changes: number }>}
+   */
+  async execute() {
+    throw new Error(`${this.constructor.name} must implement execute()`);
+  }
+
+  /**
+   * Run several statements in one transaction
+   * @param {Array<{ sql: string, params?: Array }>} statements
+   */
+  async batch() {
+    throw new Error(`${this.constructor.name} must implement batch()`);
+  }
+
+  async close() {}
+
+  /**
+   * Apply pending migrations in order, each in its own transaction
+   */
+  async migrate() {
+    await this.execute(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    const rows = await this.query('SELECT version FROM schema_migrations');
+    const applied = new Set(rows.map(row => Number(row.version)));
+
+    for (const migration of MIGRATIONS) {
+      if (applied.has(migration.version)) continue;
+
+      await this.batch([
+        ...migration.up.map(sql => ({ sql })),
+        {
+          sql: 'INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, $3)',
+          params: [migration.version, migration.name, new Date().toISOString()]
+        }
+      ]);
+      console.log(`🗄️  [DB:${this.name}] Applied migration ${migration.version} (${migration.name})`);
+    }
+  }
+
+  describe() {
+    return { client: this.name };
+  }
+}
+
+export default Database;
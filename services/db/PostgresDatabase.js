@@ -0,0 +1,77 @@
+// services/db/PostgresDatabase.js
+// Shared Postgres via DATABASE_URL (the `postgres` service in docker-compose.yml).
+
+import Database from './Database.js';
+
+class PostgresDatabase extends Database {
+  constructor(options = {}) {
+    super();
+    this.name = 'postgres';
+    this.connectionString = options.connectionString || process.env.DATABASE_URL;
+    this.pool = null;
+  }
+
+  async connect() {
+    if (!this.connectionString) {
+      throw new Error('DB_CLIENT=postgres requires DATABASE_URL');
+    }
+
+    let pg;
+    try {
+      pg = (await import('pg')).default;
+    } catch (error) {
+      throw new Error('DB_CLIENT=postgres requires the "pg" package (npm install pg)');
+    }
+
+    this.pool = new pg.Pool({
+      connectionString: this.connectionString,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+
+    try {
+      await this.pool.query('SELECT 1');
+    } catch (error) {
+      await this.pool.end().catch(() => {});
+      this.pool = null;
+      throw error;
+    }
+
+    console.log('✅ [DB:postgres] Connected');
+  }
+
+  async query(sql, params = []) {
+    const { rows } = await this.pool.query(sql, params);
+    return rows;
+  }
+
+  async execute(sql, params = []) {
+    const { rowCount } = await this.pool.query(sql, params);
+    return { changes: rowCount };
+  }
+
+  async batch(statements) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      for (const { sql, params = [] } of statements) {
+        await client.query(sql, params);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async close() {
+    if (this.pool) {
+      await this.pool.end();
+      this.pool = null;
+      this.isInitialized = false;
+    }
+  }
+}
+
+export default PostgresDatabase;
@@ -0,0 +1,76 @@
+// services/db/SqliteDatabase.js
+// Default backend: a single SQLite file (SQLITE_PATH, default ./data/medtestai.db).
+
+import fs from 'fs';
+import path from 'path';
+import Database from './Database.js';
+
+/**
+ * better-sqlite3 binds named parameters, so $1 becomes @p1 and the array becomes { p1 }
+ */
+function translate(sql, params = []) {
+  const named = {};
+  params.forEach((value, i) => {
+    named[`p${i + 1}`] = value === undefined ? null : value;
+  });
+  return { sql: sql.replace(/\$(\d+)/g, '@p$1'), params: named };
+}
+
+class SqliteDatabase extends Database {
+  constructor(options = {}) {
+    super();
+    this.name = 'sqlite';
+    this.filename = options.filename || process.env.SQLITE_PATH || './data/medtestai.db';
+    this.db = null;
+  }
+
+  async connect() {
+    let BetterSqlite3;
+    try {
+      BetterSqlite3 = (await import('better-sqlite3')).default;
+    } catch (error) {
+      throw new Error('DB_CLIENT=sqlite requires the "better-sqlite3" package (npm install better-sqlite3)');
+    }
+
+    if (this.filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    }
+
+    this.db = new BetterSqlite3(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+
+    console.log(`✅ [DB:sqlite] Using ${this.filename}`);
+  }
+
+  async query(sql, params) {
+    const statement = translate(sql, params);
+    return this.db.prepare(statement.sql).all(statement.params);
+  }
+
+  async execute(sql, params) {
+    const statement = translate(sql, params);
+    const { changes } = this.db.prepare(statement.sql).run(statement.params);
+    return { changes };
+  }
+
+  async batch(statements) {
+    const run = this.db.transaction(() => {
+      for (const { sql, params } of statements) {
+        const statement = translate(sql, params);
+        this.db.prepare(statement.sql).run(statement.params);
+      }
+    });
+    run();
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.isInitialized = false;
+    }
+  }
+}
+
+export default SqliteDatabase;
@@ -0,0 +1,78 @@
+// services/db/index.js
+// Persistence entry point. Pick the backend with DB_CLIENT:
+//   sqlite    - SQLITE_PATH file (default ./data/medtestai.db)
+//   postgres  - DATABASE_URL
+//   none      - persistence disabled (results live only in the response)
+
+import Database from './Database.js';
+import SqliteDatabase from './SqliteDatabase.js';
+import PostgresDatabase from './PostgresDatabase.js';
+
+const CLIENTS = {
+  'sqlite': SqliteDatabase,
+  'postgres': PostgresDatabase
+};
+
+const ALIASES = {
+  'sqlite3': 'sqlite',
+  'pg': 'postgres',
+  'postgresql': 'postgres',
+  'off': 'none',
+  'false': 'none'
+};
+
+let sharedDatabase = null; // Promise<Database|null>, so concurrent callers share one initialization
+
+export function resolveDatabaseClient(name = process.env.DB_CLIENT) {
+  const normalized = (name || 'sqlite').toLowerCase().trim();
+  const resolved = ALIASES[normalized] || normalized;
+
+  if (resolved !== 'none' && !CLIENTS[resolved]) {
+    throw new Error(`Unknown DB_CLIENT "${name}". Expected one of: ${Object.keys(CLIENTS).join(', ')}, none`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Create a new, unconnected database instance
+ */
+export function createDatabase(name, options = {}) {
+  const Client = CLIENTS[resolveDatabaseClient(name)];
+  if (!Client) {
+    return null;
+  }
+  return new Client(options);
+}
+
+/**
+ * Shared, migrated database for the configured environment (null when DB_CLIENT=none)
+ */
+export async function getDatabase() {
+  if (!sharedDatabase) {
+    const database = createDatabase();
+    sharedDatabase = database
+      ? database.initialize()
+        .then(() => database)
+        .catch(error => {
+          sharedDatabase = null;
+          throw error;
+        })
+      : Promise.resolve(null);
+  }
+
+  return sharedDatabase;
+}
+
+/**
+ * Override the shared database (scripts, in-memory SQLite)
+ */
+export function setDatabase(database) {
+  sharedDatabase = Promise.resolve(database);
+}
+
+export {
+  Database,
+  SqliteDatabase,
+  PostgresDatabase
+};
@@ -0,0 +1,114 @@
+// services/db/migrations.js
+// Ordered schema changes. Never edit an applied migration; append a new one.
+// Keep the SQL portable between SQLite and Postgres (TEXT ids, ISO timestamps, JSON as TEXT).
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'projects_runs_test_cases',
+    up: [
+      `CREATE TABLE projects (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        description TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )`,
+      `CREATE TABLE documents (
+        id TEXT PRIMARY KEY,
+        project_id TEXT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+        file_name TEXT NOT NULL,
+        document_type TEXT,
+        processing_method TEXT,
+        size INTEGER,
+        text TEXT,
+        created_at TEXT NOT NULL
+      )`,
+      `CREATE TABLE runs (
+        id TEXT PRIMARY KEY,
+        project_id TEXT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+        document_id TEXT REFERENCES documents(id) ON DELETE SET NULL,
+        name TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        methodology TEXT,
+        compliance_frameworks TEXT,
+        llm_provider TEXT,
+        llm_model TEXT,
+        requirement_count INTEGER NOT NULL DEFAULT 0,
+        test_case_count INTEGER NOT NULL DEFAULT 0,
+        summary TEXT,
+        metadata TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )`,
+      `CREATE TABLE requirements (
+        run_id TEXT NOT NULL REFERENCES runs(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        requirement_id TEXT NOT NULL,
+        text TEXT NOT NULL,
+        data TEXT,
+        PRIMARY KEY (run_id, position)
+      )`,
+      `CREATE TABLE test_cases (
+        run_id TEXT NOT NULL REFERENCES runs(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        test_id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (run_id, position)
+      )`,
+      'CREATE INDEX runs_project_created_idx ON runs (project_id, created_at)',
+      'CREATE INDEX documents_project_idx ON documents (project_id)'
+    ]
+  },
+  {
+    // A suite is the chain of runs regenerated from one another; each run is one version
+    version: 2,
+    name: 'run_versions',
+    up: [
+      'ALTER TABLE runs ADD COLUMN suite_id TEXT',
+      'ALTER TABLE runs ADD COLUMN version INTEGER NOT NULL DEFAULT 1',
+      'ALTER TABLE runs ADD COLUMN parent_run_id TEXT REFERENCES runs(id) ON DELETE SET NULL',
+      'UPDATE runs SET suite_id = id WHERE suite_id IS NULL',
+      'CREATE INDEX runs_suite_version_idx ON runs (suite_id, version)'
+    ]
+  },
+  {
+    // Organization-defined compliance frameworks, scoped to a project
+    version: 3,
+    name: 'custom_frameworks',
+    up: [
+      `CREATE TABLE custom_frameworks (
+        project_id TEXT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+        framework_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        version TEXT NOT NULL,
+        definition TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (project_id, framework_id)
+      )`
+    ]
+  },
+  {
+    // Jira issue pushed for each test case, so pushing again updates it instead of duplicating it.
+    // scope is the MedTestAI project ID, or "default" for pushes outside a project. test_key is the
+    // test's identity across pushes; test IDs are renumbered on every generation and are not one.
+    version: 4,
+    name: 'jira_test_issues',
+    up: [
+      `CREATE TABLE jira_test_issues (
+        scope TEXT NOT NULL,
+        jira_project TEXT NOT NULL,
+        test_key TEXT NOT NULL,
+        test_id TEXT NOT NULL,
+        issue_key TEXT NOT NULL,
+        issue_id TEXT,
+        content_hash TEXT,
+        links TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (scope, jira_project, test_key)
+      )`
+    ]
+  }
+];
@@ -3,7 +3,59 @@
 
 import { DocumentProcessorServiceClient } from '@google-cloud/documentai';
 import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import os from 'os';
 import path from 'path';
+import { normalizeRequirements } from './schema/requirementSchema.js';
+import deidentifier from './privacy/deidentifier.js';
+import { importRequirements, RequirementImportError, IMPORT_EXTENSIONS } from './importers/index.js';
+import requirementColumns from './documents/requirementColumns.js';
+import { parseStructuredDocument, DocumentParseError } from './documents/index.js';
+import { readHeading, setextLevel, isTableRow, isTableSeparator, tableCells } from './documents/markdown.js';
+import ocrService, { OCR_IMAGE_TYPES } from './ocr/ocrService.js';
+
+/**
+ * pdf-parse's default page renderer, used as its pagerender hook so each page's
+ * text is kept apart and pages without a text layer can be found
+ */
+function readPageText(pageData) {
+  return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then(textContent => {
+      let lastY;
+      let text = '';
+      for (const item of textContent.items) {
+        text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+      }
+      return text;
+    });
+}
+
+/**
+ * Application Default Credentials the Google client could find: a key file, a gcloud
+ * login, or the metadata server of Cloud Run, App Engine or Cloud Functions
+ */
+function hasGoogleCredentials() {
+  if (process.env.GOOGLE_APPLICATION_CREDENTIALS) return existsSync(process.env.GOOGLE_APPLICATION_CREDENTIALS);
+  if (process.env.K_SERVICE || process.env.GAE_SERVICE || process.env.FUNCTION_TARGET) return true;
+
+  const gcloudDir = process.env.CLOUDSDK_CONFIG || (process.platform === 'win32'
+    ? path.join(process.env.APPDATA || '', 'gcloud')
+    : path.join(os.homedir(), '.config', 'gcloud'));
+  return existsSync(path.join(gcloudDir, 'application_default_credentials.json'));
+}
+
+/**
+ * Why Document AI is not tried, or null. Without credentials the Google client also fails
+ * in the background after startup, so it is not created at all.
+ */
+function documentAISkipReason() {
+  const enabled = process.env.DOCUMENT_AI_ENABLED;
+  if (enabled === 'false') return 'DOCUMENT_AI_ENABLED=false';
+  if (enabled !== 'true' && process.env.LLM_PROVIDER === 'fixture') return 'LLM_PROVIDER=fixture';
+  if (!hasGoogleCredentials()) return 'no Google credentials found';
+  return null;
+}
 
 class DocumentProcessor {
   constructor() {
@@ -24,6 +76,14 @@ class DocumentProcessor {
 
     this.initializationAttempted = true;
 
+    // Air-gapped / CI environments have no Google credentials at all
+    const skipReason = documentAISkipReason();
+    if (skipReason) {
+      console.log(`⏭️  [DocumentProcessor] Document AI skipped (${skipReason}), using local extraction`);
+      this.isDocumentAIAvailable = false;
+      return false;
+    }
+
     try {
       console.log('📡 [DocumentProcessor] Initializing Document AI client...');
       console.log('📋 [DocumentProcessor] Project ID:', this.projectId);
@@ -58,11 +118,41 @@ class DocumentProcessor {
     }
   }
 
-  async processDocument(filePath, fileName) {
+  /**
+   * Extract text and requirements, then de-identify both before anything is sent on
+   * @param {Object} [options]
+   * @param {string} [options.deidentifyMode] - redact | pseudonymize | block | off (default DEIDENTIFY_MODE)
+   * @param {Object} [options.columnMapping] - header names for requirement tables, from requirementColumns.resolve()
+   * @returns {Promise<Object>} the extraction result plus a deidentification report, and
+   *   tokenMap (pseudonym -> original value) in pseudonymize mode. Throws PhiDetectedError in block mode.
+   */
+  async processDocument(filePath, fileName, { deidentifyMode, columnMapping } = {}) {
+    const result = await this.extractDocument(filePath, fileName, { columnMapping });
+
+    // Outside extractDocument's catch so a block-mode PhiDetectedError keeps its type and report
+    const clean = deidentifier.deidentifyDocument(result, { mode: deidentifyMode });
+    return {
+      ...result,
+      text: clean.text,
+      requirements: clean.requirements,
+      deidentification: clean.report,
+      tokenMap: clean.tokenMap
+    };
+  }
+
+  async extractDocument(filePath, fileName, { columnMapping = null } = {}) {
     console.log(`📄 [DocumentProcessor] Processing: ${fileName}`);
     
     try {
       const fileExt = path.extname(fileName).toLowerCase();
+
+      // Jira, Confluence and Azure DevOps exports are already structured
+      const imported = await this.importStructured(filePath, fileName, fileExt);
+      if (imported) return imported;
+
+      // Word, Excel, CSV, HTML and Markdown are parsed locally so their structure survives
+      const parsed = await this.parseStructured(filePath, fileName, fileExt, { columnMapping });
+      if (parsed) return parsed;
       
       // Try Document AI first
       if (!this.initializationAttempted) {
@@ -83,14 +173,87 @@ class DocumentProcessor {
       }
 
       // Fallback to text extraction
-      return await this.fallbackProcessing(filePath, fileName, fileExt);
+      return await this.fallbackProcessing(filePath, fileName, fileExt, { columnMapping });
       
     } catch (error) {
+      if (error instanceof RequirementImportError || error instanceof DocumentParseError) throw error;
       console.error('❌ [DocumentProcessor] Critical processing error:', error);
       throw new Error(`Document processing failed: ${error.message}`);
     }
   }
 
+  /**
+   * Requirements from a Jira, Confluence or Azure DevOps export, keeping the tool's keys as IDs
+   * @returns {Promise<Object|null>} null when the file is not one of those exports
+   */
+  async importStructured(filePath, fileName, fileExt) {
+    if (!IMPORT_EXTENSIONS.includes(fileExt)) return null;
+
+    const content = await fs.readFile(filePath, 'utf-8');
+    const imported = importRequirements(fileName, fileExt, content);
+    if (!imported) return null;
+
+    const requirements = normalizeRequirements(imported.requirements.map(req => ({
+      ...req,
+      category: this.categorizeRequirement(req.text)
+    })));
+
+    return {
+      success: true,
+      text: imported.text,
+      requirements,
+      documentType: fileExt,
+      fileName: fileName,
+      processedAt: new Date().toISOString(),
+      processingMethod: `${imported.label} import`,
+      serviceStatus: {
+        documentAI: false,
+        cloudStorage: false,
+        geminiAI: true
+      },
+      metadata: {
+        fileSize: content.length,
+        requirementCount: requirements.length,
+        import: { format: imported.format, ...imported.summary }
+      }
+    };
+  }
+
+  /**
+   * Parse a Word, Excel, CSV, HTML or Markdown file into Markdown and extract its requirements
+   * with their sections
+   * @returns {Promise<Object|null>} null for formats without a structured parser
+   */
+  async parseStructured(filePath, fileName, fileExt, { columnMapping = null } = {}) {
+    const buffer = await fs.readFile(filePath);
+    const parsed = await parseStructuredDocument(buffer, fileExt, { columnMapping });
+    if (!parsed) return null;
+
+    const requirements = this.extractRequirementsFromText(parsed.text, { columnMapping });
+    console.log(`✅ [DocumentProcessor] ${parsed.label} processed: ${requirements.length} requirements extracted`);
+
+    return {
+      success: true,
+      text: parsed.text,
+      requirements,
+      documentType: fileExt,
+      fileName: fileName,
+      processedAt: new Date().toISOString(),
+      processingMethod: `${parsed.label} parser`,
+      serviceStatus: {
+        documentAI: false,
+        cloudStorage: false,
+        geminiAI: true
+      },
+      metadata: {
+        fileSize: buffer.length,
+        requirementCount: requirements.length,
+        sections: new Set(requirements.map(r => r.section).filter(Boolean)).size,
+        structure: parsed.metadata
+      }
+    };
+  }
+
   async processWithDocumentAI(filePath, fileName, fileExt) {
     // Read file
     const fileBuffer = await fs.readFile(filePath);
@@ -100,7 +263,7 @@ class DocumentProcessor {
       name: this.processorName,
       rawDocument: {
         content: fileBuffer.toString('base64'),
-        mimeType: fileExt === '.pdf' ? 'application/pdf' : 'text/plain'
+        mimeType: fileExt === '.pdf' ? 'application/pdf' : OCR_IMAGE_TYPES[fileExt] || 'text/plain'
       }
     };
 
@@ -141,26 +304,48 @@ class DocumentProcessor {
     };
   }
 
-  async fallbackProcessing(filePath, fileName, fileExt) {
+  async fallbackProcessing(filePath, fileName, fileExt, { columnMapping = null } = {}) {
     console.log('📄 [DocumentProcessor] Using fallback text extraction...');
     
     if (fileExt === '.pdf') {
       return await this.processPDFWithFallback(filePath, fileName);
+    } else if (ocrService.isImage(fileExt)) {
+      return await this.processImageWithOcr(filePath, fileName, fileExt);
     } else {
-      return await this.processTextFile(filePath, fileName, fileExt);
+      return await this.processTextFile(filePath, fileName, fileExt, { columnMapping });
     }
   }
 
   async processPDFWithFallback(filePath, fileName) {
+    const fileBuffer = await fs.readFile(filePath);
+    const pageTexts = [];
+    let data = null;
     try {
       // Try using pdf-parse if available
       const pdfParse = await import('pdf-parse');
-      const fileBuffer = await fs.readFile(filePath);
-      const data = await pdfParse.default(fileBuffer);
-      
+      data = await pdfParse.default(fileBuffer, {
+        pagerender: async pageData => (pageTexts[pageData.pageIndex] = await readPageText(pageData))
+      });
+      console.log(`✅ [DocumentProcessor] PDF parsed: ${data.text.length} characters, ${data.numpages} pages`);
+    } catch (pdfError) {
+      console.error('❌ [DocumentProcessor] PDF parsing failed:', pdfError.message);
+    }
+
+    // Scanned pages have no text layer - read them with local OCR
+    if (ocrService.enabled) {
+      try {
+        const scanned = await ocrService.recognizePdf(fileBuffer, { pageTexts, pageCount: data?.numpages ?? null });
+        if (scanned) {
+          const method = scanned.ocr.pagesRecognised === scanned.pageCount ? 'Local OCR' : 'PDF Parser + Local OCR';
+          return this.buildOcrResult(fileName, '.pdf', fileBuffer, scanned, method);
+        }
+      } catch (ocrError) {
+        console.error('❌ [DocumentProcessor] Local OCR failed:', ocrError.message);
+      }
+    }
+
+    if (data) {
       const text = data.text;
-      console.log(`✅ [DocumentProcessor] PDF parsed: ${text.length} characters, ${data.numpages} pages`);
-      
       const requirements = this.extractRequirementsFromText(text);
       
       return {
@@ -182,45 +367,92 @@ class DocumentProcessor {
           pageCount: data.numpages
         }
       };
-      
-    } catch (pdfError) {
-      console.error('❌ [DocumentProcessor] PDF parsing failed:', pdfError.message);
-      console.warn('⚠️  [DocumentProcessor] Attempting basic text extraction...');
-      
-      // Last resort: try to extract any text we can
-      const fileBuffer = await fs.readFile(filePath, 'utf-8').catch(() => {
-        return fs.readFile(filePath).then(buf => buf.toString('binary'));
-      });
-      
-      // Extract readable text (very basic)
-      const text = fileBuffer.replace(/[^\x20-\x7E\n\r\t]/g, '');
-      const requirements = this.extractRequirementsFromText(text);
-      
-      return {
-        success: true,
-        text: text,
-        requirements: requirements,
-        documentType: '.pdf',
-        fileName: fileName,
-        processedAt: new Date().toISOString(),
-        processingMethod: 'Basic Text Extraction (Limited)',
-        serviceStatus: {
-          documentAI: false,
-          cloudStorage: false,
-          geminiAI: true
-        },
-        metadata: {
-          fileSize: fileBuffer.length,
-          requirementCount: requirements.length,
-          warning: 'PDF processing failed, using basic extraction - install pdf-parse for better results'
-        }
-      };
     }
+
+    console.warn('⚠️  [DocumentProcessor] Attempting basic text extraction...');
+
+    // Last resort: try to extract any text we can
+    const content = fileBuffer.toString('binary');
+
+    // Extract readable text (very basic)
+    const text = content.replace(/[^\x20-\x7E\n\r\t]/g, '');
+    const requirements = this.extractRequirementsFromText(text);
+
+    return {
+      success: true,
+      text: text,
+      requirements: requirements,
+      documentType: '.pdf',
+      fileName: fileName,
+      processedAt: new Date().toISOString(),
+      processingMethod: 'Basic Text Extraction (Limited)',
+      serviceStatus: {
+        documentAI: false,
+        cloudStorage: false,
+        geminiAI: true
+      },
+      metadata: {
+        fileSize: fileBuffer.length,
+        requirementCount: requirements.length,
+        warning: 'PDF processing failed, using basic extraction - install pdf-parse for better results'
+      }
+    };
+  }
+
+  /**
+   * PNG, JPEG and TIFF uploads without Document AI are read with local OCR
+   * @throws {DocumentParseError} when OCR is disabled or finds no text
+   */
+  async processImageWithOcr(filePath, fileName, fileExt) {
+    if (!ocrService.enabled) {
+      throw new DocumentParseError(`${fileName} is an image - it needs Document AI or local OCR, which is disabled (OCR_ENABLED=false)`);
+    }
+    const fileBuffer = await fs.readFile(filePath);
+
+    let recognised;
+    try {
+      recognised = await ocrService.recognizeImage(fileBuffer);
+    } catch (error) {
+      throw new DocumentParseError(`The image could not be read: ${error.message}`);
+    }
+    if (!recognised.text) {
+      throw new DocumentParseError(`No text was recognised in ${fileName}`);
+    }
+    return this.buildOcrResult(fileName, fileExt, fileBuffer, { ...recognised, pageCount: 1 }, 'Local OCR');
+  }
+
+  buildOcrResult(fileName, fileExt, fileBuffer, { text, pageCount, ocr }, processingMethod) {
+    const requirements = this.extractRequirementsFromText(text);
+    console.log(`✅ [DocumentProcessor] OCR text processed: ${requirements.length} requirements extracted (${ocr.averageConfidence}% average confidence)`);
+
+    return {
+      success: true,
+      text,
+      requirements,
+      documentType: fileExt,
+      fileName,
+      processedAt: new Date().toISOString(),
+      processingMethod,
+      serviceStatus: {
+        documentAI: false,
+        cloudStorage: false,
+        geminiAI: true
+      },
+      metadata: {
+        fileSize: fileBuffer.length,
+        requirementCount: requirements.length,
+        pageCount,
+        ocr,
+        ...(ocr.lowConfidencePages.length > 0 && {
+          warning: `OCR confidence is below ${ocrService.minConfidence}% on page(s) ${ocr.lowConfidencePages.join(', ')} - check the extracted requirements against the scan`
+        })
+      }
+    };
   }
 
-  async processTextFile(filePath, fileName, fileExt) {
+  async processTextFile(filePath, fileName, fileExt, { columnMapping = null } = {}) {
     const fileBuffer = await fs.readFile(filePath, 'utf-8');
-    const requirements = this.extractRequirementsFromText(fileBuffer);
+    const requirements = this.extractRequirementsFromText(fileBuffer, { columnMapping });
     
     console.log(`✅ [DocumentProcessor] Text file processed: ${requirements.length} requirements extracted`);
     
@@ -280,14 +512,106 @@ class DocumentProcessor {
     }
     
     console.log(`✅ [DocumentProcessor] Extracted ${requirements.length} requirements from entities`);
-    return requirements;
+    return normalizeRequirements(requirements);
+  }
+
+  /**
+   * Walk the text's structure: Markdown headings (and "SECTION NAME:" label lines) give
+   * each line its section, and pipe tables with a requirement column become requirements
+   * @returns {Array<{ line: string, section: string|null }|{ requirement: Object }>}
+   */
+  readStructure(text, columnMapping = null) {
+    const lines = text.split(/\r?\n/);
+    const headings = []; // { level, text }, outermost first
+    const entries = [];
+    let inFence = false;
+
+    const enter = (level, title) => {
+      while (headings.length > 0 && headings[headings.length - 1].level >= level) headings.pop();
+      headings.push({ level, text: title });
+    };
+    const section = () => (headings.length > 0 ? headings.map(h => h.text).join(' > ') : null);
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const trimmed = line.trim();
+
+      if (/^(```|~~~)/.test(trimmed)) {
+        inFence = !inFence;
+        continue;
+      }
+      if (inFence) continue;
+
+      const heading = readHeading(trimmed);
+      if (heading) {
+        enter(heading.level, heading.text);
+        continue;
+      }
+      const setext = trimmed && !isTableRow(trimmed) && !/^[-*•\d]/.test(trimmed) ? setextLevel(lines[i + 1] || '') : null;
+      if (setext) {
+        enter(setext, trimmed);
+        i++;
+        continue;
+      }
+      // All-caps "SECURITY REQUIREMENTS:" labels in plain text sit below any Markdown heading
+      if (/^[A-Z][A-Z0-9 &/()-]{2,60}:$/.test(trimmed) && !/^ACCEPTANCE CRITERIA:$/.test(trimmed)) {
+        enter(7, trimmed.slice(0, -1).trim());
+        continue;
+      }
+
+      if (isTableRow(trimmed) && isTableSeparator(lines[i + 1] || '')) {
+        const header = tableCells(trimmed);
+        const rows = [];
+        for (i += 2; i < lines.length && isTableRow(lines[i].trim()); i++) {
+          rows.push(tableCells(lines[i]));
+        }
+        i--;
+
+        const columns = requirementColumns.mapHeader(header, columnMapping);
+        if (!columns) {
+          // Not a requirement table: each row is read like a line of text
+          entries.push(...rows.map(row => ({ line: row.filter(Boolean).join(' - '), section: section() })));
+          continue;
+        }
+        for (const row of rows) {
+          const cell = index => (index === -1 ? '' : (row[index] || '').trim());
+          if (!cell(columns.text)) continue;
+          const rowSection = [section(), cell(columns.section)].filter(Boolean).join(' > ') || null;
+          entries.push({
+            requirement: {
+              ...(cell(columns.id) && { id: cell(columns.id) }),
+              text: cell(columns.text),
+              confidence: 0.95,
+              type: 'table_row',
+              category: this.categorizeRequirement(cell(columns.text)),
+              ...(cell(columns.priority) && { priority: requirementColumns.normalizePriority(cell(columns.priority)) || cell(columns.priority) }),
+              ...(rowSection && { section: rowSection }),
+              source: 'table'
+            }
+          });
+        }
+        continue;
+      }
+
+      entries.push({ line, section: section() });
+    }
+
+    if (columnMapping && !entries.some(entry => entry.requirement)) {
+      console.warn('⚠️  [DocumentProcessor] columnMapping was given but no table has its text column');
+    }
+    return entries;
   }
 
-  extractRequirementsFromText(text) {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.columnMapping] - header names for requirement tables (see requirementColumns)
+   */
+  extractRequirementsFromText(text, { columnMapping } = {}) {
     const requirements = [];
-    const lines = text.split('\n');
+    const entries = this.readStructure(text, columnMapping);
+    const lines = entries.filter(entry => entry.line !== undefined);
     
-    console.log(`📊 [DocumentProcessor] Analyzing ${lines.length} lines of text`);
+    console.log(`📊 [DocumentProcessor] Analyzing ${entries.length} lines of text`);
     
     // Pattern 1: Numbered requirements (1., 1.1., 1.1.1, etc.)
     const numberedPattern = /^[\s]*[\d]+(\.|:)[\d]*\s+(.+)$/;
@@ -299,12 +623,18 @@ class DocumentProcessor {
     const bulletPattern = /^[\s]*[•\-\*➤▪]\s+(.+)$/;
     
     // Pattern 4: "FR-" or "NFR-" style IDs
-    const idPattern = /^[\s]*(FR|NFR|UC|TC|REQ)[\-_][\d]+[\s:]+(.+)/i;
+    const idPattern = /^[\s]*(FR|NFR|UC|TC|REQ)[\-_]([\d]+)[\s:]+(.+)/i;
     
     let foundCount = 0;
     
-    for (const line of lines) {
-      const trimmed = line.trim();
+    for (const entry of entries) {
+      if (entry.requirement) {
+        requirements.push(entry.requirement);
+        foundCount++;
+        continue;
+      }
+      const trimmed = entry.line.trim();
+      const section = entry.section ? { section: entry.section } : {};
       
       // Skip very short lines or common non-requirement text
       if (trimmed.length < 15) continue;
@@ -314,10 +644,12 @@ class DocumentProcessor {
       const idMatch = trimmed.match(idPattern);
       if (idMatch) {
         requirements.push({
-          text: idMatch[2].trim(),
+          id: `${idMatch[1].toUpperCase()}-${idMatch[2]}`,
+          text: idMatch[3].trim(),
           confidence: 0.95,
           type: 'id_based',
-          category: this.categorizeRequirement(idMatch[2]),
+          category: this.categorizeRequirement(idMatch[3]),
+          ...section,
           source: 'pattern_match'
         });
         foundCount++;
@@ -334,6 +666,7 @@ class DocumentProcessor {
             confidence: 0.9,
             type: 'numbered',
             category: this.categorizeRequirement(reqText),
+            ...section,
             source: 'pattern_match'
           });
           foundCount++;
@@ -341,16 +674,17 @@ class DocumentProcessor {
         }
       }
       
-      // Check keyword requirements
-      const keywordMatch = trimmed.match(keywordPattern);
-      if (keywordMatch) {
-        const reqText = keywordMatch[2].trim();
+      // Check bullet points; a list item is already one requirement, so it keeps its full text
+      const bulletMatch = trimmed.match(bulletPattern);
+      if (bulletMatch) {
+        const reqText = bulletMatch[1].trim();
         if (reqText.length >= 20) {
           requirements.push({
             text: reqText,
-            confidence: 0.85,
-            type: 'keyword',
+            confidence: keywordPattern.test(reqText) ? 0.85 : 0.75,
+            type: 'bullet',
             category: this.categorizeRequirement(reqText),
+            ...section,
             source: 'pattern_match'
           });
           foundCount++;
@@ -358,16 +692,17 @@ class DocumentProcessor {
         }
       }
       
-      // Check bullet points
-      const bulletMatch = trimmed.match(bulletPattern);
-      if (bulletMatch) {
-        const reqText = bulletMatch[1].trim();
+      // Check keyword requirements
+      const keywordMatch = trimmed.match(keywordPattern);
+      if (keywordMatch) {
+        const reqText = keywordMatch[2].trim();
         if (reqText.length >= 20) {
           requirements.push({
             text: reqText,
-            confidence: 0.75,
-            type: 'bullet',
+            confidence: 0.85,
+            type: 'keyword',
             category: this.categorizeRequirement(reqText),
+            ...section,
             source: 'pattern_match'
           });
           foundCount++;
@@ -379,8 +714,8 @@ class DocumentProcessor {
     if (requirements.length === 0) {
       console.warn('⚠️  [DocumentProcessor] No patterns matched, using aggressive extraction');
       
-      for (const line of lines) {
-        const trimmed = line.trim();
+      for (const entry of lines) {
+        const trimmed = entry.line.trim();
         
         // Look for any substantial line that might be a requirement
         if (trimmed.length >= 30 && 
@@ -393,6 +728,7 @@ class DocumentProcessor {
             confidence: 0.5,
             type: 'text_line',
             category: this.categorizeRequirement(trimmed),
+            ...(entry.section ? { section: entry.section } : {}),
             source: 'aggressive_fallback'
           });
         }
@@ -414,7 +750,7 @@ class DocumentProcessor {
     console.log(`✅ [DocumentProcessor] Extracted ${uniqueRequirements.length} unique requirements`);
     
     // Limit to top 100 requirements to avoid overwhelming the system
-    return uniqueRequirements.slice(0, 100);
+    return normalizeRequirements(uniqueRequirements.slice(0, 100));
   }
 
   categorizeRequirement(text) {
@@ -0,0 +1,186 @@
+// services/documents/docxParser.js - Word (.docx) documents to structured Markdown
+//
+// Reads word/document.xml with its styles and numbering parts. Heading styles
+// (and outline levels) become "#" headings, numbered and bulleted paragraphs
+// become list items at their indent level, and tables become pipe tables.
+
+import JSZip from 'jszip';
+import { parseXml } from '../../utils/xml.js';
+import { markdownHeading, markdownTable } from './markdown.js';
+
+const find = (element, name) => (element?.children || []).find(child => child.name === name) || null;
+const all = (element, name) => (element?.children || []).filter(child => child.name === name);
+const val = element => element?.attributes?.['w:val'];
+
+async function readPart(zip, name) {
+  const file = zip.file(name);
+  return file ? parseXml(await file.async('string')) : null;
+}
+
+/**
+ * styleId -> { heading level, numbering } from word/styles.xml
+ */
+function readStyles(stylesRoot) {
+  const styles = new Map();
+  for (const style of all(stylesRoot, 'w:style')) {
+    const name = val(find(style, 'w:name')) || '';
+    const pPr = find(style, 'w:pPr');
+    const outline = val(find(pPr, 'w:outlineLvl'));
+    const headingMatch = name.match(/^heading\s*(\d)$/i);
+    const level = headingMatch ? parseInt(headingMatch[1], 10)
+      : /^title$/i.test(name) ? 1
+        : outline !== undefined && parseInt(outline, 10) < 9 ? parseInt(outline, 10) + 1 : null;
+    const numPr = find(pPr, 'w:numPr');
+    styles.set(style.attributes['w:styleId'], {
+      level,
+      numId: val(find(numPr, 'w:numId')),
+      ilvl: val(find(numPr, 'w:ilvl'))
+    });
+  }
+  return styles;
+}
+
+/**
+ * numId -> level -> { format, text } from word/numbering.xml
+ */
+function readNumbering(numberingRoot) {
+  const abstract = new Map();
+  for (const definition of all(numberingRoot, 'w:abstractNum')) {
+    const levels = new Map(all(definition, 'w:lvl').map(lvl => [
+      lvl.attributes['w:ilvl'],
+      { format: val(find(lvl, 'w:numFmt')) || 'decimal', text: val(find(lvl, 'w:lvlText')) ?? '' }
+    ]));
+    abstract.set(definition.attributes['w:abstractNumId'], levels);
+  }
+  return new Map(all(numberingRoot, 'w:num').map(num => [
+    num.attributes['w:numId'],
+    abstract.get(val(find(num, 'w:abstractNumId'))) || new Map()
+  ]));
+}
+
+/**
+ * A paragraph's visible text: runs, hyperlinks, insertions and content controls, but
+ * not deleted text or field instructions
+ */
+function paragraphText(element) {
+  let text = '';
+  for (const child of element.children || []) {
+    switch (child.name) {
+      case 'w:t':
+        text += child.text;
+        break;
+      case 'w:tab':
+        text += ' ';
+        break;
+      case 'w:br':
+      case 'w:cr':
+        text += '\n';
+        break;
+      case 'w:del':
+      case 'w:instrText':
+      case 'w:pPr':
+      case 'w:rPr':
+        break;
+      default:
+        text += paragraphText(child);
+    }
+  }
+  return text;
+}
+
+/**
+ * Word's list counters: one per list and level, deeper levels restarting when a
+ * shallower item appears
+ */
+function createCounters(numbering) {
+  const counters = new Map();
+  return (numId, ilvl) => {
+    const levels = numbering.get(numId);
+    if (!levels || numId === '0') return null;
+    const level = parseInt(ilvl || '0', 10);
+    const counts = counters.get(numId) || [];
+    counts[level] = (counts[level] || 0) + 1;
+    counts.length = level + 1;
+    counters.set(numId, counts);
+
+    const definition = levels.get(String(level)) || { format: 'decimal', text: `%${level + 1}.` };
+    const label = definition.text.replace(/%(\d)/g, (match, n) => String(counts[parseInt(n, 10) - 1] || 1));
+    return { level, ordered: definition.format !== 'bullet' && definition.format !== 'none', count: counts[level], label };
+  };
+}
+
+/**
+ * Parse a .docx buffer
+ * @returns {Promise<{ text: string, metadata: { paragraphs, headings, listItems, tables } }>}
+ *   text is Markdown
+ * @throws {Error} when the buffer is not a Word document
+ */
+export async function parseDocx(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const document = await readPart(zip, 'word/document.xml');
+  if (!document) throw new Error('word/document.xml is missing - not a Word document');
+
+  const styles = readStyles(await readPart(zip, 'word/styles.xml'));
+  const numbering = readNumbering(await readPart(zip, 'word/numbering.xml'));
+  const count = createCounters(numbering);
+  const metadata = { paragraphs: 0, headings: 0, listItems: 0, tables: 0 };
+
+  const paragraph = p => {
+    const pPr = find(p, 'w:pPr');
+    const style = styles.get(val(find(pPr, 'w:pStyle'))) || {};
+    const numPr = find(pPr, 'w:numPr');
+    const numId = val(find(numPr, 'w:numId')) ?? style.numId;
+    const ilvl = val(find(numPr, 'w:ilvl')) ?? style.ilvl;
+    const outline = val(find(pPr, 'w:outlineLvl'));
+    const level = outline !== undefined && parseInt(outline, 10) < 9 ? parseInt(outline, 10) + 1 : style.level;
+    const text = paragraphText(p).replace(/[ \t]+/g, ' ').trim();
+    if (!text) return null;
+
+    const number = numId ? count(numId, ilvl) : null;
+    if (level) {
+      metadata.headings++;
+      // Numbered headings keep their number ("3.2 Access Control") as part of the section name
+      return markdownHeading(level, number?.ordered ? `${number.label} ${text}` : text);
+    }
+    if (number) {
+      metadata.listItems++;
+      const indent = '   '.repeat(number.level);
+      return `${indent}${number.ordered ? `${number.count}.` : '-'} ${text.replace(/\n/g, ' ')}`;
+    }
+    metadata.paragraphs++;
+    return text;
+  };
+
+  const cellText = tc => blocks(tc).map(line => line.replace(/^\s*(#+|-|\d+\.)\s+/, '')).join('\n');
+
+  const table = tbl => {
+    metadata.tables++;
+    const rows = all(tbl, 'w:tr').map(tr => all(tr, 'w:tc').map(cellText));
+    return markdownTable(rows.filter(row => row.some(Boolean)));
+  };
+
+  // Body-level blocks in order; content controls and custom XML wrap their blocks
+  function blocks(container) {
+    const lines = [];
+    for (const child of container.children || []) {
+      if (child.name === 'w:p') {
+        const line = paragraph(child);
+        if (line) lines.push(line);
+      } else if (child.name === 'w:tbl') {
+        lines.push('', table(child), '');
+      } else if (['w:sdt', 'w:sdtContent', 'w:customXml', 'w:ins', 'w:smartTag'].includes(child.name)) {
+        lines.push(...blocks(child));
+      }
+    }
+    return lines;
+  }
+
+  // Headings and tables stand apart so Markdown readers see them as blocks
+  const text = blocks(find(document, 'w:body'))
+    .flatMap(line => (line.startsWith('#') ? ['', line, ''] : [line]))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return { text, metadata };
+}
@@ -0,0 +1,133 @@
+// services/documents/htmlParser.js - HTML pages to structured Markdown
+//
+// <h1>-<h6> become "#" headings, nested <ul>/<ol> become indented list items and
+// <table> becomes a pipe table. Scripts, styles, navigation and page chrome are dropped.
+
+import { decodeEntities } from '../importers/storyText.js';
+import { markdownHeading, markdownTable } from './markdown.js';
+
+const SKIPPED = /^(script|style|noscript|template|nav|header|footer|svg|head|button|select|iframe)$/i;
+const BLOCKS = /^(p|div|section|article|main|aside|blockquote|pre|dl|dt|dd|figure|figcaption|form|fieldset|address|hr|br)$/i;
+const VOID = /^(br|hr|img|input|meta|link|col|area|base|source|wbr)$/i;
+
+/**
+ * @param {string} html
+ * @returns {{ text: string, metadata: { headings, listItems, tables } }} text is Markdown
+ */
+export function parseHtml(html) {
+  const source = String(html ?? '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/<!DOCTYPE[^>]*>/gi, '');
+  const out = [];
+  const metadata = { headings: 0, listItems: 0, tables: 0 };
+
+  let line = '';
+  let prefix = ''; // list marker and indent of the current line
+  let heading = null; // level while inside <hN>
+  const lists = []; // { ordered, count }
+  let table = null; // { rows, row, cell, depth } while inside <table>
+  let skipping = null; // tag name whose content is dropped
+  let skipDepth = 0;
+
+  const flush = () => {
+    const text = line.replace(/\s+/g, ' ').trim();
+    line = '';
+    // An item's marker waits for its text, which may come in a <p> inside the <li>
+    if (!text) return;
+    const marker = prefix;
+    prefix = '';
+    if (heading) {
+      metadata.headings++;
+      out.push('', markdownHeading(heading, text), '');
+    } else {
+      out.push(`${marker}${text}`);
+    }
+  };
+
+  const write = text => {
+    if (table?.cell !== null && table?.cell !== undefined) {
+      table.cell += text;
+    } else {
+      line += text;
+    }
+  };
+
+  for (const [, closing, rawName, attributes, text] of source.matchAll(/<(\/?)([a-zA-Z][\w:-]*)([^>]*)>|([^<]+)/g)) {
+    if (text !== undefined) {
+      if (!skipping) write(decodeEntities(text));
+      continue;
+    }
+
+    const name = rawName.toLowerCase();
+    if (skipping) {
+      if (name === skipping) skipDepth += closing ? -1 : (attributes.trim().endsWith('/') ? 0 : 1);
+      if (skipDepth === 0) skipping = null;
+      continue;
+    }
+    if (!closing && SKIPPED.test(name) && !attributes.trim().endsWith('/') && !VOID.test(name)) {
+      skipping = name;
+      skipDepth = 1;
+      continue;
+    }
+
+    if (table && name === 'table') {
+      // A table nested in a cell only adds its text to that cell
+      table.depth += closing ? -1 : 1;
+      if (table.depth > 0) continue;
+    }
+    if (table && name !== 'table') {
+      // Inside a table only rows and cells matter; paragraphs and list items split a cell's lines
+      if (name === 'tr' && !closing) table.row = [];
+      else if (name === 'tr' && closing && table.row) {
+        if (table.row.some(Boolean)) table.rows.push(table.row);
+        table.row = null;
+      } else if ((name === 'td' || name === 'th') && !closing) table.cell = '';
+      else if ((name === 'td' || name === 'th') && closing && table.cell !== null) {
+        (table.row || (table.row = [])).push(table.cell.replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim());
+        table.cell = null;
+      } else if (table.cell !== null && (name === 'li' || name === 'p' || /^h[1-6]$/.test(name))) {
+        table.cell += '\n';
+      } else if (table.cell !== null && name === 'br') {
+        table.cell += ' ';
+      }
+      continue;
+    }
+
+    if (name === 'table') {
+      if (!closing) {
+        flush();
+        table = { rows: [], row: null, cell: null, depth: 1 };
+      } else if (table) {
+        metadata.tables++;
+        out.push('', markdownTable(table.rows), '');
+        table = null;
+      }
+    } else if (/^h[1-6]$/.test(name)) {
+      flush();
+      heading = closing ? null : parseInt(name[1], 10);
+    } else if (name === 'ul' || name === 'ol') {
+      flush();
+      prefix = '';
+      if (closing) lists.pop();
+      else lists.push({ ordered: name === 'ol', count: 0 });
+    } else if (name === 'li') {
+      flush();
+      prefix = '';
+      if (!closing) {
+        const list = lists[lists.length - 1] || { ordered: false, count: 0 };
+        list.count++;
+        metadata.listItems++;
+        prefix = `${'   '.repeat(Math.max(lists.length - 1, 0))}${list.ordered ? `${list.count}.` : '-'} `;
+      }
+    } else if (BLOCKS.test(name)) {
+      flush();
+    } else if (name === 'td' || name === 'th') {
+      write(' ');
+    }
+  }
+  flush();
+
+  const markdown = out.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  return { text: markdown, metadata };
+}
@@ -0,0 +1,75 @@
+// services/documents/index.js - Structure-aware parsing for Word, Excel, CSV, HTML and Markdown uploads
+//
+// Every parser returns Markdown, so extractRequirementsFromText sees one format:
+// headings for section context, list items, and pipe tables for requirement sheets.
+
+import { parseDocx } from './docxParser.js';
+import { parseXlsx, parseCsvSheet } from './spreadsheetParser.js';
+import { parseHtml } from './htmlParser.js';
+import { readHeading } from './markdown.js';
+
+export class DocumentParseError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'DocumentParseError';
+    this.statusCode = statusCode;
+  }
+}
+
+export const STRUCTURED_FORMATS = {
+  '.docx': 'Word document',
+  '.xlsx': 'Excel workbook',
+  '.csv': 'CSV sheet',
+  '.html': 'HTML page',
+  '.htm': 'HTML page',
+  '.md': 'Markdown',
+  '.markdown': 'Markdown'
+};
+
+/**
+ * @param {Buffer} buffer - the uploaded file
+ * @param {string} extension - lower case, with the dot
+ * @param {Object} [options]
+ * @param {Object|null} [options.columnMapping] - resolved by requirementColumns.resolve()
+ * @returns {Promise<{ text: string, label: string, metadata: Object }|null>} null for formats
+ *   without a structured parser (PDF, plain text)
+ * @throws {DocumentParseError} for legacy .doc files and files that do not match their extension
+ */
+export async function parseStructuredDocument(buffer, extension, { columnMapping = null } = {}) {
+  if (extension === '.doc') {
+    throw new DocumentParseError('Legacy Word .doc files cannot be read - save the document as .docx and upload it again');
+  }
+  const label = STRUCTURED_FORMATS[extension];
+  if (!label) return null;
+
+  let parsed;
+  try {
+    switch (extension) {
+      case '.docx':
+        parsed = await parseDocx(buffer);
+        break;
+      case '.xlsx':
+        parsed = await parseXlsx(buffer, { columnMapping });
+        break;
+      case '.csv':
+        parsed = parseCsvSheet(buffer.toString('utf-8'), { columnMapping });
+        break;
+      case '.html':
+      case '.htm':
+        parsed = parseHtml(buffer.toString('utf-8'));
+        break;
+      default: {
+        const text = buffer.toString('utf-8').replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, ''); // front matter
+        parsed = { text, metadata: { headings: text.split('\n').filter(line => readHeading(line.trim())).length } };
+      }
+    }
+  } catch (error) {
+    throw new DocumentParseError(`The file could not be read as a ${label}: ${error.message}`);
+  }
+
+  if (!parsed.text.trim()) {
+    throw new DocumentParseError(`The ${label} has no text`);
+  }
+  console.log(`📑 [Documents] Parsed ${label}: ${parsed.text.length} characters of structured text`);
+  return { text: parsed.text, label, metadata: parsed.metadata };
+}
@@ -0,0 +1,63 @@
+// services/documents/markdown.js - The Markdown subset the document parsers write
+//
+// DOCX, spreadsheet and HTML parsers all emit Markdown: "#" headings for section
+// hierarchy, "- " and "1. " list items, and pipe tables for requirement sheets.
+// extractRequirementsFromText reads the same subset back, with section context.
+
+const ATX_HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+function cellText(value) {
+  return String(value ?? '').replace(/\s*\r?\n\s*/g, '; ').replace(/\s+/g, ' ').replace(/\|/g, '\\|').trim();
+}
+
+export function markdownHeading(level, text) {
+  return `${'#'.repeat(Math.min(Math.max(level, 1), 6))} ${String(text).replace(/\s+/g, ' ').trim()}`;
+}
+
+/**
+ * Rows (the first one the header) as a pipe table; multi-line cells are joined with "; "
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+export function markdownTable(rows) {
+  const width = Math.max(0, ...rows.map(row => row.length));
+  if (rows.length === 0 || width === 0) return '';
+  const line = row => `| ${Array.from({ length: width }, (_, i) => cellText(row[i])).join(' | ')} |`;
+  const [header, ...body] = rows;
+  return [line(header), `|${' --- |'.repeat(width)}`, ...body.map(line)].join('\n');
+}
+
+/**
+ * @returns {{ level: number, text: string }|null}
+ */
+export function readHeading(line) {
+  const match = String(line ?? '').match(ATX_HEADING);
+  return match ? { level: match[1].length, text: match[2].replace(/[*_`]/g, '').trim() } : null;
+}
+
+/**
+ * A setext underline ("===" for level 1, "---" for level 2) below the given line
+ */
+export function setextLevel(line) {
+  if (/^\s*=+\s*$/.test(line)) return 1;
+  if (/^\s*-{2,}\s*$/.test(line)) return 2;
+  return null;
+}
+
+export function isTableRow(line) {
+  return /^\s*\|.*\|\s*$/.test(String(line ?? ''));
+}
+
+export function isTableSeparator(line) {
+  return TABLE_SEPARATOR.test(String(line ?? '')) && String(line).includes('-');
+}
+
+export function tableCells(line) {
+  return String(line)
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.replace(/\\\|/g, '|').trim());
+}
@@ -0,0 +1,118 @@
+// services/documents/requirementColumns.js - Column mapping for requirement tables
+//
+// Sheets and tables name their columns differently ("Req ID", "User Story",
+// "MoSCoW"). Header synonyms come from config/documents/requirement-columns.json
+// (or REQUIREMENT_COLUMNS_FILE); an upload can name its own columns with
+// columnMapping, e.g. { "id": "Ref", "text": "Need", "priority": "Rank" }.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PRIORITIES } from '../schema/testCaseSchema.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_COLUMNS_FILE = path.resolve(__dirname, '../../config/documents/requirement-columns.json');
+
+export const COLUMN_ROLES = ['id', 'text', 'priority', 'section'];
+
+export class ColumnMappingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ColumnMappingError';
+    this.statusCode = statusCode;
+  }
+}
+
+// "Req. ID #" -> "req id #"; keeps "#" so a bare "#" column can be told apart
+function headerKey(name) {
+  return String(name ?? '').toLowerCase().replace(/[^a-z0-9#']+/g, ' ').trim();
+}
+
+class RequirementColumns {
+  constructor(file = process.env.REQUIREMENT_COLUMNS_FILE || DEFAULT_COLUMNS_FILE) {
+    this.file = file;
+    this.config = null;
+  }
+
+  load() {
+    this.config = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    console.log(`🗂️ [Documents] Loaded requirement column mapping v${this.config.version} from ${this.file}`);
+    return this;
+  }
+
+  ensureLoaded() {
+    if (!this.config) this.load();
+    return this;
+  }
+
+  /**
+   * Check an upload's columnMapping (an object, or JSON text from a form field)
+   * @returns {Object|null} role -> header name
+   * @throws {ColumnMappingError}
+   */
+  resolve(columnMapping) {
+    if (columnMapping === undefined || columnMapping === null || columnMapping === '') return null;
+
+    let mapping = columnMapping;
+    if (typeof mapping === 'string') {
+      try {
+        mapping = JSON.parse(mapping);
+      } catch {
+        throw new ColumnMappingError('columnMapping is not valid JSON');
+      }
+    }
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      throw new ColumnMappingError('columnMapping must be an object of column roles to header names');
+    }
+    for (const [role, header] of Object.entries(mapping)) {
+      if (!COLUMN_ROLES.includes(role)) {
+        throw new ColumnMappingError(`columnMapping has unknown role "${role}" (use ${COLUMN_ROLES.join(', ')})`);
+      }
+      if (typeof header !== 'string' || !header.trim()) {
+        throw new ColumnMappingError(`columnMapping.${role} must be a header name`);
+      }
+    }
+    return mapping;
+  }
+
+  /**
+   * Column index per role for a header row; a role the mapping names must be present
+   * @param {string[]} header
+   * @param {Object|null} [mapping] - from resolve()
+   * @returns {Object|null} { id, text, priority, section } indexes (-1 when absent), or
+   *   null when the table has no text column
+   */
+  mapHeader(header, mapping = null) {
+    this.ensureLoaded();
+    const keys = header.map(headerKey);
+    const taken = new Set();
+    const columns = {};
+
+    for (const role of COLUMN_ROLES) {
+      const wanted = mapping?.[role]
+        ? [headerKey(mapping[role])]
+        : this.config.columns[role].map(headerKey);
+      // Earlier synonyms win, so "Requirement" beats "Description" when a sheet has both
+      const index = wanted
+        .map(name => keys.findIndex((key, i) => key === name && !taken.has(i)))
+        .find(i => i !== -1) ?? -1;
+      if (index !== -1) taken.add(index);
+      columns[role] = index;
+    }
+
+    return columns.text === -1 ? null : columns;
+  }
+
+  /**
+   * A sheet's priority value on the test case scale (Critical, High, Medium, Low), or null
+   */
+  normalizePriority(value) {
+    this.ensureLoaded();
+    const key = headerKey(value);
+    if (!key) return null;
+    const exact = PRIORITIES.find(p => (this.config.priorities[p] || []).some(name => headerKey(name) === key));
+    return exact || PRIORITIES.find(p => p.toLowerCase() === key.split(' ')[0]) || null;
+  }
+}
+
+export default new RequirementColumns();
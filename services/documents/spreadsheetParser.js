@@ -0,0 +1,93 @@
+// services/documents/spreadsheetParser.js - XLSX workbooks and CSV sheets to Markdown tables
+//
+// Each visible worksheet becomes a "#" heading (its name, the section of its rows)
+// followed by a pipe table. The header row is the first of the top rows that names
+// a requirement column, so title rows above the table are skipped.
+
+import ExcelJS from 'exceljs';
+import { parseCsv } from '../../utils/csv.js';
+import requirementColumns from './requirementColumns.js';
+import { markdownHeading, markdownTable } from './markdown.js';
+
+// How far down a sheet to look for its header row
+const HEADER_SEARCH_ROWS = 10;
+
+/**
+ * Rows from the header row on, with empty rows and trailing empty columns dropped
+ * @param {string[][]} rows
+ * @param {Object|null} columnMapping
+ */
+function sheetTable(rows, columnMapping) {
+  const filled = rows.filter(row => row.some(cell => String(cell ?? '').trim()));
+  const headerIndex = filled
+    .slice(0, HEADER_SEARCH_ROWS)
+    .findIndex(row => requirementColumns.mapHeader(row.map(cell => String(cell ?? '')), columnMapping));
+  const table = filled.slice(Math.max(headerIndex, 0));
+  const width = Math.max(0, ...table.map(row => {
+    let last = row.length;
+    while (last > 0 && !String(row[last - 1] ?? '').trim()) last--;
+    return last;
+  }));
+  return { rows: table.map(row => row.slice(0, width)), hasRequirementColumns: headerIndex !== -1 };
+}
+
+/**
+ * The text Excel shows for a cell: formula results, rich text and hyperlinks as plain text
+ */
+function cellText(cell) {
+  const { value } = cell;
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return String(value.result);
+    if (value.error) return '';
+  }
+  return String(cell.text ?? value);
+}
+
+/**
+ * @param {Buffer} buffer - an .xlsx file
+ * @param {Object} [options]
+ * @param {Object|null} [options.columnMapping]
+ * @returns {Promise<{ text: string, metadata: { sheets: Object[] } }>} text is Markdown
+ */
+export async function parseXlsx(buffer, { columnMapping = null } = {}) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sections = [];
+  const sheets = [];
+  workbook.eachSheet(worksheet => {
+    if (worksheet.state && worksheet.state !== 'visible') return;
+
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, row => {
+      const cells = [];
+      row.eachCell({ includeEmpty: true }, (cell, column) => {
+        cells[column - 1] = cellText(cell).trim();
+      });
+      rows.push(Array.from(cells, cell => cell ?? ''));
+    });
+
+    const table = sheetTable(rows, columnMapping);
+    if (table.rows.length === 0) return;
+    sheets.push({ name: worksheet.name, rows: table.rows.length - 1, requirementColumns: table.hasRequirementColumns });
+    sections.push(markdownHeading(1, worksheet.name), '', markdownTable(table.rows), '');
+  });
+
+  return { text: sections.join('\n').trim(), metadata: { sheets } };
+}
+
+/**
+ * @param {string} content - CSV text
+ * @returns {{ text: string, metadata: { sheets: Object[] } }} text is a Markdown table
+ */
+export function parseCsvSheet(content, { columnMapping = null } = {}) {
+  const table = sheetTable(parseCsv(String(content ?? '').replace(/^﻿/, '')), columnMapping);
+  return {
+    text: markdownTable(table.rows),
+    metadata: { sheets: [{ name: 'csv', rows: Math.max(table.rows.length - 1, 0), requirementColumns: table.hasRequirementColumns }] }
+  };
+}
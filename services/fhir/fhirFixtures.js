@@ -0,0 +1,360 @@
+// services/fhir/fhirFixtures.js - Valid and deliberately invalid FHIR R4 transaction Bundles
+//
+// Each Bundle carries a synthetic Patient plus the resource under test, built from
+// the same seeded test data as the rest of the suite. Every invalid case names the
+// OperationOutcome issue a conformant server should return, and each fixture is
+// checked against the bundled structure definitions before it is handed out.
+
+import crypto from 'crypto';
+import fhirValidator from './fhirValidator.js';
+import syntheticData from '../testdata/syntheticData.js';
+
+export const FHIR_VARIANTS = ['valid', 'invalid'];
+
+const SYSTEMS = {
+  mrn: 'https://example.org/fhir/sid/mrn',
+  loinc: 'http://loinc.org',
+  ucum: 'http://unitsofmeasure.org',
+  observationCategory: 'http://terminology.hl7.org/CodeSystem/observation-category',
+  consentScope: 'http://terminology.hl7.org/CodeSystem/consentscope',
+  actCode: 'http://terminology.hl7.org/CodeSystem/v3-ActCode'
+};
+
+const VITAL_SIGNS = [
+  { code: '8867-4', display: 'Heart rate', unit: '/min', ucum: '/min', min: 55, max: 100 },
+  { code: '29463-7', display: 'Body weight', unit: 'kg', ucum: 'kg', min: 45, max: 120 }
+];
+
+/**
+ * Deterministic RFC 4122-shaped UUID, so the same seed gives the same fullUrls
+ */
+function seededUuid(seed) {
+  const hex = crypto.createHash('sha256').update(String(seed)).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-a${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+// ==================== VALID RESOURCES ====================
+// build(ctx, patientRef) returns the resource under test for a seeded context
+
+function patientResource({ patient }) {
+  return {
+    resourceType: 'Patient',
+    identifier: [{ use: 'usual', system: SYSTEMS.mrn, value: patient.mrn }],
+    active: true,
+    name: [{ use: 'official', family: patient.familyName, given: [patient.givenName] }],
+    telecom: [
+      { system: 'phone', value: patient.phone, use: 'home' },
+      { system: 'email', value: patient.email }
+    ],
+    gender: patient.sex,
+    birthDate: patient.birthDate,
+    address: [{
+      use: 'home',
+      line: [patient.address.line],
+      city: patient.address.city,
+      state: patient.address.state,
+      postalCode: patient.address.postalCode,
+      country: 'US'
+    }]
+  };
+}
+
+const RESOURCE_BUILDERS = {
+  Observation: (ctx, subject) => {
+    const vital = ctx.rnd.pick(VITAL_SIGNS);
+    const date = ctx.today.toISOString().slice(0, 10);
+    return {
+      resourceType: 'Observation',
+      status: 'final',
+      category: [{ coding: [{ system: SYSTEMS.observationCategory, code: 'vital-signs', display: 'Vital Signs' }] }],
+      code: { coding: [{ system: SYSTEMS.loinc, code: vital.code, display: vital.display }], text: vital.display },
+      subject,
+      effectiveDateTime: `${date}T09:30:00Z`,
+      valueQuantity: { value: ctx.rnd.int(vital.min, vital.max), unit: vital.unit, system: SYSTEMS.ucum, code: vital.ucum }
+    };
+  },
+
+  MedicationRequest: (ctx, subject) => {
+    const [{ record }] = syntheticData.generate('medication', { context: ctx });
+    return {
+      resourceType: 'MedicationRequest',
+      identifier: [{ use: 'official', value: record.orderId }],
+      status: 'active',
+      intent: 'order',
+      medicationCodeableConcept: { text: `${record.medication} ${record.strength} ${record.form}` },
+      subject,
+      authoredOn: record.startDate,
+      dosageInstruction: [{
+        text: `${record.dose} ${record.doseUnit} ${record.route} ${record.frequency}`,
+        timing: { repeat: { frequency: record.timesPerDay, period: 1, periodUnit: 'd' } },
+        route: { text: record.route },
+        doseAndRate: [{ doseQuantity: { value: record.dose, unit: record.doseUnit, system: SYSTEMS.ucum, code: record.doseUnit } }]
+      }]
+    };
+  },
+
+  Consent: (ctx, patient) => {
+    const date = ctx.today.toISOString().slice(0, 10);
+    return {
+      resourceType: 'Consent',
+      status: 'active',
+      scope: { coding: [{ system: SYSTEMS.consentScope, code: 'patient-privacy', display: 'Privacy Consent' }] },
+      category: [{ coding: [{ system: SYSTEMS.loinc, code: '59284-0', display: 'Patient Consent' }] }],
+      patient,
+      dateTime: `${date}T10:00:00Z`,
+      policyRule: { coding: [{ system: SYSTEMS.actCode, code: 'OPTIN', display: 'opt-in' }] },
+      provision: { type: 'permit', period: { start: date } }
+    };
+  },
+
+  Encounter: (ctx, subject) => {
+    const [{ record }] = syntheticData.generate('encounter', { context: ctx });
+    return {
+      resourceType: 'Encounter',
+      identifier: [{ use: 'official', value: record.encounterId }],
+      status: 'finished',
+      class: { system: SYSTEMS.actCode, code: record.class, display: record.classDisplay },
+      subject,
+      period: { start: `${record.start}T08:00:00Z`, end: `${record.end}T17:00:00Z` }
+    };
+  }
+};
+
+// ==================== INVALID CASES ====================
+// mutate(resource, bundle) breaks a valid Bundle; issue is the OperationOutcome
+// issue a conformant server reports, with the expression relative to the resource
+// under test (or the Bundle itself when it starts with "Bundle")
+
+const COMMON_CASES = [
+  {
+    case: 'unknown-element',
+    description: 'Element not defined for the resource',
+    issue: { code: 'structure', expression: '.colour' },
+    mutate: resource => { resource.colour = 'blue'; }
+  },
+  {
+    case: 'entry-without-request',
+    description: 'Transaction entry with no request (bdl-3)',
+    issue: { code: 'invariant', expression: 'Bundle' },
+    mutate: (resource, bundle) => { delete bundle.entry.at(-1).request; }
+  }
+];
+
+const INVALID_CASES = {
+  Patient: [
+    {
+      case: 'gender-not-in-value-set',
+      description: 'gender "M" instead of a code from administrative-gender',
+      issue: { code: 'code-invalid', expression: '.gender' },
+      mutate: resource => { resource.gender = 'M'; }
+    },
+    {
+      case: 'birthdate-wrong-format',
+      description: 'birthDate as MM/DD/YYYY instead of YYYY-MM-DD',
+      issue: { code: 'value', expression: '.birthDate' },
+      mutate: resource => {
+        const [year, month, day] = resource.birthDate.split('-');
+        resource.birthDate = `${month}/${day}/${year}`;
+      }
+    },
+    {
+      case: 'name-not-array',
+      description: 'name as a single object; it repeats and must be an array',
+      issue: { code: 'structure', expression: '.name' },
+      mutate: resource => { resource.name = resource.name[0]; }
+    }
+  ],
+  Observation: [
+    {
+      case: 'missing-status',
+      description: 'Required status left out',
+      issue: { code: 'required', expression: '.status' },
+      mutate: resource => { delete resource.status; }
+    },
+    {
+      case: 'value-choice-conflict',
+      description: 'Both valueQuantity and valueString; value[x] allows one type',
+      issue: { code: 'structure', expression: '.value' },
+      mutate: resource => { resource.valueString = 'normal'; }
+    },
+    {
+      case: 'effective-without-timezone',
+      description: 'effectiveDateTime with a time but no timezone',
+      issue: { code: 'value', expression: '.effectiveDateTime' },
+      mutate: resource => { resource.effectiveDateTime = resource.effectiveDateTime.replace('Z', ''); }
+    },
+    {
+      case: 'unresolved-subject',
+      description: 'subject points to a urn:uuid that is not in the Bundle',
+      issue: { code: 'not-found', expression: '.subject.reference' },
+      mutate: resource => { resource.subject = { reference: `urn:uuid:${seededUuid('missing-subject')}` }; }
+    }
+  ],
+  MedicationRequest: [
+    {
+      case: 'missing-intent',
+      description: 'Required intent left out',
+      issue: { code: 'required', expression: '.intent' },
+      mutate: resource => { delete resource.intent; }
+    },
+    {
+      case: 'status-not-in-value-set',
+      description: 'status "ordered" instead of a code from medicationrequest-status',
+      issue: { code: 'code-invalid', expression: '.status' },
+      mutate: resource => { resource.status = 'ordered'; }
+    },
+    {
+      case: 'subject-wrong-target',
+      description: 'subject references a Practitioner; only Patient or Group is allowed',
+      issue: { code: 'invalid', expression: '.subject.reference' },
+      mutate: resource => { resource.subject = { reference: 'Practitioner/example' }; }
+    }
+  ],
+  Consent: [
+    {
+      case: 'missing-policy',
+      description: 'Neither policy nor policyRule (ppc-1)',
+      issue: { code: 'invariant', expression: '' },
+      mutate: resource => { delete resource.policyRule; }
+    },
+    {
+      case: 'missing-category',
+      description: 'Required category left out',
+      issue: { code: 'required', expression: '.category' },
+      mutate: resource => { delete resource.category; }
+    },
+    {
+      case: 'provision-type-not-in-value-set',
+      description: 'provision.type "allow" instead of permit or deny',
+      issue: { code: 'code-invalid', expression: '.provision.type' },
+      mutate: resource => { resource.provision.type = 'allow'; }
+    }
+  ],
+  Encounter: [
+    {
+      case: 'missing-class',
+      description: 'Required class left out',
+      issue: { code: 'required', expression: '.class' },
+      mutate: resource => { delete resource.class; }
+    },
+    {
+      case: 'status-not-in-value-set',
+      description: 'status "completed" instead of a code from encounter-status',
+      issue: { code: 'code-invalid', expression: '.status' },
+      mutate: resource => { resource.status = 'completed'; }
+    }
+  ]
+};
+
+export const FHIR_RESOURCES = Object.keys(INVALID_CASES);
+
+class FhirFixtureBuilder {
+  /**
+   * Valid transaction Bundle: the Patient, then the resource under test referencing it
+   */
+  buildBundle(resourceType, { seed = 'medtestai', today } = {}) {
+    const ctx = syntheticData.createContext(`${seed}:fhir:${resourceType}`, today);
+    const patientUrl = `urn:uuid:${seededUuid(`${seed}:${resourceType}:Patient`)}`;
+    const patient = patientResource(ctx);
+
+    const entries = [{
+      fullUrl: patientUrl,
+      resource: patient,
+      request: { method: 'POST', url: 'Patient', ifNoneExist: `identifier=${SYSTEMS.mrn}|${ctx.patient.mrn}` }
+    }];
+
+    if (resourceType !== 'Patient') {
+      entries.push({
+        fullUrl: `urn:uuid:${seededUuid(`${seed}:${resourceType}`)}`,
+        resource: RESOURCE_BUILDERS[resourceType](ctx, { reference: patientUrl, display: `${ctx.patient.givenName} ${ctx.patient.familyName}` }),
+        request: { method: 'POST', url: resourceType }
+      });
+    }
+
+    return {
+      resourceType: 'Bundle',
+      type: 'transaction',
+      timestamp: `${ctx.today.toISOString().slice(0, 10)}T00:00:00Z`,
+      entry: entries
+    };
+  }
+
+  /**
+   * Fixtures for one resource type
+   * @param {string} resourceType - one of FHIR_RESOURCES
+   * @param {Object} [options]
+   * @param {string} [options.variant] - valid or invalid; both when omitted
+   * @param {string} [options.seed] - same seed, same Bundles (on the same day)
+   * @returns {Array<{ id, resourceType, variant, case, description, expected, expectedIssue, bundle }>}
+   */
+  fixturesFor(resourceType, { variant, seed = 'medtestai', today } = {}) {
+    if (!INVALID_CASES[resourceType]) {
+      throw new Error(`Unsupported FHIR resource "${resourceType}"; use one of ${FHIR_RESOURCES.join(', ')}`);
+    }
+    if (variant && !FHIR_VARIANTS.includes(variant)) {
+      throw new Error(`Unknown FHIR fixture variant "${variant}"; use one of ${FHIR_VARIANTS.join(', ')}`);
+    }
+
+    const prefix = resourceType.replace(/[a-z]/g, '');
+    const fixtures = [];
+
+    if (!variant || variant === 'valid') {
+      fixtures.push(this.checked({
+        id: `${prefix}-valid`,
+        resourceType,
+        variant: 'valid',
+        case: 'valid',
+        description: `Transaction Bundle with a conformant ${resourceType}`,
+        expected: 'accept',
+        expectedIssue: null,
+        bundle: this.buildBundle(resourceType, { seed, today })
+      }));
+    }
+
+    if (!variant || variant === 'invalid') {
+      [...INVALID_CASES[resourceType], ...COMMON_CASES].forEach((c, i) => {
+        const bundle = this.buildBundle(resourceType, { seed, today });
+        const entryIndex = bundle.entry.length - 1;
+        c.mutate(bundle.entry[entryIndex].resource, bundle);
+
+        fixtures.push(this.checked({
+          id: `${prefix}-invalid-${String(i + 1).padStart(2, '0')}`,
+          resourceType,
+          variant: 'invalid',
+          case: c.case,
+          description: c.description,
+          expected: 'reject',
+          expectedIssue: {
+            severity: 'error',
+            code: c.issue.code,
+            expression: c.issue.expression.startsWith('Bundle')
+              ? c.issue.expression
+              : `Bundle.entry[${entryIndex}].resource${c.issue.expression}`
+          },
+          bundle
+        }));
+      });
+    }
+
+    return fixtures;
+  }
+
+  /**
+   * A fixture that does not validate the way it claims is a bug in this module, not in the system under test
+   */
+  checked(fixture) {
+    const { valid, outcome } = fhirValidator.validate(fixture.bundle);
+    const matches = fixture.variant === 'valid'
+      ? valid
+      : outcome.issue.some(issue => issue.severity === 'error' &&
+        issue.code === fixture.expectedIssue.code &&
+        issue.expression?.[0] === fixture.expectedIssue.expression);
+
+    if (!matches) {
+      throw new Error(`FHIR fixture ${fixture.id} (${fixture.case}) does not validate as expected: ${outcome.issue.map(i => `${i.code} ${i.expression}`).join('; ')}`);
+    }
+    return fixture;
+  }
+}
+
+export default new FhirFixtureBuilder();
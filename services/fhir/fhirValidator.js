@@ -0,0 +1,262 @@
+// services/fhir/fhirValidator.js - Offline FHIR R4 structure validation
+//
+// Checks resources and Bundles against the structure definitions bundled in
+// config/fhir/r4-structure-definitions.json: unknown elements, cardinality,
+// primitive formats, required bindings, choice types, reference targets and a
+// few invariants. Results come back as an OperationOutcome, like a server's $validate.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DEFINITIONS_FILE = path.resolve(__dirname, '../../config/fhir/r4-structure-definitions.json');
+
+// Regular expressions from the R4 primitive type definitions
+const DATE = '\\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\\d|3[01]))?)?';
+const TIME = '([01]\\d|2[0-3]):[0-5]\\d:([0-5]\\d|60)(\\.\\d+)?';
+const ZONE = '(Z|[+-]((0\\d|1[0-3]):[0-5]\\d|14:00))';
+const PRIMITIVES = {
+  string: v => typeof v === 'string' && v.trim().length > 0,
+  markdown: v => typeof v === 'string' && v.trim().length > 0,
+  code: v => typeof v === 'string' && /^[^\s]+(\s[^\s]+)*$/.test(v),
+  id: v => typeof v === 'string' && /^[A-Za-z0-9\-.]{1,64}$/.test(v),
+  uri: v => typeof v === 'string' && /^\S+$/.test(v),
+  canonical: v => typeof v === 'string' && /^\S+$/.test(v),
+  boolean: v => typeof v === 'boolean',
+  integer: v => Number.isInteger(v),
+  positiveInt: v => Number.isInteger(v) && v > 0,
+  unsignedInt: v => Number.isInteger(v) && v >= 0,
+  decimal: v => typeof v === 'number' && Number.isFinite(v),
+  date: v => typeof v === 'string' && new RegExp(`^${DATE}$`).test(v),
+  dateTime: v => typeof v === 'string' && new RegExp(`^${DATE}(T${TIME}${ZONE})?$`).test(v),
+  instant: v => typeof v === 'string' && new RegExp(`^\\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\\d|3[01])T${TIME}${ZONE}$`).test(v),
+  time: v => typeof v === 'string' && new RegExp(`^${TIME}$`).test(v)
+};
+
+const capitalize = s => s.charAt(0).toUpperCase() + s.slice(1);
+
+/**
+ * Checks for the invariants the definitions file names, keyed like the spec
+ */
+const INVARIANTS = {
+  'obs-6': resource => !(resource.dataAbsentReason && Object.keys(resource).some(k => k.startsWith('value'))),
+  'ppc-1': resource => Boolean(resource.policy?.length || resource.policyRule),
+  'bdl-3': bundle => (bundle.entry || []).every(entry => (['batch', 'transaction', 'history'].includes(bundle.type)
+    ? Boolean(entry.request)
+    : !entry.request)),
+  'bdl-4': bundle => (bundle.entry || []).every(entry => (['batch-response', 'transaction-response', 'history'].includes(bundle.type)
+    ? Boolean(entry.response)
+    : !entry.response)),
+  'bdl-7': bundle => {
+    const urls = (bundle.entry || []).map(entry => entry.fullUrl).filter(Boolean);
+    return new Set(urls).size === urls.length;
+  }
+};
+
+class FhirValidator {
+  constructor(file = process.env.FHIR_DEFINITIONS_FILE || DEFAULT_DEFINITIONS_FILE) {
+    this.file = file;
+    this.definitions = null;
+  }
+
+  load() {
+    this.definitions = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    const resourceTypes = Object.keys(this.definitions.resources);
+    console.log(`🔥 [FHIR] Loaded R${this.definitions.fhirVersion} definitions for ${resourceTypes.join(', ')} from ${this.file}`);
+    return this;
+  }
+
+  ensureLoaded() {
+    if (!this.definitions) this.load();
+    return this;
+  }
+
+  get fhirVersion() {
+    return this.ensureLoaded().definitions.fhirVersion;
+  }
+
+  get resourceTypes() {
+    return Object.keys(this.ensureLoaded().definitions.resources);
+  }
+
+  /**
+   * Validate a resource or a Bundle
+   * @returns {{ valid: boolean, outcome: Object }} outcome is an OperationOutcome resource
+   */
+  validate(resource) {
+    this.ensureLoaded();
+    const issues = [];
+    const ctx = {
+      issues,
+      bundleEntries: null,
+      report: (code, expression, diagnostics, severity = 'error') => issues.push({ severity, code, diagnostics, expression: [expression] })
+    };
+
+    this.validateResource(resource, resource?.resourceType || 'Resource', ctx);
+
+    if (issues.length === 0) {
+      issues.push({ severity: 'information', code: 'informational', diagnostics: 'No issues found' });
+    }
+    return {
+      valid: !issues.some(issue => issue.severity === 'error'),
+      outcome: { resourceType: 'OperationOutcome', issue: issues }
+    };
+  }
+
+  validateResource(resource, expression, ctx) {
+    if (!resource || typeof resource !== 'object' || Array.isArray(resource)) {
+      return ctx.report('structure', expression, 'A resource must be a JSON object');
+    }
+
+    const definition = this.definitions.resources[resource.resourceType];
+    if (!definition) {
+      return ctx.report('not-supported', expression, `Unknown or unsupported resourceType "${resource.resourceType}"; supported: ${this.resourceTypes.join(', ')}`);
+    }
+
+    // A Bundle's urn:uuid references resolve against its own entries
+    if (resource.resourceType === 'Bundle' && !ctx.bundleEntries) {
+      ctx.bundleEntries = new Map((Array.isArray(resource.entry) ? resource.entry : [])
+        .filter(entry => entry?.fullUrl)
+        .map(entry => [entry.fullUrl, entry.resource?.resourceType]));
+    }
+
+    const { resourceType, ...content } = resource;
+    this.validateElements(content, { ...this.definitions.resourceElements, ...definition.elements }, expression, ctx);
+
+    for (const key of definition.invariants || []) {
+      if (!INVARIANTS[key](resource)) {
+        ctx.report('invariant', expression, `${key}: ${this.definitions.invariants[key]}`);
+      }
+    }
+  }
+
+  /**
+   * Match an object's keys to element definitions, then check cardinality and values
+   */
+  validateElements(object, elements, expression, ctx) {
+    const present = new Map(); // element name -> [{ key, value, type }]
+
+    for (const [key, value] of Object.entries(object)) {
+      // _birthDate and friends carry extensions for a primitive sibling
+      if (key.startsWith('_') && (elements[key.slice(1)] || this.choiceFor(elements, key.slice(1)))) continue;
+
+      const match = elements[key] ? { name: key, type: elements[key].type } : this.choiceFor(elements, key);
+      if (!match) {
+        ctx.report('structure', `${expression}.${key}`, `Unknown element "${key}"`);
+        continue;
+      }
+      if (!present.has(match.name)) present.set(match.name, []);
+      present.get(match.name).push({ key, value, type: match.type });
+    }
+
+    for (const [name, element] of Object.entries(elements)) {
+      const values = present.get(name) || [];
+      const label = `${expression}.${name.replace('[x]', '')}`;
+
+      if (values.length === 0) {
+        if ((element.min || 0) > 0) ctx.report('required', label, `Missing required element "${name}" (min ${element.min})`);
+        continue;
+      }
+      if (values.length > 1) {
+        ctx.report('structure', label, `Only one type may be used for "${name}"; found ${values.map(v => v.key).join(', ')}`);
+        continue;
+      }
+
+      const [{ key, value, type }] = values;
+      const path = `${expression}.${key}`;
+      const repeating = element.max === '*';
+
+      if (repeating && !Array.isArray(value)) {
+        ctx.report('structure', path, `"${key}" repeats (max *) and must be an array`);
+        continue;
+      }
+      if (!repeating && Array.isArray(value)) {
+        ctx.report('structure', path, `"${key}" has max 1 and must not be an array`);
+        continue;
+      }
+      if (repeating && value.length === 0) {
+        ctx.report('structure', path, 'Arrays must not be empty; leave the element out instead');
+        continue;
+      }
+      if (repeating && value.length < (element.min || 0)) {
+        ctx.report('required', path, `"${key}" needs at least ${element.min} item(s)`);
+      }
+
+      (repeating ? value : [value]).forEach((item, i) => {
+        this.validateValue(item, type, element, repeating ? `${path}[${i}]` : path, ctx);
+      });
+    }
+  }
+
+  /**
+   * valueQuantity -> { name: 'value[x]', type: 'Quantity' } when value[x] allows Quantity
+   */
+  choiceFor(elements, key) {
+    for (const [name, element] of Object.entries(elements)) {
+      if (!name.endsWith('[x]')) continue;
+      const prefix = name.slice(0, -3);
+      if (!key.startsWith(prefix)) continue;
+      const type = [].concat(element.type).find(t => capitalize(t) === key.slice(prefix.length));
+      if (type) return { name, type };
+    }
+    return null;
+  }
+
+  validateValue(value, type, element, expression, ctx) {
+    if (PRIMITIVES[type]) {
+      if (!PRIMITIVES[type](value)) {
+        return ctx.report('value', expression, `${JSON.stringify(value)} is not a valid FHIR ${type}`);
+      }
+      const allowed = element.binding && this.definitions.valueSets[element.binding];
+      if (allowed && !allowed.includes(value)) {
+        ctx.report('code-invalid', expression, `"${value}" is not in the required value set ${element.binding} (${allowed.join(', ')})`);
+      }
+      return;
+    }
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return ctx.report('structure', expression, `Expected a ${type} object`);
+    }
+
+    if (type === 'Resource') return this.validateResource(value, expression, ctx);
+    if (type === 'BackboneElement') {
+      return this.validateElements(value, { id: { type: 'string' }, extension: { max: '*', type: 'Extension' }, ...element.elements }, expression, ctx);
+    }
+
+    const datatype = this.definitions.types[type];
+    if (!datatype) {
+      return ctx.report('not-supported', expression, `No definition for type ${type}`, 'warning');
+    }
+    this.validateElements(value, { id: { type: 'string' }, extension: { max: '*', type: 'Extension' }, ...datatype }, expression, ctx);
+
+    if (type === 'Reference' && element.targets) {
+      this.checkReferenceTarget(value, element.targets, expression, ctx);
+    }
+  }
+
+  /**
+   * The referenced resource type must be one the element allows; urn:uuid references must resolve in the Bundle
+   */
+  checkReferenceTarget(reference, targets, expression, ctx) {
+    const ref = reference.reference;
+    if (typeof ref !== 'string' || ref.startsWith('#')) return;
+
+    let targetType = null;
+    if (ref.startsWith('urn:uuid:') || ref.startsWith('urn:oid:')) {
+      if (!ctx.bundleEntries?.has(ref)) {
+        return ctx.report('not-found', `${expression}.reference`, `${ref} does not resolve to an entry in the Bundle`);
+      }
+      targetType = ctx.bundleEntries.get(ref);
+    } else {
+      targetType = ref.match(/(?:^|\/)([A-Z][A-Za-z]+)\/[A-Za-z0-9\-.]{1,64}(?:\/_history\/[A-Za-z0-9\-.]{1,64})?$/)?.[1] || null;
+    }
+
+    targetType = targetType || reference.type || null;
+    if (targetType && !targets.includes(targetType)) {
+      ctx.report('invalid', `${expression}.reference`, `Reference to ${targetType} is not allowed here; expected ${targets.join(' | ')}`);
+    }
+  }
+}
+
+export default new FhirValidator();
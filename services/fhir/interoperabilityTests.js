@@ -0,0 +1,171 @@
+// services/fhir/interoperabilityTests.js - FHIR R4 interoperability tests for requirements that name FHIR resources
+
+import fhirFixtures, { FHIR_RESOURCES } from './fhirFixtures.js';
+import fhirValidator from './fhirValidator.js';
+
+export const FHIR_TAG = 'fhir-r4';
+
+const FHIR_MENTION = /\b(FHIR|HL7\s*R4)\b/i;
+
+// Resource names are matched case-sensitively: "Patient" is the resource, "patient" is prose
+const RESOURCE_PATTERNS = Object.fromEntries(FHIR_RESOURCES.map(resource => [resource, new RegExp(`\\b${resource}s?\\b`)]));
+
+/**
+ * FHIR resources each requirement mentions; a requirement that mentions FHIR
+ * without naming a resource is about the Patient resource
+ * @returns {Map<string, string[]>} resource -> requirement IDs
+ */
+export function detectFhirResources(requirements) {
+  const resources = new Map();
+
+  for (const requirement of requirements) {
+    if (!FHIR_MENTION.test(requirement.text)) continue;
+    const named = FHIR_RESOURCES.filter(resource => RESOURCE_PATTERNS[resource].test(requirement.text));
+
+    for (const resource of named.length > 0 ? named : ['Patient']) {
+      if (!resources.has(resource)) resources.set(resource, []);
+      resources.get(resource).push(requirement.id);
+    }
+  }
+  return resources;
+}
+
+// The resource a generated FHIR test is for, from its fhir:<resource>:<variant> tag
+function resourceOf(testCase) {
+  return (testCase.tags || []).map(tag => tag.match(/^fhir:([^:]+):/)?.[1]).find(Boolean);
+}
+
+function positiveTest(resource, requirementIds, fixtures) {
+  return {
+    testName: `FHIR R4 ${resource} transaction Bundle is accepted and persisted`,
+    category: 'integration',
+    priority: 'High',
+    description: `POST a conformant FHIR R4 transaction Bundle containing a ${resource} and verify the server accepts it, assigns IDs and returns the ${resource} unchanged on read.`,
+    preconditions: [
+      'FHIR R4 endpoint is reachable with an authorized client',
+      'Bundle fixtures attached to this test are loaded (fhirBundles)'
+    ],
+    testSteps: [
+      { step: 1, action: `POST the ${fixtures[0].id} Bundle to the FHIR base URL`, expectedResult: 'HTTP 200 with a transaction-response Bundle' },
+      { step: 2, action: 'Check each response entry', expectedResult: 'Every entry has status 201 Created and a location with a server-assigned ID' },
+      { step: 3, action: `GET the ${resource} from its location`, expectedResult: `The ${resource} matches the submitted one, with urn:uuid references rewritten to the new Patient ID` }
+    ],
+    expectedResults: `The ${resource} is stored and retrievable as valid FHIR R4`,
+    complianceRequirements: [],
+    riskLevel: 'High',
+    testingTechnique: 'FHIR R4 conformance',
+    automationFeasibility: 'High',
+    requirementIds,
+    tags: [FHIR_TAG, 'interoperability', `fhir:${resource}:valid`],
+    testType: 'positive',
+    fhirBundles: fixtures
+  };
+}
+
+function negativeTest(resource, requirementIds, fixtures) {
+  return {
+    testName: `FHIR R4 ${resource} Bundles that break the specification are rejected`,
+    category: 'integration',
+    priority: 'High',
+    description: `POST each deliberately invalid ${resource} Bundle and verify the server rejects it with an OperationOutcome naming the problem, and stores nothing.`,
+    preconditions: [
+      'FHIR R4 endpoint is reachable with an authorized client',
+      'Bundle fixtures attached to this test are loaded (fhirBundles)'
+    ],
+    testSteps: [
+      { step: 1, action: 'POST each invalid Bundle to the FHIR base URL', expectedResult: 'HTTP 400 or 422 for every Bundle' },
+      { step: 2, action: 'Inspect the OperationOutcome in each response', expectedResult: "An error issue whose code and expression match the fixture's expectedIssue" },
+      { step: 3, action: `Search for the ${resource} and Patient from the rejected Bundles`, expectedResult: 'Nothing was created: the transaction was rolled back as a whole' }
+    ],
+    expectedResults: `Every invalid ${resource} Bundle is rejected with a matching OperationOutcome and no partial writes`,
+    complianceRequirements: [],
+    riskLevel: 'High',
+    testingTechnique: 'FHIR R4 conformance',
+    automationFeasibility: 'High',
+    requirementIds,
+    tags: [FHIR_TAG, 'interoperability', `fhir:${resource}:invalid`],
+    testType: 'negative',
+    fhirBundles: fixtures
+  };
+}
+
+/**
+ * One positive and one negative test per FHIR resource the requirements mention.
+ * Tests kept from a previous version (same tags) are not added twice.
+ * @returns {{ tests: Object[], fhirVersion: string, resources: Object<string, string[]>, bundles: number }}
+ */
+export function buildInteroperabilityTests(requirements, { existingTests = [], today } = {}) {
+  const resources = detectFhirResources(requirements);
+  const existingTags = new Set(existingTests.map(tc => (tc.tags || []).join('|')));
+  const tests = [];
+
+  for (const [resource, requirementIds] of resources) {
+    const seed = `${resource}|${requirementIds.join(',')}`;
+    const valid = fhirFixtures.fixturesFor(resource, { variant: 'valid', seed, today });
+    const invalid = fhirFixtures.fixturesFor(resource, { variant: 'invalid', seed, today });
+
+    tests.push(positiveTest(resource, requirementIds, valid), negativeTest(resource, requirementIds, invalid));
+  }
+
+  const added = tests.filter(tc => !existingTags.has(tc.tags.join('|')));
+  if (resources.size > 0) {
+    console.log(`🔥 [FHIR] Resources in requirements: ${[...resources.keys()].join(', ')} → ${added.length} interoperability test(s)`);
+  }
+
+  return {
+    tests: added,
+    fhirVersion: fhirValidator.fhirVersion,
+    resources: Object.fromEntries(resources),
+    bundles: added.reduce((sum, tc) => sum + tc.fhirBundles.length, 0)
+  };
+}
+
+/**
+ * Kept FHIR tests that miss a requirement now naming their resource. They are replaced by
+ * tests built from the whole requirement list, so links to unchanged requirements are kept.
+ */
+export function outdatedInteroperabilityTests(testCases, requirements) {
+  const resources = detectFhirResources(requirements);
+  return testCases.filter(tc => {
+    const resource = resourceOf(tc);
+    return resource && (resources.get(resource) || []).some(id => !(tc.requirementIds || []).includes(id));
+  });
+}
+
+/**
+ * The interoperability metadata of a whole suite, e.g. one merged from kept and new tests.
+ * Same shape as the generator's: resources map each resource to the requirements its tests cover.
+ * @returns {{ fhirVersion: string, resources: Object<string, string[]>, addedTests: number, bundles: number }}
+ */
+export function summarizeInteroperabilityTests(testCases) {
+  const resources = new Map();
+  const tests = testCases.filter(tc => (tc.fhirBundles || []).length > 0);
+  for (const tc of tests) {
+    const resource = resourceOf(tc);
+    if (!resource) continue;
+    resources.set(resource, [...new Set([...(resources.get(resource) || []), ...(tc.requirementIds || [])])]);
+  }
+  return {
+    fhirVersion: fhirValidator.fhirVersion,
+    resources: Object.fromEntries(resources),
+    addedTests: tests.length,
+    bundles: tests.reduce((sum, tc) => sum + tc.fhirBundles.length, 0)
+  };
+}
+
+/**
+ * Every FHIR Bundle in the suite, each tagged with its test case, for export as fixture files
+ * @returns {Array<{ testId, fixtureId, resourceType, variant, case, expected, expectedIssue, bundle }>}
+ */
+export function collectFhirBundles(testCases) {
+  return testCases.flatMap(testCase => (testCase.fhirBundles || []).map(fixture => ({
+    testId: testCase.testId,
+    fixtureId: `${testCase.testId}-${fixture.id}`,
+    resourceType: fixture.resourceType,
+    variant: fixture.variant,
+    case: fixture.case,
+    expected: fixture.expected,
+    expectedIssue: fixture.expectedIssue,
+    bundle: fixture.bundle
+  })));
+}
@@ -1,13 +1,13 @@
-// services/geminiService.js - UPDATED FOR VERTEX AI
-import { VertexAI } from '@google-cloud/vertexai';
+// services/geminiService.js - UPDATED FOR PLUGGABLE LLM PROVIDERS
+import { getLLMProvider } from './llm/index.js';
+import { validateGeneratedTestCases } from './schema/testCaseValidator.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
 class GeminiService {
   constructor() {
-    this.vertex = null;
-    this.model = null;
+    this.llm = null;
     this.isInitialized = false;
   }
 
@@ -17,151 +17,93 @@ class GeminiService {
     }
 
     try {
-      console.log('🤖 [Vertex AI] Initializing Vertex AI service...');
+      console.log('🤖 [LLM] Initializing Gemini service...');
       
-      // Initialize Vertex AI with ADC (Application Default Credentials)
-      this.vertex = new VertexAI({
-        project: process.env.GOOGLE_CLOUD_PROJECT || 'pro-variety-472211-b9',
-        location: 'us-central1'
-      });
-      
-      console.log('✅ [Vertex AI] Project:', process.env.GOOGLE_CLOUD_PROJECT);
-      console.log('✅ [Vertex AI] Location: us-central1');
-      
-      // Use Gemini 2.5 Flash (current stable model)
-      this.model = this.vertex.getGenerativeModel({
-        model: 'gemini-2.5-flash',
-        generationConfig: {
-          temperature: 0.7,
-          topK: 40,
-          topP: 0.95,
-          maxOutputTokens: 8192
-        }
-      });
+      this.llm = await getLLMProvider();
       
       this.isInitialized = true;
-      console.log('✅ [Vertex AI] Gemini service initialized successfully');
-      console.log('✅ [Vertex AI] Using model: gemini-2.5-flash');
+      console.log('✅ [LLM] Gemini service initialized successfully');
+      console.log(`✅ [LLM] Provider: ${this.llm.name}, Model: ${this.llm.model}`);
       return true;
     } catch (error) {
-      console.error('❌ [Vertex AI] Initialization failed:', error.message);
-      console.error('❌ [Vertex AI] Make sure:');
-      console.error('   1. GOOGLE_APPLICATION_CREDENTIALS is set');
-      console.error('   2. Service account has "AI Platform User" role');
-      console.error('   3. Vertex AI API is enabled');
+      console.error('❌ [LLM] Initialization failed:', error.message);
+      console.error('❌ [LLM] Make sure LLM_PROVIDER and its credentials are configured:');
+      console.error('   vertex: GOOGLE_APPLICATION_CREDENTIALS + "AI Platform User" role');
+      console.error('   ai-studio: GEMINI_API_KEY');
+      console.error('   openai: OPENAI_BASE_URL (+ OPENAI_API_KEY)');
       return false;
     }
   }
 
-  /**
-   * CRITICAL: Clean and validate JSON response from Gemini
-   * Handles markdown code blocks, HTML, and other non-JSON content
-   */
-  cleanJsonResponse(text) {
-    if (!text || typeof text !== 'string') {
-      throw new Error('Invalid response: empty or non-string');
-    }
-
-    let cleaned = text.trim();
-    
-    // Remove markdown code blocks (```json ... ```)
-    if (cleaned.startsWith('```json')) {
-      cleaned = cleaned.replace(/^```json\s*\n?/, '').replace(/\n?```\s*$/, '');
-    } else if (cleaned.startsWith('```')) {
-      cleaned = cleaned.replace(/^```\s*\n?/, '').replace(/\n?```\s*$/, '');
-    }
-    
-    // Remove HTML/DOCTYPE if present (error responses)
-    if (cleaned.includes('<!DOCTYPE') || cleaned.includes('<html')) {
-      throw new Error('Received HTML error page instead of JSON');
-    }
-    
-    // Remove any leading/trailing whitespace
-    cleaned = cleaned.trim();
-    
-    // Validate it starts with { or [
-    if (!cleaned.startsWith('{') && !cleaned.startsWith('[')) {
-      console.error('Invalid JSON start:', cleaned.substring(0, 100));
-      throw new Error('Response does not start with valid JSON');
-    }
-    
-    return cleaned;
-  }
-
   /**
    * Generate test cases with robust error handling
    */
   async generateTestCases(requirements, methodology = 'agile', complianceFrameworks = []) {
-    console.log('🤖 [Vertex AI] Starting test case generation');
-    console.log(`📋 [Vertex AI] Requirements: ${requirements.length}`);
-    console.log(`🔧 [Vertex AI] Methodology: ${methodology}`);
-    console.log(`🛡️ [Vertex AI] Compliance: ${complianceFrameworks.join(', ')}`);
+    console.log('🤖 [LLM] Starting test case generation');
+    console.log(`📋 [LLM] Requirements: ${requirements.length}`);
+    console.log(`🔧 [LLM] Methodology: ${methodology}`);
+    console.log(`🛡️ [LLM] Compliance: ${complianceFrameworks.join(', ')}`);
 
     if (!this.isInitialized) {
       await this.initialize();
     }
 
-    if (!this.model) {
-      throw new Error('Vertex AI service not initialized. Check authentication and API enablement.');
+    if (!this.llm) {
+      throw new Error('LLM provider not initialized. Check LLM_PROVIDER and its credentials.');
     }
 
     // Build comprehensive prompt
     const prompt = this.buildPrompt(requirements, methodology, complianceFrameworks);
     
     try {
-      console.log('📤 [Vertex AI] Sending request to Vertex AI...');
+      console.log(`📤 [LLM] Sending request to ${this.llm.name}...`);
       const startTime = Date.now();
       
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const rawText = response.text();
+      const rawText = await this.llm.generateText(prompt, {
+        topK: 40,
+        topP: 0.95
+      });
       
       const duration = Date.now() - startTime;
-      console.log(`✅ [Vertex AI] Response received in ${duration}ms`);
-      console.log(`📊 [Vertex AI] Response length: ${rawText.length} characters`);
+      console.log(`✅ [LLM] Response received in ${duration}ms`);
+      console.log(`📊 [LLM] Response length: ${rawText.length} characters`);
       
-      // CRITICAL: Clean and parse the response
+      // CRITICAL: Parse, repair and validate against the canonical TestCase schema
       try {
-        const cleanedText = this.cleanJsonResponse(rawText);
-        const parsed = JSON.parse(cleanedText);
-        
-        // Validate response structure
-        if (!parsed || typeof parsed !== 'object') {
-          throw new Error('Parsed response is not an object');
-        }
-        
-        if (!parsed.testCases || !Array.isArray(parsed.testCases)) {
-          throw new Error('Response missing testCases array');
-        }
+        const { testCases, envelope, validation } = await validateGeneratedTestCases(rawText, {
+          llm: this.llm,
+          defaults: { complianceRequirements: complianceFrameworks },
+          label: 'LLM'
+        });
         
-        console.log(`✅ [Vertex AI] Successfully parsed ${parsed.testCases.length} test cases`);
+        console.log(`✅ [LLM] Successfully parsed ${testCases.length} test cases`);
         
         return {
           success: true,
-          testCases: parsed.testCases,
-          metadata: parsed.metadata || {},
-          summary: parsed.summary || {}
+          testCases,
+          metadata: { ...envelope.metadata, validation },
+          summary: envelope.summary || {}
         };
         
       } catch (parseError) {
-        console.error('❌ [Vertex AI] JSON parsing failed:', parseError.message);
+        console.error('❌ [LLM] JSON parsing failed:', parseError.message);
         console.error('Raw response (first 500 chars):', rawText.substring(0, 500));
         
-        throw new Error(`Failed to parse Vertex AI response: ${parseError.message}. Please try again.`);
+        throw new Error(`Failed to parse LLM response: ${parseError.message}. Please try again.`);
       }
       
     } catch (error) {
-      console.error('❌ [Vertex AI] Generation failed:', error);
+      console.error('❌ [LLM] Generation failed:', error);
       
       // Provide helpful error messages
       if (error.message?.includes('quota')) {
-        throw new Error('Vertex AI quota exceeded. Please check your project quota limits.');
+        throw new Error(`${this.llm.name} quota exceeded. Please check your quota limits.`);
       } else if (error.message?.includes('permission') || error.message?.includes('PERMISSION_DENIED')) {
         throw new Error('Permission denied. Ensure service account has "AI Platform User" role.');
       } else if (error.message?.includes('API key')) {
-        throw new Error('Vertex AI does not use API keys. Using Application Default Credentials.');
+        throw new Error(`${this.llm.name} rejected the API key. Check GEMINI_API_KEY / OPENAI_API_KEY.`);
       } else {
-        throw new Error(`Vertex AI error: ${error.message}`);
+        throw new Error(`${this.llm.name} error: ${error.message}`);
       }
     }
   }
@@ -1,6 +1,8 @@
 // services/google-sheets.js - COMPLETE ENHANCED VERSION with all features
 import { google } from 'googleapis';
 import dotenv from 'dotenv';
+import { buildTraceabilityMatrix } from './rtm/traceabilityMatrix.js';
+import { rtmToRows, RTM_SHEET_TITLE } from './rtm/rtmExport.js';
 
 dotenv.config();
 
@@ -53,6 +55,11 @@ class GoogleSheetsService {
       // Create summary dashboard
       await this.createSummarySheet(this.sheets, this.spreadsheetId, testCases, config);
       
+      // Requirements traceability matrix (only when requirements were sent)
+      if (Array.isArray(config.requirements) && config.requirements.length > 0) {
+        await this.createTraceabilitySheet(this.sheets, this.spreadsheetId, config.requirements, testCases);
+      }
+      
       // Add charts
       await this.addCharts(this.sheets, this.spreadsheetId, testCases);
       
@@ -225,6 +232,41 @@ class GoogleSheetsService {
     }
   }
 
+  // ==================== CREATE TRACEABILITY MATRIX ====================
+  async createTraceabilitySheet(sheets, spreadsheetId, requirements, testCases) {
+    console.log('📊 [GoogleSheets] Creating traceability matrix sheet...');
+
+    const matrix = buildTraceabilityMatrix(requirements, testCases);
+    const range = `'${RTM_SHEET_TITLE}'`;
+
+    const sheetsList = await sheets.spreadsheets.get({ spreadsheetId });
+    const rtmSheet = sheetsList.data.sheets?.find(s => s.properties.title === RTM_SHEET_TITLE);
+
+    if (rtmSheet) {
+      await sheets.spreadsheets.values.clear({ spreadsheetId, range: `${range}!A:Z` });
+    } else {
+      await sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        requestBody: {
+          requests: [{
+            addSheet: {
+              properties: { title: RTM_SHEET_TITLE, gridProperties: { frozenRowCount: 1 } }
+            }
+          }]
+        }
+      });
+    }
+
+    await sheets.spreadsheets.values.update({
+      spreadsheetId,
+      range: `${range}!A1`,
+      valueInputOption: 'RAW',
+      requestBody: { values: rtmToRows(matrix) }
+    });
+
+    console.log(`✅ [GoogleSheets] Traceability matrix: ${matrix.summary.coveredRequirements}/${matrix.summary.requirements} requirements covered, ${matrix.summary.orphanTests} orphan test(s)`);
+  }
+
   // ==================== CREATE SUMMARY DASHBOARD ====================
   async createSummarySheet(sheets, spreadsheetId, testCases, metadata) {
     console.log('📊 [GoogleSheets] Creating summary dashboard...');
@@ -1,30 +1,394 @@
-// src/services/healthcare/complianceEngine.js
+// services/healthcare/complianceEngine.js - Deterministic baseline compliance tests
+//
+// Rules in config/compliance/baseline-rules.json map requirement triggers
+// (PHI, login, export, e-signature, consent, retention) to mandatory test
+// cases for specific catalog controls. The generator merges them into the
+// model's output so critical compliance tests exist even when the model
+// leaves them out.
+//
+// config/compliance/crosswalk.json adds the multi-framework view: controls
+// that several selected frameworks share (one test satisfies all of them)
+// and obligations that conflict, such as GDPR erasure against retention.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import controlCatalog from '../compliance/controlCatalog.js';
+import { buildComplianceCoverage, COVERAGE_LEVELS } from '../compliance/coverageEngine.js';
+import { normalizeRequirements } from '../schema/requirementSchema.js';
+import { CATEGORIES, TEST_TYPES } from '../schema/testCaseSchema.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_RULES_FILE = path.resolve(__dirname, '../../config/compliance/baseline-rules.json');
+const DEFAULT_CROSSWALK_FILE = path.resolve(__dirname, '../../config/compliance/crosswalk.json');
+
+export const BASELINE_TAG = 'compliance-baseline';
+export const OVERLAP_TAG = 'framework-overlap';
+export const CONFLICT_TAG = 'framework-conflict';
+
+const PRIORITY_BY_SEVERITY = { critical: 'Critical', high: 'High', medium: 'Medium', low: 'Low' };
+const RISK_BY_SEVERITY = { critical: 'High', high: 'High', medium: 'Medium', low: 'Low' };
+const SEVERITY_RANK = ['low', 'medium', 'high', 'critical'];
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whole-word trigger match that tolerates common suffixes ("exports", "exported")
+ */
+function triggerPattern(trigger) {
+  return new RegExp(`(^|[^a-z0-9])${escapeRegExp(trigger.toLowerCase())}(?:s|es|ed|ing)?(?![a-z0-9])`);
+}
+
+function highestSeverity(severities) {
+  return severities.reduce((max, s) => (SEVERITY_RANK.indexOf(s) > SEVERITY_RANK.indexOf(max) ? s : max), 'low');
+}
+
+function parseTemplate(template, ruleId, file, { needsControl = true } = {}) {
+  if ((needsControl && !template?.control) || !template?.testName || !Array.isArray(template.steps) || template.steps.length === 0) {
+    throw new Error(`${file}: "${ruleId}" has a test without ${needsControl ? 'control, ' : ''}testName or steps`);
+  }
+  if (template.category && !CATEGORIES.includes(template.category)) {
+    throw new Error(`${file}: rule "${ruleId}" test "${template.testName}" has unknown category "${template.category}"`);
+  }
+  if (template.testType && !TEST_TYPES.includes(template.testType)) {
+    throw new Error(`${file}: rule "${ruleId}" test "${template.testName}" has unknown testType "${template.testType}"`);
+  }
+
+  return {
+    ...template,
+    category: template.category || 'compliance',
+    testType: template.testType || 'positive',
+    preconditions: template.preconditions || [],
+    steps: template.steps.map(([action, expectedResult = '']) => ({ action, expectedResult }))
+  };
+}
+
+function parseRule(rule, file) {
+  if (!rule?.id || !Array.isArray(rule.triggers) || rule.triggers.length === 0) {
+    throw new Error(`${file}: every rule needs an id and triggers`);
+  }
+
+  return {
+    id: rule.id,
+    name: rule.name || rule.id,
+    triggers: rule.triggers.map(trigger => ({ trigger, pattern: triggerPattern(trigger) })),
+    tests: (rule.tests || []).map(template => parseTemplate(template, rule.id, file))
+  };
+}
+
+function parseCrosswalkEntry(entry, file, kind) {
+  const controls = kind === 'conflict'
+    ? (entry?.sides || []).flatMap(side => side.controls || [])
+    : entry?.controls;
+  if (!entry?.id || !Array.isArray(controls) || controls.length < 2 || !entry.test) {
+    throw new Error(`${file}: every ${kind} needs an id, at least two controls and a test`);
+  }
+  if (kind === 'conflict' && (entry.sides.length !== 2 || !entry.resolution)) {
+    throw new Error(`${file}: conflict "${entry.id}" needs exactly two sides and a resolution`);
+  }
+
+  return {
+    ...entry,
+    name: entry.name || entry.id,
+    test: parseTemplate(entry.test, entry.id, file, { needsControl: false })
+  };
+}
+
+/**
+ * Catalog controls of the selected frameworks, as { framework, id, title, severity }
+ */
+function selectedControls(controlIds, frameworkIds, catalog) {
+  return controlIds
+    .map(id => catalog.findControl(id))
+    .filter(found => found && frameworkIds.includes(found.framework))
+    .map(({ framework, control }) => ({ framework, id: control.id, title: control.title, severity: control.severity }));
+}
 
 class ComplianceEngine {
+  constructor(
+    file = process.env.COMPLIANCE_RULES_FILE || DEFAULT_RULES_FILE,
+    crosswalkFile = process.env.COMPLIANCE_CROSSWALK_FILE || DEFAULT_CROSSWALK_FILE
+  ) {
+    this.file = file;
+    this.crosswalkFile = crosswalkFile;
+    this.rules = null;
+    this.version = null;
+    this.crosswalk = null;
+  }
+
+  /**
+   * Read the rule and crosswalk files. Like the control catalog, a malformed
+   * file fails loudly rather than silently dropping mandatory tests.
+   */
+  load() {
+    const raw = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    const name = path.basename(this.file);
+
+    this.rules = (raw.rules || []).map(rule => parseRule(rule, name));
+    this.version = String(raw.version || '1');
+
+    const rawCrosswalk = JSON.parse(fs.readFileSync(this.crosswalkFile, 'utf8'));
+    const crosswalkName = path.basename(this.crosswalkFile);
+    this.crosswalk = {
+      version: String(rawCrosswalk.version || '1'),
+      overlaps: (rawCrosswalk.overlaps || []).map(entry => parseCrosswalkEntry(entry, crosswalkName, 'overlap')),
+      conflicts: (rawCrosswalk.conflicts || []).map(entry => parseCrosswalkEntry(entry, crosswalkName, 'conflict'))
+    };
+
+    const unknownControls = [
+      ...this.rules.flatMap(rule => rule.tests.map(t => t.control)),
+      ...this.crosswalk.overlaps.flatMap(o => o.controls),
+      ...this.crosswalk.conflicts.flatMap(c => c.sides.flatMap(side => side.controls))
+    ].filter(id => !controlCatalog.findControl(id));
+    if (unknownControls.length > 0) {
+      console.warn(`⚠️  [Compliance] Baseline rules and crosswalk cite controls missing from the catalog: ${[...new Set(unknownControls)].join(', ')}`);
+    }
+
+    const testCount = this.rules.reduce((sum, rule) => sum + rule.tests.length, 0);
+    console.log(`📚 [Compliance] Loaded ${this.rules.length} baseline rules, ${testCount} test templates (v${this.version})`);
+    console.log(`📚 [Compliance] Loaded crosswalk: ${this.crosswalk.overlaps.length} overlaps, ${this.crosswalk.conflicts.length} conflicts (v${this.crosswalk.version})`);
+    return this;
+  }
+
+  ensureLoaded() {
+    if (!this.rules) this.load();
+    return this;
+  }
+
   async initialize() {
+    controlCatalog.ensureLoaded();
+    this.ensureLoaded();
     console.log('✅ Compliance Engine initialized');
     return true;
   }
 
-  applyComplianceRules(requirements, regulations = ['HIPAA']) {
-    const complianceTests = [];
-    
-    regulations.forEach(regulation => {
-      if (regulation === 'HIPAA') {
-        complianceTests.push(
-          { id: 'HIPAA-001', title: 'Verify multi-factor authentication', severity: 'CRITICAL' },
-          { id: 'HIPAA-002', title: 'Verify PHI encryption at rest', severity: 'CRITICAL' },
-          { id: 'HIPAA-003', title: 'Verify audit logging', severity: 'HIGH' }
-        );
+  /**
+   * Rules whose triggers appear in the requirements
+   * @returns {Array<{ rule: Object, requirementIds: string[], triggers: string[] }>}
+   */
+  detectTriggers(requirements) {
+    this.ensureLoaded();
+    const requirementList = normalizeRequirements(requirements);
+
+    return this.rules
+      .map(rule => {
+        const requirementIds = [];
+        const matched = new Set();
+
+        for (const requirement of requirementList) {
+          const text = requirement.text.toLowerCase();
+          const hits = rule.triggers.filter(t => t.pattern.test(text)).map(t => t.trigger);
+          if (hits.length > 0) {
+            requirementIds.push(requirement.id);
+            hits.forEach(hit => matched.add(hit));
+          }
+        }
+
+        return { rule, requirementIds, triggers: [...matched] };
+      })
+      .filter(match => match.requirementIds.length > 0);
+  }
+
+  /**
+   * Mandatory test cases for the triggered rules, limited to the selected frameworks.
+   * Tests come back without IDs; the caller numbers them into its suite.
+   * @param {Array} requirements - strings or { id, text } objects
+   * @param {string[]} regulations - framework IDs, names or aliases
+   * @param {Object} [options.catalog] - control catalog including the project's custom frameworks
+   */
+  synthesizeBaselineTests(requirements, regulations = ['hipaa'], { catalog = controlCatalog } = {}) {
+    const { appliedRegulations, unknownRegulations } = resolveRegulations(regulations, catalog);
+
+    const triggers = this.detectTriggers(requirements);
+    const tests = [];
+    const seen = new Set();
+
+    for (const { rule, requirementIds } of triggers) {
+      for (const template of rule.tests) {
+        const found = catalog.findControl(template.control);
+        const key = `${template.control}|${template.testName}`;
+        if (!found || !appliedRegulations.includes(found.framework) || seen.has(key)) continue;
+        seen.add(key);
+
+        tests.push(this.toTestCase(template, {
+          severity: found.control.severity,
+          controlIds: [found.control.id],
+          requirementIds,
+          tags: [BASELINE_TAG, rule.id]
+        }));
       }
-    });
+    }
+
+    return {
+      tests,
+      triggers: triggers.map(({ rule, requirementIds, triggers: matched }) => ({
+        rule: rule.id,
+        name: rule.name,
+        requirementIds,
+        triggers: matched
+      })),
+      appliedRegulations,
+      unknownRegulations
+    };
+  }
+
+  /**
+   * Where the selected frameworks overlap and where their obligations conflict
+   * @param {string[]} regulations - framework IDs, names or aliases
+   * @returns {{ overlaps: Object[], conflicts: Object[], warnings: string[], tests: Object[] }}
+   *   tests holds one dedicated test per overlap and conflict
+   */
+  analyzeFrameworks(regulations = [], { catalog = controlCatalog } = {}) {
+    this.ensureLoaded();
+    const { appliedRegulations } = resolveRegulations(regulations, catalog);
+
+    const overlaps = [];
+    const conflicts = [];
+    const tests = [];
+
+    for (const overlap of this.crosswalk.overlaps) {
+      const controls = selectedControls(overlap.controls, appliedRegulations, catalog);
+      const frameworks = [...new Set(controls.map(c => c.framework))];
+      if (frameworks.length < 2) continue;
+
+      overlaps.push({
+        id: overlap.id,
+        name: overlap.name,
+        description: overlap.description,
+        frameworks,
+        controls: controls.map(({ severity, ...control }) => control)
+      });
+      tests.push(this.toTestCase(overlap.test, {
+        severity: highestSeverity(controls.map(c => c.severity)),
+        controlIds: controls.map(c => c.id),
+        tags: [OVERLAP_TAG, overlap.id],
+        technique: 'Cross-framework compliance'
+      }));
+    }
+
+    for (const conflict of this.crosswalk.conflicts) {
+      const sides = conflict.sides.map(side => ({
+        label: side.label,
+        controls: selectedControls(side.controls, appliedRegulations, catalog)
+      }));
+      if (sides.some(side => side.controls.length === 0)) continue;
+
+      const controls = sides.flatMap(side => side.controls);
+      conflicts.push({
+        id: conflict.id,
+        name: conflict.name,
+        severity: conflict.severity || 'medium',
+        description: conflict.description,
+        resolution: conflict.resolution,
+        frameworks: [...new Set(controls.map(c => c.framework))],
+        sides: sides.map(side => ({
+          label: side.label,
+          controls: side.controls.map(({ severity, ...control }) => control)
+        }))
+      });
+      tests.push(this.toTestCase(conflict.test, {
+        severity: highestSeverity(controls.map(c => c.severity)),
+        controlIds: controls.map(c => c.id),
+        tags: [CONFLICT_TAG, conflict.id],
+        technique: 'Compliance conflict resolution'
+      }));
+    }
+
+    const warnings = conflicts.map(conflict =>
+      `${conflict.name} (${conflict.sides.map(side => side.controls.map(c => c.id).join(', ')).join(' vs ')}): ${conflict.resolution}`
+    );
+
+    return { overlaps, conflicts, warnings, tests };
+  }
+
+  toTestCase(template, { severity, controlIds, requirementIds = [], tags, technique = 'Compliance baseline' }) {
+    return {
+      testName: template.testName,
+      category: template.category,
+      priority: PRIORITY_BY_SEVERITY[severity],
+      description: template.description,
+      preconditions: template.preconditions,
+      testSteps: template.steps.map((s, i) => ({ step: i + 1, ...s })),
+      expectedResults: template.expectedResults || '',
+      complianceRequirements: controlIds,
+      riskLevel: RISK_BY_SEVERITY[severity],
+      testingTechnique: technique,
+      automationFeasibility: 'Medium',
+      requirementIds,
+      tags,
+      testType: template.testType
+    };
+  }
+
+  /**
+   * Add one test per framework overlap and conflict, then baseline tests for
+   * controls that the model's tests (or the overlap tests) do not already cover strongly
+   * @param {Array} requirements
+   * @param {string[]} regulations
+   * @param {Object} [options]
+   * @param {Object[]} [options.testCases] - the model's tests for these requirements
+   * @param {Object[]} [options.existingTests] - tests kept from a previous version, counted as coverage
+   * @param {Object} [options.catalog]
+   * @returns {{ testCases, baselineTests, analysisTests, skippedControls, analysis, triggers, appliedRegulations, unknownRegulations }}
+   */
+  applyComplianceRules(requirements, regulations = ['hipaa'], { testCases = [], existingTests = [], catalog = controlCatalog } = {}) {
+    const { tests, triggers, appliedRegulations, unknownRegulations } =
+      this.synthesizeBaselineTests(requirements, regulations, { catalog });
+
+    // Overlap and conflict tests kept from a previous version are not added twice
+    const { tests: crosswalkTests, ...analysis } = this.analyzeFrameworks(appliedRegulations, { catalog });
+    const existingTags = new Set(existingTests.map(tc => (tc.tags || []).join('|')));
+    const analysisTests = crosswalkTests.filter(tc => !existingTags.has(tc.tags.join('|')));
+
+    const coverage = tests.length > 0
+      ? buildComplianceCoverage([...existingTests, ...testCases, ...analysisTests], appliedRegulations, { catalog })
+      : { frameworks: [] };
+    const covered = new Set(
+      coverage.frameworks.flatMap(f => f.controls)
+        .filter(c => c.coverage === COVERAGE_LEVELS.STRONG)
+        .map(c => c.id)
+    );
+
+    const baselineTests = tests.filter(tc => !covered.has(tc.complianceRequirements[0]));
+    const skippedControls = [...new Set(
+      tests.filter(tc => covered.has(tc.complianceRequirements[0])).map(tc => tc.complianceRequirements[0])
+    )];
+
+    if (triggers.length > 0) {
+      console.log(`🛡️  [Compliance] Triggers: ${triggers.map(t => t.rule).join(', ')} → ${baselineTests.length} baseline test(s) added, ${skippedControls.length} control(s) already covered`);
+    }
+    if (analysis.overlaps.length > 0 || analysis.conflicts.length > 0) {
+      console.log(`🛡️  [Compliance] ${analysis.overlaps.length} framework overlap(s), ${analysis.conflicts.length} conflict(s) → ${analysisTests.length} dedicated test(s)`);
+    }
 
     return {
-      enhancedRequirements: requirements,
-      complianceTests,
-      appliedRegulations: regulations
+      testCases: [...testCases, ...analysisTests, ...baselineTests],
+      baselineTests,
+      analysisTests,
+      skippedControls,
+      analysis,
+      triggers,
+      appliedRegulations,
+      unknownRegulations
     };
   }
 }
 
+function resolveRegulations(regulations, catalog) {
+  const appliedRegulations = [];
+  const unknownRegulations = [];
+
+  for (const regulation of regulations) {
+    const id = catalog.resolveFrameworkId(regulation);
+    if (!id) {
+      unknownRegulations.push(regulation);
+    } else if (!appliedRegulations.includes(id)) {
+      appliedRegulations.push(id);
+    }
+  }
+  return { appliedRegulations, unknownRegulations };
+}
+
 export default new ComplianceEngine();
@@ -0,0 +1,60 @@
+// services/hl7/hl7Export.js - HL7 v2 sample messages in the JSON and Excel exports
+
+export const HL7_SHEET_TITLE = 'HL7 Messages';
+
+/**
+ * Every sample message in the suite, each tagged with its test case
+ * @returns {Array<{ testId, fixtureId, messageType, variant, case, expected, expectedError, message }>}
+ */
+export function collectHl7Messages(testCases) {
+  return testCases.flatMap(testCase => (testCase.hl7Messages || []).map(fixture => ({
+    testId: testCase.testId,
+    fixtureId: `${testCase.testId}-${fixture.id}`,
+    messageType: fixture.messageType,
+    variant: fixture.variant,
+    case: fixture.case,
+    expected: fixture.expected,
+    expectedError: fixture.expectedError,
+    message: fixture.message
+  })));
+}
+
+/**
+ * Add all sample messages as one worksheet, a segment per line in the Message column
+ * @param {import('exceljs').Workbook} workbook
+ */
+export function addHl7Worksheet(workbook, testCases) {
+  const worksheet = workbook.addWorksheet(HL7_SHEET_TITLE);
+  worksheet.columns = [
+    { header: 'Test ID', key: 'testId', width: 12 },
+    { header: 'Fixture', key: 'fixtureId', width: 22 },
+    { header: 'Message Type', key: 'messageType', width: 14 },
+    { header: 'Variant', key: 'variant', width: 10 },
+    { header: 'Case', key: 'case', width: 28 },
+    { header: 'Expected', key: 'expected', width: 10 },
+    { header: 'Expected Error', key: 'expectedError', width: 30 },
+    { header: 'Message', key: 'message', width: 100 }
+  ];
+
+  worksheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  worksheet.getRow(1).fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FF4472C4' }
+  };
+  worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  for (const fixture of collectHl7Messages(testCases)) {
+    const row = worksheet.addRow({
+      ...fixture,
+      expectedError: fixture.expectedError
+        ? `${fixture.expectedError.code} ${fixture.expectedError.codeName} at ${fixture.expectedError.location}`
+        : '',
+      // Segments end in CR on the wire; line feeds keep them readable in a cell
+      message: fixture.message.trim().replace(/\r/g, '\n')
+    });
+    row.alignment = { vertical: 'top', wrapText: true };
+  }
+
+  return worksheet;
+}
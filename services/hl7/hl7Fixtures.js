@@ -0,0 +1,359 @@
+// services/hl7/hl7Fixtures.js - Valid and deliberately broken HL7 v2 sample messages
+//
+// ADT^A01, ORM^O01 and ORU^R01 messages about a synthetic patient from the same
+// seeded test data as the rest of the suite. Each broken message names the error
+// (HL7 table 0357 code and location) a receiving system should return in its ACK,
+// and every fixture is run through the local parser before it is handed out.
+
+import hl7Parser from './hl7Parser.js';
+import syntheticData from '../testdata/syntheticData.js';
+
+export const HL7_VARIANTS = ['valid', 'invalid'];
+
+const SEGMENT_SEPARATOR = '\r';
+const FACILITY = 'MEDTESTAI';
+
+// Message type -> trigger event and structure of the valid sample
+const SAMPLES = {
+  ADT: { event: 'A01', structure: 'ADT_A01' },
+  ORM: { event: 'O01', structure: 'ORM_O01' },
+  ORU: { event: 'R01', structure: 'ORU_R01' }
+};
+
+const PATIENT_CLASS = { AMB: 'O', IMP: 'I', EMER: 'E' };
+
+const LAB_PANEL = '24323-8^Comprehensive metabolic panel^LN';
+const LAB_RESULTS = [
+  { code: '2345-7^Glucose [Mass/volume] in Serum or Plasma^LN', unit: 'mg/dL', range: '70-99', low: 70, high: 99, spread: 40 },
+  { code: '718-7^Hemoglobin [Mass/volume] in Blood^LN', unit: 'g/dL', range: '12.0-17.5', low: 12, high: 17.5, spread: 3 }
+];
+
+function hl7Date(date) {
+  return date.replace(/-/g, '');
+}
+
+// "Dr. Imogen Castellane" -> ID^Castellane^Imogen^^^Dr (XCN)
+function provider(name, rnd) {
+  const [prefix, given, ...family] = name.replace('.', '').split(' ');
+  return `${rnd.digits(10)}^${family.join(' ')}^${given}^^^${prefix}`;
+}
+
+/**
+ * A segment as a field array; values maps field number to its encoded value
+ */
+function segment(name, values) {
+  const fields = [name];
+  for (const [seq, value] of Object.entries(values)) fields[seq] = value;
+  return Array.from(fields, value => value ?? '');
+}
+
+function serialize(segments) {
+  return segments
+    .map(fields => (fields[0] === 'MSH'
+      ? `MSH${fields[1]}${fields.slice(2).join(fields[1])}`
+      : fields.join('|')))
+    .join(SEGMENT_SEPARATOR) + SEGMENT_SEPARATOR;
+}
+
+// ==================== VALID MESSAGES ====================
+
+function header(type, ctx) {
+  const { event, structure } = SAMPLES[type];
+  return segment('MSH', {
+    1: '|',
+    2: '^~\\&',
+    3: 'MEDTESTAI',
+    4: FACILITY,
+    5: 'RECEIVER',
+    6: 'RECEIVING_FACILITY',
+    7: `${ctx.date}093000`,
+    9: `${type}^${event}^${structure}`,
+    10: `MSG${ctx.rnd.digits(10)}`,
+    11: 'T',
+    12: '2.5.1'
+  });
+}
+
+function pid({ patient }) {
+  return segment('PID', {
+    1: '1',
+    3: `${patient.mrn}^^^${FACILITY}^MR`,
+    5: `${patient.familyName}^${patient.givenName}`,
+    7: hl7Date(patient.birthDate),
+    8: patient.sex === 'female' ? 'F' : 'M',
+    11: `${patient.address.line}^^${patient.address.city}^${patient.address.state}^${patient.address.postalCode}^USA`,
+    13: `${patient.phone}^PRN^PH`
+  });
+}
+
+const MESSAGE_BUILDERS = {
+  ADT: ctx => {
+    const [{ record }] = syntheticData.generate('encounter', { context: ctx });
+    return [
+      header('ADT', ctx),
+      segment('EVN', { 1: 'A01', 2: `${ctx.date}093000` }),
+      pid(ctx),
+      segment('PV1', {
+        1: '1',
+        2: PATIENT_CLASS[record.class],
+        3: `${record.department.replace(/[^A-Za-z]/g, '').slice(0, 6).toUpperCase()}^${ctx.rnd.int(100, 499)}^A^${FACILITY}`,
+        7: provider(record.attendingProvider, ctx.rnd),
+        10: 'MED',
+        19: record.encounterId,
+        44: `${hl7Date(record.start)}080000`
+      })
+    ];
+  },
+
+  ORM: ctx => {
+    const placer = `ORD${ctx.rnd.digits(8)}`;
+    const orderingProvider = provider(ctx.rnd.pick(syntheticData.reference.providers), ctx.rnd);
+    return [
+      header('ORM', ctx),
+      pid(ctx),
+      segment('ORC', { 1: 'NW', 2: `${placer}^${FACILITY}`, 9: `${ctx.date}091500`, 12: orderingProvider }),
+      segment('OBR', { 1: '1', 2: `${placer}^${FACILITY}`, 4: LAB_PANEL, 7: `${ctx.date}091500`, 16: orderingProvider })
+    ];
+  },
+
+  ORU: ctx => {
+    const placer = `ORD${ctx.rnd.digits(8)}`;
+    const results = LAB_RESULTS.map((result, i) => {
+      const value = Number((result.low + ctx.rnd.int(0, result.spread * 10) / 10).toFixed(1));
+      return segment('OBX', {
+        1: String(i + 1),
+        2: 'NM',
+        3: result.code,
+        5: String(value),
+        6: `${result.unit}^${result.unit}^UCUM`,
+        7: result.range,
+        8: value > result.high ? 'H' : 'N',
+        11: 'F',
+        14: `${ctx.date}080000`
+      });
+    });
+
+    return [
+      header('ORU', ctx),
+      pid(ctx),
+      segment('OBR', {
+        1: '1',
+        2: `${placer}^${FACILITY}`,
+        3: `FIL${ctx.rnd.digits(8)}^LAB`,
+        4: LAB_PANEL,
+        7: `${ctx.date}080000`,
+        22: `${ctx.date}093000`,
+        25: 'F'
+      }),
+      ...results
+    ];
+  }
+};
+
+// ==================== INVALID CASES ====================
+// mutate(segments) breaks a valid message; error is what the receiver's ACK should report
+
+const find = (segments, name) => segments.find(fields => fields[0] === name);
+const drop = (segments, name) => segments.splice(segments.findIndex(fields => fields[0] === name), 1);
+const relabel = (segments, messageType) => { find(segments, 'MSH')[9] = messageType; };
+
+const COMMON_CASES = [
+  {
+    case: 'bad-encoding-characters',
+    description: 'MSH-2 repeats the component separator (^~^&)',
+    error: { code: 102, location: 'MSH-2' },
+    mutate: segments => { find(segments, 'MSH')[2] = '^~^&'; }
+  },
+  {
+    case: 'unknown-message-type',
+    description: 'MSH-9 message code that does not exist (XYZ)',
+    error: { code: 200, location: 'MSH-9' },
+    mutate: segments => {
+      const msh = find(segments, 'MSH');
+      msh[9] = msh[9].replace(/^[A-Z]{3}/, 'XYZ');
+    }
+  }
+];
+
+const INVALID_CASES = {
+  ADT: [
+    {
+      case: 'missing-pid-segment',
+      description: 'Required PID segment left out',
+      error: { code: 100, location: 'PID' },
+      mutate: segments => drop(segments, 'PID')
+    },
+    {
+      case: 'missing-patient-identifier',
+      description: 'PID-3 patient identifier list is empty',
+      error: { code: 101, location: 'PID-3' },
+      mutate: segments => { find(segments, 'PID')[3] = ''; }
+    },
+    {
+      case: 'sex-not-in-table',
+      description: 'PID-8 "X" is not in HL7 table 0001',
+      error: { code: 103, location: 'PID-8' },
+      mutate: segments => { find(segments, 'PID')[8] = 'X'; }
+    },
+    {
+      case: 'admit-time-wrong-format',
+      description: 'PV1-44 as MM/DD/YYYY HH:MM instead of YYYYMMDDHHMMSS',
+      error: { code: 102, location: 'PV1-44' },
+      mutate: segments => {
+        const pv1 = find(segments, 'PV1');
+        const [, year, month, day, hour, minute] = pv1[44].match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})/);
+        pv1[44] = `${month}/${day}/${year} ${hour}:${minute}`;
+      }
+    },
+    {
+      case: 'event-not-for-message-type',
+      description: 'MSH-9 pairs ADT with the ORU trigger event R01',
+      error: { code: 201, location: 'MSH-9' },
+      mutate: segments => relabel(segments, 'ADT^R01')
+    },
+    {
+      case: 'wrong-message-type',
+      description: 'ADT content labelled as an ORU^R01 result',
+      error: { code: 100, location: 'OBR' },
+      mutate: segments => relabel(segments, 'ORU^R01^ORU_R01')
+    }
+  ],
+  ORM: [
+    {
+      case: 'missing-orc-segment',
+      description: 'Required ORC segment left out of the order',
+      error: { code: 100, location: 'ORC' },
+      mutate: segments => drop(segments, 'ORC')
+    },
+    {
+      case: 'order-control-not-in-table',
+      description: 'ORC-1 "ZZ" is not in HL7 table 0119',
+      error: { code: 103, location: 'ORC-1' },
+      mutate: segments => { find(segments, 'ORC')[1] = 'ZZ'; }
+    },
+    {
+      case: 'missing-universal-service-id',
+      description: 'OBR-4 ordered test is empty',
+      error: { code: 101, location: 'OBR-4' },
+      mutate: segments => { find(segments, 'OBR')[4] = ''; }
+    },
+    {
+      case: 'wrong-message-type',
+      description: 'Order content labelled as an ADT^A01 admission',
+      error: { code: 100, location: 'EVN' },
+      mutate: segments => relabel(segments, 'ADT^A01^ADT_A01')
+    }
+  ],
+  ORU: [
+    {
+      case: 'missing-obr-segment',
+      description: 'Required OBR segment left out before the results',
+      error: { code: 100, location: 'OBR' },
+      mutate: segments => drop(segments, 'OBR')
+    },
+    {
+      case: 'result-status-not-in-table',
+      description: 'OBX-11 "Z" is not in HL7 table 0085',
+      error: { code: 103, location: 'OBX-11' },
+      mutate: segments => { find(segments, 'OBX')[11] = 'Z'; }
+    },
+    {
+      case: 'numeric-value-not-a-number',
+      description: 'OBX-5 "high" although OBX-2 declares NM',
+      error: { code: 102, location: 'OBX-5' },
+      mutate: segments => { find(segments, 'OBX')[5] = 'high'; }
+    },
+    {
+      case: 'wrong-message-type',
+      description: 'Result content labelled as an ADT^A01 admission',
+      error: { code: 100, location: 'EVN' },
+      mutate: segments => relabel(segments, 'ADT^A01^ADT_A01')
+    }
+  ]
+};
+
+export const HL7_MESSAGE_TYPES = Object.keys(SAMPLES);
+
+class Hl7FixtureBuilder {
+  /**
+   * Valid sample message for a message type, as segment field arrays
+   */
+  buildSegments(messageType, { seed = 'medtestai', today } = {}) {
+    const ctx = syntheticData.createContext(`${seed}:hl7:${messageType}`, today);
+    ctx.date = hl7Date(ctx.today.toISOString().slice(0, 10));
+    return MESSAGE_BUILDERS[messageType](ctx);
+  }
+
+  /**
+   * Fixtures for one message type
+   * @param {string} messageType - one of HL7_MESSAGE_TYPES
+   * @param {Object} [options]
+   * @param {string} [options.variant] - valid or invalid; both when omitted
+   * @param {string} [options.seed] - same seed, same messages (on the same day)
+   * @returns {Array<{ id, messageType, variant, case, description, expected, expectedError, message }>}
+   */
+  fixturesFor(messageType, { variant, seed = 'medtestai', today } = {}) {
+    if (!SAMPLES[messageType]) {
+      throw new Error(`Unsupported HL7 message type "${messageType}"; use one of ${HL7_MESSAGE_TYPES.join(', ')}`);
+    }
+    if (variant && !HL7_VARIANTS.includes(variant)) {
+      throw new Error(`Unknown HL7 fixture variant "${variant}"; use one of ${HL7_VARIANTS.join(', ')}`);
+    }
+
+    hl7Parser.ensureLoaded();
+    const label = `${messageType}^${SAMPLES[messageType].event}`;
+    const fixtures = [];
+
+    if (!variant || variant === 'valid') {
+      fixtures.push(this.checked({
+        id: `${messageType}-valid`,
+        messageType: label,
+        variant: 'valid',
+        case: 'valid',
+        description: `Conformant ${label} message`,
+        expected: 'accept',
+        expectedError: null,
+        message: serialize(this.buildSegments(messageType, { seed, today }))
+      }));
+    }
+
+    if (!variant || variant === 'invalid') {
+      [...INVALID_CASES[messageType], ...COMMON_CASES].forEach((c, i) => {
+        const segments = this.buildSegments(messageType, { seed, today });
+        c.mutate(segments);
+
+        fixtures.push(this.checked({
+          id: `${messageType}-invalid-${String(i + 1).padStart(2, '0')}`,
+          messageType: label,
+          variant: 'invalid',
+          case: c.case,
+          description: c.description,
+          expected: 'reject',
+          expectedError: { ...c.error, codeName: hl7Parser.definitions.errorCodes[c.error.code] },
+          message: serialize(segments)
+        }));
+      });
+    }
+
+    return fixtures;
+  }
+
+  /**
+   * A fixture that does not parse the way it claims is a bug in this module, not in the system under test
+   */
+  checked(fixture) {
+    const { valid, issues } = hl7Parser.validate(fixture.message);
+    const matches = fixture.variant === 'valid'
+      ? valid
+      : issues.some(issue => issue.severity === 'error' &&
+        issue.code === fixture.expectedError.code &&
+        issue.location === fixture.expectedError.location);
+
+    if (!matches) {
+      throw new Error(`HL7 fixture ${fixture.id} (${fixture.case}) does not validate as expected: ${issues.map(i => `${i.code} ${i.location}`).join('; ')}`);
+    }
+    return fixture;
+  }
+}
+
+export default new Hl7FixtureBuilder();
@@ -0,0 +1,302 @@
+// services/hl7/hl7Parser.js - Local HL7 v2 parser and validator
+//
+// Parses pipe-delimited messages with the encoding characters declared in MSH-2
+// and checks them against config/hl7/v2.5.1-definitions.json: message type and
+// event, segment order and cardinality, required fields, lengths, data types and
+// table values. Issues carry the HL7 error code (table 0357) an ACK's ERR segment would.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DEFINITIONS_FILE = path.resolve(__dirname, '../../config/hl7/v2.5.1-definitions.json');
+
+const SEGMENT_ID = /^[A-Z][A-Z0-9]{2}$/;
+
+export class Hl7ParseError extends Error {
+  constructor(message, code, location) {
+    super(message);
+    this.name = 'Hl7ParseError';
+    this.code = code;
+    this.location = location;
+  }
+}
+
+// YYYY[MM[DD[HH[MM[SS[.S[S[S[S]]]]]]]]][+/-ZZZZ]
+function isDateTime(value) {
+  const match = value.match(/^(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2}(?:\.\d{1,4})?)?([+-]\d{4})?$/);
+  if (!match) return false;
+  const [, , month, day, hour, minute, second] = match;
+  return (!month || (month >= '01' && month <= '12')) &&
+    (!day || (day >= '01' && day <= '31')) &&
+    (!hour || hour <= '23') &&
+    (!minute || minute <= '59') &&
+    (!second || parseFloat(second) < 60);
+}
+
+// Checks on a field's first component, by data type; composites not listed are not checked
+const DATA_TYPES = {
+  TS: value => isDateTime(value),
+  DTM: value => isDateTime(value),
+  DT: value => /^\d{4}(\d{2}(\d{2})?)?$/.test(value) && isDateTime(value),
+  NM: value => /^[+-]?(\d+(\.\d*)?|\.\d+)$/.test(value),
+  SI: value => /^\d{1,4}$/.test(value),
+  CX: value => value.length > 0,
+  CE: (value, components) => components.slice(0, 2).some(Boolean)
+};
+
+class Hl7Parser {
+  constructor(file = process.env.HL7_DEFINITIONS_FILE || DEFAULT_DEFINITIONS_FILE) {
+    this.file = file;
+    this.definitions = null;
+  }
+
+  load() {
+    this.definitions = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    const messages = Object.keys(this.definitions.messages);
+    console.log(`📨 [HL7] Loaded v${this.definitions.version} definitions for ${messages.join(', ')} from ${this.file}`);
+    return this;
+  }
+
+  ensureLoaded() {
+    if (!this.definitions) this.load();
+    return this;
+  }
+
+  get version() {
+    return this.ensureLoaded().definitions.version;
+  }
+
+  get messageTypes() {
+    return Object.keys(this.ensureLoaded().definitions.messages);
+  }
+
+  /**
+   * Split a message into segments and fields. Segments may end in CR, LF or CRLF.
+   * fields[n] is field n (MSH-1 is the field separator itself, as in the standard).
+   * @throws {Hl7ParseError} when there is no MSH or the delimiters are unusable
+   */
+  parse(text) {
+    const lines = String(text || '').split(/\r\n|\r|\n/).filter(line => line.trim().length > 0);
+    if (lines.length === 0 || !lines[0].startsWith('MSH')) {
+      throw new Hl7ParseError('A message must start with an MSH segment', 100, 'MSH');
+    }
+
+    const fieldSeparator = lines[0][3];
+    if (!fieldSeparator || /[A-Za-z0-9\s]/.test(fieldSeparator)) {
+      throw new Hl7ParseError(`MSH-1 field separator "${fieldSeparator || ''}" must be a single non-alphanumeric character`, 102, 'MSH-1');
+    }
+
+    const [encodingCharacters, ...headerFields] = lines[0].slice(4).split(fieldSeparator);
+    const chars = [...encodingCharacters];
+    if (chars.length !== 4 || new Set([...chars, fieldSeparator]).size !== 5 || chars.some(c => /[A-Za-z0-9\s]/.test(c))) {
+      throw new Hl7ParseError(
+        `MSH-2 encoding characters "${encodingCharacters}" must be 4 distinct non-alphanumeric characters (component, repetition, escape, subcomponent), e.g. ^~\\&`,
+        102,
+        'MSH-2'
+      );
+    }
+
+    const [component, repetition, escape, subcomponent] = chars;
+    return {
+      delimiters: { field: fieldSeparator, component, repetition, escape, subcomponent },
+      segments: lines.map((line, i) => ({
+        name: line.slice(0, 3),
+        line: i + 1,
+        fields: i === 0
+          ? ['MSH', fieldSeparator, encodingCharacters, ...headerFields]
+          : line.split(fieldSeparator)
+      }))
+    };
+  }
+
+  /**
+   * Validate a message
+   * @returns {{ valid: boolean, version, messageType, structure, segments: number, issues: Array<{ severity, code, codeName, location, line, diagnostics }> }}
+   */
+  validate(text) {
+    this.ensureLoaded();
+    const issues = [];
+    const report = (code, location, diagnostics, { line, severity = 'error' } = {}) => issues.push({
+      severity,
+      code,
+      codeName: this.definitions.errorCodes[code],
+      location,
+      ...(line && { line }),
+      diagnostics
+    });
+
+    let parsed;
+    try {
+      parsed = this.parse(text);
+    } catch (error) {
+      if (!(error instanceof Hl7ParseError)) throw error;
+      report(error.code, error.location, error.message, { line: 1 });
+      return { valid: false, version: null, messageType: null, structure: null, segments: 0, issues };
+    }
+
+    const { delimiters, segments } = parsed;
+    const header = segments[0];
+    const [messageCode = '', event = '', declaredStructure = ''] = (header.fields[9] || '').split(delimiters.component);
+    const message = this.definitions.messages[messageCode];
+    let structure = null;
+
+    if (!message) {
+      report(200, 'MSH-9', `Message type "${messageCode}" is not supported; use one of ${this.messageTypes.join(', ')}`, { line: 1 });
+    } else if (!message.events[event]) {
+      report(201, 'MSH-9', `Event "${event}" is not supported for ${messageCode}; use one of ${Object.keys(message.events).join(', ')}`, { line: 1 });
+    } else {
+      structure = message.events[event];
+      if (declaredStructure && declaredStructure !== structure) {
+        report(200, 'MSH-9', `MSH-9.3 "${declaredStructure}" does not match ${messageCode}^${event}, which uses ${structure}`, { line: 1 });
+      }
+    }
+
+    for (const segment of segments) {
+      this.validateSegment(segment, delimiters, report);
+    }
+
+    const evn = segments.find(s => s.name === 'EVN');
+    if (evn?.fields[1] && event && evn.fields[1] !== event) {
+      report(100, 'EVN-1', `EVN-1 "${evn.fields[1]}" differs from the MSH-9 trigger event "${event}"`, { line: evn.line, severity: 'warning' });
+    }
+
+    if (structure) {
+      this.validateStructure(this.definitions.structures[structure], segments, report);
+    }
+
+    return {
+      valid: !issues.some(issue => issue.severity === 'error'),
+      version: header.fields[12]?.split(delimiters.component)[0] || null,
+      messageType: messageCode ? `${messageCode}^${event}` : null,
+      structure,
+      segments: segments.length,
+      issues
+    };
+  }
+
+  validateSegment(segment, delimiters, report) {
+    const { line } = segment;
+    if (!SEGMENT_ID.test(segment.name)) {
+      return report(100, segment.name, `"${segment.name}" is not a valid segment ID`, { line });
+    }
+
+    const definition = this.definitions.segments[segment.name];
+    if (!definition) {
+      // Z-segments are site-specific by design
+      if (!segment.name.startsWith('Z')) {
+        report(100, segment.name, `Segment ${segment.name} is not in the v${this.version} definitions; its fields were not checked`, { line, severity: 'warning' });
+      }
+      return;
+    }
+
+    for (const [seq, field] of Object.entries(definition.fields)) {
+      const location = `${segment.name}-${seq}`;
+      const delimiterField = segment.name === 'MSH' && Number(seq) <= 2;
+      const value = segment.fields[seq] || '';
+
+      if (!value || value === '""') {
+        if (field.required) report(101, location, `${field.name} (${location}) is required`, { line });
+        continue;
+      }
+
+      // MSH-1 and MSH-2 hold the delimiters themselves
+      const repetitions = delimiterField
+        ? [value]
+        : value.split(delimiters.repetition);
+      if (repetitions.length > 1 && !field.repeating) {
+        report(102, location, `${field.name} (${location}) does not repeat`, { line });
+      }
+
+      for (const repetition of repetitions) {
+        if (field.maxLength && repetition.length > field.maxLength) {
+          report(102, location, `${field.name} (${location}) is ${repetition.length} characters; the maximum is ${field.maxLength}`, { line });
+        }
+
+        const components = delimiterField ? [repetition] : repetition.split(delimiters.component);
+        const type = field.type === 'varies' ? (segment.fields[field.typeField] || 'ST') : field.type;
+        this.validateValue(components, type, field, location, line, report);
+      }
+    }
+  }
+
+  validateValue(components, type, field, location, line, report) {
+    const [first] = components;
+    const check = DATA_TYPES[type];
+
+    if (check && !check(first, components)) {
+      return report(102, location, `"${components.join('^')}" is not a valid ${type} for ${field.name} (${location})`, { line });
+    }
+    if (field.table) {
+      const table = this.definitions.tables[field.table];
+      if (!table.values.includes(first)) {
+        report(103, location, `"${first}" is not in HL7 table ${field.table} ${table.name} (${table.values.join(', ')})`, { line });
+      }
+    }
+    if (type === 'PT' && !this.definitions.tables['0103'].values.includes(first)) {
+      report(202, location, `Processing ID "${first}" must be one of ${this.definitions.tables['0103'].values.join(', ')}`, { line });
+    }
+    if (type === 'VID' && !this.definitions.supportedVersions.includes(first)) {
+      report(203, location, `Version "${first}" is not supported; use one of ${this.definitions.supportedVersions.join(', ')}`, { line });
+    }
+  }
+
+  /**
+   * Walk the abstract message structure over the segment list; Z-segments may appear anywhere
+   */
+  validateStructure(nodes, segments, report) {
+    const ordered = segments.filter(s => !s.name.startsWith('Z'));
+    const state = { pos: 0 };
+    this.matchNodes(nodes, ordered, state, report);
+
+    const unexpected = ordered[state.pos];
+    if (unexpected) {
+      report(100, unexpected.name, `Segment ${unexpected.name} is not expected here in this message structure`, { line: unexpected.line });
+    }
+  }
+
+  matchNodes(nodes, segments, state, report) {
+    for (const node of nodes) {
+      const max = node.max === '*' ? Infinity : (node.max || 1);
+      const starts = startSegments(node);
+      let count = 0;
+
+      while (count < max && state.pos < segments.length && starts.has(segments[state.pos].name)) {
+        if (node.segment) {
+          state.pos++;
+        } else {
+          this.matchNodes(node.children, segments, state, report);
+        }
+        count++;
+      }
+
+      if (count < (node.min || 0)) {
+        const missing = firstRequiredSegment(node);
+        const what = node.segment ? `segment ${missing}` : `${node.group} group (starting with ${missing})`;
+        report(100, missing, `Required ${what} is missing`, { line: segments[state.pos]?.line });
+      }
+    }
+  }
+}
+
+/**
+ * Segments that can begin a node: a group's leading children up to its first required one
+ */
+function startSegments(node) {
+  if (node.segment) return new Set([node.segment]);
+  const starts = new Set();
+  for (const child of node.children) {
+    startSegments(child).forEach(name => starts.add(name));
+    if ((child.min || 0) > 0) break;
+  }
+  return starts;
+}
+
+function firstRequiredSegment(node) {
+  if (node.segment) return node.segment;
+  const child = node.children.find(c => (c.min || 0) > 0) || node.children[0];
+  return firstRequiredSegment(child);
+}
+
+export default new Hl7Parser();
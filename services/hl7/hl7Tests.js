@@ -0,0 +1,171 @@
+// services/hl7/hl7Tests.js - HL7 v2 message tests for requirements about ADT, ORM and ORU feeds
+
+import hl7Fixtures, { HL7_MESSAGE_TYPES } from './hl7Fixtures.js';
+import hl7Parser from './hl7Parser.js';
+
+export const HL7_TAG = 'hl7-v2';
+
+// "HL7", "HL7 v2", "HL7 2.5.1" - but not HL7 FHIR, which has its own tests
+const HL7_MENTION = /\bHL7\b(?![\s-]*(?:FHIR|R4|CDA)\b)/i;
+
+// Message codes are matched case-sensitively; the keywords pick a type when none is named
+const MESSAGE_CODES = Object.fromEntries(HL7_MESSAGE_TYPES.map(type => [type, new RegExp(`\\b${type}\\b`)]));
+const MESSAGE_KEYWORDS = {
+  ADT: /\b(admi(t|ssion)|discharg|transfer|registration|census)/i,
+  ORM: /\b(orders?|ordering|requisition)\b/i,
+  ORU: /\b(results?|observations?|lab values?)\b/i
+};
+
+const MESSAGE_NAMES = {
+  ADT: 'admit/discharge/transfer',
+  ORM: 'order',
+  ORU: 'observation result'
+};
+
+/**
+ * HL7 v2 message types each requirement is about: the codes it names, or failing
+ * that its keywords, or ADT for a bare "HL7 v2 interface"
+ * @returns {Map<string, string[]>} message type -> requirement IDs
+ */
+export function detectHl7Messages(requirements) {
+  const messages = new Map();
+
+  for (const requirement of requirements) {
+    const named = HL7_MESSAGE_TYPES.filter(type => MESSAGE_CODES[type].test(requirement.text));
+    if (named.length === 0 && !HL7_MENTION.test(requirement.text)) continue;
+
+    const keywords = HL7_MESSAGE_TYPES.filter(type => MESSAGE_KEYWORDS[type].test(requirement.text));
+    const types = named.length > 0 ? named : keywords.length > 0 ? keywords : ['ADT'];
+
+    for (const type of types) {
+      if (!messages.has(type)) messages.set(type, []);
+      messages.get(type).push(requirement.id);
+    }
+  }
+  return messages;
+}
+
+// The message type a generated HL7 v2 test is for, from its hl7v2:<type>:<variant> tag
+function messageTypeOf(testCase) {
+  return (testCase.tags || []).map(tag => tag.match(/^hl7v2:([^:]+):/)?.[1]).find(Boolean);
+}
+
+function positiveTest(type, requirementIds, fixtures) {
+  const [{ messageType, id }] = fixtures;
+  return {
+    testName: `HL7 v2 ${messageType} ${MESSAGE_NAMES[type]} message is accepted and acknowledged`,
+    category: 'integration',
+    priority: 'High',
+    description: `Send a conformant ${messageType} message over the interface and verify the receiver returns an AA acknowledgment and applies the message.`,
+    preconditions: [
+      'HL7 v2 interface (MLLP listener) is running and reachable',
+      'Sample messages attached to this test are loaded (hl7Messages)'
+    ],
+    testSteps: [
+      { step: 1, action: `Send the ${id} message framed for MLLP`, expectedResult: 'An ACK is returned within the interface timeout' },
+      { step: 2, action: 'Inspect the ACK', expectedResult: 'MSA-1 is AA and MSA-2 echoes the MSH-10 message control ID' },
+      { step: 3, action: 'Look up the patient by the PID-3 identifier', expectedResult: `The ${MESSAGE_NAMES[type]} data from the message is stored against that patient` }
+    ],
+    expectedResults: `The ${messageType} message is acknowledged with AA and its content is stored`,
+    complianceRequirements: [],
+    riskLevel: 'High',
+    testingTechnique: 'HL7 v2 conformance',
+    automationFeasibility: 'High',
+    requirementIds,
+    tags: [HL7_TAG, 'interoperability', `hl7v2:${type}:valid`],
+    testType: 'positive',
+    hl7Messages: fixtures
+  };
+}
+
+function negativeTest(type, requirementIds, fixtures) {
+  const [{ messageType }] = fixtures;
+  return {
+    testName: `Malformed HL7 v2 ${messageType} messages are rejected with an error ACK`,
+    category: 'integration',
+    priority: 'High',
+    description: `Send each deliberately broken ${messageType} message (missing required segments, bad encoding characters, wrong message types, invalid fields) and verify the receiver rejects it without applying it.`,
+    preconditions: [
+      'HL7 v2 interface (MLLP listener) is running and reachable',
+      'Sample messages attached to this test are loaded (hl7Messages)'
+    ],
+    testSteps: [
+      { step: 1, action: 'Send each invalid message framed for MLLP', expectedResult: 'An ACK is returned for every message' },
+      { step: 2, action: 'Inspect each ACK', expectedResult: "MSA-1 is AE or AR and the ERR segment reports the fixture's expectedError code and location" },
+      { step: 3, action: 'Look up the patients from the rejected messages', expectedResult: 'No data from a rejected message was stored' }
+    ],
+    expectedResults: `Every malformed ${messageType} message is rejected with an error ACK and nothing is stored`,
+    complianceRequirements: [],
+    riskLevel: 'High',
+    testingTechnique: 'HL7 v2 conformance',
+    automationFeasibility: 'High',
+    requirementIds,
+    tags: [HL7_TAG, 'interoperability', `hl7v2:${type}:invalid`],
+    testType: 'negative',
+    hl7Messages: fixtures
+  };
+}
+
+/**
+ * One positive and one negative test per HL7 v2 message type the requirements are about.
+ * Tests kept from a previous version (same tags) are not added twice.
+ * @returns {{ tests: Object[], version: string, messageTypes: Object<string, string[]>, messages: number }}
+ */
+export function buildHl7Tests(requirements, { existingTests = [], today } = {}) {
+  const messages = detectHl7Messages(requirements);
+  const existingTags = new Set(existingTests.map(tc => (tc.tags || []).join('|')));
+  const tests = [];
+
+  for (const [type, requirementIds] of messages) {
+    const seed = `${type}|${requirementIds.join(',')}`;
+    const valid = hl7Fixtures.fixturesFor(type, { variant: 'valid', seed, today });
+    const invalid = hl7Fixtures.fixturesFor(type, { variant: 'invalid', seed, today });
+
+    tests.push(positiveTest(type, requirementIds, valid), negativeTest(type, requirementIds, invalid));
+  }
+
+  const added = tests.filter(tc => !existingTags.has(tc.tags.join('|')));
+  if (messages.size > 0) {
+    console.log(`📨 [HL7] Message types in requirements: ${[...messages.keys()].join(', ')} → ${added.length} HL7 v2 test(s)`);
+  }
+
+  return {
+    tests: added,
+    version: hl7Parser.version,
+    messageTypes: Object.fromEntries(messages),
+    messages: added.reduce((sum, tc) => sum + tc.hl7Messages.length, 0)
+  };
+}
+
+/**
+ * Kept HL7 v2 tests that miss a requirement now naming their message type. They are replaced by
+ * tests built from the whole requirement list, so links to unchanged requirements are kept.
+ */
+export function outdatedHl7Tests(testCases, requirements) {
+  const messages = detectHl7Messages(requirements);
+  return testCases.filter(tc => {
+    const type = messageTypeOf(tc);
+    return type && (messages.get(type) || []).some(id => !(tc.requirementIds || []).includes(id));
+  });
+}
+
+/**
+ * The HL7 v2 metadata of a whole suite, e.g. one merged from kept and new tests.
+ * Same shape as the generator's: messageTypes map each type to the requirements its tests cover.
+ * @returns {{ version: string, messageTypes: Object<string, string[]>, addedTests: number, messages: number }}
+ */
+export function summarizeHl7Tests(testCases) {
+  const messageTypes = new Map();
+  const tests = testCases.filter(tc => (tc.hl7Messages || []).length > 0);
+  for (const tc of tests) {
+    const type = messageTypeOf(tc);
+    if (!type) continue;
+    messageTypes.set(type, [...new Set([...(messageTypes.get(type) || []), ...(tc.requirementIds || [])])]);
+  }
+  return {
+    version: hl7Parser.version,
+    messageTypes: Object.fromEntries(messageTypes),
+    addedTests: tests.length,
+    messages: tests.reduce((sum, tc) => sum + tc.hl7Messages.length, 0)
+  };
+}
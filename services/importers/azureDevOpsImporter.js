@@ -0,0 +1,82 @@
+// services/importers/azureDevOpsImporter.js - Requirements from Azure DevOps work item CSV
+//
+// The CSV comes from a query's "Export to CSV". Flat queries have a Title column;
+// tree queries have Title 1, Title 2, ... with each row's title in the column for
+// its depth, which is how parents are found. Description and Acceptance Criteria
+// are HTML.
+
+import { parseCsv } from '../../utils/csv.js';
+import { htmlToText, storyRequirement } from './storyText.js';
+
+function columnIndex(header, name) {
+  return header.findIndex(cell => cell.trim().toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * @returns {string[]|null} the header row of a work item export, or null when it is not one
+ */
+export function azureDevOpsHeader(rows) {
+  const header = rows[0]?.map(cell => cell.replace(/^﻿/, '').trim());
+  if (!header || columnIndex(header, 'ID') === -1 || columnIndex(header, 'Work Item Type') === -1) return null;
+  return header;
+}
+
+export function isAzureDevOpsCsv(text) {
+  return Boolean(azureDevOpsHeader(parseCsv(String(text ?? '').slice(0, 4096).split(/\r?\n/)[0])));
+}
+
+/**
+ * @param {string} text - the CSV file
+ * @returns {{ requirements: Object[], issues: Array<{ key, issueType }> }}
+ */
+export function importAzureDevOpsCsv(text) {
+  const rows = parseCsv(String(text ?? ''));
+  const header = azureDevOpsHeader(rows);
+  if (!header) return { requirements: [], issues: [] };
+
+  const column = name => columnIndex(header, name);
+  const titleColumns = header
+    .map((name, index) => ({ level: name.match(/^title(?:\s+(\d+))?$/i), index }))
+    .filter(({ level }) => level)
+    .map(({ level, index }) => ({ level: level[1] ? parseInt(level[1], 10) : 1, index }))
+    .sort((a, b) => a.level - b.level);
+  const [id, type, state, tags, description, acceptance, parentColumn] =
+    ['ID', 'Work Item Type', 'State', 'Tags', 'Description', 'Acceptance Criteria', 'Parent'].map(column);
+  const cell = (row, index) => (index === -1 ? '' : (row[index] || '').trim());
+
+  const ancestors = []; // work item ID per tree level, for Title 1..n exports
+  const items = rows.slice(1)
+    .filter(row => cell(row, id))
+    .map(row => {
+      const titled = titleColumns.find(({ index }) => cell(row, index));
+      const level = titled?.level || 1;
+      ancestors[level] = cell(row, id);
+      ancestors.length = level + 1;
+
+      return {
+        id: cell(row, id),
+        issueType: cell(row, type) || 'Work Item',
+        title: titled ? cell(row, titled.index) : '',
+        state: cell(row, state),
+        tags: cell(row, tags).split(';').map(tag => tag.trim()).filter(Boolean),
+        description: htmlToText(cell(row, description)),
+        acceptance: htmlToText(cell(row, acceptance)),
+        parent: cell(row, parentColumn) || (level > 1 ? ancestors[level - 1] : undefined)
+      };
+    });
+
+  return {
+    issues: items.map(item => ({ key: item.id, issueType: item.issueType })),
+    requirements: items.map(item => storyRequirement({
+      id: item.id,
+      title: item.title,
+      issueType: item.issueType,
+      description: item.description,
+      acceptanceCriteria: [item.acceptance].filter(Boolean),
+      source: 'azure-devops',
+      parent: item.parent,
+      labels: item.tags,
+      status: item.state
+    }))
+  };
+}
@@ -0,0 +1,197 @@
+// services/importers/confluenceImporter.js - Requirements from Confluence pages (storage format)
+//
+// Product requirements pages hold stories in a requirements table (User Story,
+// Acceptance Criteria, Jira key columns), as "As a ... I want ..." paragraphs or
+// list items, or as ID-prefixed lines (MED-12: ..., FR-3: ...). Acceptance
+// criteria sections and Given/When/Then lines attach to the story before them.
+
+import { htmlToText, storyRequirement, isScenarioLine, acceptanceHeading, isHeading } from './storyText.js';
+
+const KEY_IN_TEXT = /\b[A-Z][A-Z0-9_]+-\d+\b/;
+const ID_PREFIX = /^([A-Z][A-Z0-9_]*-\d+(?:\.\d+)*)\s*[:.)–—-]\s*(.+)$/;
+const USER_STORY = /\bAs an?\s.+?\bI\s+(?:want|need|can|would like|should)\b/i;
+const BULLET = /^-\s+/;
+
+const STORY_COLUMN = /^(user stor(y|ies)|stor(y|ies)|requirements?|description)$/i;
+const TITLE_COLUMN = /^(title|summary|name|feature)$/i;
+const KEY_COLUMN = /^(key|id|issue|issue key|jira|jira issue|req(uirement)? id|story id)$/i;
+const JIRA_COLUMN = /^(issue|issue key|jira|jira issue)$/i;
+const ACCEPTANCE_COLUMN = /acceptance/i;
+
+export function isConfluenceStorage(content) {
+  return /<(ac|ri):[\w-]+/.test(content);
+}
+
+/**
+ * Storage format, or a page saved with Confluence's "Export to HTML"
+ */
+export function isConfluencePage(content) {
+  return isConfluenceStorage(content) || /class="[^"]*\bconfluence[A-Z]\w*|<meta\s+name="confluence-/.test(content);
+}
+
+/**
+ * Confluence macros to plain HTML: Jira issue macros become their key (added to
+ * jiraKeys), task lists become lists, and code or macro parameters are dropped
+ */
+function unwrapMacros(html, jiraKeys) {
+  return String(html ?? '')
+    .replace(/<ac:structured-macro\b[^>]*ac:name="jira"[^>]*>([\s\S]*?)<\/ac:structured-macro>/g, (match, body) => {
+      const key = body.match(/<ac:parameter\b[^>]*ac:name="key"[^>]*>\s*([^<]+?)\s*<\/ac:parameter>/);
+      if (!key) return '';
+      jiraKeys.add(key[1]);
+      return ` ${key[1]} `;
+    })
+    .replace(/<ac:plain-text-body>[\s\S]*?<\/ac:plain-text-body>/g, '')
+    .replace(/<ac:parameter\b[^>]*>[\s\S]*?<\/ac:parameter>/g, '')
+    .replace(/<ac:task-(id|status)>[\s\S]*?<\/ac:task-\1>/g, '')
+    .replace(/<ac:task-list>/g, '<ul>').replace(/<\/ac:task-list>/g, '</ul>')
+    .replace(/<ac:task>/g, '<li>').replace(/<\/ac:task>/g, '</li>')
+    .replace(/<ri:page\b[^>]*ri:content-title="([^"]*)"[^>]*\/>/g, '$1');
+}
+
+/**
+ * @returns {string[][]} cell HTML per row
+ */
+function tableRows(tableHtml) {
+  return [...tableHtml.matchAll(/<tr\b[^>]*>([\s\S]*?)<\/tr>/gi)]
+    .map(([, row]) => [...row.matchAll(/<t([hd])\b[^>]*>([\s\S]*?)<\/t\1>/gi)].map(([, , cell]) => cell));
+}
+
+/**
+ * Requirements from a table whose header names a story or title column; null for other tables
+ */
+function tableRequirements(tableHtml, jiraKeys) {
+  const [header = [], ...rows] = tableRows(tableHtml);
+  const names = header.map(cell => htmlToText(cell).replace(/[:*]/g, '').trim());
+  const column = pattern => names.findIndex(name => pattern.test(name));
+  const story = column(STORY_COLUMN);
+  const title = column(TITLE_COLUMN);
+  if (story === -1 && title === -1) return null;
+
+  const key = column(KEY_COLUMN);
+  const jiraColumn = key !== -1 && JIRA_COLUMN.test(names[key]);
+  const acceptance = column(ACCEPTANCE_COLUMN);
+  const cell = (row, index) => (index === -1 ? '' : htmlToText(row[index] || ''));
+
+  return rows
+    .map(row => {
+      const id = cell(row, key).match(KEY_IN_TEXT)?.[0] || cell(row, key).split('\n')[0].trim();
+      const description = cell(row, story);
+      return storyRequirement({
+        id,
+        issueKey: (jiraColumn || jiraKeys.has(id)) && KEY_IN_TEXT.test(id) ? id : undefined,
+        title: cell(row, title),
+        issueType: USER_STORY.test(description) ? 'Story' : 'Requirement',
+        description,
+        acceptanceCriteria: [cell(row, acceptance)].filter(Boolean),
+        source: 'confluence'
+      });
+    })
+    .filter(req => req.text);
+}
+
+/**
+ * Requirements from the page's text lines (headings as "h2. ", list items as "- ")
+ */
+function lineRequirements(text, jiraKeys) {
+  const stories = [];
+  let current = null; // { id, title, body: [], criteria: [] }
+  let inCriteria = false;
+  let heading = null; // the last heading, a title for a story directly under it
+  let sectionKey = null; // an issue key seen since that heading
+
+  const start = ({ id, title, line, issueType }) => {
+    current = { id, title, body: [line], criteria: [], issueType };
+    stories.push(current);
+    inCriteria = false;
+    heading = null;
+  };
+
+  for (const line of text.split('\n')) {
+    const item = line.replace(BULLET, '').trim();
+    if (!item) continue;
+
+    if (isHeading(line)) {
+      const title = line.replace(/^h\d\.\s+/, '').trim();
+      const ac = acceptanceHeading(title);
+      inCriteria = ac !== null && Boolean(current);
+      if (inCriteria) {
+        if (ac) current.criteria.push(ac);
+        continue;
+      }
+      heading = title;
+      sectionKey = title.match(KEY_IN_TEXT)?.[0] || null;
+      continue;
+    }
+
+    const ac = acceptanceHeading(item);
+    if (ac !== null && current) {
+      inCriteria = true;
+      if (ac) current.criteria.push(ac);
+      continue;
+    }
+
+    const idPrefixed = !inCriteria || !BULLET.test(line) ? item.match(ID_PREFIX) : null;
+    const userStory = (!inCriteria || !BULLET.test(line)) && USER_STORY.test(item);
+
+    if (idPrefixed && !isScenarioLine(idPrefixed[2])) {
+      start({
+        id: idPrefixed[1],
+        title: null,
+        line: idPrefixed[2],
+        issueType: USER_STORY.test(idPrefixed[2]) ? 'Story' : 'Requirement'
+      });
+    } else if (userStory) {
+      const key = item.match(KEY_IN_TEXT)?.[0] || sectionKey;
+      start({
+        id: key,
+        title: heading && heading.replace(KEY_IN_TEXT, '').replace(/^[\s:–—-]+/, '').trim(),
+        line: item.replace(KEY_IN_TEXT, '').replace(/^[\s:–—-]+/, ''),
+        issueType: 'Story'
+      });
+      sectionKey = null;
+    } else if (current && inCriteria) {
+      current.criteria.push(line);
+    } else if (current && isScenarioLine(item)) {
+      current.body.push(item);
+    } else if (current && !current.id && KEY_IN_TEXT.test(item) && item.match(KEY_IN_TEXT)[0] === item) {
+      // A Jira macro on its own line under the story
+      current.id = item;
+    } else if (KEY_IN_TEXT.test(item) && item.match(KEY_IN_TEXT)[0] === item) {
+      sectionKey = item;
+    }
+  }
+
+  return stories.map(story => storyRequirement({
+    id: story.id,
+    issueKey: jiraKeys.has(story.id) ? story.id : undefined,
+    title: story.title,
+    issueType: story.issueType,
+    description: story.body.join('\n'),
+    acceptanceCriteria: story.criteria.length > 0 ? [story.criteria.join('\n')] : [],
+    source: 'confluence'
+  }));
+}
+
+/**
+ * @param {string} html - storage-format XHTML (or an exported page's HTML)
+ * @returns {{ requirements: Object[], issues: Array<{ key, issueType }> }} requirements is
+ *   empty when the page has no recognisable stories
+ */
+export function importConfluence(html) {
+  const jiraKeys = new Set();
+  const body = unwrapMacros(html, jiraKeys);
+  const fromTables = [];
+  const rest = body.replace(/<table\b[^>]*>[\s\S]*?<\/table>/gi, table => {
+    const requirements = tableRequirements(table, jiraKeys);
+    if (!requirements) return table;
+    fromTables.push(...requirements);
+    return '';
+  });
+
+  const requirements = [...fromTables, ...lineRequirements(htmlToText(rest), jiraKeys)];
+  return {
+    requirements,
+    issues: requirements.map(req => ({ key: req.id || req.title, issueType: req.issueType }))
+  };
+}
@@ -0,0 +1,120 @@
+// services/importers/index.js - Structured requirement imports from Jira, Confluence and Azure DevOps
+//
+// Recognises tool exports by extension and content. Imported requirements keep
+// the tool's own key (MED-12, 4521) as their ID, so generated tests, the RTM and
+// a later Jira push trace back to the original item.
+
+import { parseXml } from '../../utils/xml.js';
+import { jiraJsonIssues, isJiraXml, importJiraJson, importJiraXml } from './jiraImporter.js';
+import { isConfluenceStorage, isConfluencePage, importConfluence } from './confluenceImporter.js';
+import { isAzureDevOpsCsv, importAzureDevOpsCsv } from './azureDevOpsImporter.js';
+import { isRequirementType, isContainerType } from './storyText.js';
+
+export class RequirementImportError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RequirementImportError';
+    this.statusCode = statusCode;
+  }
+}
+
+export const IMPORT_FORMATS = {
+  'jira-json': 'Jira JSON export',
+  'jira-xml': 'Jira XML export',
+  confluence: 'Confluence page',
+  'azure-devops-csv': 'Azure DevOps work item CSV'
+};
+
+export const IMPORT_EXTENSIONS = ['.json', '.xml', '.html', '.htm', '.csv'];
+
+function parseJson(content) {
+  try {
+    return JSON.parse(content);
+  } catch {
+    return undefined;
+  }
+}
+
+function parseXmlOrNull(content) {
+  try {
+    return parseXml(content);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Which importer reads this file
+ * @param {string} extension - lower case, with the dot
+ * @returns {{ format: string, read: () => Object }|null} null when it is not a known export
+ */
+export function detectRequirementSource(extension, content) {
+  switch (extension) {
+    case '.json': {
+      const data = parseJson(content);
+      if (data === undefined) throw new RequirementImportError('The JSON file could not be parsed');
+      return jiraJsonIssues(data) ? { format: 'jira-json', read: () => importJiraJson(data) } : null;
+    }
+    case '.xml': {
+      const root = /<rss[\s>]/.test(content) ? parseXmlOrNull(content) : null;
+      if (isJiraXml(root)) return { format: 'jira-xml', read: () => importJiraXml(root) };
+      return isConfluenceStorage(content) ? { format: 'confluence', read: () => importConfluence(content) } : null;
+    }
+    case '.html':
+    case '.htm':
+      return isConfluencePage(content) ? { format: 'confluence', read: () => importConfluence(content) } : null;
+    case '.csv':
+      return isAzureDevOpsCsv(content) ? { format: 'azure-devops-csv', read: () => importAzureDevOpsCsv(content) } : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Import the requirement items of a tool export. Tasks, bugs and other non-requirement
+ * types are skipped, and an epic or feature is dropped when its stories are imported too.
+ * @returns {{ format, label, requirements: Object[], text: string, summary: Object }|null}
+ *   null when the file is not an export, or (for HTML) holds no stories
+ * @throws {RequirementImportError} for an export with no requirement items
+ */
+export function importRequirements(fileName, extension, content) {
+  const source = detectRequirementSource(extension, content);
+  if (!source) return null;
+
+  const { requirements: all } = source.read();
+  // A page without stories is read as an ordinary HTML document
+  if (source.format === 'confluence' && all.length === 0) return null;
+
+  const wanted = all.filter(req => isRequirementType(req.issueType) && req.text);
+  const parents = new Set(wanted.map(req => req.parent).filter(Boolean));
+  const requirements = wanted.filter(req => !(isContainerType(req.issueType) && parents.has(req.id)));
+
+  const skipped = {};
+  for (const req of all.filter(req => !wanted.includes(req))) {
+    skipped[req.issueType] = (skipped[req.issueType] || 0) + 1;
+  }
+
+  if (requirements.length === 0) {
+    const types = Object.keys(skipped).join(', ') || 'none';
+    throw new RequirementImportError(`${fileName} (${IMPORT_FORMATS[source.format]}) has no stories or requirements (item types: ${types})`);
+  }
+
+  const summary = {
+    items: all.length,
+    imported: requirements.length,
+    parentsOmitted: wanted.length - requirements.length,
+    withAcceptanceCriteria: requirements.filter(req => req.acceptanceCriteria.length > 0).length,
+    skipped
+  };
+  console.log(`📥 [Import] ${fileName} (${IMPORT_FORMATS[source.format]}): ${summary.imported} of ${summary.items} items imported`);
+
+  // The document text the rest of the pipeline (de-identification, coverage, history) sees
+  const text = requirements
+    .map(req => [
+      `${req.id ? `[${req.id}] ` : ''}${req.text}`,
+      ...req.acceptanceCriteria.map(item => `  - ${item}`)
+    ].join('\n'))
+    .join('\n\n');
+
+  return { format: source.format, label: IMPORT_FORMATS[source.format], requirements, text, summary };
+}
@@ -0,0 +1,155 @@
+// services/importers/jiraImporter.js - Requirements from Jira JSON and XML exports
+//
+// JSON: a REST search result ({ issues: [...] }, with `names` when exported with
+// expand=names), an array of issues, or a single issue. Descriptions may be wiki
+// markup (API v2) or Atlassian Document Format (API v3).
+// XML: the "Export > XML" RSS feed, where descriptions and custom fields are HTML.
+
+import { childElements, childText } from '../../utils/xml.js';
+import { htmlToText, tidyLines, storyRequirement } from './storyText.js';
+
+const ACCEPTANCE_FIELD = /acceptance criteria/i;
+const EPIC_LINK_FIELD = /^epic link$/i;
+
+function isIssue(value) {
+  return Boolean(value && typeof value === 'object' && typeof value.key === 'string' && value.fields && typeof value.fields === 'object');
+}
+
+/**
+ * @returns {Object[]|null} the issues in a Jira JSON export, or null when it is not one
+ */
+export function jiraJsonIssues(data) {
+  if (Array.isArray(data?.issues) && data.issues.every(isIssue)) return data.issues;
+  if (Array.isArray(data) && data.length > 0 && data.every(isIssue)) return data;
+  if (isIssue(data)) return [data];
+  return null;
+}
+
+export function isJiraXml(root) {
+  const channel = root?.name === 'rss' ? childElements(root, 'channel')[0] : null;
+  return Boolean(channel && childElements(channel, 'item').some(item => childText(item, 'key')));
+}
+
+/**
+ * Atlassian Document Format to text; list items become "- " lines and headings "h3. " lines
+ */
+export function adfToText(node) {
+  if (!node || typeof node !== 'object') return typeof node === 'string' ? node : '';
+  const children = (node.content || []).map(adfToText).join('');
+
+  switch (node.type) {
+    case 'text':
+      return node.text || '';
+    case 'hardBreak':
+      return '\n';
+    case 'mention':
+    case 'emoji':
+      return node.attrs?.text || '';
+    case 'inlineCard':
+      return node.attrs?.url || '';
+    case 'listItem':
+      return `- ${children.trim()}\n`;
+    case 'heading':
+      return `\nh${node.attrs?.level || 3}. ${children.trim()}\n`;
+    case 'paragraph':
+    case 'codeBlock':
+    case 'blockquote':
+    case 'bulletList':
+    case 'orderedList':
+    case 'panel':
+    case 'tableRow':
+      return `${children}\n`;
+    case 'tableCell':
+    case 'tableHeader':
+      return `${children.trim()} `;
+    default:
+      return children;
+  }
+}
+
+/**
+ * Field text whether it is a string (wiki markup), ADF, an option ({ value }) or a list of those
+ */
+function fieldText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) return value.map(fieldText).filter(Boolean).join('\n');
+  if (value.type === 'doc') return tidyLines(adfToText(value));
+  return value.value || value.name || '';
+}
+
+/**
+ * Custom field IDs whose display name matches, from the export's `names` map
+ */
+function fieldIds(names = {}, pattern) {
+  return Object.entries(names).filter(([, name]) => pattern.test(name)).map(([id]) => id);
+}
+
+/**
+ * @returns {{ requirements: Object[], issues: Array<{ key, issueType }> }} issues lists everything seen
+ */
+export function importJiraJson(data) {
+  const issues = jiraJsonIssues(data) || [];
+  const acceptanceIds = fieldIds(data?.names, ACCEPTANCE_FIELD);
+  const epicIds = fieldIds(data?.names, EPIC_LINK_FIELD);
+  const baseUrl = issues[0]?.self ? issues[0].self.replace(/\/rest\/api\/.*$/, '') : null;
+
+  return {
+    issues: issues.map(issue => ({ key: issue.key, issueType: issue.fields.issuetype?.name || 'Issue' })),
+    requirements: issues.map(issue => {
+      const { fields } = issue;
+      return storyRequirement({
+        id: issue.key,
+        issueKey: issue.key,
+        title: fields.summary,
+        issueType: fields.issuetype?.name || 'Issue',
+        description: fieldText(fields.description),
+        acceptanceCriteria: acceptanceIds.map(id => fieldText(fields[id])).filter(Boolean),
+        source: 'jira',
+        parent: fields.parent?.key || epicIds.map(id => fieldText(fields[id])).find(Boolean),
+        labels: fields.labels,
+        status: fields.status?.name,
+        url: baseUrl ? `${baseUrl}/browse/${issue.key}` : null
+      });
+    })
+  };
+}
+
+/**
+ * @returns {{ requirements: Object[], issues: Array<{ key, issueType }> }}
+ */
+export function importJiraXml(root) {
+  const items = childElements(childElements(root, 'channel')[0], 'item').filter(item => childText(item, 'key'));
+
+  const parsed = items.map(item => {
+    const customFields = childElements(childElements(item, 'customfields')[0], 'customfield').map(field => ({
+      name: childText(field, 'customfieldname') || '',
+      values: childElements(childElements(field, 'customfieldvalues')[0], 'customfieldvalue').map(value => value.text)
+    }));
+    const custom = pattern => customFields.filter(field => pattern.test(field.name)).flatMap(field => field.values);
+
+    return {
+      key: childText(item, 'key'),
+      issueType: childText(item, 'type') || 'Issue',
+      item,
+      custom
+    };
+  });
+
+  return {
+    issues: parsed.map(({ key, issueType }) => ({ key, issueType })),
+    requirements: parsed.map(({ key, issueType, item, custom }) => storyRequirement({
+      id: key,
+      issueKey: key,
+      title: childText(item, 'summary') || childText(item, 'title')?.replace(/^\[[^\]]+\]\s*/, ''),
+      issueType,
+      description: htmlToText(childText(item, 'description')),
+      acceptanceCriteria: custom(ACCEPTANCE_FIELD).map(htmlToText),
+      source: 'jira',
+      parent: childText(item, 'parent') || custom(EPIC_LINK_FIELD).map(value => htmlToText(value))[0],
+      labels: childElements(childElements(item, 'labels')[0], 'label').map(label => label.text.trim()).filter(Boolean),
+      status: childText(item, 'status'),
+      url: childText(item, 'link')
+    }))
+  };
+}
@@ -0,0 +1,226 @@
+// services/importers/storyText.js - Shared text handling for the requirement importers
+//
+// Jira descriptions arrive as wiki markup, ADF or HTML, Azure DevOps fields as HTML
+// and Confluence pages as XHTML. Everything is brought down to plain text, then
+// split into the story itself and its acceptance criteria.
+
+export const ISSUE_KEY_PATTERN = /^[A-Z][A-Z0-9_]+-\d+$/;
+
+// Issue types that describe wanted behaviour; tasks, bugs, sub-tasks and tests do not
+const REQUIREMENT_TYPES = /^(epic|story|user story|feature|new feature|requirement|business requirement|product backlog item|improvement)$/i;
+
+// Types that group other requirements, dropped when their children are imported too
+const CONTAINER_TYPES = /^(epic|feature)$/i;
+
+const NAMED_ENTITIES = {
+  nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", ndash: '–', mdash: '—',
+  hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•', middot: '·', times: '×'
+};
+
+const BULLET = /^\s*(?:[-*•#]+|\d+[.)])\s+/;
+const GHERKIN_STEP = /^(given|when|then|and|but)\b/i;
+const AC_HEADING = /^(?:h\d\.\s*|#{1,6}\s*)?[*_]{0,2}acceptance criteria[*_]{0,2}\s*:?\s*[*_]{0,2}\s*(.*)$/i;
+// Headings are wiki style ("h3. Notes"); htmlToText and adfToText write them that way too.
+// A leading "#" is a numbered list item in wiki markup, so it never ends a section.
+const HEADING = /^h\d\.\s+/;
+
+/**
+ * A Given/When/Then step or a "Scenario:" line
+ */
+export function isScenarioLine(line) {
+  const text = String(line ?? '').replace(BULLET, '').trim();
+  return GHERKIN_STEP.test(text) || /^(scenario|example)\b.*:/i.test(text);
+}
+
+/**
+ * The text after an "Acceptance Criteria" heading or label, or null for any other line
+ */
+export function acceptanceHeading(line) {
+  const match = String(line ?? '').match(AC_HEADING);
+  return match ? match[1] : null;
+}
+
+export function isHeading(line) {
+  return HEADING.test(String(line ?? ''));
+}
+
+export function isRequirementType(type) {
+  return REQUIREMENT_TYPES.test(String(type || '').trim());
+}
+
+export function isContainerType(type) {
+  return CONTAINER_TYPES.test(String(type || '').trim());
+}
+
+export function decodeEntities(text) {
+  return String(text ?? '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Trim every line, collapse inner whitespace and keep at most one blank line in a row
+ */
+export function tidyLines(text) {
+  return String(text ?? '')
+    .split(/\r?\n/)
+    .map(line => line.replace(/[ \t ]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * HTML (Jira XML descriptions, Azure DevOps fields) to text; list items become "- " lines
+ * and headings "h3. " lines
+ */
+export function htmlToText(html) {
+  const text = String(html ?? '')
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li(\s[^>]*)?>/gi, '\n- ')
+    .replace(/<h([1-6])(\s[^>]*)?>/gi, '\nh$1. ')
+    .replace(/<\/(p|div|h[1-6]|tr|ul|ol|table|blockquote|pre)>/gi, '\n')
+    .replace(/<(p|div|tr|ul|ol|table|blockquote|pre)(\s[^>]*)?>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, ' ')
+    .replace(/<[^>]+>/g, '');
+  return tidyLines(decodeEntities(text));
+}
+
+/**
+ * Drop wiki markup and Markdown emphasis: "*As a* _nurse_" -> "As a nurse"
+ */
+function plain(text) {
+  return text.replace(/(^|[\s(])([*_]{1,2})(\S(?:.*?\S)?)\2(?=$|[\s.,;:!?)])/g, '$1$3');
+}
+
+/**
+ * Criteria lines to items: one per bullet, one per Given/When/Then scenario, otherwise one per line
+ */
+function criteriaItems(lines) {
+  const items = [];
+  let scenario = null; // { title, steps } being collected
+  let bulleted = false; // the last item was a bullet, so an unmarked line continues it
+
+  for (const raw of lines) {
+    const line = String(raw ?? '').trim();
+    const isBullet = BULLET.test(line);
+    const text = line.replace(BULLET, '').trim();
+    if (!text) {
+      scenario = null;
+      bulleted = false;
+      continue;
+    }
+
+    if (/^(scenario|example)\b.*:/i.test(text)) {
+      scenario = { title: text.replace(/:$/, ''), steps: [] };
+      items.push(scenario);
+      bulleted = false;
+    } else if (GHERKIN_STEP.test(text)) {
+      // A Given after a When or Then starts the next scenario
+      if (!scenario || (/^given\b/i.test(text) && scenario.steps.some(step => /^(when|then)\b/i.test(step)))) {
+        scenario = { title: null, steps: [] };
+        items.push(scenario);
+      }
+      scenario.steps.push(text);
+      bulleted = false;
+    } else if (!isBullet && bulleted) {
+      items[items.length - 1] += ` ${text}`;
+    } else {
+      scenario = null;
+      items.push(text);
+      bulleted = isBullet;
+    }
+  }
+
+  return [...new Set(items
+    .map(item => (typeof item === 'string' ? item : [item.title, item.steps.join(' ')].filter(Boolean).join(': ')))
+    .map(item => plain(item.replace(/\s+/g, ' ').trim()))
+    .filter(Boolean))];
+}
+
+/**
+ * Split a description into the story and its acceptance criteria. Criteria are the lines
+ * under an "Acceptance Criteria" heading, or, without one, any Given/When/Then lines.
+ * @returns {{ story: string, acceptanceCriteria: string[] }}
+ */
+export function splitAcceptanceCriteria(text) {
+  const lines = tidyLines(text).split('\n');
+  const start = lines.findIndex(line => AC_HEADING.test(line));
+
+  if (start !== -1) {
+    let end = start + 1;
+    while (end < lines.length && !(HEADING.test(lines[end]) || (/^[^-*•#\d].{0,50}:$/.test(lines[end]) && !GHERKIN_STEP.test(lines[end])))) {
+      end++;
+    }
+    const inline = lines[start].match(AC_HEADING)[1];
+    return {
+      story: tidyLines([...lines.slice(0, start), ...lines.slice(end)].join('\n')),
+      acceptanceCriteria: criteriaItems([inline, ...lines.slice(start + 1, end)])
+    };
+  }
+
+  if (lines.some(line => /^given\b/i.test(line.replace(BULLET, '')))) {
+    return {
+      story: tidyLines(lines.filter(line => !isScenarioLine(line)).join('\n')),
+      acceptanceCriteria: criteriaItems(lines.filter(isScenarioLine))
+    };
+  }
+
+  return { story: tidyLines(text), acceptanceCriteria: [] };
+}
+
+/**
+ * Requirement text: the title, followed by the "As a ... I want ..." sentence or the
+ * story's first paragraph
+ */
+export function requirementText(title, story) {
+  const heading = String(title || '').replace(/\s+/g, ' ').trim();
+  const paragraphs = tidyLines(story)
+    .split('\n')
+    .filter(line => !HEADING.test(line))
+    .join('\n')
+    .split(/\n\s*\n/)
+    .map(p => plain(p.replace(/\s+/g, ' ').trim()))
+    .filter(Boolean);
+  const userStory = paragraphs.join(' ').match(/\bAs an?\s[^.?!]*?\bI\s+(?:want|need|can|would like|should)\b[^.?!]*[.?!]?/i)?.[0];
+  let detail = userStory || paragraphs[0] || '';
+
+  if (detail.length > 400) detail = `${detail.slice(0, 400).replace(/\s+\S*$/, '')}...`;
+  if (!heading) return detail;
+  if (!detail || detail.toLowerCase().startsWith(heading.toLowerCase())) return detail || heading;
+  return `${heading}: ${detail}`;
+}
+
+/**
+ * Build one structured requirement
+ * @param {Object} item - { id, issueKey?, title, issueType, description (plain text), acceptanceCriteria?, source, parent?, labels?, status?, url? }
+ */
+export function storyRequirement({ id, issueKey, title, issueType, description, acceptanceCriteria = [], source, parent, labels, status, url }) {
+  const { story, acceptanceCriteria: fromDescription } = splitAcceptanceCriteria(description);
+  // A dedicated criteria field is all criteria; only a heading line inside it is dropped
+  const fromField = acceptanceCriteria.flatMap(text => criteriaItems(
+    tidyLines(text).split('\n').map(line => (AC_HEADING.test(line) ? line.match(AC_HEADING)[1] : line))
+  ));
+  const criteria = [...new Set([...fromField, ...fromDescription])];
+
+  return {
+    id: id ? String(id) : undefined,
+    ...(issueKey && { issueKey }),
+    text: requirementText(title, story) || criteria[0] || '',
+    title: String(title || '').trim(),
+    issueType,
+    acceptanceCriteria: criteria,
+    confidence: 1,
+    type: 'imported',
+    source,
+    ...(parent && { parent: String(parent) }),
+    ...(labels?.length > 0 && { labels }),
+    ...(status && { status }),
+    ...(url && { url })
+  };
+}
@@ -0,0 +1,133 @@
+// services/jira/JiraClient.js - Minimal Jira REST API v2 client
+//
+// Jira Cloud authenticates with an account email and API token (Basic auth);
+// Jira Server/Data Center with a personal access token (Bearer). Point
+// JIRA_BASE_URL at services/jira/mockJiraServer.js to work without a real Jira.
+
+export class JiraError extends Error {
+  /**
+   * @param {number} statusCode - status for our own response (400 for bad input, 502 when Jira fails)
+   * @param {number|null} jiraStatus - status Jira answered with, null when it did not answer
+   */
+  constructor(message, statusCode = 502, jiraStatus = null, details = null) {
+    super(message);
+    this.name = 'JiraError';
+    this.statusCode = statusCode;
+    this.jiraStatus = jiraStatus;
+    this.details = details;
+  }
+}
+
+/**
+ * Jira's error body is { errorMessages: [], errors: { field: message } }
+ */
+function describeErrors(body) {
+  if (!body || typeof body !== 'object') return '';
+  const messages = [
+    ...(body.errorMessages || []),
+    ...Object.entries(body.errors || {}).map(([field, message]) => `${field}: ${message}`)
+  ];
+  return messages.join('; ');
+}
+
+class JiraClient {
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || process.env.JIRA_BASE_URL || '').replace(/\/+$/, '');
+    this.email = options.email ?? process.env.JIRA_EMAIL;
+    this.apiToken = options.apiToken ?? process.env.JIRA_API_TOKEN;
+    this.timeoutMs = parseInt(options.timeoutMs || process.env.JIRA_TIMEOUT_MS || '30000', 10);
+  }
+
+  get isConfigured() {
+    return Boolean(this.baseUrl);
+  }
+
+  get authorization() {
+    if (!this.apiToken) return null;
+    return this.email
+      ? `Basic ${Buffer.from(`${this.email}:${this.apiToken}`).toString('base64')}`
+      : `Bearer ${this.apiToken}`;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} the parsed body, null for 204
+   * @throws {JiraError}
+   */
+  async request(method, path, body) {
+    if (!this.isConfigured) {
+      throw new JiraError('Jira is not configured (set JIRA_BASE_URL)', 503);
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/rest/api/2${path}`, {
+        method,
+        headers: {
+          Accept: 'application/json',
+          ...(body !== undefined && { 'Content-Type': 'application/json' }),
+          ...(this.authorization && { Authorization: this.authorization })
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (error) {
+      throw new JiraError(`Jira did not answer ${method} ${path}: ${error.message}`);
+    }
+
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      data = null;
+    }
+
+    if (!response.ok) {
+      const reason = describeErrors(data) || text.substring(0, 200) || response.statusText;
+      // Field and lookup errors are the caller's to fix; anything else is Jira's
+      const statusCode = [400, 404].includes(response.status) ? 400 : 502;
+      throw new JiraError(`Jira returned ${response.status} for ${method} ${path}: ${reason}`, statusCode, response.status, data);
+    }
+
+    return data;
+  }
+
+  myself() {
+    return this.request('GET', '/myself');
+  }
+
+  /**
+   * @returns {Promise<{ id, key, name, issueTypes: Array<{ id, name }> }>}
+   */
+  getProject(projectKey) {
+    return this.request('GET', `/project/${encodeURIComponent(projectKey)}`);
+  }
+
+  getIssue(issueKey, fields = ['summary', 'issuelinks']) {
+    return this.request('GET', `/issue/${encodeURIComponent(issueKey)}?fields=${fields.join(',')}`);
+  }
+
+  /**
+   * @returns {Promise<{ id, key, self }>}
+   */
+  createIssue(fields) {
+    return this.request('POST', '/issue', { fields });
+  }
+
+  updateIssue(issueKey, fields) {
+    return this.request('PUT', `/issue/${encodeURIComponent(issueKey)}`, { fields });
+  }
+
+  /**
+   * Link two issues; the test is the inward issue, the requirement the outward one
+   */
+  linkIssues(linkType, inwardKey, outwardKey) {
+    return this.request('POST', '/issueLink', {
+      type: { name: linkType },
+      inwardIssue: { key: inwardKey },
+      outwardIssue: { key: outwardKey }
+    });
+  }
+}
+
+export default JiraClient;
@@ -0,0 +1,112 @@
+// services/jira/jiraIssues.js - Test cases as Jira issue fields (REST API v2, wiki markup)
+
+import crypto from 'crypto';
+import controlCatalog from '../compliance/controlCatalog.js';
+
+// Jira's own limit for the summary field
+const MAX_SUMMARY = 255;
+
+export const ISSUE_KEY_PATTERN = /^[A-Z][A-Z0-9_]+-\d+$/;
+
+// Jira labels cannot contain spaces
+function label(value) {
+  return String(value).trim().replace(/\s+/g, '_');
+}
+
+/**
+ * One line, with the characters wiki markup reads as table cells or macros escaped
+ */
+function wiki(text) {
+  return String(text ?? '').replace(/\|/g, '\\|').replace(/\{/g, '\\{').replace(/\r?\n/g, ' ').trim();
+}
+
+function description(testCase) {
+  const lines = [];
+  if (testCase.description) lines.push(testCase.description.trim(), '');
+
+  if (testCase.preconditions.length > 0) {
+    lines.push('h3. Preconditions', ...testCase.preconditions.map(p => `* ${wiki(p)}`), '');
+  }
+  if (testCase.testSteps.length > 0) {
+    lines.push('h3. Test Steps', '||#||Action||Expected Result||');
+    lines.push(...testCase.testSteps.map((step, i) => `|${i + 1}|${wiki(step.action) || ' '}|${wiki(step.expectedResult) || ' '}|`), '');
+  }
+  if (testCase.expectedResults) lines.push('h3. Expected Results', testCase.expectedResults.trim(), '');
+
+  const details = [
+    ['Category', testCase.category],
+    ['Risk Level', testCase.riskLevel],
+    ['Compliance', testCase.complianceRequirements.join(', ')],
+    ['Requirements', testCase.requirementIds.join(', ')]
+  ].filter(([, value]) => value);
+  lines.push('h3. Details', ...details.map(([name, value]) => `* *${name}:* ${wiki(value)}`), '');
+
+  lines.push('_Generated by MedTestAI. Edits made in Jira are overwritten when the test is pushed again._');
+  return lines.join('\n');
+}
+
+/**
+ * Labels: the mapping's fixed labels and one per compliance framework. Test IDs are renumbered
+ * on every generation, so they stay out of everything the content hash covers.
+ */
+export function issueLabels(testCase, { labels = [], catalog = controlCatalog } = {}) {
+  const frameworks = testCase.complianceRequirements
+    .map(entry => catalog.frameworkOf(entry))
+    .filter(Boolean)
+    .map(id => `compliance-${id}`);
+  return [...new Set([...labels, ...frameworks].map(label))];
+}
+
+/**
+ * Fields for creating an issue; updates send the same fields minus project and issue type
+ * @param {Object} options.jira - the resolved "jira" field mapping
+ */
+export function issueFields(testCase, { projectKey, issueType, jira, catalog }) {
+  const summary = String(testCase.testName ?? '').replace(/\s+/g, ' ').trim();
+  return {
+    project: { key: projectKey },
+    issuetype: { name: issueType },
+    summary: summary.length > MAX_SUMMARY ? `${summary.slice(0, MAX_SUMMARY - 3)}...` : summary,
+    description: description(testCase),
+    priority: { name: jira.priority[testCase.priority] },
+    labels: issueLabels(testCase, { labels: jira.labels, catalog })
+  };
+}
+
+/**
+ * A test's identity across pushes. Generated tests carry a uid that survives renumbering
+ * and edits, renames included. Tests without one fall back to a fingerprint of the
+ * requirements they cover plus their normalised name and description.
+ */
+export function testIdentity(testCase) {
+  return testCase.uid ? `uid:${testCase.uid}` : testFingerprint(testCase);
+}
+
+/**
+ * Fingerprint of a test without a uid. Test IDs are renumbered on every generation, so two
+ * suites' TC001 are usually different tests; steps, priority and compliance can change under one.
+ */
+export function testFingerprint(testCase) {
+  const normalise = text => String(text ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  const requirements = [...new Set(testCase.requirementIds)].sort().join(',');
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([requirements, normalise(testCase.testName), normalise(testCase.description)]))
+    .digest('hex')
+    .substring(0, 16);
+}
+
+/**
+ * Hash of the fields an update would send, so unchanged tests are not rewritten
+ */
+export function contentHash(fields) {
+  const { project, issuetype, ...content } = fields;
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex').substring(0, 16);
+}
+
+/**
+ * Jira issue keys of the requirements a test covers
+ * @param {Map<string, string>} requirementIssues - requirement ID -> issue key
+ */
+export function linkedIssueKeys(testCase, requirementIssues) {
+  return [...new Set(testCase.requirementIds.map(id => requirementIssues.get(id)).filter(Boolean))];
+}
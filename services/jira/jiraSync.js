@@ -0,0 +1,250 @@
+// services/jira/jiraSync.js - Pushes test cases into Jira as Test (or Task) issues
+//
+// Every pushed test is recorded in jira_test_issues, keyed by MedTestAI project, Jira
+// project and the test's fingerprint, so pushing the suite again updates the same issues
+// rather than creating duplicates. Test IDs are renumbered on every generation and are
+// never enough to reuse an issue. Each issue is linked to its requirements' issues.
+
+import { getDatabase } from '../db/index.js';
+import controlCatalog from '../compliance/controlCatalog.js';
+import JiraClient, { JiraError } from './JiraClient.js';
+import { issueFields, contentHash, testIdentity, linkedIssueKeys, ISSUE_KEY_PATTERN } from './jiraIssues.js';
+
+export const DEFAULT_SCOPE = 'default';
+
+function toMapping(row) {
+  return {
+    scope: row.scope,
+    projectKey: row.jira_project,
+    testKey: row.test_key,
+    testId: row.test_id,
+    issueKey: row.issue_key,
+    issueId: row.issue_id,
+    contentHash: row.content_hash,
+    links: row.links ? JSON.parse(row.links) : [],
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Requirement ID -> issue key, from an explicit map and from requirements that carry an issueKey
+ * @throws {JiraError} for a value that is not an issue key
+ */
+export function requirementIssueMap(requirementIssues = {}, requirements = []) {
+  const entries = [
+    ...(Array.isArray(requirements) ? requirements : [])
+      .filter(req => req && typeof req === 'object' && req.id && req.issueKey)
+      .map(req => [String(req.id), req.issueKey]),
+    ...Object.entries(requirementIssues || {})
+  ];
+  for (const [id, key] of entries) {
+    if (!ISSUE_KEY_PATTERN.test(String(key))) {
+      throw new JiraError(`"${key}" for requirement ${id} is not a Jira issue key`, 400);
+    }
+  }
+  return new Map(entries.map(([id, key]) => [id, String(key)]));
+}
+
+class JiraSync {
+  constructor() {
+    this.db = null;
+    this.client = null;
+    this.memory = new Map(); // used when DB_CLIENT=none
+  }
+
+  /**
+   * Shares the history database; without one, mappings only last until restart
+   */
+  async initialize() {
+    this.client = this.client || new JiraClient();
+    this.db = await getDatabase();
+    if (this.client.isConfigured) {
+      console.log(`🔗 [Jira] Pushing to ${this.client.baseUrl}`);
+      if (!this.db) console.warn('⚠️  [Jira] No database - issue mappings are kept in memory until restart');
+    }
+    return this.client.isConfigured;
+  }
+
+  get isConfigured() {
+    return Boolean(this.client?.isConfigured);
+  }
+
+  /**
+   * Swap the client (scripts, the mock Jira server)
+   */
+  setClient(client) {
+    this.client = client;
+  }
+
+  async getMapping(scope, projectKey, testKey) {
+    if (!this.db) return this.memory.get(`${scope}|${projectKey}|${testKey}`) || null;
+    const [row] = await this.db.query(
+      'SELECT * FROM jira_test_issues WHERE scope = $1 AND jira_project = $2 AND test_key = $3',
+      [scope, projectKey, testKey]
+    );
+    return row ? toMapping(row) : null;
+  }
+
+  async saveMapping(mapping, existing) {
+    const now = new Date().toISOString();
+    if (!this.db) {
+      this.memory.set(`${mapping.scope}|${mapping.projectKey}|${mapping.testKey}`, {
+        ...mapping,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now
+      });
+      return;
+    }
+
+    const values = [mapping.testId, mapping.issueKey, mapping.issueId, mapping.contentHash, JSON.stringify(mapping.links), now];
+    if (existing) {
+      await this.db.execute(
+        `UPDATE jira_test_issues SET test_id = $1, issue_key = $2, issue_id = $3, content_hash = $4, links = $5, updated_at = $6
+         WHERE scope = $7 AND jira_project = $8 AND test_key = $9`,
+        [...values, mapping.scope, mapping.projectKey, mapping.testKey]
+      );
+    } else {
+      await this.db.execute(
+        `INSERT INTO jira_test_issues (test_id, issue_key, issue_id, content_hash, links, updated_at, created_at, scope, jira_project, test_key)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [...values, now, mapping.scope, mapping.projectKey, mapping.testKey]
+      );
+    }
+  }
+
+  /**
+   * @returns {Promise<Object[]>} the test -> issue mappings of a scope, optionally for one Jira project
+   */
+  async listMappings(scope = DEFAULT_SCOPE, projectKey = null) {
+    if (!this.db) {
+      return [...this.memory.values()]
+        .filter(m => m.scope === scope && (!projectKey || m.projectKey === projectKey));
+    }
+    const rows = projectKey
+      ? await this.db.query('SELECT * FROM jira_test_issues WHERE scope = $1 AND jira_project = $2 ORDER BY test_id', [scope, projectKey])
+      : await this.db.query('SELECT * FROM jira_test_issues WHERE scope = $1 ORDER BY jira_project, test_id', [scope]);
+    return rows.map(toMapping);
+  }
+
+  /**
+   * The wanted issue type if the project has it, otherwise the fallback (Task)
+   * @throws {JiraError} when the project has neither
+   */
+  async resolveIssueType(projectKey, wanted, fallback) {
+    const project = await this.client.getProject(projectKey);
+    const names = (project.issueTypes || []).map(type => type.name);
+    const found = [wanted, fallback].find(name => name && names.some(n => n.toLowerCase() === name.toLowerCase()));
+    if (!found) {
+      throw new JiraError(`Project ${projectKey} has no "${wanted}"${fallback ? ` or "${fallback}"` : ''} issue type (it has ${names.join(', ')})`, 400);
+    }
+    if (found !== wanted) {
+      console.log(`ℹ️  [Jira] Project ${projectKey} has no "${wanted}" issue type, using "${found}"`);
+    }
+    return names.find(n => n.toLowerCase() === found.toLowerCase());
+  }
+
+  /**
+   * Create or update one issue and add the requirement links it is missing
+   * @param {string} testKey - the test's identity; only a mapping with the same one is updated
+   */
+  async pushOne(testCase, testKey, { scope, projectKey, issueType, jira, catalog, requirementIssues }) {
+    const fields = issueFields(testCase, { projectKey, issueType, jira, catalog });
+    const hash = contentHash(fields);
+    const wantedLinks = linkedIssueKeys(testCase, requirementIssues);
+    const existing = await this.getMapping(scope, projectKey, testKey);
+
+    let issue = existing && { key: existing.issueKey, id: existing.issueId };
+    let links = existing?.links || [];
+    let action = 'unchanged';
+
+    if (existing && existing.contentHash !== hash) {
+      const { project, issuetype, ...update } = fields;
+      try {
+        await this.client.updateIssue(existing.issueKey, update);
+        action = 'updated';
+      } catch (error) {
+        // Deleted in Jira since the last push: create it again
+        if (error.jiraStatus !== 404) throw error;
+        issue = null;
+      }
+    }
+    if (!issue) {
+      const created = await this.client.createIssue(fields);
+      issue = { key: created.key, id: created.id };
+      links = [];
+      action = 'created';
+    }
+
+    const linkErrors = [];
+    for (const key of wantedLinks.filter(k => !links.includes(k))) {
+      try {
+        await this.client.linkIssues(jira.linkType, issue.key, key);
+        links = [...links, key];
+      } catch (error) {
+        if ([401, 403].includes(error.jiraStatus)) throw error;
+        linkErrors.push(`${key}: ${error.message}`);
+      }
+    }
+
+    const linksChanged = links.length !== (existing?.links || []).length;
+    if (action !== 'unchanged' || linksChanged) {
+      await this.saveMapping({ scope, projectKey, testKey, testId: testCase.testId, issueKey: issue.key, issueId: issue.id, contentHash: hash, links }, existing);
+    }
+
+    return {
+      testId: testCase.testId,
+      issueKey: issue.key,
+      url: `${this.client.baseUrl}/browse/${issue.key}`,
+      action,
+      links,
+      ...(linkErrors.length > 0 && { linkErrors })
+    };
+  }
+
+  /**
+   * Push test cases into a Jira project. Tests are pushed one at a time; a test Jira
+   * rejects is reported and the rest carry on, but an authentication failure stops the push.
+   * @param {Object[]} testCases - canonical test cases
+   * @param {Object} options.jira - the resolved "jira" field mapping
+   * @param {Map<string, string>} [options.requirementIssues] - requirement ID -> issue key
+   * @returns {Promise<{ projectKey, issueType, results: Object[], summary: Object }>}
+   * @throws {JiraError}
+   */
+  async push(testCases, { projectKey, scope = DEFAULT_SCOPE, jira, catalog = controlCatalog, requirementIssues = new Map(), issueType }) {
+    if (!this.isConfigured) {
+      throw new JiraError('Jira is not configured (set JIRA_BASE_URL)', 503);
+    }
+
+    const type = await this.resolveIssueType(projectKey, issueType || jira.issueType, jira.fallbackIssueType);
+    const options = { scope, projectKey, issueType: type, jira, catalog, requirementIssues };
+    const results = [];
+    const seen = new Map(); // identity -> tests with it so far, so identical tests get an issue each
+
+    for (const testCase of testCases) {
+      const base = testIdentity(testCase);
+      seen.set(base, (seen.get(base) || 0) + 1);
+      const testKey = seen.get(base) === 1 ? base : `${base}-${seen.get(base)}`;
+      try {
+        results.push(await this.pushOne(testCase, testKey, options));
+      } catch (error) {
+        if (!(error instanceof JiraError) || [401, 403].includes(error.jiraStatus)) throw error;
+        results.push({ testId: testCase.testId, action: 'failed', error: error.message });
+      }
+    }
+
+    const count = action => results.filter(r => r.action === action).length;
+    const summary = {
+      created: count('created'),
+      updated: count('updated'),
+      unchanged: count('unchanged'),
+      failed: count('failed'),
+      links: results.reduce((sum, r) => sum + (r.links?.length || 0), 0)
+    };
+    console.log(`🔗 [Jira] ${projectKey}: ${summary.created} created, ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.failed} failed`);
+
+    return { projectKey, issueType: type, results, summary };
+  }
+}
+
+export default new JiraSync();
@@ -0,0 +1,215 @@
+// services/jira/mockJiraServer.js - Local stand-in for the Jira REST API v2
+//
+// Implements the endpoints JiraClient uses, with Jira's validation and error
+// shapes, and keeps issues in memory. Start it with `npm run jira:mock` and set
+// JIRA_BASE_URL=http://localhost:8089, or call startMockJira() from a script.
+
+import express from 'express';
+import { fileURLToPath } from 'url';
+
+const PRIORITIES = ['Highest', 'High', 'Medium', 'Low', 'Lowest'];
+const LINK_TYPES = [
+  { id: '10000', name: 'Blocks', inward: 'is blocked by', outward: 'blocks' },
+  { id: '10001', name: 'Cloners', inward: 'is cloned by', outward: 'clones' },
+  { id: '10002', name: 'Duplicate', inward: 'is duplicated by', outward: 'duplicates' },
+  { id: '10003', name: 'Relates', inward: 'relates to', outward: 'relates to' },
+  { id: '10004', name: 'Test', inward: 'is tested by', outward: 'tests' }
+];
+const DEFAULT_ISSUE_TYPES = ['Story', 'Task', 'Bug', 'Test'];
+
+function jiraError(res, status, errorMessages = [], errors = {}) {
+  return res.status(status).json({ errorMessages, errors });
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Array<{ key: string, issueTypes?: string[] }>} [options.projects]
+ * @param {number} [options.requirements] - Story issues seeded in the first project to link tests to
+ * @param {string} [options.apiToken] - when set, requests must authenticate with it
+ * @returns {{ app: express.Application, state: { projects: Map, issues: Map, links: Object[], requests: Object[] } }}
+ */
+export function createMockJira({ projects = [{ key: 'MED' }], requirements = 0, apiToken = null } = {}) {
+  const state = {
+    projects: new Map(projects.map((project, i) => [project.key, {
+      id: String(10000 + i),
+      key: project.key,
+      name: project.name || project.key,
+      issueTypes: (project.issueTypes || DEFAULT_ISSUE_TYPES).map((name, t) => ({ id: String(10001 + t), name })),
+      nextNumber: 1
+    }])),
+    issues: new Map(),
+    links: [],
+    requests: []
+  };
+  let nextId = 10000;
+
+  const createIssue = (project, fields) => {
+    const key = `${project.key}-${project.nextNumber++}`;
+    const issue = { id: String(nextId++), key, fields: { ...fields, project: { key: project.key } } };
+    state.issues.set(key, issue);
+    return issue;
+  };
+
+  const [first] = state.projects.values();
+  for (let i = 1; first && i <= requirements; i++) {
+    createIssue(first, { issuetype: { name: 'Story' }, summary: `Requirement ${i}`, labels: [] });
+  }
+
+  // Jira's own checks on create and edit
+  const validate = (fields, project, creating) => {
+    const errors = {};
+    if (creating) {
+      if (!project) errors.project = 'valid project is required';
+      const typeName = fields.issuetype?.name;
+      if (project && !project.issueTypes.some(type => type.name === typeName)) {
+        errors.issuetype = `Specify a valid issue type (${typeName} is not available in ${project.key})`;
+      }
+      if (!fields.summary) errors.summary = 'You must specify a summary of the issue.';
+    }
+    if (fields.summary !== undefined && String(fields.summary).length > 255) {
+      errors.summary = 'Summary must be less than 255 characters.';
+    }
+    if (fields.labels !== undefined && (!Array.isArray(fields.labels) || fields.labels.some(l => /\s/.test(l)))) {
+      errors.labels = 'The label must not contain spaces.';
+    }
+    if (fields.priority !== undefined && !PRIORITIES.includes(fields.priority?.name)) {
+      errors.priority = `Specify a valid priority name (${fields.priority?.name})`;
+    }
+    if (fields.description !== undefined && typeof fields.description !== 'string') {
+      errors.description = 'Operation value must be a string';
+    }
+    return errors;
+  };
+
+  const issueLinks = key => state.links
+    .filter(link => link.inwardIssue === key || link.outwardIssue === key)
+    .map(link => {
+      const type = LINK_TYPES.find(t => t.name === link.type);
+      return link.inwardIssue === key
+        ? { id: link.id, type, outwardIssue: { key: link.outwardIssue } }
+        : { id: link.id, type, inwardIssue: { key: link.inwardIssue } };
+    });
+
+  const app = express();
+  app.use(express.json({ limit: '5mb' }));
+
+  app.use((req, res, next) => {
+    state.requests.push({ method: req.method, path: req.path });
+    if (!apiToken) return next();
+    const header = req.get('Authorization') || '';
+    const [scheme, value = ''] = header.split(' ');
+    const token = scheme === 'Basic' ? Buffer.from(value, 'base64').toString().split(':').slice(1).join(':') : value;
+    if (token !== apiToken) {
+      return jiraError(res, 401, ['You are not authenticated. Authentication required to perform this operation.']);
+    }
+    next();
+  });
+
+  const api = express.Router();
+
+  api.get('/myself', (req, res) => {
+    res.json({ accountId: 'mock-user', displayName: 'Mock Jira User', active: true });
+  });
+
+  api.get('/project/:key', (req, res) => {
+    const project = state.projects.get(req.params.key);
+    if (!project) return jiraError(res, 404, [`No project could be found with key '${req.params.key}'.`]);
+    const { nextNumber, ...body } = project;
+    res.json(body);
+  });
+
+  api.get('/issueLinkType', (req, res) => {
+    res.json({ issueLinkTypes: LINK_TYPES });
+  });
+
+  api.post('/issue', (req, res) => {
+    const fields = req.body?.fields || {};
+    const project = state.projects.get(fields.project?.key);
+    const errors = validate(fields, project, true);
+    if (Object.keys(errors).length > 0) return jiraError(res, 400, [], errors);
+
+    const issue = createIssue(project, fields);
+    res.status(201).json({ id: issue.id, key: issue.key, self: `${req.protocol}://${req.get('host')}/rest/api/2/issue/${issue.id}` });
+  });
+
+  api.get('/issue/:key', (req, res) => {
+    const issue = state.issues.get(req.params.key);
+    if (!issue) return jiraError(res, 404, ['Issue does not exist or you do not have permission to see it.']);
+    const wanted = req.query.fields ? String(req.query.fields).split(',') : null;
+    const fields = { ...issue.fields, issuelinks: issueLinks(issue.key) };
+    res.json({
+      id: issue.id,
+      key: issue.key,
+      fields: wanted ? Object.fromEntries(wanted.filter(f => f in fields).map(f => [f, fields[f]])) : fields
+    });
+  });
+
+  api.put('/issue/:key', (req, res) => {
+    const issue = state.issues.get(req.params.key);
+    if (!issue) return jiraError(res, 404, ['Issue does not exist or you do not have permission to see it.']);
+    const { project, issuetype, ...fields } = req.body?.fields || {};
+    if (project || issuetype) {
+      return jiraError(res, 400, [], { [project ? 'project' : 'issuetype']: 'Field cannot be set. It is not on the appropriate screen, or unknown.' });
+    }
+    const errors = validate(fields, null, false);
+    if (Object.keys(errors).length > 0) return jiraError(res, 400, [], errors);
+
+    issue.fields = { ...issue.fields, ...fields };
+    res.status(204).end();
+  });
+
+  api.delete('/issue/:key', (req, res) => {
+    if (!state.issues.delete(req.params.key)) {
+      return jiraError(res, 404, ['Issue does not exist or you do not have permission to see it.']);
+    }
+    state.links = state.links.filter(link => link.inwardIssue !== req.params.key && link.outwardIssue !== req.params.key);
+    res.status(204).end();
+  });
+
+  api.post('/issueLink', (req, res) => {
+    const { type, inwardIssue, outwardIssue } = req.body || {};
+    if (!LINK_TYPES.some(t => t.name === type?.name)) {
+      return jiraError(res, 404, [`No issue link type with name '${type?.name}' found.`]);
+    }
+    for (const issue of [inwardIssue, outwardIssue]) {
+      if (!state.issues.has(issue?.key)) {
+        return jiraError(res, 404, [`Issue Does Not Exist: ${issue?.key}`]);
+      }
+    }
+    state.links.push({ id: String(state.links.length + 10000), type: type.name, inwardIssue: inwardIssue.key, outwardIssue: outwardIssue.key });
+    res.status(201).end();
+  });
+
+  app.use('/rest/api/2', api);
+  app.use((req, res) => jiraError(res, 404, [`No mock for ${req.method} ${req.path}`]));
+
+  return { app, state };
+}
+
+/**
+ * Start the mock on a port (0 picks a free one)
+ * @returns {Promise<{ url: string, state: Object, close: () => Promise<void> }>}
+ */
+export function startMockJira({ port = 0, ...options } = {}) {
+  const { app, state } = createMockJira(options);
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, () => {
+      resolve({
+        url: `http://localhost:${server.address().port}`,
+        state,
+        close: () => new Promise(done => server.close(() => done()))
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const projectKey = process.env.JIRA_PROJECT_KEY || 'MED';
+  const mock = await startMockJira({
+    port: parseInt(process.env.JIRA_MOCK_PORT || '8089', 10),
+    projects: [{ key: projectKey }],
+    requirements: 5
+  });
+  console.log(`🧪 [Jira:mock] Listening on ${mock.url} - project ${projectKey}, requirement issues ${projectKey}-1..${projectKey}-5`);
+}
@@ -0,0 +1,240 @@
+// services/jobs/JobQueue.js
+// In-process worker pool on top of a pluggable JobStore.
+//
+// Jobs run in the process that accepted them (uploads live on its local disk);
+// the store makes status, progress and results visible to every instance.
+
+import crypto from 'crypto';
+import { FINISHED_STATUSES } from './JobStore.js';
+
+const HEARTBEAT_MS = 30000;
+
+/**
+ * Job operation that is not valid for the job's current state (maps to HTTP 409/404)
+ */
+export class JobStateError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'JobStateError';
+    this.statusCode = statusCode;
+  }
+}
+
+class JobQueue {
+  constructor({ store, concurrency } = {}) {
+    this.store = store;
+    this.concurrency = concurrency || parseInt(process.env.JOB_CONCURRENCY || '2', 10);
+    this.staleMs = parseFloat(process.env.JOB_STALE_MINUTES || '15') * 60000;
+    this.handlers = new Map();
+    this.pending = [];
+    this.running = new Map(); // id -> AbortController
+    this.writes = new Map(); // id -> last pending store write
+  }
+
+  async initialize() {
+    await this.store.initialize();
+    console.log(`✅ [Jobs] Queue ready (store: ${this.store.name}, concurrency: ${this.concurrency})`);
+    return true;
+  }
+
+  /**
+   * @param {string} type - e.g. 'workflow.complete'
+   * @param {Function} handler - async (payload, { jobId, signal, reportProgress }) => result
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  async enqueue(type, payload) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`No job handler registered for "${type}"`);
+    }
+
+    const now = new Date().toISOString();
+    const job = await this.store.create({
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      payload,
+      progress: null,
+      result: null,
+      error: null,
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null
+    });
+
+    console.log(`📥 [Jobs] Queued ${type} job ${job.id}`);
+    this.pending.push(job.id);
+    this.drain();
+
+    return job;
+  }
+
+  async get(id) {
+    const job = await this.store.get(id);
+    if (!job) {
+      return null;
+    }
+
+    // A running job whose worker stopped heartbeating is reported as failed
+    if (job.status === 'running' && !this.running.has(id) &&
+        Date.now() - Date.parse(job.updatedAt) > this.staleMs) {
+      return this.store.update(id, {
+        status: 'failed',
+        error: { message: 'Worker stopped responding (instance restarted or crashed)' },
+        finishedAt: new Date().toISOString()
+      });
+    }
+
+    return job;
+  }
+
+  async cancel(id) {
+    const job = await this.get(id);
+    if (!job) {
+      throw new JobStateError('Job not found', 404);
+    }
+    if (FINISHED_STATUSES.includes(job.status)) {
+      throw new JobStateError(`Job is already ${job.status}`);
+    }
+
+    this.pending = this.pending.filter(pendingId => pendingId !== id);
+    const updated = await this.write(id, {
+      status: 'cancelled',
+      finishedAt: new Date().toISOString()
+    });
+
+    // Running here: stop it. Running elsewhere: that worker sees the status when it finishes.
+    this.running.get(id)?.abort();
+
+    console.log(`🛑 [Jobs] Cancelled job ${id}`);
+    return updated;
+  }
+
+  async retry(id) {
+    const job = await this.get(id);
+    if (!job) {
+      throw new JobStateError('Job not found', 404);
+    }
+    if (job.status !== 'failed') {
+      throw new JobStateError(`Only failed jobs can be retried (job is ${job.status})`);
+    }
+
+    const updated = await this.write(id, {
+      status: 'queued',
+      progress: null,
+      result: null,
+      error: null,
+      startedAt: null,
+      finishedAt: null
+    });
+
+    console.log(`🔁 [Jobs] Retrying job ${id} (attempt ${job.attempts + 1})`);
+    this.pending.push(id);
+    this.drain();
+
+    return updated;
+  }
+
+  drain() {
+    while (this.running.size < this.concurrency && this.pending.length > 0) {
+      const id = this.pending.shift();
+      const controller = new AbortController();
+      this.running.set(id, controller);
+
+      this.run(id, controller)
+        .catch(error => console.error(`❌ [Jobs] Job ${id} bookkeeping failed:`, error.message))
+        .finally(() => {
+          this.running.delete(id);
+          this.drain();
+        });
+    }
+  }
+
+  async run(id, controller) {
+    const job = await this.store.get(id);
+    if (!job || job.status !== 'queued') {
+      return;
+    }
+
+    const handler = this.handlers.get(job.type);
+    await this.write(id, {
+      status: 'running',
+      attempts: job.attempts + 1,
+      startedAt: new Date().toISOString()
+    });
+    console.log(`▶️  [Jobs] Running ${job.type} job ${id}`);
+
+    // Keep updatedAt fresh during long LLM calls so the job is not reported stale
+    const heartbeat = setInterval(() => {
+      this.write(id, {}).catch(() => {});
+    }, HEARTBEAT_MS);
+
+    const context = {
+      jobId: id,
+      signal: controller.signal,
+      reportProgress: (progress) => {
+        this.write(id, { progress }).catch(error => {
+          console.warn(`⚠️  [Jobs] Progress update failed for ${id}:`, error.message);
+        });
+      }
+    };
+
+    try {
+      const result = await handler(job.payload, context);
+
+      if (await this.wasCancelled(id)) return;
+      await this.write(id, {
+        status: 'succeeded',
+        result,
+        finishedAt: new Date().toISOString()
+      });
+      console.log(`✅ [Jobs] Job ${id} succeeded`);
+    } catch (error) {
+      if (await this.wasCancelled(id)) return;
+      await this.write(id, {
+        status: 'failed',
+        error: {
+          message: error.message,
+          ...(error.details && { details: error.details })
+        },
+        finishedAt: new Date().toISOString()
+      });
+      console.error(`❌ [Jobs] Job ${id} failed:`, error.message);
+    } finally {
+      clearInterval(heartbeat);
+      await this.writes.get(id)?.catch(() => {});
+      this.writes.delete(id);
+    }
+  }
+
+  /**
+   * Serialize store writes per job so a late progress update can never
+   * overwrite the final status (stores update by read-merge-write)
+   */
+  write(id, patch) {
+    const previous = this.writes.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(() => this.store.update(id, patch));
+    this.writes.set(id, next);
+    return next;
+  }
+
+  async wasCancelled(id) {
+    await this.writes.get(id)?.catch(() => {});
+    const current = await this.store.get(id);
+    return current?.status === 'cancelled';
+  }
+
+  /**
+   * Job as returned by the API (payload holds server-side file paths)
+   */
+  toPublic(job) {
+    const { payload, ...rest } = job;
+    return rest;
+  }
+}
+
+export default JobQueue;
@@ -0,0 +1,68 @@
+// services/jobs/JobStore.js
+// Base class for job persistence. The queue only ever talks to this interface.
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+export const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+/**
+ * Job store interface
+ *
+ * A job is a plain JSON object:
+ *   { id, type, status, payload, progress, result, error, attempts,
+ *     createdAt, updatedAt, startedAt, finishedAt }
+ *
+ * Subclasses implement initialize(), create(), get(), update() and findByStatus().
+ * Finished jobs are kept for JOB_TTL_HOURS (default 24) and then discarded.
+ */
+class JobStore {
+  constructor(options = {}) {
+    this.name = 'base';
+    this.ttlSeconds = Math.round(
+      (options.ttlHours ?? parseFloat(process.env.JOB_TTL_HOURS || '24')) * 3600
+    );
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    throw new Error(`${this.constructor.name} must implement initialize()`);
+  }
+
+  /**
+   * @param {Object} job - complete job record
+   * @returns {Promise<Object>}
+   */
+  async create() {
+    throw new Error(`${this.constructor.name} must implement create()`);
+  }
+
+  /**
+   * @returns {Promise<Object|null>}
+   */
+  async get() {
+    throw new Error(`${this.constructor.name} must implement get()`);
+  }
+
+  /**
+   * Shallow-merge a patch into a job and bump updatedAt
+   * @returns {Promise<Object|null>} the updated job, or null if it does not exist
+   */
+  async update() {
+    throw new Error(`${this.constructor.name} must implement update()`);
+  }
+
+  /**
+   * @param {string[]} statuses
+   * @returns {Promise<Object[]>}
+   */
+  async findByStatus() {
+    throw new Error(`${this.constructor.name} must implement findByStatus()`);
+  }
+
+  async close() {}
+
+  describe() {
+    return { store: this.name, ttlSeconds: this.ttlSeconds };
+  }
+}
+
+export default JobStore;
@@ -0,0 +1,59 @@
+// services/jobs/MemoryJobStore.js
+// Default store: jobs live in this process only and are lost on restart.
+
+import JobStore, { FINISHED_STATUSES } from './JobStore.js';
+
+class MemoryJobStore extends JobStore {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'memory';
+    this.jobs = new Map();
+  }
+
+  async initialize() {
+    this.isInitialized = true;
+    return true;
+  }
+
+  async create(job) {
+    this.prune();
+    this.jobs.set(job.id, structuredClone(job));
+    return structuredClone(job);
+  }
+
+  async get(id) {
+    const job = this.jobs.get(id);
+    return job ? structuredClone(job) : null;
+  }
+
+  async update(id, patch) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+
+    Object.assign(job, structuredClone(patch), { updatedAt: new Date().toISOString() });
+    return structuredClone(job);
+  }
+
+  async findByStatus(statuses) {
+    return [...this.jobs.values()]
+      .filter(job => statuses.includes(job.status))
+      .map(job => structuredClone(job));
+  }
+
+  /**
+   * Drop finished jobs older than the TTL
+   */
+  prune() {
+    const cutoff = Date.now() - this.ttlSeconds * 1000;
+
+    for (const [id, job] of this.jobs) {
+      if (FINISHED_STATUSES.includes(job.status) && Date.parse(job.updatedAt) < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+export default MemoryJobStore;
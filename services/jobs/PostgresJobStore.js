@@ -0,0 +1,112 @@
+// services/jobs/PostgresJobStore.js
+// Jobs in a `jobs` table (the `postgres` service in docker-compose.yml, via DATABASE_URL).
+
+import JobStore from './JobStore.js';
+
+class PostgresJobStore extends JobStore {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'postgres';
+    this.connectionString = options.connectionString || process.env.DATABASE_URL;
+    this.pool = null;
+  }
+
+  async initialize() {
+    if (this.isInitialized) {
+      return true;
+    }
+
+    if (!this.connectionString) {
+      throw new Error('JOB_STORE=postgres requires DATABASE_URL');
+    }
+
+    let pg;
+    try {
+      pg = (await import('pg')).default;
+    } catch (error) {
+      throw new Error('JOB_STORE=postgres requires the "pg" package (npm install pg)');
+    }
+
+    this.pool = new pg.Pool({ connectionString: this.connectionString });
+
+    try {
+      await this.migrate();
+    } catch (error) {
+      await this.pool.end().catch(() => {});
+      this.pool = null;
+      throw error;
+    }
+
+    this.isInitialized = true;
+    return true;
+  }
+
+  async migrate() {
+    await this.pool.query(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        status TEXT NOT NULL,
+        data JSONB NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await this.pool.query('CREATE INDEX IF NOT EXISTS jobs_status_idx ON jobs (status)');
+
+    // Expire finished jobs past the TTL
+    const { rowCount } = await this.pool.query(
+      `DELETE FROM jobs
+       WHERE status IN ('succeeded', 'failed', 'cancelled')
+         AND updated_at < NOW() - make_interval(secs => $1)`,
+      [this.ttlSeconds]
+    );
+
+    console.log(`✅ [Jobs:postgres] Ready${rowCount ? ` (expired ${rowCount} old jobs)` : ''}`);
+  }
+
+  async create(job) {
+    await this.pool.query(
+      'INSERT INTO jobs (id, type, status, data, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, $6)',
+      [job.id, job.type, job.status, job, job.createdAt, job.updatedAt]
+    );
+    return job;
+  }
+
+  async get(id) {
+    const { rows } = await this.pool.query('SELECT data FROM jobs WHERE id = $1', [id]);
+    return rows[0]?.data || null;
+  }
+
+  async update(id, patch) {
+    const updatedAt = new Date().toISOString();
+    const { rows } = await this.pool.query(
+      `UPDATE jobs
+       SET data = data || $2::jsonb,
+           status = COALESCE($3, status),
+           updated_at = $4
+       WHERE id = $1
+       RETURNING data`,
+      [id, JSON.stringify({ ...patch, updatedAt }), patch.status || null, updatedAt]
+    );
+    return rows[0]?.data || null;
+  }
+
+  async findByStatus(statuses) {
+    const { rows } = await this.pool.query(
+      'SELECT data FROM jobs WHERE status = ANY($1) ORDER BY created_at',
+      [statuses]
+    );
+    return rows.map(row => row.data);
+  }
+
+  async close() {
+    if (this.pool) {
+      await this.pool.end();
+      this.pool = null;
+      this.isInitialized = false;
+    }
+  }
+}
+
+export default PostgresJobStore;
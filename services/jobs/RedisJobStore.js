@@ -0,0 +1,118 @@
+// services/jobs/RedisJobStore.js
+// Jobs as JSON strings in Redis (the `redis` service in docker-compose.yml),
+// so any instance can answer GET /api/jobs/:id.
+
+import JobStore from './JobStore.js';
+
+const KEY_PREFIX = 'medtestai:job:';
+const STATUS_PREFIX = 'medtestai:jobs:status:';
+
+class RedisJobStore extends JobStore {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'redis';
+    this.url = options.url || process.env.REDIS_URL || 'redis://localhost:6379';
+    this.client = null;
+  }
+
+  async initialize() {
+    if (this.isInitialized) {
+      return true;
+    }
+
+    let createClient;
+    try {
+      ({ createClient } = await import('redis'));
+    } catch (error) {
+      throw new Error('JOB_STORE=redis requires the "redis" package (npm install redis)');
+    }
+
+    const safeUrl = this.url.replace(/\/\/[^@]*@/, '//***@');
+
+    this.client = createClient({
+      url: this.url,
+      socket: {
+        // Fail fast on startup; once connected, keep reconnecting with backoff
+        reconnectStrategy: (retries) => {
+          if (!this.isInitialized && retries >= 3) {
+            return new Error(`Could not connect to Redis at ${safeUrl}`);
+          }
+          return Math.min(retries * 200, 5000);
+        }
+      }
+    });
+    this.client.on('error', (error) => {
+      console.error('❌ [Jobs:redis] Connection error:', error.message);
+    });
+    try {
+      await this.client.connect();
+    } catch (error) {
+      this.client = null;
+      throw error;
+    }
+
+    console.log(`✅ [Jobs:redis] Connected to ${safeUrl}`);
+    this.isInitialized = true;
+    return true;
+  }
+
+  async create(job) {
+    await this.client.multi()
+      .set(KEY_PREFIX + job.id, JSON.stringify(job), { EX: this.ttlSeconds })
+      .sAdd(STATUS_PREFIX + job.status, job.id)
+      .exec();
+    return job;
+  }
+
+  async get(id) {
+    const raw = await this.client.get(KEY_PREFIX + id);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async update(id, patch) {
+    const job = await this.get(id);
+    if (!job) {
+      return null;
+    }
+
+    const updated = { ...job, ...patch, updatedAt: new Date().toISOString() };
+    const multi = this.client.multi()
+      .set(KEY_PREFIX + id, JSON.stringify(updated), { EX: this.ttlSeconds });
+
+    if (updated.status !== job.status) {
+      multi.sRem(STATUS_PREFIX + job.status, id).sAdd(STATUS_PREFIX + updated.status, id);
+    }
+
+    await multi.exec();
+    return updated;
+  }
+
+  async findByStatus(statuses) {
+    const jobs = [];
+
+    for (const status of statuses) {
+      const ids = await this.client.sMembers(STATUS_PREFIX + status);
+      for (const id of ids) {
+        const job = await this.get(id);
+        if (job) {
+          jobs.push(job);
+        } else {
+          // The job key expired; drop the stale index entry
+          await this.client.sRem(STATUS_PREFIX + status, id);
+        }
+      }
+    }
+
+    return jobs;
+  }
+
+  async close() {
+    if (this.client?.isOpen) {
+      await this.client.quit();
+      this.client = null;
+      this.isInitialized = false;
+    }
+  }
+}
+
+export default RedisJobStore;
@@ -0,0 +1,83 @@
+// services/jobs/index.js
+// Background job entry point. Pick the store with JOB_STORE:
+//   memory    - this process only, lost on restart (default)
+//   redis     - REDIS_URL
+//   postgres  - DATABASE_URL
+
+import JobQueue, { JobStateError } from './JobQueue.js';
+import JobStore from './JobStore.js';
+import MemoryJobStore from './MemoryJobStore.js';
+import RedisJobStore from './RedisJobStore.js';
+import PostgresJobStore from './PostgresJobStore.js';
+
+const STORES = {
+  'memory': MemoryJobStore,
+  'redis': RedisJobStore,
+  'postgres': PostgresJobStore
+};
+
+const ALIASES = {
+  'in-memory': 'memory',
+  'pg': 'postgres',
+  'postgresql': 'postgres'
+};
+
+let sharedQueue = null; // Promise<JobQueue>, so concurrent callers share one initialization
+const handlers = new Map();
+
+export function resolveJobStoreName(name = process.env.JOB_STORE) {
+  const normalized = (name || 'memory').toLowerCase().trim();
+  const resolved = ALIASES[normalized] || normalized;
+
+  if (!STORES[resolved]) {
+    throw new Error(`Unknown job store "${name}". Expected one of: ${Object.keys(STORES).join(', ')}`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Create a new, uninitialized store instance
+ */
+export function createJobStore(name, options = {}) {
+  const Store = STORES[resolveJobStoreName(name)];
+  return new Store(options);
+}
+
+/**
+ * Register a handler for a job type; applies to the shared queue whenever it is created
+ * @param {string} type
+ * @param {Function} handler - async (payload, { jobId, signal, reportProgress }) => result
+ */
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Shared queue for the configured environment (initialized on first use)
+ */
+export async function getJobQueue() {
+  if (!sharedQueue) {
+    const queue = new JobQueue({ store: createJobStore() });
+    for (const [type, handler] of handlers) {
+      queue.registerHandler(type, handler);
+    }
+    sharedQueue = queue.initialize()
+      .then(() => queue)
+      .catch(error => {
+        sharedQueue = null;
+        throw error;
+      });
+  }
+
+  return sharedQueue;
+}
+
+export {
+  JobQueue,
+  JobStateError,
+  JobStore,
+  MemoryJobStore,
+  RedisJobStore,
+  PostgresJobStore
+};
@@ -0,0 +1,173 @@
+// services/llm/FixtureProvider.js
+// Deterministic offline provider for CI and air-gapped environments.
+// Never touches the network: answers come from recorded fixtures or are synthesized from the prompt.
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import LLMProvider from './LLMProvider.js';
+
+/**
+ * Fixture provider
+ *
+ * Lookup order for every prompt:
+ *   1. <LLM_FIXTURES_DIR>/<sha256(prompt) first 16 chars>.json (or .txt)
+ *   2. A synthesized response built from the requirements listed in the prompt
+ *
+ * The same prompt always produces the same output, so snapshots stay stable.
+ */
+class FixtureProvider extends LLMProvider {
+  constructor(options = {}) {
+    super({
+      model: options.model || 'fixture-v1',
+      ...options
+    });
+    this.name = 'fixture';
+    this.fixturesDir = options.fixturesDir || process.env.LLM_FIXTURES_DIR || null;
+  }
+
+  async initialize() {
+    if (this.isInitialized) {
+      return true;
+    }
+
+    console.log('🧪 [LLM:fixture] Using offline fixture provider');
+    if (this.fixturesDir) {
+      console.log(`   Fixtures: ${this.fixturesDir}`);
+    }
+
+    this.isInitialized = true;
+    return true;
+  }
+
+  static fixtureKey(prompt) {
+    return crypto.createHash('sha256').update(prompt).digest('hex').substring(0, 16);
+  }
+
+  async generateText(prompt, options = {}) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const recorded = await this.loadFixture(prompt);
+    if (recorded !== null) {
+      return recorded;
+    }
+
+    const { maxOutputTokens } = this.resolveOptions(options);
+    if (maxOutputTokens <= 1) {
+      return 'pong';
+    }
+
+    return JSON.stringify(this.synthesize(prompt), null, 2);
+  }
+
+  async loadFixture(prompt) {
+    if (!this.fixturesDir) {
+      return null;
+    }
+
+    const key = FixtureProvider.fixtureKey(prompt);
+
+    for (const ext of ['.json', '.txt']) {
+      try {
+        return await fs.readFile(path.join(this.fixturesDir, `${key}${ext}`), 'utf-8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build a plausible response for prompts with no recorded fixture
+   */
+  synthesize(prompt) {
+    // Gap analysis asks for a bare JSON array of implicit gaps
+    if (/IMPLICIT testing gaps/i.test(prompt)) {
+      return [];
+    }
+
+    const requirements = this.extractRequirements(prompt);
+    const frameworks = this.extractFrameworks(prompt);
+
+    const testCases = requirements.flatMap((requirement, reqIndex) => {
+      const base = reqIndex * 2;
+      return [
+        this.buildTestCase(base + 1, requirement, 'functional', 'positive', frameworks),
+        this.buildTestCase(base + 2, requirement, 'security', 'negative', frameworks)
+      ];
+    });
+
+    return {
+      testCases,
+      summary: {
+        totalTests: testCases.length,
+        byPriority: {},
+        byCategory: {},
+        complianceCoverage: {}
+      },
+      metadata: {
+        requirementsCount: requirements.length,
+        provider: this.name
+      }
+    };
+  }
+
+  buildTestCase(number, { id, text: requirement }, category, type, frameworks) {
+    const shortText = requirement.length > 80 ? `${requirement.substring(0, 77)}...` : requirement;
+    const positive = type === 'positive';
+
+    return {
+      testId: `TC${String(number).padStart(3, '0')}`,
+      testName: positive ? `Verify: ${shortText}` : `Reject invalid input: ${shortText}`,
+      category,
+      priority: positive ? 'High' : 'Medium',
+      description: positive
+        ? `Validates that the system satisfies the requirement: ${requirement}`
+        : `Validates that the system rejects invalid or unauthorized use related to: ${requirement}`,
+      preconditions: ['System is deployed in a test environment', 'Test user account exists'],
+      testSteps: [
+        { step: 1, action: 'Log in as an authorized test user', expectedResult: 'User is authenticated' },
+        {
+          step: 2,
+          action: positive ? 'Exercise the feature with valid data' : 'Exercise the feature with invalid data',
+          expectedResult: positive ? 'Operation succeeds' : 'Operation is rejected with a clear error'
+        },
+        { step: 3, action: 'Review the audit log', expectedResult: 'The action is recorded' }
+      ],
+      expectedResults: positive ? 'Requirement behaves as specified' : 'Invalid use is blocked and logged',
+      complianceRequirements: frameworks,
+      riskLevel: positive ? 'Medium' : 'High',
+      testingTechnique: positive ? 'equivalence-partitioning' : 'boundary-value',
+      automationFeasibility: 'High',
+      requirementIds: id ? [id] : []
+    };
+  }
+
+  /**
+   * Pull the numbered requirement list (with optional [REQ-001] IDs) out of a generator prompt
+   */
+  extractRequirements(prompt) {
+    const section = prompt.match(/\*{0,2}Requirements:\*{0,2}\s*\n([\s\S]*?)(?:\n\s*\n|$)/i);
+    const lines = section ? section[1].split('\n') : [];
+
+    const requirements = lines
+      .map(line => line.match(/^\s*\d+\.\s+(?:\[([^\]]+)\]\s*)?(.+)$/))
+      .filter(Boolean)
+      .map(match => ({ id: match[1] || null, text: match[2].trim() }));
+
+    return requirements.length > 0 ? requirements : [{ id: null, text: 'General system behaviour' }];
+  }
+
+  extractFrameworks(prompt) {
+    const match = prompt.match(/\*{0,2}Compliance Frameworks?:\*{0,2}\s*(.+)/i);
+    if (!match) {
+      return ['HIPAA'];
+    }
+    return match[1].split(',').map(fw => fw.trim()).filter(Boolean);
+  }
+}
+
+export default FixtureProvider;
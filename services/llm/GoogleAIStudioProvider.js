@@ -0,0 +1,62 @@
+// services/llm/GoogleAIStudioProvider.js
+import LLMProvider from './LLMProvider.js';
+
+/**
+ * Google AI Studio provider (GEMINI_API_KEY)
+ * For local development without a GCP project
+ */
+class GoogleAIStudioProvider extends LLMProvider {
+  constructor(options = {}) {
+    super({
+      model: options.model || process.env.LLM_MODEL || process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+      ...options
+    });
+    this.name = 'ai-studio';
+    this.apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+    this.genAI = null;
+  }
+
+  async initialize() {
+    if (this.isInitialized) {
+      return true;
+    }
+
+    if (!this.apiKey) {
+      throw new Error('GEMINI_API_KEY not found in environment variables');
+    }
+
+    console.log('🤖 [LLM:ai-studio] Initializing Google AI Studio client...');
+
+    const { GoogleGenerativeAI } = await import('@google/generative-ai');
+    this.genAI = new GoogleGenerativeAI(this.apiKey);
+
+    this.isInitialized = true;
+    console.log(`✅ [LLM:ai-studio] Ready (model: ${this.model})`);
+    return true;
+  }
+
+  async generateText(prompt, options = {}) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const { temperature, topP, topK, maxOutputTokens, responseMimeType } = this.resolveOptions(options);
+
+    const model = this.genAI.getGenerativeModel({
+      model: this.model,
+      generationConfig: {
+        temperature,
+        topP,
+        ...(topK !== undefined && { topK }),
+        maxOutputTokens,
+        ...(responseMimeType === 'application/json' && { responseMimeType })
+      }
+    });
+
+    const result = await model.generateContent(prompt);
+    const response = await result.response;
+    return response.text();
+  }
+}
+
+export default GoogleAIStudioProvider;
@@ -0,0 +1,77 @@
+// services/llm/LLMProvider.js
+// Base class shared by every LLM backend. Generators only ever talk to this interface.
+
+/**
+ * LLM Provider interface
+ *
+ * Subclasses implement initialize() and generateText(). Everything else
+ * (health checks, option defaults) is shared here so services never need
+ * to know which backend is answering.
+ */
+class LLMProvider {
+  constructor(options = {}) {
+    this.name = 'base';
+    this.model = options.model || null;
+    this.defaults = {
+      temperature: parseFloat(process.env.LLM_TEMPERATURE || process.env.GEMINI_TEMPERATURE || '0.7'),
+      topP: 0.95,
+      maxOutputTokens: parseInt(process.env.LLM_MAX_TOKENS || '8192', 10),
+      responseMimeType: 'text/plain',
+      ...options.defaults
+    };
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    throw new Error(`${this.constructor.name} must implement initialize()`);
+  }
+
+  /**
+   * Send a single prompt and return the raw text of the first candidate.
+   * @param {string} prompt
+   * @param {Object} [options] - temperature, topP, topK, maxOutputTokens, responseMimeType
+   * @returns {Promise<string>}
+   */
+  async generateText() {
+    throw new Error(`${this.constructor.name} must implement generateText()`);
+  }
+
+  /**
+   * Merge call options over provider defaults
+   */
+  resolveOptions(options = {}) {
+    return { ...this.defaults, ...options };
+  }
+
+  /**
+   * Minimal round trip used by /health endpoints
+   */
+  async healthCheck() {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+      await this.generateText('ping', { maxOutputTokens: 1, temperature: 0 });
+      return {
+        status: 'healthy',
+        provider: this.name,
+        model: this.model,
+        message: `${this.name} provider is operational`
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        provider: this.name,
+        model: this.model,
+        error: error.message,
+        details: error.code || 'unknown_error'
+      };
+    }
+  }
+
+  describe() {
+    return { provider: this.name, model: this.model };
+  }
+}
+
+export default LLMProvider;
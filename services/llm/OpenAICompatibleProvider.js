@@ -0,0 +1,80 @@
+// services/llm/OpenAICompatibleProvider.js
+import LLMProvider from './LLMProvider.js';
+
+/**
+ * OpenAI-compatible chat completions provider
+ * Works with OpenAI, Azure OpenAI proxies, vLLM, Ollama, LM Studio, etc.
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor(options = {}) {
+    super({
+      model: options.model || process.env.LLM_MODEL || process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      ...options
+    });
+    this.name = 'openai';
+    this.baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.timeoutMs = parseInt(options.timeoutMs || process.env.LLM_TIMEOUT_MS || '120000', 10);
+  }
+
+  async initialize() {
+    if (this.isInitialized) {
+      return true;
+    }
+
+    console.log(`🤖 [LLM:openai] Endpoint: ${this.baseUrl}`);
+
+    if (!this.apiKey) {
+      console.warn('⚠️  [LLM:openai] OPENAI_API_KEY not set - assuming an unauthenticated local endpoint');
+    }
+
+    this.isInitialized = true;
+    console.log(`✅ [LLM:openai] Ready (model: ${this.model})`);
+    return true;
+  }
+
+  async generateText(prompt, options = {}) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const { temperature, topP, maxOutputTokens, responseMimeType } = this.resolveOptions(options);
+
+    const body = {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature,
+      top_p: topP,
+      max_tokens: maxOutputTokens,
+      ...(responseMimeType === 'application/json' && { response_format: { type: 'json_object' } })
+    };
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      const error = new Error(`OpenAI-compatible endpoint returned ${response.status}: ${errorText.substring(0, 200)}`);
+      error.code = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content;
+
+    if (typeof content !== 'string') {
+      throw new Error('No completion content in OpenAI-compatible response');
+    }
+
+    return content;
+  }
+}
+
+export default OpenAICompatibleProvider;
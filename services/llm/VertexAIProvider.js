@@ -0,0 +1,75 @@
+// services/llm/VertexAIProvider.js
+import { VertexAI } from '@google-cloud/vertexai';
+import LLMProvider from './LLMProvider.js';
+
+/**
+ * Vertex AI (Gemini) provider
+ * Uses Application Default Credentials, same as the rest of the GCP services
+ */
+class VertexAIProvider extends LLMProvider {
+  constructor(options = {}) {
+    super({
+      model: options.model || process.env.LLM_MODEL || process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+      ...options
+    });
+    this.name = 'vertex';
+    this.project = options.project || process.env.GOOGLE_CLOUD_PROJECT || 'pro-variety-472211-b9';
+    this.location = options.location || process.env.VERTEX_AI_LOCATION || 'us-central1';
+    this.vertex = null;
+  }
+
+  async initialize() {
+    if (this.isInitialized) {
+      return true;
+    }
+
+    console.log('🤖 [LLM:vertex] Initializing Vertex AI...');
+    console.log(`   Project: ${this.project}`);
+    console.log(`   Location: ${this.location}`);
+
+    this.vertex = new VertexAI({
+      project: this.project,
+      location: this.location
+    });
+
+    this.isInitialized = true;
+    console.log(`✅ [LLM:vertex] Ready (model: ${this.model})`);
+    return true;
+  }
+
+  async generateText(prompt, options = {}) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const { temperature, topP, topK, maxOutputTokens, responseMimeType } = this.resolveOptions(options);
+
+    // Preview models (e.g. *-exp) are only exposed on the preview namespace
+    const namespace = this.model.includes('exp') ? this.vertex.preview : this.vertex;
+    const model = namespace.getGenerativeModel({
+      model: this.model,
+      generationConfig: {
+        temperature,
+        topP,
+        ...(topK !== undefined && { topK }),
+        maxOutputTokens,
+        ...(responseMimeType === 'application/json' && { responseMimeType })
+      }
+    });
+
+    const result = await model.generateContent({
+      contents: [{ role: 'user', parts: [{ text: prompt }] }]
+    });
+
+    const response = result.response;
+
+    if (!response.candidates || response.candidates.length === 0) {
+      throw new Error('No response candidates from Vertex AI');
+    }
+
+    const parts = response.candidates[0].content?.parts || [];
+    return parts.map(part => part.text || '').join('');
+  }
+}
+
+export default VertexAIProvider;
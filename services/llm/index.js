@@ -0,0 +1,78 @@
+// services/llm/index.js
+// Single entry point for LLM access. Pick the backend with LLM_PROVIDER:
+//   vertex     - Vertex AI with ADC (default)
+//   ai-studio  - Google AI Studio with GEMINI_API_KEY
+//   openai     - any OpenAI-compatible /chat/completions endpoint
+//   fixture    - deterministic offline responses (CI, air-gapped staging)
+
+import VertexAIProvider from './VertexAIProvider.js';
+import GoogleAIStudioProvider from './GoogleAIStudioProvider.js';
+import OpenAICompatibleProvider from './OpenAICompatibleProvider.js';
+import FixtureProvider from './FixtureProvider.js';
+
+const PROVIDERS = {
+  'vertex': VertexAIProvider,
+  'ai-studio': GoogleAIStudioProvider,
+  'openai': OpenAICompatibleProvider,
+  'fixture': FixtureProvider
+};
+
+const ALIASES = {
+  'vertex-ai': 'vertex',
+  'vertexai': 'vertex',
+  'gemini': 'ai-studio',
+  'aistudio': 'ai-studio',
+  'openai-compatible': 'openai',
+  'stub': 'fixture',
+  'offline': 'fixture'
+};
+
+let sharedProvider = null;
+
+export function resolveProviderName(name = process.env.LLM_PROVIDER) {
+  const normalized = (name || 'vertex').toLowerCase().trim();
+  const resolved = ALIASES[normalized] || normalized;
+
+  if (!PROVIDERS[resolved]) {
+    throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Create a new, uninitialized provider instance
+ */
+export function createLLMProvider(name, options = {}) {
+  const Provider = PROVIDERS[resolveProviderName(name)];
+  return new Provider(options);
+}
+
+/**
+ * Shared, initialized provider for the configured environment
+ */
+export async function getLLMProvider() {
+  if (!sharedProvider) {
+    sharedProvider = createLLMProvider();
+  }
+
+  if (!sharedProvider.isInitialized) {
+    await sharedProvider.initialize();
+  }
+
+  return sharedProvider;
+}
+
+/**
+ * Override the shared provider (tests, scripts)
+ */
+export function setLLMProvider(provider) {
+  sharedProvider = provider;
+}
+
+export {
+  VertexAIProvider,
+  GoogleAIStudioProvider,
+  OpenAICompatibleProvider,
+  FixtureProvider
+};
@@ -0,0 +1,180 @@
+// services/ocr/ocrService.js - Local OCR for scanned PDFs and images (tesseract.js)
+//
+// Runs entirely offline: the Tesseract engine is WebAssembly and the language data
+// comes from @tesseract.js-data/eng, or OCR_LANG_PATH for other languages. Used when
+// Document AI is unavailable, for image uploads and for PDF pages without a text layer.
+
+import fs from 'fs';
+import path from 'path';
+import { openPdfImages } from './pdfImages.js';
+
+export const OCR_IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff'
+};
+
+// Tesseract reads list bullets as dashes, guillemets or stray dots
+const OCR_BULLET = /^([ \t]*)[—–•·▪■◦*»«-]+[ \t]+/gm;
+
+function readInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+class OcrService {
+  constructor() {
+    this.enabled = process.env.OCR_ENABLED !== 'false';
+    this.languages = (process.env.OCR_LANGUAGES || 'eng').split(/[+,\s]+/).filter(Boolean);
+    this.langPath = process.env.OCR_LANG_PATH || null;
+    // A PDF page with less text than this is treated as a scan
+    this.minPageCharacters = readInt(process.env.OCR_MIN_PAGE_CHARS, 25);
+    this.minConfidence = readInt(process.env.OCR_MIN_CONFIDENCE, 60);
+    this.maxPages = readInt(process.env.OCR_MAX_PAGES, 50);
+  }
+
+  isImage(extension) {
+    return Object.prototype.hasOwnProperty.call(OCR_IMAGE_TYPES, extension);
+  }
+
+  /**
+   * A Tesseract worker for one document; language data is never fetched from the network
+   */
+  async createWorker() {
+    const { createWorker } = await import('tesseract.js');
+    let langPath = this.langPath;
+    let gzip = false;
+    if (!langPath) {
+      if (this.languages.some(language => language !== 'eng')) {
+        throw new Error(`OCR_LANGUAGES=${this.languages.join('+')} needs OCR_LANG_PATH, a folder with their .traineddata files`);
+      }
+      const { default: eng } = await import('@tesseract.js-data/eng');
+      ({ langPath, gzip } = eng);
+    } else {
+      gzip = fs.existsSync(path.join(langPath, `${this.languages[0]}.traineddata.gz`));
+    }
+    return createWorker(this.languages.join('+'), 1, {
+      langPath,
+      gzip,
+      cacheMethod: 'none', // nothing is written to the working directory
+      // Failed jobs reject their own promise; without a handler tesseract.js also throws
+      // from the worker's message listener, which would crash the server
+      errorHandler: () => {}
+    });
+  }
+
+  async read(worker, image) {
+    let data;
+    try {
+      ({ data } = await worker.recognize(image));
+    } catch (error) {
+      // Worker failures arrive as "Error: ..." strings
+      throw new Error(String(error?.message ?? error).replace(/^(Error:\s*)+/, ''));
+    }
+    const text = data.text.replace(OCR_BULLET, '$1- ').replace(/[ \t]+$/gm, '').trim();
+    return { text, confidence: Math.round(data.confidence) };
+  }
+
+  /**
+   * Page numbers whose text layer is too short to be the page's content
+   */
+  scannedPages(pageTexts, pageCount) {
+    const pages = [];
+    for (let page = 1; page <= pageCount; page++) {
+      if ((pageTexts[page - 1] || '').replace(/\s/g, '').length < this.minPageCharacters) pages.push(page);
+    }
+    return pages;
+  }
+
+  /**
+   * Report on the recognised pages: confidence per page and which ones to check by hand
+   */
+  summarize(pages) {
+    const recognised = pages.filter(page => page.method === 'ocr');
+    const lowConfidencePages = recognised.filter(page => page.confidence < this.minConfidence).map(page => page.page);
+    return {
+      engine: 'tesseract.js',
+      languages: this.languages,
+      pagesRecognised: recognised.length,
+      averageConfidence: recognised.length
+        ? Math.round(recognised.reduce((sum, page) => sum + page.confidence, 0) / recognised.length)
+        : null,
+      lowConfidencePages,
+      pages
+    };
+  }
+
+  /**
+   * OCR an image upload (PNG, JPEG or TIFF - the first page of a multi-page TIFF)
+   * @param {Buffer} buffer
+   * @returns {Promise<{ text: string, ocr: Object }>}
+   */
+  async recognizeImage(buffer) {
+    const worker = await this.createWorker();
+    try {
+      const { text, confidence } = await this.read(worker, buffer);
+      console.log(`🔎 [OCR] Image recognised: ${text.length} characters, ${confidence}% confidence`);
+      return { text, ocr: this.summarize([{ page: 1, method: 'ocr', confidence, characters: text.length }]) };
+    } finally {
+      await worker.terminate();
+    }
+  }
+
+  /**
+   * OCR the scanned pages of a PDF, keeping the text layer of pages that have one
+   * @param {Buffer} buffer
+   * @param {Object} [options]
+   * @param {string[]} [options.pageTexts] - text layer per page (index 0 is page 1), empty when unreadable
+   * @param {number|null} [options.pageCount] - when known, a PDF whose pages all have text is not opened again
+   * @returns {Promise<{ text: string, pageCount: number, ocr: Object }|null>} null when every
+   *   page already has text or no page has a scan to read
+   */
+  async recognizePdf(buffer, { pageTexts = [], pageCount = null } = {}) {
+    if (pageCount !== null && this.scannedPages(pageTexts, pageCount).length === 0) return null;
+
+    const pdf = await openPdfImages(buffer);
+    let worker = null;
+    try {
+      const scanned = this.scannedPages(pageTexts, pdf.pageCount);
+      if (scanned.length === 0) return null;
+      console.log(`🔎 [OCR] ${scanned.length} of ${pdf.pageCount} PDF pages have no text layer`);
+
+      const texts = [];
+      const pages = [];
+      for (let page = 1; page <= pdf.pageCount; page++) {
+        const layer = (pageTexts[page - 1] || '').trim();
+        if (!scanned.includes(page)) {
+          texts.push(layer);
+          pages.push({ page, method: 'text', confidence: null, characters: layer.length });
+          continue;
+        }
+        if (scanned.indexOf(page) >= this.maxPages) {
+          texts.push(layer);
+          pages.push({ page, method: 'skipped', confidence: null, characters: layer.length });
+          continue;
+        }
+        const scan = await pdf.pageImage(page);
+        if (!scan) {
+          texts.push(layer);
+          pages.push({ page, method: 'empty', confidence: null, characters: layer.length });
+          continue;
+        }
+        worker = worker || await this.createWorker();
+        const { text, confidence } = await this.read(worker, scan.image);
+        console.log(`🔎 [OCR] Page ${page}: ${text.length} characters, ${confidence}% confidence`);
+        texts.push(text);
+        pages.push({ page, method: 'ocr', confidence, characters: text.length });
+      }
+      if (!worker) return null;
+
+      return { text: texts.filter(Boolean).join('\n\n'), pageCount: pdf.pageCount, ocr: this.summarize(pages) };
+    } finally {
+      await worker?.terminate();
+      await pdf.close();
+    }
+  }
+}
+
+export default new OcrService();
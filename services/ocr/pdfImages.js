@@ -0,0 +1,78 @@
+// services/ocr/pdfImages.js - The scanned image on each PDF page, as a grayscale bitmap
+//
+// Scanners write each page as one full-page image. pdf.js decodes it (CCITT fax,
+// JBIG2, JPEG, Flate) without a canvas; the largest image painted on a page is
+// taken as the scan and returned as a binary PGM, which Tesseract reads directly.
+
+// pdf.js ImageKind
+const GRAYSCALE_1BPP = 1;
+const RGB_24BPP = 2;
+
+/**
+ * 8-bit grayscale PGM from a decoded pdf.js image ({ width, height, kind, data })
+ */
+function toPgm({ width, height, kind, data }) {
+  const pixels = Buffer.alloc(width * height);
+  if (kind === GRAYSCALE_1BPP) {
+    // Rows are padded to whole bytes; a set bit is white
+    const rowBytes = (width + 7) >> 3;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        pixels[y * width + x] = data[y * rowBytes + (x >> 3)] & (128 >> (x & 7)) ? 255 : 0;
+      }
+    }
+  } else {
+    const channels = kind === RGB_24BPP ? 3 : 4;
+    for (let i = 0, p = 0; i < pixels.length; i++, p += channels) {
+      pixels[i] = (data[p] * 299 + data[p + 1] * 587 + data[p + 2] * 114) / 1000;
+    }
+  }
+  return Buffer.concat([Buffer.from(`P5\n${width} ${height}\n255\n`), pixels]);
+}
+
+function objectData(page, objId) {
+  // Images shared between pages live in commonObjs ("g_" ids)
+  const store = objId.startsWith('g_') ? page.commonObjs : page.objs;
+  return new Promise(resolve => store.get(objId, resolve));
+}
+
+/**
+ * Open a PDF to read its page scans one page at a time
+ * @param {Buffer} buffer
+ * @returns {Promise<{ pageCount: number, pageImage: (page: number) => Promise<Object|null>, close: () => Promise<void> }>}
+ *   pageImage resolves to { image: Buffer (PGM), width, height }, or null for a page without images
+ */
+export async function openPdfImages(buffer) {
+  const { getDocument, OPS } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const pdf = await getDocument({
+    data: new Uint8Array(buffer),
+    isOffscreenCanvasSupported: false,
+    disableFontFace: true,
+    useSystemFonts: false,
+    verbosity: 0
+  }).promise;
+
+  const pageImage = async pageNumber => {
+    const page = await pdf.getPage(pageNumber);
+    try {
+      const { fnArray, argsArray } = await page.getOperatorList();
+      let largest = null;
+      for (let i = 0; i < fnArray.length; i++) {
+        let image = null;
+        if (fnArray[i] === OPS.paintImageXObject) {
+          image = await objectData(page, argsArray[i][0]);
+        } else if (fnArray[i] === OPS.paintInlineImageXObject) {
+          image = argsArray[i][0];
+        }
+        if (image?.data && (!largest || image.width * image.height > largest.width * largest.height)) {
+          largest = image;
+        }
+      }
+      return largest ? { image: toPgm(largest), width: largest.width, height: largest.height } : null;
+    } finally {
+      page.cleanup();
+    }
+  };
+
+  return { pageCount: pdf.numPages, pageImage, close: () => pdf.destroy() };
+}
@@ -0,0 +1,367 @@
+// services/privacy/deidentifier.js - Local PHI/PII detection and de-identification
+//
+// Runs before document text and requirements leave the process for the LLM.
+// Detectors cover the HIPAA Safe Harbor identifiers (45 CFR §164.514(b)(2))
+// that can appear in text: patterns for structured values, keyword context for
+// record numbers, and a given-name dictionary for people. Biometrics and photos
+// are listed in the report but cannot be found in extracted text.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_NAMES_FILE = path.resolve(__dirname, '../../config/privacy/given-names.json');
+
+export const DEIDENTIFY_MODES = ['redact', 'pseudonymize', 'block', 'off'];
+
+// Safe Harbor identifier categories, in the order the regulation lists them
+export const IDENTIFIER_TYPES = {
+  NAME: 'Names',
+  LOCATION: 'Geographic subdivisions smaller than a state',
+  DATE: 'Dates (except year) and ages over 89',
+  PHONE: 'Telephone numbers',
+  FAX: 'Fax numbers',
+  EMAIL: 'Email addresses',
+  SSN: 'Social Security numbers',
+  MRN: 'Medical record numbers',
+  HEALTH_PLAN: 'Health plan beneficiary numbers',
+  ACCOUNT: 'Account numbers',
+  LICENSE: 'Certificate/license numbers',
+  VEHICLE: 'Vehicle identifiers and serial numbers',
+  DEVICE: 'Device identifiers and serial numbers',
+  URL: 'Web URLs',
+  IP: 'IP addresses',
+  BIOMETRIC: 'Biometric identifiers',
+  PHOTO: 'Full-face photographs',
+  ID: 'Any other unique identifying number'
+};
+
+const NOT_DETECTABLE_IN_TEXT = ['BIOMETRIC', 'PHOTO'];
+
+const MONTHS = 'Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?';
+const STREET_SUFFIX = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Court|Ct|Way|Place|Pl|Terrace|Parkway|Pkwy';
+const CAPITALIZED = "[A-Z][a-z]+(?:[-'][A-Z][a-z]+)?";
+const STATES = 'A[KLRZ]|C[AOT]|D[CE]|FL|GA|HI|I[ADLN]|K[SY]|LA|M[ADEINOST]|N[CDEHJMVY]|O[HKR]|PA|RI|S[CD]|T[NX]|UT|V[AT]|W[AIVY]|PR';
+// The value after a label such as "MRN:" - four or more characters including a digit,
+// so prose like "MRN lookup" or "account for 30 days" is left alone
+const LABELLED_VALUE = '((?=[A-Z0-9-]*\\d)[A-Z0-9][A-Z0-9-]{3,})';
+
+/**
+ * Build a detector whose value follows a keyword ("MRN: 0045821")
+ */
+function labelled(type, labels) {
+  return {
+    type,
+    pattern: new RegExp(`\\b(?:${labels})\\s*(?:number|no\\.?|#|id)?\\s*[:#]?\\s*${LABELLED_VALUE}`, 'gi'),
+    group: 1
+  };
+}
+
+// Earlier detectors win when matches overlap, so specific ones come first
+const PATTERN_DETECTORS = [
+  { type: 'EMAIL', pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  { type: 'URL', pattern: /\b(?:https?:\/\/|www\.)[^\s<>"')\]]*[^\s<>"')\].,;:!?]/gi },
+  { type: 'SSN', pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+  labelled('SSN', 'SSN|social security'),
+  labelled('MRN', 'MRN|medical record'),
+  labelled('HEALTH_PLAN', 'member|beneficiary|subscriber|policy|health plan|insurance'),
+  labelled('ACCOUNT', 'account|acct'),
+  labelled('LICENSE', "licen[cs]e|certificate|driver'?s licen[cs]e|DEA|NPI"),
+  labelled('DEVICE', 'serial|device|UDI|implant'),
+  labelled('VEHICLE', 'VIN|license plate|plate'),
+  labelled('ID', 'patient|person|subject|encounter'),
+  { type: 'VEHICLE', pattern: /\b(?=[A-HJ-NPR-Z0-9]*\d)(?=[A-HJ-NPR-Z0-9]*[A-HJ-NPR-Z])[A-HJ-NPR-Z0-9]{17}\b/g },
+  { type: 'FAX', pattern: /\bfax\s*(?:number|no\.?|#)?\s*[:#]?\s*((?:\+?1[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4})\b/gi, group: 1 },
+  { type: 'PHONE', pattern: /(?:\+?1[-.\s]?)?(?:\(\d{3}\)\s?|\b\d{3}[-.\s])\d{3}[-.\s]\d{4}\b/g },
+  { type: 'IP', pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g },
+  { type: 'IP', pattern: /\b(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}\b/gi },
+  { type: 'DATE', pattern: /\b(?:19|20)\d{2}-\d{2}-\d{2}\b/g },
+  { type: 'DATE', pattern: /\b\d{1,2}[/-]\d{1,2}[/-](?:\d{4}|\d{2})\b/g },
+  { type: 'DATE', pattern: new RegExp(`\\b(?:${MONTHS})\\.? \\d{1,2}(?:st|nd|rd|th)?,? \\d{4}\\b`, 'g') },
+  { type: 'DATE', pattern: new RegExp(`\\b\\d{1,2} (?:${MONTHS})\\.?,? \\d{4}\\b`, 'g') },
+  { type: 'DATE', pattern: /\b(?:9\d|1[0-4]\d)[-\s]?(?:years?[-\s]old|y\/?o)\b/gi },
+  { type: 'DATE', pattern: /\bage[sd]?\s*:?\s*(?:9\d|1[0-4]\d)\b/gi },
+  { type: 'LOCATION', pattern: new RegExp(`\\b\\d{1,6} (?:${CAPITALIZED} ){1,3}(?:${STREET_SUFFIX})\\.?(?=\\W|$)`, 'g') },
+  { type: 'LOCATION', pattern: new RegExp(`\\b(?:${CAPITALIZED} ){0,2}${CAPITALIZED}, (?:${STATES}),? \\d{5}(?:-\\d{4})?\\b`, 'g') },
+  { type: 'LOCATION', pattern: new RegExp(`\\b(?:${STATES}),? \\d{5}(?:-\\d{4})?\\b`, 'g') },
+  { type: 'LOCATION', pattern: /\bzip(?: ?code)?\s*:?\s*(\d{5}(?:-\d{4})?)\b/gi, group: 1 },
+  { type: 'NAME', pattern: new RegExp(`\\b(?:Mr|Mrs|Ms|Miss|Dr)\\.? ${CAPITALIZED}(?: ${CAPITALIZED})?`, 'g') },
+  // Case-sensitive so "name: the user's login" is not taken for a person
+  { type: 'NAME', pattern: new RegExp(`\\b(?:[Pp]atient|[Nn]ame|[Pp]atient [Nn]ame|[Gg]uarantor|[Nn]ext of [Kk]in)\\s*:\\s*(${CAPITALIZED}(?: [A-Z]\\.)?(?: ${CAPITALIZED}){1,2})`, 'g'), group: 1 }
+];
+
+// Tokens that pseudonymize() writes and reidentify() reads back: [NAME_1], [MRN_2]
+const TOKEN_PATTERN = /\[([A-Z_]+)_(\d+)\]/g;
+
+export class PhiDetectedError extends Error {
+  constructor(report) {
+    super(`Document contains ${report.identifiersFound} potential PHI identifier(s); de-identification mode is "block"`);
+    this.name = 'PhiDetectedError';
+    this.statusCode = 422;
+    this.report = report;
+  }
+}
+
+/**
+ * Mode from the request, else DEIDENTIFY_MODE, else redact. Unknown modes fail
+ * rather than silently letting identifiers through.
+ */
+export function resolveDeidentifyMode(mode) {
+  const resolved = String(mode || process.env.DEIDENTIFY_MODE || 'redact').toLowerCase().trim();
+  if (!DEIDENTIFY_MODES.includes(resolved)) {
+    throw new Error(`Unknown de-identification mode "${mode}"; use one of ${DEIDENTIFY_MODES.join(', ')}`);
+  }
+  return resolved;
+}
+
+class Deidentifier {
+  constructor(namesFile = process.env.PHI_NAMES_FILE || DEFAULT_NAMES_FILE) {
+    this.namesFile = namesFile;
+    this.nameDetector = null;
+  }
+
+  /**
+   * The dictionary detector: a known given name followed by a capitalized surname
+   */
+  loadNames() {
+    const { names = [] } = JSON.parse(fs.readFileSync(this.namesFile, 'utf8'));
+    const alternatives = names.map(n => n.replace(/[^A-Za-z'-]/g, '')).filter(Boolean).join('|');
+    this.nameDetector = {
+      type: 'NAME',
+      pattern: new RegExp(`\\b(?:${alternatives})(?: [A-Z]\\.)? ${CAPITALIZED}\\b`, 'g')
+    };
+    console.log(`🔒 [Privacy] Loaded ${names.length} given names from ${this.namesFile}`);
+    return this;
+  }
+
+  get detectors() {
+    if (!this.nameDetector) this.loadNames();
+    return [...PATTERN_DETECTORS, this.nameDetector];
+  }
+
+  /**
+   * Find identifiers in a text. Overlapping matches keep the earlier detector's.
+   * @returns {Array<{ type: string, start: number, end: number, value: string }>}
+   */
+  detect(text) {
+    if (!text) return [];
+
+    const findings = [];
+    const overlaps = (start, end) => findings.some(f => start < f.end && end > f.start);
+
+    for (const { type, pattern, group } of this.detectors) {
+      for (const match of String(text).matchAll(pattern)) {
+        const value = group ? match[group] : match[0];
+        if (!value) continue;
+        const start = match.index + (group ? match[0].lastIndexOf(value) : 0);
+        const end = start + value.length;
+        if (!overlaps(start, end)) findings.push({ type, start, end, value });
+      }
+    }
+
+    return findings.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Replace identifiers in one text
+   * @param {Object} session - from createSession(); holds the token map across texts
+   * @param {string} location - where the text came from, for the report
+   */
+  transform(text, session, location) {
+    const findings = this.detect(text);
+    if (findings.length === 0) return text;
+
+    let output = '';
+    let cursor = 0;
+    for (const finding of findings) {
+      output += text.slice(cursor, finding.start) + session.replacementFor(finding);
+      cursor = finding.end;
+      session.record(finding, location);
+    }
+    return output + text.slice(cursor);
+  }
+
+  /**
+   * Tracks the replacements for one document. Pseudonyms are stable within a
+   * session, so the same MRN becomes the same token in the text and in every requirement.
+   * @param {Object} [options.after] - highest token number per type already in use, e.g. { NAME: 2 };
+   *   new pseudonyms are numbered after them so they never collide with an earlier run's
+   */
+  createSession(mode, { after = {} } = {}) {
+    const tokens = new Map(); // token -> original value
+    const byValue = new Map(); // "TYPE:value" -> token
+    const counters = { ...after };
+    const findings = [];
+
+    return {
+      mode,
+      tokens,
+      findings,
+      replacementFor({ type, value }) {
+        if (mode !== 'pseudonymize') return `[${type}]`;
+        const key = `${type}:${value}`;
+        if (!byValue.has(key)) {
+          counters[type] = (counters[type] || 0) + 1;
+          const token = `[${type}_${counters[type]}]`;
+          byValue.set(key, token);
+          tokens.set(token, value);
+        }
+        return byValue.get(key);
+      },
+      record({ type, start, end }, location) {
+        findings.push({ type, location, start, length: end - start });
+      }
+    };
+  }
+
+  /**
+   * De-identify a processed document's text and requirements
+   * @param {{ text?: string, requirements?: Array }} document
+   * @param {Object} [options]
+   * @param {string} [options.mode] - redact | pseudonymize | block | off
+   * @returns {{ text, requirements, report, tokenMap }} tokenMap is only set in pseudonymize mode
+   */
+  deidentifyDocument({ text = '', requirements = [] }, { mode } = {}) {
+    const resolvedMode = resolveDeidentifyMode(mode);
+    if (resolvedMode === 'off') {
+      return { text, requirements, report: buildReport(resolvedMode, []), tokenMap: null };
+    }
+
+    const session = this.createSession(resolvedMode);
+    const cleanText = this.transform(text, session, 'text');
+    const cleanRequirements = this.transformRequirements(requirements, session, 'requirement');
+    return { text: cleanText, requirements: cleanRequirements, ...this.finish(session) };
+  }
+
+  /**
+   * De-identify a regeneration request. Only the edited requirements go to the LLM, so only
+   * they are de-identified; the previous suite's tests are kept or retired as they are.
+   * The previous requirements get a copy from the same session, only to compare with the
+   * edited ones: a value gets the same replacement in both, so unchanged requirements match.
+   * @param {{ requirements?: Array, previousSuite?: { requirements?: Array, testCases?: Array } }} input
+   * @param {Object} [options]
+   * @param {string} [options.mode] - redact | pseudonymize | block | off
+   * @returns {{ requirements, previousRequirements, report, tokenMap }} tokenMap is only set in pseudonymize mode
+   */
+  deidentifyRegeneration({ requirements = [], previousSuite = null }, { mode } = {}) {
+    const resolvedMode = resolveDeidentifyMode(mode);
+    const previousRequirements = previousSuite?.requirements;
+    if (resolvedMode === 'off') {
+      return { requirements, previousRequirements, report: buildReport(resolvedMode, []), tokenMap: null };
+    }
+
+    // Tokens from an earlier run may still be in the request, e.g. in kept tests
+    const session = this.createSession(resolvedMode, { after: highestTokenNumbers([requirements, previousSuite]) });
+    const cleanRequirements = this.transformRequirements(requirements, session, 'requirement');
+    const result = this.finish(session);
+
+    // Not part of the report: the previous requirements are never sent or stored from here
+    const comparison = { ...session, record() {} };
+    return {
+      requirements: cleanRequirements,
+      previousRequirements: this.transformRequirements(previousRequirements, comparison, 'previous requirement'),
+      ...result
+    };
+  }
+
+  transformRequirements(requirements, session, label) {
+    if (!Array.isArray(requirements)) return requirements;
+
+    return requirements.map((requirement, index) => {
+      if (typeof requirement === 'string') {
+        return this.transform(requirement, session, `${label} ${index + 1}`);
+      }
+      const location = `${label} ${requirement?.id || index + 1}`;
+      return {
+        ...requirement,
+        text: this.transform(requirement?.text, session, location),
+        ...(requirement?.description ? { description: this.transform(requirement.description, session, location) } : {}),
+        // Imported stories carry a title and acceptance criteria, structured documents a section
+        ...(requirement?.title ? { title: this.transform(requirement.title, session, location) } : {}),
+        ...(requirement?.section ? { section: this.transform(requirement.section, session, location) } : {}),
+        ...(Array.isArray(requirement?.acceptanceCriteria)
+          ? { acceptanceCriteria: requirement.acceptanceCriteria.map(item => this.transform(item, session, location)) }
+          : {})
+      };
+    });
+  }
+
+  /**
+   * Report on a session's findings; in block mode any finding fails the request
+   */
+  finish(session) {
+    const report = buildReport(session.mode, session.findings);
+    if (report.identifiersFound > 0) {
+      console.log(`🔒 [Privacy] ${session.mode}: ${report.identifiersFound} identifier(s) - ${Object.entries(report.byType).map(([t, n]) => `${t}=${n}`).join(', ')}`);
+    }
+
+    if (session.mode === 'block' && report.identifiersFound > 0) {
+      throw new PhiDetectedError(report);
+    }
+
+    return { report, tokenMap: session.mode === 'pseudonymize' ? session.tokens : null };
+  }
+
+  /**
+   * Put original values back in place of pseudonym tokens, in strings, arrays and plain objects
+   * @param {*} value - e.g. the generated test cases
+   * @param {Map<string, string>} tokenMap - from deidentifyDocument() in pseudonymize mode
+   */
+  reidentify(value, tokenMap) {
+    if (!tokenMap || tokenMap.size === 0) return value;
+
+    if (typeof value === 'string') {
+      return value.replace(TOKEN_PATTERN, token => tokenMap.get(token) ?? token);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.reidentify(item, tokenMap));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.reidentify(item, tokenMap)]));
+    }
+    return value;
+  }
+}
+
+/**
+ * Highest pseudonym number per type in strings, arrays and plain objects: { NAME: 2, MRN: 1 }
+ */
+function highestTokenNumbers(value, highest = {}) {
+  if (typeof value === 'string') {
+    for (const [, type, number] of value.matchAll(TOKEN_PATTERN)) {
+      highest[type] = Math.max(highest[type] || 0, Number(number));
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach(item => highestTokenNumbers(item, highest));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => highestTokenNumbers(item, highest));
+  }
+  return highest;
+}
+
+/**
+ * Counts per Safe Harbor category and where each finding was. Original values are never included.
+ */
+function buildReport(mode, findings) {
+  const byType = {};
+  for (const { type } of findings) {
+    byType[type] = (byType[type] || 0) + 1;
+  }
+
+  return {
+    mode,
+    standard: 'HIPAA Safe Harbor (45 CFR §164.514(b)(2))',
+    identifiersFound: findings.length,
+    byType,
+    categories: Object.entries(IDENTIFIER_TYPES).map(([type, label]) => ({
+      type,
+      label,
+      count: byType[type] || 0,
+      detectable: !NOT_DETECTABLE_IN_TEXT.includes(type)
+    })),
+    findings
+  };
+}
+
+export default new Deidentifier();
@@ -0,0 +1,74 @@
+// services/rtm/rtmExport.js - Tabular RTM layout shared by the CSV, Excel and Google Sheets exports
+
+export const RTM_SHEET_TITLE = 'Traceability Matrix';
+
+const STATUS_LABELS = {
+  covered: 'Covered',
+  untested: 'Untested requirement',
+  orphan: 'Orphan test'
+};
+
+const COLUMNS = [
+  { header: 'Requirement ID', key: 'requirementId', width: 16 },
+  { header: 'Requirement', key: 'requirementText', width: 60 },
+  { header: 'Test ID', key: 'testId', width: 12 },
+  { header: 'Test Name', key: 'testName', width: 40 },
+  { header: 'Priority', key: 'priority', width: 12 },
+  { header: 'Compliance Controls', key: 'controls', width: 50 },
+  { header: 'Unmapped Citations', key: 'unmapped', width: 24 },
+  { header: 'Status', key: 'status', width: 22 }
+];
+
+/**
+ * Matrix as [headers, ...rows] of plain strings
+ */
+export function rtmToRows(matrix) {
+  return [
+    COLUMNS.map(c => c.header),
+    ...matrix.rows.map(row => [
+      row.requirementId || '',
+      row.requirementText || '',
+      row.testId || '',
+      row.testName || '',
+      row.priority || '',
+      row.controls.map(control => `${control.id} ${control.title}`).join('; '),
+      row.unmapped.join(', '),
+      STATUS_LABELS[row.status] || row.status
+    ])
+  ];
+}
+
+/**
+ * Add the matrix as its own worksheet; untested requirements and orphan tests are highlighted
+ * @param {import('exceljs').Workbook} workbook
+ */
+export function addRtmWorksheet(workbook, matrix) {
+  const worksheet = workbook.addWorksheet(RTM_SHEET_TITLE);
+  worksheet.columns = COLUMNS.map(({ header, key, width }) => ({ header, key, width }));
+
+  worksheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  worksheet.getRow(1).fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FF4472C4' }
+  };
+  worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  const [, ...rows] = rtmToRows(matrix);
+  rows.forEach((values, i) => {
+    const row = worksheet.addRow(values);
+    row.alignment = { vertical: 'top', wrapText: true };
+
+    if (matrix.rows[i].status !== 'covered') {
+      row.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFCE4D6' } };
+    }
+  });
+
+  worksheet.addRow([]);
+  worksheet.addRow(['Requirements covered', `${matrix.summary.coveredRequirements}/${matrix.summary.requirements} (${matrix.summary.coveragePercent}%)`]);
+  worksheet.addRow(['Untested requirements', matrix.untestedRequirements.join(', ') || 'None']);
+  worksheet.addRow(['Orphan tests', matrix.orphanTests.join(', ') || 'None']);
+  worksheet.addRow(['Unmapped citations', matrix.unmapped.map(u => u.citation).join(', ') || 'None']);
+
+  return worksheet;
+}
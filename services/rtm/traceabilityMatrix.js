@@ -0,0 +1,209 @@
+// services/rtm/traceabilityMatrix.js - Requirements traceability matrix (RTM)
+//
+// Requirement × test case × compliance control, built from the extracted
+// requirements and the generated suite. Regulated submissions (FDA 21 CFR
+// Part 11, ISO 13485, IEC 62304) expect every requirement to trace to at
+// least one test and every test to trace back to a requirement.
+//
+// Tests are resolved to catalog controls by the compliance coverage engine.
+// Citations naming only a framework ("HIPAA") or an unknown control are kept
+// apart as unmapped, so the control axis lists real controls.
+
+import { normalizeRequirements } from '../schema/requirementSchema.js';
+import { normalizeTestCases } from '../schema/testCaseSchema.js';
+import controlCatalog from '../compliance/controlCatalog.js';
+import { buildComplianceCoverage } from '../compliance/coverageEngine.js';
+
+export const RTM_STATUS = {
+  COVERED: 'covered',
+  UNTESTED: 'untested',
+  ORPHAN: 'orphan'
+};
+
+/**
+ * testId -> { controls, unmapped }: the catalog controls the coverage report credits
+ * each test with, and its citations that resolve to no control
+ */
+function resolveTestControls(tests, coverage, catalog) {
+  const byTest = new Map(tests.map(tc => [tc.testId, { controls: [], unmapped: [] }]));
+
+  for (const framework of coverage.frameworks) {
+    for (const control of framework.controls) {
+      for (const evidence of control.evidence) {
+        byTest.get(evidence.testId)?.controls.push({
+          id: control.id,
+          title: control.title,
+          framework: framework.id,
+          strength: evidence.strength
+        });
+      }
+    }
+  }
+
+  const unmappedCitations = new Set(coverage.unmappedCitations.map(u => `${u.testId}\u0000${u.citation}`));
+  for (const tc of tests) {
+    const entry = byTest.get(tc.testId);
+    for (const citation of tc.complianceRequirements) {
+      const frameworkId = catalog.resolveFrameworkId(citation);
+      // A framework name counts as unmapped unless the test maps to one of that framework's controls
+      const unmapped = frameworkId
+        ? !entry.controls.some(control => control.framework === frameworkId)
+        : unmappedCitations.has(`${tc.testId}\u0000${citation}`);
+      if (unmapped && !entry.unmapped.includes(citation)) entry.unmapped.push(citation);
+    }
+  }
+  return byTest;
+}
+
+const controlRef = ({ id, title, framework }) => ({ id, title, framework });
+
+function uniqueControls(controls) {
+  const seen = new Map();
+  controls.forEach(control => seen.has(control.id) || seen.set(control.id, controlRef(control)));
+  return [...seen.values()];
+}
+
+/**
+ * Build the matrix
+ * @param {Array} requirements - extracted requirements ({ id, text } or strings)
+ * @param {Array} testCases - generated test cases (coerced to the canonical shape)
+ * @param {Object} [options]
+ * @param {string[]|string} [options.frameworks] - frameworks whose controls make up the control axis;
+ *   inferred from the suite when omitted
+ * @param {Object} [options.catalog] - control catalog including the project's custom frameworks
+ * @param {Object} [options.coverage] - a buildComplianceCoverage() report for these tests, reused
+ *   instead of building another
+ * @returns {{ requirements, testCases, controls, unmapped, rows, untestedRequirements, orphanTests, summary, generatedAt }}
+ */
+export function buildTraceabilityMatrix(requirements = [], testCases = [], {
+  frameworks,
+  catalog = controlCatalog,
+  coverage = null
+} = {}) {
+  const requirementList = normalizeRequirements(requirements);
+  const tests = normalizeTestCases(testCases);
+  const known = new Set(requirementList.map(r => r.id));
+  const testControls = resolveTestControls(
+    tests,
+    coverage || buildComplianceCoverage(tests, frameworks, { catalog }),
+    catalog
+  );
+
+  const testsByRequirement = new Map(requirementList.map(r => [r.id, []]));
+  const controls = new Map();
+  const unmapped = new Map();
+
+  const testEntries = tests.map(tc => {
+    const requirementIds = tc.requirementIds.filter(id => known.has(id));
+    requirementIds.forEach(id => testsByRequirement.get(id).push(tc));
+    const resolved = testControls.get(tc.testId);
+
+    for (const control of uniqueControls(resolved.controls)) {
+      if (!controls.has(control.id)) {
+        controls.set(control.id, { ...control, requirementIds: new Set(), testIds: [] });
+      }
+      const entry = controls.get(control.id);
+      entry.testIds.push(tc.testId);
+      requirementIds.forEach(id => entry.requirementIds.add(id));
+    }
+    for (const citation of resolved.unmapped) {
+      if (!unmapped.has(citation)) {
+        unmapped.set(citation, { citation, requirementIds: new Set(), testIds: [] });
+      }
+      const entry = unmapped.get(citation);
+      entry.testIds.push(tc.testId);
+      requirementIds.forEach(id => entry.requirementIds.add(id));
+    }
+
+    return {
+      testId: tc.testId,
+      testName: tc.testName,
+      priority: tc.priority,
+      category: tc.category,
+      requirementIds,
+      unknownRequirementIds: tc.requirementIds.filter(id => !known.has(id)),
+      controls: resolved.controls,
+      unmapped: resolved.unmapped,
+      status: requirementIds.length > 0 ? RTM_STATUS.COVERED : RTM_STATUS.ORPHAN
+    };
+  });
+
+  const requirementEntries = requirementList.map(r => {
+    const linked = testsByRequirement.get(r.id);
+    return {
+      id: r.id,
+      text: r.text,
+      category: r.category || null,
+      testIds: linked.map(tc => tc.testId),
+      controls: uniqueControls(linked.flatMap(tc => testControls.get(tc.testId).controls)),
+      unmapped: [...new Set(linked.flatMap(tc => testControls.get(tc.testId).unmapped))],
+      status: linked.length > 0 ? RTM_STATUS.COVERED : RTM_STATUS.UNTESTED
+    };
+  });
+
+  // One row per requirement × test link, plus a row for each untested requirement and orphan test
+  const testById = new Map(tests.map(tc => [tc.testId, tc]));
+  const rows = [];
+  for (const requirement of requirementEntries) {
+    if (requirement.testIds.length === 0) {
+      rows.push(matrixRow(requirement, null, RTM_STATUS.UNTESTED));
+      continue;
+    }
+    for (const testId of requirement.testIds) {
+      rows.push(matrixRow(requirement, testById.get(testId), testControls.get(testId), RTM_STATUS.COVERED));
+    }
+  }
+  for (const entry of testEntries) {
+    if (entry.status === RTM_STATUS.ORPHAN) {
+      rows.push(matrixRow(null, testById.get(entry.testId), testControls.get(entry.testId), RTM_STATUS.ORPHAN));
+    }
+  }
+
+  const untestedRequirements = requirementEntries.filter(r => r.status === RTM_STATUS.UNTESTED).map(r => r.id);
+  const orphanTests = testEntries.filter(t => t.status === RTM_STATUS.ORPHAN).map(t => t.testId);
+  const covered = requirementEntries.length - untestedRequirements.length;
+
+  return {
+    generatedAt: new Date().toISOString(),
+    requirements: requirementEntries,
+    testCases: testEntries,
+    controls: [...controls.values()].map(c => ({
+      ...controlRef(c),
+      requirementIds: [...c.requirementIds],
+      testIds: c.testIds
+    })),
+    unmapped: [...unmapped.values()].map(u => ({
+      citation: u.citation,
+      requirementIds: [...u.requirementIds],
+      testIds: u.testIds
+    })),
+    rows,
+    untestedRequirements,
+    orphanTests,
+    summary: {
+      requirements: requirementEntries.length,
+      testCases: testEntries.length,
+      controls: controls.size,
+      unmappedCitations: unmapped.size,
+      coveredRequirements: covered,
+      untestedRequirements: untestedRequirements.length,
+      orphanTests: orphanTests.length,
+      coveragePercent: requirementEntries.length > 0
+        ? Math.round((covered / requirementEntries.length) * 100)
+        : 0
+    }
+  };
+}
+
+function matrixRow(requirement, testCase, resolved, status) {
+  return {
+    requirementId: requirement?.id || null,
+    requirementText: requirement?.text || null,
+    testId: testCase?.testId || null,
+    testName: testCase?.testName || null,
+    priority: testCase?.priority || null,
+    controls: uniqueControls(resolved?.controls || []),
+    unmapped: resolved?.unmapped || [],
+    status
+  };
+}
@@ -0,0 +1,61 @@
+// services/schema/requirementSchema.js - Requirement identity for traceability
+//
+// Test cases link back to requirements through requirementIds, so every
+// requirement needs a stable ID before generation. IDs found in the source
+// document (FR-1, NFR-12, REQ-004) are kept; the rest get REQ-001, REQ-002, ...
+
+export function formatRequirementId(number) {
+  return `REQ-${String(number).padStart(3, '0')}`;
+}
+
+/**
+ * Normalize strings or requirement objects into { id, text, ... } with unique IDs
+ * @param {Array<string|Object>} requirements
+ * @param {Object} [options]
+ * @param {string[]} [options.reservedIds] - IDs never handed to new requirements
+ *   (e.g. a previous version's, so a deleted requirement's ID isn't reused)
+ * @returns {Object[]} requirements with empty entries removed
+ */
+export function normalizeRequirements(requirements = [], { reservedIds = [] } = {}) {
+  if (!Array.isArray(requirements)) {
+    requirements = [requirements];
+  }
+
+  const items = requirements
+    .map(req => {
+      if (typeof req === 'string') {
+        return { text: req.trim() };
+      }
+      if (req && typeof req === 'object') {
+        const text = req.text || req.requirement || req.description || '';
+        return { ...req, text: String(text).trim() };
+      }
+      return { text: req === undefined || req === null ? '' : String(req).trim() };
+    })
+    .filter(req => req.text.length > 0);
+
+  const used = new Set();
+  const result = [];
+
+  // Keep source IDs first so generated ones never collide with them
+  for (const req of items) {
+    const id = req.id ? String(req.id).trim() : '';
+    if (id && !used.has(id)) {
+      used.add(id);
+      result.push({ ...req, id });
+    } else {
+      result.push({ ...req, id: null });
+    }
+  }
+
+  const taken = new Set([...used, ...reservedIds]);
+  let next = 1;
+  for (const req of result) {
+    if (req.id) continue;
+    while (taken.has(formatRequirementId(next))) next++;
+    req.id = formatRequirementId(next);
+    taken.add(req.id);
+  }
+
+  return result;
+}
@@ -0,0 +1,235 @@
+// services/schema/suiteDiff.js - Compare two versions of a test suite or its requirements
+//
+// Test IDs (TC001, TC002...) are renumbered on every generation, so they say
+// nothing about which old test became which new one. Tests are paired instead
+// by the requirements they trace to and by how similar their content is.
+
+import { termVector, cosineSimilarity } from '../../utils/textSimilarity.js';
+
+// Fields compared for a matched pair (testId is deliberately absent)
+export const DIFF_FIELDS = [
+  'testName',
+  'category',
+  'priority',
+  'description',
+  'preconditions',
+  'testSteps',
+  'expectedResults',
+  'complianceRequirements',
+  'riskLevel',
+  'testingTechnique',
+  'automationFeasibility',
+  'requirementIds',
+  'tags',
+  'testType'
+];
+
+// Minimum content similarity to pair two tests that share a requirement / where one has no links.
+// Tests that both have links but share none are never paired: generated tests follow templates
+// ("Verify: ...", "Reject invalid input: ..."), so tests of different requirements read alike.
+const LINKED_MATCH_THRESHOLD = 0.3;
+const UNLINKED_MATCH_THRESHOLD = 0.8;
+
+function matchText(testCase) {
+  return [
+    testCase.testName,
+    testCase.description,
+    testCase.expectedResults,
+    ...(testCase.testSteps || []).map(s => `${s.action} ${s.expectedResult || ''}`)
+  ].join(' ');
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Field-by-field differences between two canonical test cases
+ * @returns {Array<{ field: string, before: *, after: * }>}
+ */
+export function diffTestCase(before, after) {
+  return DIFF_FIELDS
+    .filter(field => !sameValue(before[field], after[field]))
+    .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+}
+
+/**
+ * Pair each base test with at most one target test.
+ * Candidates are ranked by shared requirement first, then similarity, and taken greedily.
+ * Two tests linked to different requirements are never candidates.
+ */
+function matchTests(baseTests, targetTests) {
+  const baseVectors = baseTests.map(tc => termVector(matchText(tc)));
+  const targetVectors = targetTests.map(tc => termVector(matchText(tc)));
+  const candidates = [];
+
+  baseTests.forEach((base, i) => {
+    const baseRequirements = new Set(base.requirementIds || []);
+
+    targetTests.forEach((target, j) => {
+      const targetRequirements = target.requirementIds || [];
+      const linked = targetRequirements.some(id => baseRequirements.has(id));
+      if (!linked && baseRequirements.size > 0 && targetRequirements.length > 0) return;
+
+      const similarity = sameValue(matchText(base), matchText(target))
+        ? 1
+        : cosineSimilarity(baseVectors[i], targetVectors[j]);
+
+      if (similarity >= (linked ? LINKED_MATCH_THRESHOLD : UNLINKED_MATCH_THRESHOLD)) {
+        candidates.push({ i, j, linked, similarity });
+      }
+    });
+  });
+
+  candidates.sort((a, b) => (b.linked - a.linked) || (b.similarity - a.similarity) || (a.j - b.j));
+
+  const pairs = [];
+  const usedBase = new Set();
+  const usedTarget = new Set();
+
+  for (const candidate of candidates) {
+    if (usedBase.has(candidate.i) || usedTarget.has(candidate.j)) continue;
+    usedBase.add(candidate.i);
+    usedTarget.add(candidate.j);
+    pairs.push(candidate);
+  }
+
+  return pairs.sort((a, b) => a.j - b.j);
+}
+
+/**
+ * Diff two suites of canonical test cases
+ * @param {Object[]} baseTests - the earlier version
+ * @param {Object[]} targetTests - the later version
+ * @returns {{ summary, added, removed, changed, unchanged }}
+ */
+export function diffTestSuites(baseTests = [], targetTests = []) {
+  const pairs = matchTests(baseTests, targetTests);
+  const matchedBase = new Set(pairs.map(p => p.i));
+  const matchedTarget = new Set(pairs.map(p => p.j));
+
+  const changed = [];
+  const unchanged = [];
+
+  for (const { i, j, linked, similarity } of pairs) {
+    const before = baseTests[i];
+    const after = targetTests[j];
+    const changes = diffTestCase(before, after);
+    const match = {
+      baseTestId: before.testId,
+      targetTestId: after.testId,
+      matchedBy: linked ? 'requirement' : 'similarity',
+      similarity: Math.round(similarity * 100) / 100
+    };
+
+    if (changes.length === 0) {
+      unchanged.push(match);
+    } else {
+      changed.push({ ...match, changes, before, after });
+    }
+  }
+
+  const added = targetTests.filter((_, j) => !matchedTarget.has(j));
+  const removed = baseTests.filter((_, i) => !matchedBase.has(i));
+
+  return {
+    summary: {
+      baseCount: baseTests.length,
+      targetCount: targetTests.length,
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      unchanged: unchanged.length
+    },
+    added,
+    removed,
+    changed,
+    unchanged
+  };
+}
+
+function sameRequirementText(a, b) {
+  const normalize = text => String(text || '').replace(/\s+/g, ' ').trim();
+  return normalize(a) === normalize(b);
+}
+
+/**
+ * Same text and, for imported stories, the same acceptance criteria
+ */
+function sameRequirement(a, b) {
+  const criteria = r => (Array.isArray(r.acceptanceCriteria) ? r.acceptanceCriteria : []);
+  return sameRequirementText(a.text, b.text)
+    && criteria(a).length === criteria(b).length
+    && criteria(a).every((item, i) => sameRequirementText(item, criteria(b)[i]));
+}
+
+/**
+ * Classify an edited requirement list against the previous one, matching by requirement ID
+ * @returns {{ added: Object[], edited: Object[], deleted: Object[], unchanged: Object[] }}
+ *   edited entries carry the new text plus previousText
+ */
+export function diffRequirements(previousRequirements = [], requirements = []) {
+  const previousById = new Map(previousRequirements.map(r => [r.id, r]));
+  const currentIds = new Set(requirements.map(r => r.id));
+
+  const added = [];
+  const edited = [];
+  const unchanged = [];
+
+  for (const requirement of requirements) {
+    const previous = previousById.get(requirement.id);
+    if (!previous) {
+      added.push(requirement);
+    } else if (sameRequirement(previous, requirement)) {
+      unchanged.push(requirement);
+    } else {
+      edited.push({ ...requirement, previousText: previous.text });
+    }
+  }
+
+  const deleted = previousRequirements.filter(r => !currentIds.has(r.id));
+
+  return { added, edited, deleted, unchanged };
+}
+
+/**
+ * Decide which tests survive an edit and which requirements need new tests.
+ * A test is retired only when every requirement it traces to was edited or deleted;
+ * tests with no links, unknown links, or at least one unchanged requirement are kept as-is.
+ * @param {Object[]} [options.outdated] - tests to replace even though a link is unchanged, e.g. FHIR
+ *   tests missing a requirement that now names their resource. Only retired when something is
+ *   regenerated, so they are never dropped without a replacement.
+ * @returns {{ changes, keep: Object[], retire: Object[], regenerate: Object[] }}
+ */
+export function planIncrementalRegeneration(previousRequirements, previousTests, requirements, { outdated = [] } = {}) {
+  const changes = diffRequirements(previousRequirements, requirements);
+  const editedIds = new Set(changes.edited.map(r => r.id));
+  const deletedIds = new Set(changes.deleted.map(r => r.id));
+  const knownIds = new Set(previousRequirements.map(r => r.id));
+  const regenerate = [...changes.added, ...changes.edited.map(({ previousText, ...requirement }) => requirement)];
+  const replaced = new Set(regenerate.length > 0 ? outdated : []);
+
+  const keep = [];
+  const retire = [];
+
+  for (const testCase of previousTests) {
+    const links = (testCase.requirementIds || []).filter(id => knownIds.has(id));
+    const affected = links.length > 0 && links.every(id => editedIds.has(id) || deletedIds.has(id));
+
+    if (!affected && !replaced.has(testCase)) {
+      keep.push(testCase);
+      continue;
+    }
+
+    // No test text: the previous suite is not de-identified, and this summary is stored with the run
+    retire.push({
+      testId: testCase.testId,
+      requirementIds: testCase.requirementIds,
+      reason: !affected
+        ? 'requirements-changed'
+        : links.every(id => deletedIds.has(id)) ? 'requirement-removed' : 'requirement-edited'
+    });
+  }
+
+  return { changes, keep, retire, regenerate };
+}
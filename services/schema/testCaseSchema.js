@@ -0,0 +1,304 @@
+// services/schema/testCaseSchema.js - Canonical TestCase model
+//
+// Every generator's output is coerced into this one shape so exports,
+// gap analysis and the UI can read fields directly:
+//
+// {
+//   testId: 'TC001',
+//   testName: string,
+//   category: 'functional' | 'security' | 'compliance' | 'performance' | 'usability' | 'integration',
+//   priority: 'Critical' | 'High' | 'Medium' | 'Low',
+//   description: string,
+//   preconditions: string[],
+//   testSteps: [{ step: number, action: string, expectedResult: string }],
+//   expectedResults: string,
+//   complianceRequirements: string[],
+//   riskLevel: 'High' | 'Medium' | 'Low',
+//   testingTechnique: string,
+//   automationFeasibility: 'High' | 'Medium' | 'Low',
+//   requirementIds: string[],
+//   tags: string[],
+//   testType?: 'positive' | 'negative' | 'edge_case'
+//   dataSets?: [{ id, entity, variant, case, description, expected, record }] (synthetic test data)
+//   fhirBundles?: [{ id, resourceType, variant, case, description, expected, expectedIssue, bundle }] (FHIR R4 fixtures)
+//   hl7Messages?: [{ id, messageType, variant, case, description, expected, expectedError, message }] (HL7 v2 fixtures)
+//   ...any extra fields (testData, estimatedTime, generatedAt) pass through untouched
+// }
+
+export const PRIORITIES = ['Critical', 'High', 'Medium', 'Low'];
+export const LEVELS = ['High', 'Medium', 'Low'];
+export const CATEGORIES = ['functional', 'security', 'compliance', 'performance', 'usability', 'integration'];
+export const TEST_TYPES = ['positive', 'negative', 'edge_case'];
+
+// Field names other generators use for the same thing, in lookup order
+const ALIASES = {
+  testId: ['testId', 'id', 'test_id', 'testCaseId', 'test_case_id'],
+  testName: ['testName', 'title', 'name', 'test_name'],
+  category: ['category', 'type'],
+  priority: ['priority', 'severity'],
+  description: ['description', 'summary', 'objective'],
+  preconditions: ['preconditions', 'preConditions', 'prerequisites'],
+  testSteps: ['testSteps', 'steps', 'test_steps'],
+  expectedResults: ['expectedResults', 'expectedResult', 'expected', 'expected_results'],
+  complianceRequirements: ['complianceRequirements', 'compliance', 'complianceFrameworks', 'complianceFramework'],
+  riskLevel: ['riskLevel', 'risk', 'risk_level'],
+  testingTechnique: ['testingTechnique', 'technique'],
+  automationFeasibility: ['automationFeasibility', 'automationPotential', 'automation'],
+  requirementIds: ['requirementIds', 'requirementId', 'requirement_id', 'requirement_ids'],
+  tags: ['tags', 'labels']
+};
+
+const ALIAS_KEYS = new Set(Object.values(ALIASES).flat());
+
+const CATEGORY_SYNONYMS = {
+  'ui': 'usability',
+  'ui/ux': 'usability',
+  'ux': 'usability',
+  'accessibility': 'usability',
+  'api': 'integration',
+  'interoperability': 'integration',
+  'privacy': 'compliance',
+  'regulatory': 'compliance',
+  'load': 'performance',
+  'stress': 'performance',
+  'data': 'functional'
+};
+
+const PRIORITY_SYNONYMS = {
+  'p0': 'Critical',
+  'p1': 'Critical',
+  'blocker': 'Critical',
+  'urgent': 'Critical',
+  'p2': 'High',
+  'major': 'High',
+  'p3': 'Medium',
+  'normal': 'Medium',
+  'moderate': 'Medium',
+  'p4': 'Low',
+  'minor': 'Low',
+  'trivial': 'Low'
+};
+
+function pick(raw, field) {
+  for (const key of ALIASES[field]) {
+    if (raw[key] !== undefined && raw[key] !== null && raw[key] !== '') {
+      return { value: raw[key], key };
+    }
+  }
+  return { value: undefined, key: null };
+}
+
+function toText(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(toText).filter(Boolean).join('\n');
+  if (typeof value === 'object') return value.text || value.description || JSON.stringify(value);
+  return String(value).trim();
+}
+
+function toStringArray(value) {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value.map(toText).filter(Boolean);
+  if (typeof value === 'string') {
+    return value.split(/\n|;\s*/).map(s => s.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim()).filter(Boolean);
+  }
+  return [toText(value)].filter(Boolean);
+}
+
+function toEnum(value, allowed, synonyms = {}, fallback) {
+  const text = toText(value).toLowerCase();
+  if (!text) return fallback;
+  const exact = allowed.find(a => a.toLowerCase() === text);
+  if (exact) return exact;
+  if (synonyms[text]) return synonyms[text];
+  const partial = allowed.find(a => text.includes(a.toLowerCase()));
+  return partial || fallback;
+}
+
+export function formatTestId(number) {
+  return `TC${String(number).padStart(3, '0')}`;
+}
+
+/**
+ * Coerce a single step (string or any object shape) into { step, action, expectedResult }
+ */
+export function coerceStep(raw, index) {
+  if (typeof raw === 'string' || typeof raw === 'number') {
+    return { step: index + 1, action: String(raw).replace(/^\s*\d+[.)]\s*/, '').trim(), expectedResult: '' };
+  }
+
+  if (!raw || typeof raw !== 'object') {
+    return { step: index + 1, action: '', expectedResult: '' };
+  }
+
+  const number = parseInt(raw.step ?? raw.stepNumber ?? raw.number ?? raw.order, 10);
+  const action = toText(raw.action ?? raw.description ?? raw.instruction ?? (typeof raw.step === 'string' ? raw.step : ''));
+  const expectedResult = toText(raw.expectedResult ?? raw.expected ?? raw.expected_result ?? raw.result ?? '');
+
+  return {
+    step: Number.isFinite(number) ? number : index + 1,
+    action,
+    expectedResult
+  };
+}
+
+/**
+ * Coerce any generator's test case into the canonical shape
+ * @param {Object} raw - test case as produced by a model
+ * @param {number} index - position in the suite (used for fallback IDs)
+ * @param {Object} [defaults] - complianceRequirements etc. to apply when missing
+ * @returns {{ testCase: Object, coercions: string[] }}
+ */
+export function coerceTestCase(raw, index = 0, defaults = {}) {
+  const coercions = [];
+  let source = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : { description: toText(raw) };
+
+  // "type" is sometimes the test design type rather than the category
+  const rawType = toText(source.type).toLowerCase().replace(/[\s-]+/g, '_');
+  if (TEST_TYPES.includes(rawType)) {
+    source = { ...source, testType: rawType };
+    delete source.type;
+  }
+
+  const fields = {};
+  for (const field of Object.keys(ALIASES)) {
+    const { value, key } = pick(source, field);
+    if (key && key !== field) {
+      coercions.push(`${key} → ${field}`);
+    }
+    fields[field] = value;
+  }
+
+  // Anything that is not an alias passes through (testData, estimatedTime, generatedAt, ...)
+  const passthrough = {};
+  for (const [key, value] of Object.entries(source)) {
+    if (!ALIAS_KEYS.has(key)) {
+      passthrough[key] = value;
+    }
+  }
+
+  const steps = Array.isArray(fields.testSteps)
+    ? fields.testSteps
+    : toStringArray(fields.testSteps);
+
+  const testSteps = steps.map(coerceStep).filter(s => s.action);
+  testSteps.forEach((s, i) => { s.step = i + 1; });
+
+  let expectedResults = toText(fields.expectedResults);
+  if (!expectedResults && testSteps.length > 0) {
+    expectedResults = testSteps[testSteps.length - 1].expectedResult;
+  }
+
+  let complianceRequirements = toStringArray(fields.complianceRequirements);
+  if (complianceRequirements.length === 0 && defaults.complianceRequirements) {
+    complianceRequirements = [...defaults.complianceRequirements];
+  }
+
+  const rawCategory = toText(fields.category).toLowerCase();
+  const category = CATEGORIES.includes(rawCategory)
+    ? rawCategory
+    : toEnum(rawCategory, CATEGORIES, CATEGORY_SYNONYMS, 'functional');
+  if (rawCategory && rawCategory !== category) {
+    coercions.push(`category "${rawCategory}" → "${category}"`);
+  }
+
+  const testCase = {
+    ...passthrough,
+    testId: toText(fields.testId) || formatTestId(index + 1),
+    testName: toText(fields.testName),
+    category,
+    priority: toEnum(fields.priority, PRIORITIES, PRIORITY_SYNONYMS, 'Medium'),
+    description: toText(fields.description),
+    preconditions: toStringArray(fields.preconditions),
+    testSteps,
+    expectedResults,
+    complianceRequirements,
+    riskLevel: toEnum(fields.riskLevel, LEVELS, { critical: 'High' }, 'Medium'),
+    testingTechnique: toText(fields.testingTechnique) || 'black-box',
+    automationFeasibility: toEnum(fields.automationFeasibility, LEVELS, {}, 'Medium'),
+    requirementIds: toStringArray(fields.requirementIds),
+    tags: toStringArray(fields.tags)
+  };
+
+  // Fill a missing name or description from the other rather than failing validation on it
+  if (!testCase.testName && testCase.description) {
+    testCase.testName = testCase.description.length > 100
+      ? `${testCase.description.substring(0, 97)}...`
+      : testCase.description;
+    coercions.push('testName derived from description');
+  } else if (!testCase.description && testCase.testName) {
+    testCase.description = testCase.testName;
+    coercions.push('description derived from testName');
+  }
+
+  return { testCase, coercions };
+}
+
+/**
+ * Validate a canonical test case
+ * @returns {string[]} list of problems, empty when valid
+ */
+export function validateTestCase(testCase) {
+  const errors = [];
+
+  if (!testCase || typeof testCase !== 'object') {
+    return ['test case is not an object'];
+  }
+  if (!testCase.testId) errors.push('testId is required');
+  if (!testCase.testName) errors.push('testName is required');
+  if (!testCase.description) errors.push('description is required');
+  if (!Array.isArray(testCase.testSteps) || testCase.testSteps.length === 0) {
+    errors.push('testSteps must contain at least one step');
+  } else {
+    testCase.testSteps.forEach((s, i) => {
+      if (!s.action) errors.push(`testSteps[${i}].action is required`);
+    });
+  }
+  if (!testCase.expectedResults) errors.push('expectedResults is required');
+  if (!PRIORITIES.includes(testCase.priority)) errors.push(`priority must be one of ${PRIORITIES.join(', ')}`);
+  if (!CATEGORIES.includes(testCase.category)) errors.push(`category must be one of ${CATEGORIES.join(', ')}`);
+  if (!Array.isArray(testCase.complianceRequirements)) errors.push('complianceRequirements must be an array');
+  if (!Array.isArray(testCase.requirementIds)) errors.push('requirementIds must be an array');
+
+  return errors;
+}
+
+/**
+ * Coerce a list without validation - for data coming back from the UI or older exports
+ */
+export function normalizeTestCases(testCases = [], defaults = {}) {
+  if (!Array.isArray(testCases)) return [];
+  return testCases.map((tc, index) => coerceTestCase(tc, index, defaults).testCase);
+}
+
+/**
+ * Render steps as numbered lines for tabular exports
+ */
+export function formatStepsAsText(testSteps = [], { includeExpected = false } = {}) {
+  return testSteps
+    .map(s => includeExpected && s.expectedResult
+      ? `${s.step}. ${s.action}\nExpected: ${s.expectedResult}`
+      : `${s.step}. ${s.action}`)
+    .join(includeExpected ? '\n\n' : '\n');
+}
+
+/**
+ * JSON skeleton embedded in prompts so every generator asks for the same shape
+ */
+export const TEST_CASE_PROMPT_SCHEMA = `{
+  "testId": "TC001",
+  "testName": "Clear, descriptive test name",
+  "category": "${CATEGORIES.join('|')}",
+  "priority": "${PRIORITIES.join('|')}",
+  "description": "Detailed description of what this test validates",
+  "preconditions": ["List of preconditions"],
+  "testSteps": [
+    {"step": 1, "action": "Step description", "expectedResult": "What should happen"}
+  ],
+  "expectedResults": "Overall expected outcome",
+  "complianceRequirements": ["Control ID or framework name"],
+  "riskLevel": "${LEVELS.join('|')}",
+  "testingTechnique": "black-box|white-box|gray-box|boundary-value|equivalence-partitioning",
+  "automationFeasibility": "${LEVELS.join('|')}",
+  "requirementIds": ["REQ-001"],
+  "tags": ["tag1"]
+}`;
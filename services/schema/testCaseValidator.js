@@ -0,0 +1,128 @@
+// services/schema/testCaseValidator.js - Parse, coerce, validate and repair generated suites
+//
+// Pipeline for raw model output:
+//   1. parse JSON, repairing fences / trailing commas / truncation
+//   2. coerce every test case into the canonical schema
+//   3. re-prompt the model ONCE with only the items that are still invalid
+//   4. drop whatever is still invalid and report it
+
+import { parseJsonWithRepair } from '../../utils/jsonRepair.js';
+import { coerceTestCase, validateTestCase, TEST_CASE_PROMPT_SCHEMA } from './testCaseSchema.js';
+
+function extractTestCaseArray(value) {
+  if (Array.isArray(value)) return value;
+  if (value && typeof value === 'object') {
+    for (const key of ['testCases', 'test_cases', 'tests', 'testcases']) {
+      if (Array.isArray(value[key])) return value[key];
+    }
+  }
+  return null;
+}
+
+function checkAll(rawItems, defaults, offset = 0) {
+  let coercedFields = 0;
+
+  const results = rawItems.map((raw, i) => {
+    const { testCase, coercions } = coerceTestCase(raw, offset + i, defaults);
+    coercedFields += coercions.length;
+    return { raw, testCase, errors: validateTestCase(testCase) };
+  });
+
+  return { results, coercedFields };
+}
+
+/**
+ * Targeted prompt listing only the broken items and what is wrong with each
+ */
+export function buildRepairPrompt(invalidItems) {
+  const items = invalidItems.map(({ raw, errors }, i) => (
+    `Item ${i + 1}:\n${JSON.stringify(raw, null, 2)}\nProblems:\n${errors.map(e => `  - ${e}`).join('\n')}`
+  )).join('\n\n');
+
+  return `The following generated test cases failed schema validation. Fix ONLY these items.
+
+${items}
+
+Return a JSON object {"testCases": [...]} with exactly ${invalidItems.length} corrected test case(s), in the same order, each matching this schema:
+${TEST_CASE_PROMPT_SCHEMA}
+
+Keep the original intent and testId of each item. Return ONLY the JSON object.`;
+}
+
+/**
+ * @param {string} rawText - model output
+ * @param {Object} [options]
+ * @param {Object} [options.llm] - provider used for the targeted re-prompt (skipped when absent)
+ * @param {Object} [options.defaults] - e.g. { complianceRequirements: ['HIPAA'] }
+ * @param {string} [options.label] - log prefix
+ * @returns {Promise<{ testCases: Object[], envelope: Object, validation: Object }>}
+ */
+export async function validateGeneratedTestCases(rawText, { llm = null, defaults = {}, label = 'Schema' } = {}) {
+  const parsed = parseJsonWithRepair(rawText);
+
+  if (parsed.repaired) {
+    console.warn(`⚠️  [${label}] Repaired malformed JSON: ${parsed.repairs.join(', ')}`);
+  }
+
+  const rawItems = extractTestCaseArray(parsed.value);
+  if (!rawItems) {
+    throw new Error('Invalid test case format: missing testCases array');
+  }
+
+  const envelope = Array.isArray(parsed.value) ? {} : parsed.value;
+  const { results, coercedFields } = checkAll(rawItems, defaults);
+
+  const validation = {
+    received: rawItems.length,
+    valid: 0,
+    coercedFields,
+    jsonRepairs: parsed.repairs,
+    truncated: parsed.truncated,
+    reprompted: 0,
+    repairedByModel: 0,
+    dropped: []
+  };
+
+  const invalid = results.filter(r => r.errors.length > 0);
+
+  if (invalid.length > 0 && llm) {
+    console.warn(`⚠️  [${label}] ${invalid.length} test case(s) failed validation, re-prompting ${llm.name}...`);
+    validation.reprompted = invalid.length;
+
+    try {
+      const repairText = await llm.generateText(buildRepairPrompt(invalid), {
+        responseMimeType: 'application/json'
+      });
+      const repairedItems = extractTestCaseArray(parseJsonWithRepair(repairText).value) || [];
+
+      invalid.forEach((item, i) => {
+        if (!repairedItems[i]) return;
+        const { testCase } = coerceTestCase(repairedItems[i], results.indexOf(item), defaults);
+        const errors = validateTestCase(testCase);
+        if (errors.length === 0) {
+          item.testCase = testCase;
+          item.errors = [];
+          validation.repairedByModel++;
+        }
+      });
+    } catch (error) {
+      console.error(`❌ [${label}] Re-prompt failed:`, error.message);
+    }
+  }
+
+  const testCases = [];
+  for (const result of results) {
+    if (result.errors.length === 0) {
+      testCases.push(result.testCase);
+    } else {
+      validation.dropped.push({ testId: result.testCase.testId, errors: result.errors });
+    }
+  }
+  validation.valid = testCases.length;
+
+  if (validation.dropped.length > 0) {
+    console.warn(`⚠️  [${label}] Dropped ${validation.dropped.length} invalid test case(s)`);
+  }
+
+  return { testCases, envelope, validation };
+}
@@ -1,10 +1,10 @@
-// services/testCaseGenerator.js - UPDATED FOR VERTEX AI
-import { VertexAI } from '@google-cloud/vertexai';
+// services/testCaseGenerator.js - UPDATED FOR PLUGGABLE LLM PROVIDERS
+import { getLLMProvider } from './llm/index.js';
+import { validateGeneratedTestCases } from './schema/testCaseValidator.js';
 
 class TestCaseGenerator {
   constructor() {
-    this.vertex = null;
-    this.model = null;
+    this.llm = null;
     
     console.log('🚀 [TestCaseGenerator] Initializing...');
   }
@@ -14,27 +14,13 @@ class TestCaseGenerator {
     console.log('📝 [TestCaseGenerator] STEP 1: Starting initialization');
     
     try {
-      console.log('📝 [TestCaseGenerator] STEP 2: Creating Vertex AI client');
-      this.vertex = new VertexAI({
-        project: process.env.GOOGLE_CLOUD_PROJECT || 'pro-variety-472211-b9',
-        location: 'us-central1'
-      });
-      
-      console.log('📝 [TestCaseGenerator] STEP 3: Loading Gemini model (gemini-2.5-flash)');
-      this.model = this.vertex.getGenerativeModel({ 
-        model: 'gemini-2.5-flash',
-        generationConfig: {
-          temperature: 0.7,
-          topK: 40,
-          topP: 0.95,
-          maxOutputTokens: 8192,
-        }
-      });
+      console.log('📝 [TestCaseGenerator] STEP 2: Resolving LLM provider');
+      this.llm = await getLLMProvider();
       
       const duration = Date.now() - startTime;
       console.log(`✅ [TestCaseGenerator] Initialization complete in ${duration}ms`);
-      console.log('✅ [TestCaseGenerator] Model: gemini-2.5-flash');
-      console.log('✅ [TestCaseGenerator] Authentication: ADC (Application Default Credentials)');
+      console.log(`✅ [TestCaseGenerator] Provider: ${this.llm.name}`);
+      console.log(`✅ [TestCaseGenerator] Model: ${this.llm.model}`);
       console.log('✅ [TestCaseGenerator] Ready to generate test cases');
       
       return true;
@@ -42,10 +28,7 @@ class TestCaseGenerator {
       const duration = Date.now() - startTime;
       console.error(`❌ [TestCaseGenerator] Initialization failed after ${duration}ms`);
       console.error('❌ [TestCaseGenerator] Error:', error.message);
-      console.error('❌ [TestCaseGenerator] Make sure:');
-      console.error('   1. GOOGLE_APPLICATION_CREDENTIALS is set');
-      console.error('   2. Service account has "AI Platform User" role');
-      console.error('   3. Vertex AI API is enabled');
+      console.error('❌ [TestCaseGenerator] Make sure LLM_PROVIDER and its credentials are configured');
       throw error;
     }
   }
@@ -62,7 +45,7 @@ class TestCaseGenerator {
     
     try {
       // Initialize if not already done
-      if (!this.model) {
+      if (!this.llm) {
         console.log('⚙️  [TestCaseGenerator] Model not initialized, initializing now...');
         await this.initialize();
       }
@@ -71,12 +54,13 @@ class TestCaseGenerator {
       const prompt = this.buildPrompt(requirements, methodology, compliance);
       console.log(`✅ [TestCaseGenerator] Prompt ready (${prompt.length} characters)`);
       
-      console.log('🤖 [TestCaseGenerator] Sending request to Vertex AI...');
+      console.log(`🤖 [TestCaseGenerator] Sending request to ${this.llm.name}...`);
       const genStart = Date.now();
       
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      const text = await this.llm.generateText(prompt, {
+        topK: 40,
+        topP: 0.95
+      });
       
       const genDuration = Date.now() - genStart;
       console.log(`✅ [TestCaseGenerator] Response received in ${genDuration}ms`);
@@ -85,24 +69,22 @@ class TestCaseGenerator {
       console.log('🔄 [TestCaseGenerator] Parsing JSON response...');
       let testCases;
       try {
-        const cleanedText = this.cleanJsonResponse(text);
-        testCases = JSON.parse(cleanedText);
-        console.log(`✅ [TestCaseGenerator] Parsed ${testCases.testCases?.length || 0} test cases`);
+        const { testCases: validated, envelope, validation } = await validateGeneratedTestCases(text, {
+          llm: this.llm,
+          defaults: { complianceRequirements: [compliance] },
+          label: 'TestCaseGenerator'
+        });
+        testCases = { ...envelope, testCases: validated, metadata: { ...envelope.metadata, validation } };
+        console.log(`✅ [TestCaseGenerator] Parsed ${validated.length} test cases`);
       } catch (parseError) {
         console.error('❌ [TestCaseGenerator] JSON parsing failed:', parseError.message);
         console.error('Raw response (first 500 chars):', text.substring(0, 500));
         throw new Error(`Failed to parse AI response: ${parseError.message}`);
       }
       
-      // Validate and enhance test cases
-      if (!testCases.testCases || !Array.isArray(testCases.testCases)) {
-        throw new Error('Invalid response format: missing testCases array');
-      }
-      
       // Add metadata to each test case
-      testCases.testCases = testCases.testCases.map((tc, index) => ({
+      testCases.testCases = testCases.testCases.map(tc => ({
         ...tc,
-        id: tc.id || `TC_${String(index + 1).padStart(3, '0')}`,
         generatedAt: new Date().toISOString(),
         methodology: methodology,
         complianceFramework: compliance
@@ -135,38 +117,6 @@ class TestCaseGenerator {
     }
   }
   
-  /**
-   * Clean JSON response from markdown blocks
-   */
-  cleanJsonResponse(text) {
-    if (!text || typeof text !== 'string') {
-      throw new Error('Invalid response: empty or non-string');
-    }
-
-    let cleaned = text.trim();
-    
-    // Remove markdown code blocks
-    if (cleaned.startsWith('```json')) {
-      cleaned = cleaned.replace(/^```json\s*\n?/, '').replace(/\n?```\s*$/, '');
-    } else if (cleaned.startsWith('```')) {
-      cleaned = cleaned.replace(/^```\s*\n?/, '').replace(/\n?```\s*$/, '');
-    }
-    
-    // Remove HTML if present
-    if (cleaned.includes('<!DOCTYPE') || cleaned.includes('<html')) {
-      throw new Error('Received HTML error page instead of JSON');
-    }
-    
-    cleaned = cleaned.trim();
-    
-    // Validate JSON start
-    if (!cleaned.startsWith('{') && !cleaned.startsWith('[')) {
-      throw new Error('Response does not start with valid JSON');
-    }
-    
-    return cleaned;
-  }
-  
   /**
    * Build comprehensive prompt for test generation
    */
@@ -1,42 +1,83 @@
 // services/testCaseGeneratorMultiCompliance.js - FIXED VERTEX AI RESPONSE HANDLING
-import { VertexAI } from '@google-cloud/vertexai';
+import { getLLMProvider } from './llm/index.js';
+import { validateGeneratedTestCases } from './schema/testCaseValidator.js';
+import { formatTestId, TEST_CASE_PROMPT_SCHEMA } from './schema/testCaseSchema.js';
+import { normalizeRequirements } from './schema/requirementSchema.js';
+import controlCatalog, { normalizeFrameworkId } from './compliance/controlCatalog.js';
+import { buildComplianceCoverage } from './compliance/coverageEngine.js';
+import complianceEngine from './healthcare/complianceEngine.js';
+import syntheticData from './testdata/syntheticData.js';
+import { buildInteroperabilityTests } from './fhir/interoperabilityTests.js';
+import { buildHl7Tests } from './hl7/hl7Tests.js';
+import { chunkByBudget, estimateTokens, mapWithConcurrency } from '../utils/batching.js';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
+// Output budget per requirement: 2-4 test cases at roughly 300-400 tokens each
+const MIN_TESTS_PER_REQUIREMENT = 2;
+const MAX_TESTS_PER_REQUIREMENT = 4;
+const OUTPUT_TOKENS_PER_REQUIREMENT = 1200;
+
+/**
+ * One numbered requirement, with its section, priority and acceptance criteria (imported
+ * stories) indented below
+ */
+function formatRequirement(r, i) {
+  const criteria = Array.isArray(r.acceptanceCriteria) ? r.acceptanceCriteria.filter(Boolean) : [];
+  const context = [r.section && `Section: ${r.section}`, r.priority && `Priority: ${r.priority}`].filter(Boolean);
+  const lines = [`${i + 1}. [${r.id}] ${r.text}`];
+  if (context.length > 0) lines.push(`   ${context.join(' | ')}`);
+  if (criteria.length > 0) {
+    lines.push('   Acceptance criteria:', ...criteria.map(item => `   - ${item}`));
+  }
+  return lines.join('\n');
+}
+
+function formatControls(controls) {
+  return controls
+    .map(c => `  - [${c.id}] ${c.title}: ${c.testObjectives.join('; ') || c.description}`)
+    .join('\n');
+}
+
+/**
+ * Prompt section for shared controls and conflicting obligations; empty for a single framework
+ */
+function formatFrameworkAnalysis({ overlaps, conflicts }) {
+  const sections = [];
+  if (overlaps.length > 0) {
+    sections.push(`**Shared Controls (one test may satisfy all of them; cite every ID it covers):**\n${overlaps
+      .map(o => `  - ${o.name}: ${o.controls.map(c => `[${c.id}]`).join(', ')}`)
+      .join('\n')}`);
+  }
+  if (conflicts.length > 0) {
+    sections.push(`**Conflicting Obligations (test that the system applies the resolution):**\n${conflicts
+      .map(c => `  - ${c.name} (${c.sides.map(side => side.controls.map(ctrl => `[${ctrl.id}]`).join(', ')).join(' vs ')}): ${c.resolution}`)
+      .join('\n')}`);
+  }
+  return sections.length > 0 ? `\n${sections.join('\n\n')}\n` : '';
+}
+
 /**
  * Enhanced Test Case Generator with Multi-Compliance Support
- * Uses Vertex AI with Application Default Credentials
+ * Uses the configured LLM provider (Vertex AI by default)
  */
 class TestCaseGeneratorMultiCompliance {
   constructor() {
-    this.vertex = null;
-    this.model = null;
+    this.llm = null;
+    this.tokenBudget = parseInt(process.env.GENERATION_TOKEN_BUDGET || '8192', 10);
+    this.concurrency = parseInt(process.env.GENERATION_CONCURRENCY || '3', 10);
   }
 
   async initialize() {
     try {
-      console.log('🤖 [TestGenerator] Initializing Vertex AI...');
-      
-      // Initialize Vertex AI with ADC
-      this.vertex = new VertexAI({
-        project: process.env.GOOGLE_CLOUD_PROJECT || 'pro-variety-472211-b9',
-        location: 'us-central1'
-      });
+      console.log('🤖 [TestGenerator] Initializing LLM provider...');
       
-      // Use Gemini 2.0 Flash (experimental) for optimal performance
-      this.model = this.vertex.preview.getGenerativeModel({
-        model: 'gemini-2.0-flash-exp',
-        generationConfig: {
-          maxOutputTokens: 8192,
-          temperature: 0.7,
-          topP: 0.95,
-          responseMimeType: 'application/json'
-        }
-      });
+      this.llm = await getLLMProvider();
 
       console.log('✅ [TestGenerator] Multi-compliance test generator initialized');
-      console.log('✅ [TestGenerator] Model: gemini-2.0-flash-exp');
+      console.log(`✅ [TestGenerator] Provider: ${this.llm.name}, Model: ${this.llm.model}`);
       return true;
     } catch (error) {
       console.error('❌ [TestGenerator] Initialization failed:', error);
@@ -45,274 +86,246 @@ class TestCaseGeneratorMultiCompliance {
   }
 
   /**
-   * Get compliance-specific requirements
+   * Catalog entries for the selected frameworks; unknown names are kept with no controls
+   * @param {Object} [catalog] - control catalog, extended with the project's custom frameworks
+   * @returns {Array<{ id, name, version, controls }>}
    */
-  getComplianceRequirements(complianceFrameworks) {
-    const allRequirements = {
-      'hipaa': {
-        name: 'HIPAA',
-        requirements: [
-          'Verify access control and authentication',
-          'Test audit logging for PHI access',
-          'Validate data encryption (at rest and in transit)',
-          'Test breach notification procedures',
-          'Verify minimum necessary access principle'
-        ]
-      },
-      'fda-21-cfr-11': {
-        name: 'FDA 21 CFR Part 11',
-        requirements: [
-          'Validate electronic signatures',
-          'Test audit trail completeness',
-          'Verify system validation documentation',
-          'Test access control mechanisms',
-          'Validate data integrity controls'
-        ]
-      },
-      'gdpr': {
-        name: 'GDPR',
-        requirements: [
-          'Test right to access (data portability)',
-          'Verify right to erasure ("right to be forgotten")',
-          'Test consent management',
-          'Validate data breach notification (72 hours)',
-          'Test privacy by design principles'
-        ]
-      },
-      'hitrust': {
-        name: 'HITRUST CSF',
-        requirements: [
-          'Test information security management',
-          'Verify access control policies',
-          'Test incident response procedures',
-          'Validate risk management controls',
-          'Test business continuity planning'
-        ]
-      },
-      'soc2': {
-        name: 'SOC 2',
-        requirements: [
-          'Test security controls',
-          'Verify availability monitoring',
-          'Test processing integrity',
-          'Validate confidentiality controls',
-          'Test privacy measures'
-        ]
-      },
-      'iso-13485': {
-        name: 'ISO 13485',
-        requirements: [
-          'Test design controls',
-          'Verify risk management process',
-          'Test corrective and preventive actions',
-          'Validate document control',
-          'Test traceability requirements'
-        ]
-      },
-      'iso-27001': {
-        name: 'ISO 27001',
-        requirements: [
-          'Test information security policies',
-          'Verify asset management',
-          'Test access control procedures',
-          'Validate cryptography controls',
-          'Test security incident management'
-        ]
-      },
-      'abdm': {
-        name: 'ABDM (Ayushman Bharat Digital Mission)',
-        requirements: [
-          'Test Health ID creation and linking',
-          'Verify consent management framework',
-          'Test interoperability with ABDM',
-          'Validate data privacy controls',
-          'Test secure health data exchange'
-        ]
-      }
-    };
-
+  getComplianceRequirements(complianceFrameworks, catalog = controlCatalog) {
     return complianceFrameworks.map(fw => {
-      const normalized = fw.toLowerCase().replace(/\s+/g, '-');
-      return allRequirements[normalized] || { name: fw, requirements: [] };
+      const framework = catalog.getFramework(fw);
+      if (!framework) {
+        return { id: normalizeFrameworkId(fw), name: fw, version: null, controls: [] };
+      }
+      return {
+        id: framework.id,
+        name: framework.name,
+        version: framework.version,
+        controls: framework.controls
+      };
     });
   }
 
   /**
-   * Build comprehensive prompt
+   * Build the prompt for one batch of requirements
+   * @param {Object[]} requirements - normalized { id, text } requirements
+   * @param {Object} [batch] - { index, total } when the set was split
    */
-  buildPrompt(requirements, methodology, complianceFrameworks) {
-    const complianceData = this.getComplianceRequirements(complianceFrameworks);
+  buildPrompt(requirements, methodology, complianceFrameworks, batch = { index: 0, total: 1 }, catalog = controlCatalog) {
+    const complianceData = this.getComplianceRequirements(complianceFrameworks, catalog);
     const complianceNames = complianceData.map(c => c.name).join(', ');
-    
-    const requirementsText = Array.isArray(requirements)
-      ? requirements.map((r, i) => `${i + 1}. ${r}`).join('\n')
-      : requirements;
+    const exampleControl = complianceData.flatMap(c => c.controls)[0]?.id || '45 CFR §164.312(b)';
+    const analysis = complianceEngine.analyzeFrameworks(complianceFrameworks, { catalog });
+
+    const requirementsText = requirements
+      .map(formatRequirement)
+      .join('\n');
+
+    const minTests = requirements.length * MIN_TESTS_PER_REQUIREMENT;
+    const maxTests = requirements.length * MAX_TESTS_PER_REQUIREMENT;
+    const batchNote = batch.total > 1
+      ? `\nThis is batch ${batch.index + 1} of ${batch.total}; other batches cover the remaining requirements.\n`
+      : '';
 
     const prompt = `You are a healthcare software testing expert. Generate comprehensive test cases for the following requirements.
 
 **Methodology:** ${methodology.toUpperCase()}
 **Compliance Frameworks:** ${complianceNames}
-
+${batchNote}
 **Requirements:**
 ${requirementsText}
 
 **Compliance-Specific Testing Requirements:**
-${complianceData.map(c => `\n${c.name}:\n${c.requirements.map(r => `  - ${r}`).join('\n')}`).join('\n')}
-
-Generate 15-25 comprehensive test cases in the following JSON format:
+${complianceData.map(c => `\n${c.name}${c.version ? ` (control catalog ${c.version})` : ''}:\n${formatControls(c.controls)}`).join('\n')}
+${formatFrameworkAnalysis(analysis)}
+Generate ${MIN_TESTS_PER_REQUIREMENT}-${MAX_TESTS_PER_REQUIREMENT} test cases for EACH requirement (${minTests}-${maxTests} in total), in the following JSON format:
 
 {
   "testCases": [
-    {
-      "testId": "TC001",
-      "testName": "Clear, descriptive test name",
-      "category": "functional|security|compliance|performance|usability",
-      "priority": "Critical|High|Medium|Low",
-      "description": "Detailed description of what this test validates",
-      "preconditions": ["List of preconditions"],
-      "testSteps": [
-        {"step": 1, "action": "Step description", "expectedResult": "What should happen"}
-      ],
-      "expectedResults": "Overall expected outcome",
-      "complianceRequirements": ["${complianceNames}"],
-      "riskLevel": "High|Medium|Low",
-      "testingTechnique": "black-box|white-box|gray-box|boundary-value|equivalence-partitioning",
-      "automationFeasibility": "High|Medium|Low"
-    }
-  ],
-  "summary": {
-    "totalTests": 20,
-    "byPriority": {"Critical": 5, "High": 8, "Medium": 5, "Low": 2},
-    "byCategory": {"functional": 10, "security": 5, "compliance": 5},
-    "complianceCoverage": {}
-  },
-  "metadata": {
-    "methodology": "${methodology}",
-    "complianceFrameworks": ${JSON.stringify(complianceFrameworks)},
-    "requirementsCount": ${Array.isArray(requirements) ? requirements.length : 1}
-  }
+    ${TEST_CASE_PROMPT_SCHEMA.split('\n').join('\n    ')}
+  ]
 }
 
-Generate 15-25 comprehensive test cases. Return ONLY the JSON object.`;
+Rules:
+- "requirementIds" must list the bracketed ID(s) of the requirement(s) each test verifies, e.g. ["${requirements[0]?.id || 'REQ-001'}"]. Use only IDs from the list above.
+- Where a requirement lists acceptance criteria, every criterion must be verified by at least one test.
+- "complianceRequirements" must cite the bracketed control IDs each test verifies, e.g. ["${exampleControl}"]. Use a framework name from ${complianceNames} only when no listed control applies.
+- Do not invent patient identifiers or other test data values. Concrete synthetic patients, encounters, medications, ICD-10/CPT codes, insurance members and ABHA IDs (valid, boundary and invalid) are attached to each test after generation; describe the data a step needs instead.
+- FHIR R4 conformance tests (valid and invalid Bundles) and HL7 v2 message tests (valid and malformed ADT, ORM and ORU messages) are also added after generation for the requirements that call for them; cover the surrounding workflow rather than message structure.
+
+Return ONLY the JSON object.`;
 
     return prompt;
   }
 
   /**
-   * Clean JSON response (remove markdown, validate)
+   * Split requirements into batches that fit the output token budget
    */
-  cleanJsonResponse(text) {
-    if (!text || typeof text !== 'string') {
-      throw new Error('Invalid response: empty or non-string');
-    }
-
-    let cleaned = text.trim();
-    
-    // Remove markdown code blocks
-    if (cleaned.startsWith('```json')) {
-      cleaned = cleaned.replace(/^```json\s*\n?/, '').replace(/\n?```\s*$/, '');
-    } else if (cleaned.startsWith('```')) {
-      cleaned = cleaned.replace(/^```\s*\n?/, '').replace(/\n?```\s*$/, '');
-    }
-    
-    // Check for HTML
-    if (cleaned.includes('<!DOCTYPE') || cleaned.includes('<html')) {
-      throw new Error('Received HTML error page instead of JSON');
-    }
-    
-    cleaned = cleaned.trim();
-    
-    // Validate starts with { or [
-    if (!cleaned.startsWith('{') && !cleaned.startsWith('[')) {
-      console.error('Invalid JSON start:', cleaned.substring(0, 100));
-      throw new Error('Response does not start with valid JSON');
-    }
-    
-    return cleaned;
+  planBatches(requirements) {
+    return chunkByBudget(requirements, {
+      budget: this.tokenBudget,
+      cost: r => estimateTokens(formatRequirement(r, 0)) + OUTPUT_TOKENS_PER_REQUIREMENT
+    });
   }
 
   /**
    * Generate test cases with multi-compliance support
-   * FIXED: Correct Vertex AI response handling
+   * Large requirement sets are split into token-budgeted batches that run
+   * with bounded concurrency, then merged and renumbered TC001..TCnnn.
+   * @param {Array<string|Object>} requirements - strings or { id, text } objects
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - (event, data) for 'generation.planned' and 'batch.started|completed|failed'
+   * @param {AbortSignal} [options.signal] - stops batches that have not started yet
+   * @param {Object} [options.catalog] - control catalog including the project's custom frameworks
+   * @param {Object[]} [options.suiteRequirements] - the whole requirement list when only some are
+   *   generated; FHIR and HL7 v2 tests link every requirement naming their resource or message type
+   * @param {Object[]} [options.existingTests] - tests kept from a previous version; controls they
+   *   already cover get no baseline test
    */
-  async generateTestCases(requirements, methodology = 'agile', complianceFrameworks = ['hipaa']) {
+  async generateTestCases(requirements, methodology = 'agile', complianceFrameworks = ['hipaa'], { onProgress = () => {}, signal, catalog = controlCatalog, existingTests = [], suiteRequirements } = {}) {
     try {
+      const requirementList = normalizeRequirements(requirements);
+
       console.log('\n🧪 [TestGenerator] Starting multi-compliance test generation...');
-      console.log(`📋 [TestGenerator] Requirements: ${Array.isArray(requirements) ? requirements.length : 1}`);
+      console.log(`📋 [TestGenerator] Requirements: ${requirementList.length}`);
       console.log(`🔧 [TestGenerator] Methodology: ${methodology}`);
       console.log(`🌍 [TestGenerator] Compliance: ${complianceFrameworks.join(', ')}`);
 
-      if (!this.model) {
+      if (requirementList.length === 0) {
+        throw new Error('No requirements provided');
+      }
+
+      if (!this.llm) {
         console.log('⚠️  [TestGenerator] Model not initialized, initializing now...');
         await this.initialize();
       }
 
-      if (!this.model) {
-        throw new Error('Vertex AI model not initialized');
+      if (!this.llm) {
+        throw new Error('LLM provider not initialized');
       }
 
-      // Build prompt
-      const prompt = this.buildPrompt(requirements, methodology, complianceFrameworks);
-      
-      console.log('🤖 [TestGenerator] Sending request to Vertex AI...');
-      
-      // Generate content using Vertex AI
-      const result = await this.model.generateContent({
-        contents: [{ role: 'user', parts: [{ text: prompt }] }]
+      const batches = this.planBatches(requirementList);
+      console.log(`📦 [TestGenerator] ${batches.length} batch(es), concurrency ${this.concurrency}, budget ${this.tokenBudget} tokens`);
+      onProgress('generation.planned', {
+        batches: batches.length,
+        concurrency: this.concurrency,
+        requirementsCount: requirementList.length
       });
 
-      // ✅ FIXED: Correct way to get text from Vertex AI response
-      const response = result.response;
-      
-      // Check if response has candidates
-      if (!response.candidates || response.candidates.length === 0) {
-        throw new Error('No response candidates from Vertex AI');
-      }
+      const results = await mapWithConcurrency(batches, this.concurrency, async (batch, index) => {
+        signal?.throwIfAborted();
 
-      // Extract text from the first candidate
-      const text = response.candidates[0].content.parts[0].text;
-
-      console.log('✅ [TestGenerator] Received response from Vertex AI');
-      console.log(`📊 [TestGenerator] Response length: ${text.length} chars`);
-
-      // Parse JSON response
-      let testData;
-      try {
-        const cleanedText = this.cleanJsonResponse(text);
-        testData = JSON.parse(cleanedText);
-      } catch (parseError) {
-        console.error('❌ [TestGenerator] JSON parse error:', parseError);
-        console.error('Raw response:', text.substring(0, 500));
-        throw new Error('Failed to parse AI response as JSON');
-      }
+        const info = { batch: index + 1, total: batches.length, requirementIds: batch.map(r => r.id) };
+        onProgress('batch.started', info);
+
+        try {
+          const result = await this.generateBatch(batch, { index, total: batches.length }, methodology, complianceFrameworks, catalog);
+          // IDs are batch-local until the merge renumbers them
+          onProgress('batch.completed', { ...info, testCases: result.testCases });
+          return result;
+        } catch (error) {
+          onProgress('batch.failed', { ...info, error: error.message });
+          throw error;
+        }
+      });
+
+      signal?.throwIfAborted();
+
+      const failed = [];
+      const succeeded = [];
+      results.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+          succeeded.push(result.value);
+        } else {
+          console.error(`❌ [TestGenerator] Batch ${index + 1}/${batches.length} failed:`, result.reason.message);
+          failed.push({
+            batch: index + 1,
+            requirementIds: batches[index].map(r => r.id),
+            error: result.reason.message
+          });
+        }
+      });
 
-      // Validate structure
-      if (!testData.testCases || !Array.isArray(testData.testCases)) {
-        throw new Error('Invalid test case format: missing testCases array');
+      if (succeeded.length === 0) {
+        throw results[0].reason;
       }
 
-      // Enhance test cases with metadata
-      testData.testCases = testData.testCases.map((tc, index) => ({
-        ...tc,
-        id: tc.id || tc.testId || `TC_${String(index + 1).padStart(3, '0')}`,
-        complianceRequirements: tc.complianceRequirements || complianceFrameworks,
-        generatedAt: new Date().toISOString(),
-        methodology: methodology
-      }));
+      // Mandatory compliance tests the model left out go after its own tests
+      const baseline = complianceEngine.applyComplianceRules(requirementList, complianceFrameworks, {
+        testCases: succeeded.flatMap(batch => batch.testCases),
+        existingTests,
+        catalog
+      });
 
-      // Update summary
-      testData.summary = {
-        ...testData.summary,
-        totalTests: testData.testCases.length,
-        methodology: methodology,
-        complianceFrameworks: complianceFrameworks,
-        byPriority: this.countByField(testData.testCases, 'priority'),
-        byCategory: this.countByField(testData.testCases, 'category'),
-        byRiskLevel: this.countByField(testData.testCases, 'riskLevel')
+      // FHIR resources named in the requirements get conformance tests with Bundle fixtures
+      const interoperability = buildInteroperabilityTests(suiteRequirements || requirementList, { existingTests });
+      // ADT, ORM and ORU feeds get HL7 v2 tests with sample messages
+      const hl7 = buildHl7Tests(suiteRequirements || requirementList, { existingTests });
+
+      // Merge in batch order and renumber so IDs never collide across batches. The uid is the
+      // test's lasting identity (e.g. for Jira); test IDs change on every generation.
+      const generatedAt = new Date().toISOString();
+      const numbered = [...baseline.testCases, ...interoperability.tests, ...hl7.tests]
+        .map((tc, i) => ({
+          ...tc,
+          uid: crypto.randomUUID(),
+          testId: formatTestId(i + 1),
+          generatedAt,
+          methodology: methodology
+        }));
+
+      // Concrete synthetic datasets in place of prose like "valid patient demographics"
+      const { testCases, summary: testDataSummary } = syntheticData.attachToTestCases(numbered);
+
+      const testData = {
+        testCases,
+        metadata: {
+          methodology: methodology,
+          complianceFrameworks: complianceFrameworks,
+          requirementsCount: requirementList.length,
+          batches: {
+            total: batches.length,
+            succeeded: succeeded.length,
+            failed,
+            tokenBudget: this.tokenBudget,
+            concurrency: this.concurrency
+          },
+          traceability: this.buildTraceabilitySummary(requirementList, testCases),
+          validation: this.mergeValidation(succeeded),
+          complianceBaseline: {
+            rulesVersion: complianceEngine.version,
+            triggers: baseline.triggers,
+            addedTests: baseline.baselineTests.length,
+            alreadyCoveredControls: baseline.skippedControls
+          },
+          // Shared controls and conflicting obligations between the selected frameworks
+          complianceAnalysis: {
+            ...baseline.analysis,
+            addedTests: baseline.analysisTests.length
+          },
+          testData: testDataSummary,
+          interoperability: {
+            fhirVersion: interoperability.fhirVersion,
+            resources: interoperability.resources,
+            addedTests: interoperability.tests.length,
+            bundles: interoperability.bundles
+          },
+          hl7v2: {
+            version: hl7.version,
+            messageTypes: hl7.messageTypes,
+            addedTests: hl7.tests.length,
+            messages: hl7.messages
+          }
+        }
       };
 
+      // Update summary
+      testData.summary = this.buildSummary(testData.testCases, methodology, complianceFrameworks, catalog);
+
       console.log(`✅ [TestGenerator] Generated ${testData.testCases.length} test cases`);
+      console.log(`🔗 [TestGenerator] Requirements covered: ${testData.metadata.traceability.coveredRequirements}/${requirementList.length}`);
       console.log(`🌍 [TestGenerator] Compliance coverage: ${complianceFrameworks.length} frameworks`);
+      console.log(`🧬 [TestGenerator] Test data: ${testDataSummary.dataSets} synthetic datasets`);
+      baseline.analysis.warnings.forEach(warning => console.warn(`⚠️  [TestGenerator] Framework conflict: ${warning}`));
 
       return testData;
 
@@ -324,6 +337,129 @@ Generate 15-25 comprehensive test cases. Return ONLY the JSON object.`;
     }
   }
 
+  /**
+   * Generate, validate and link one batch of requirements
+   */
+  async generateBatch(requirements, batch, methodology, complianceFrameworks, catalog = controlCatalog) {
+    const label = batch.total > 1 ? `TestGenerator ${batch.index + 1}/${batch.total}` : 'TestGenerator';
+    const prompt = this.buildPrompt(requirements, methodology, complianceFrameworks, batch, catalog);
+
+    console.log(`🤖 [${label}] Sending ${requirements.length} requirement(s) to ${this.llm.name}...`);
+
+    // The batch budget never raises the provider's own limit (LLM_MAX_TOKENS)
+    const text = await this.llm.generateText(prompt, {
+      maxOutputTokens: Math.min(this.tokenBudget, this.llm.defaults.maxOutputTokens),
+      topP: 0.95,
+      responseMimeType: 'application/json'
+    });
+
+    console.log(`✅ [${label}] Received response (${text.length} chars)`);
+
+    // Parse, coerce and validate against the canonical TestCase schema
+    const { testCases, validation } = await validateGeneratedTestCases(text, {
+      llm: this.llm,
+      defaults: { complianceRequirements: complianceFrameworks },
+      label
+    });
+
+    return {
+      testCases: testCases.map(tc => ({
+        ...tc,
+        requirementIds: this.linkRequirements(tc, requirements)
+      })),
+      validation
+    };
+  }
+
+  /**
+   * Resolve a test case's requirementIds against the batch it was generated from.
+   * Falls back to the only requirement in the batch, then to the best keyword match.
+   */
+  linkRequirements(testCase, requirements) {
+    const byId = new Map(requirements.map(r => [r.id.toLowerCase(), r.id]));
+    const linked = [...new Set(
+      testCase.requirementIds
+        .map(id => byId.get(String(id).replace(/^\[|\]$/g, '').trim().toLowerCase()))
+        .filter(Boolean)
+    )];
+
+    if (linked.length > 0) return linked;
+    if (requirements.length === 1) return [requirements[0].id];
+
+    const testWords = new Set(
+      [testCase.testName, testCase.description, ...testCase.testSteps.map(s => s.action)]
+        .join(' ')
+        .toLowerCase()
+        .match(/[a-z0-9]{4,}/g) || []
+    );
+
+    let best = null;
+    let bestScore = 0;
+    for (const requirement of requirements) {
+      const words = requirement.text.toLowerCase().match(/[a-z0-9]{4,}/g) || [];
+      const score = words.filter(w => testWords.has(w)).length;
+      if (score > bestScore) {
+        best = requirement;
+        bestScore = score;
+      }
+    }
+
+    return best ? [best.id] : [];
+  }
+
+  /**
+   * Which requirements ended up with at least one linked test
+   */
+  buildTraceabilitySummary(requirements, testCases) {
+    const covered = new Set(testCases.flatMap(tc => tc.requirementIds || []));
+
+    return {
+      coveredRequirements: requirements.filter(r => covered.has(r.id)).length,
+      uncoveredRequirementIds: requirements.filter(r => !covered.has(r.id)).map(r => r.id),
+      unlinkedTestCases: testCases.filter(tc => !tc.requirementIds?.length).length
+    };
+  }
+
+  /**
+   * Suite-level counts returned alongside the test cases
+   */
+  buildSummary(testCases, methodology, complianceFrameworks, catalog = controlCatalog) {
+    return {
+      totalTests: testCases.length,
+      methodology: methodology,
+      complianceFrameworks: complianceFrameworks,
+      byPriority: this.countByField(testCases, 'priority'),
+      byCategory: this.countByField(testCases, 'category'),
+      byRiskLevel: this.countByField(testCases, 'riskLevel'),
+      complianceCoverage: this.generateComplianceCoverageReport(testCases, complianceFrameworks, catalog)
+    };
+  }
+
+  /**
+   * Combine per-batch validation reports into one
+   */
+  mergeValidation(batches) {
+    return batches.reduce((merged, { validation }, index) => ({
+      received: merged.received + validation.received,
+      valid: merged.valid + validation.valid,
+      coercedFields: merged.coercedFields + validation.coercedFields,
+      jsonRepairs: [...new Set([...merged.jsonRepairs, ...validation.jsonRepairs])],
+      truncated: merged.truncated || validation.truncated,
+      reprompted: merged.reprompted + validation.reprompted,
+      repairedByModel: merged.repairedByModel + validation.repairedByModel,
+      dropped: [...merged.dropped, ...validation.dropped.map(d => ({ batch: index + 1, ...d }))]
+    }), {
+      received: 0,
+      valid: 0,
+      coercedFields: 0,
+      jsonRepairs: [],
+      truncated: false,
+      reprompted: 0,
+      repairedByModel: 0,
+      dropped: []
+    });
+  }
+
   /**
    * Helper: Count test cases by field
    */
@@ -337,29 +473,11 @@ Generate 15-25 comprehensive test cases. Return ONLY the JSON object.`;
   }
 
   /**
-   * Generate compliance coverage report
+   * Per-framework control coverage counts (see services/compliance/coverageEngine.js)
    */
-  generateComplianceCoverageReport(testCases, complianceFrameworks) {
-    const coverage = {};
-    
-    complianceFrameworks.forEach(framework => {
-      const frameworkTests = testCases.filter(tc => 
-        tc.complianceRequirements && 
-        tc.complianceRequirements.some(req => 
-          req.toLowerCase().includes(framework.toLowerCase().replace(/-/g, ' '))
-        )
-      );
-      
-      coverage[framework] = {
-        testCaseCount: frameworkTests.length,
-        percentage: testCases.length > 0 
-          ? (frameworkTests.length / testCases.length * 100).toFixed(1)
-          : 0,
-        categories: [...new Set(frameworkTests.map(tc => tc.category))]
-      };
-    });
-
-    return coverage;
+  generateComplianceCoverageReport(testCases, complianceFrameworks, catalog = controlCatalog) {
+    const report = buildComplianceCoverage(testCases, complianceFrameworks, { catalog });
+    return Object.fromEntries(report.frameworks.map(fw => [fw.id, fw.summary]));
   }
 }
 
@@ -0,0 +1,111 @@
+// services/testdata/fixtureExport.js - Synthetic test data as JSON/CSV fixtures and an Excel sheet
+
+export const TEST_DATA_SHEET_TITLE = 'Test Data';
+
+const DATASET_COLUMNS = ['testId', 'dataSetId', 'variant', 'case', 'expected'];
+
+/**
+ * Flatten nested fields into dotted columns (address.city); arrays become "a; b"
+ */
+function flattenRecord(record, prefix = '') {
+  return Object.entries(record || {}).reduce((flat, [key, value]) => {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(flat, flattenRecord(value, column));
+    } else {
+      flat[column] = Array.isArray(value) ? value.join('; ') : value;
+    }
+    return flat;
+  }, {});
+}
+
+/**
+ * Every dataset in the suite grouped by entity, each row tagged with its test case
+ * @returns {{ entities: Object<string, Object[]>, dataSetCount: number }}
+ */
+export function buildFixtures(testCases) {
+  const entities = {};
+  let dataSetCount = 0;
+
+  for (const testCase of testCases) {
+    for (const dataSet of testCase.dataSets || []) {
+      dataSetCount++;
+      (entities[dataSet.entity] ||= []).push({
+        testId: testCase.testId,
+        dataSetId: `${testCase.testId}-${dataSet.id}`,
+        variant: dataSet.variant,
+        case: dataSet.case,
+        expected: dataSet.expected,
+        record: dataSet.record
+      });
+    }
+  }
+
+  return { entities, dataSetCount };
+}
+
+/**
+ * One [headers, ...rows] table per entity; record fields follow the dataset columns
+ * @returns {Array<{ entity: string, rows: string[][] }>}
+ */
+export function fixturesToTables(fixtures) {
+  return Object.entries(fixtures.entities).map(([entity, items]) => {
+    const flattened = items.map(item => flattenRecord(item.record));
+    const recordColumns = [...new Set(flattened.flatMap(Object.keys))];
+
+    return {
+      entity,
+      rows: [
+        [...DATASET_COLUMNS, ...recordColumns],
+        ...items.map((item, i) => [
+          ...DATASET_COLUMNS.map(column => item[column]),
+          ...recordColumns.map(column => flattened[i][column])
+        ].map(value => (value === null || value === undefined ? '' : String(value))))
+      ]
+    };
+  });
+}
+
+/**
+ * Add all datasets as one worksheet: a row per dataset with its record as JSON
+ * @param {import('exceljs').Workbook} workbook
+ */
+export function addTestDataWorksheet(workbook, testCases) {
+  const worksheet = workbook.addWorksheet(TEST_DATA_SHEET_TITLE);
+  worksheet.columns = [
+    { header: 'Test ID', key: 'testId', width: 12 },
+    { header: 'Data Set', key: 'dataSetId', width: 14 },
+    { header: 'Entity', key: 'entity', width: 12 },
+    { header: 'Variant', key: 'variant', width: 10 },
+    { header: 'Case', key: 'case', width: 26 },
+    { header: 'Expected', key: 'expected', width: 10 },
+    { header: 'Description', key: 'description', width: 40 },
+    { header: 'Record', key: 'record', width: 80 }
+  ];
+
+  worksheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  worksheet.getRow(1).fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FF4472C4' }
+  };
+  worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  for (const testCase of testCases) {
+    for (const dataSet of testCase.dataSets || []) {
+      const row = worksheet.addRow({
+        testId: testCase.testId,
+        dataSetId: `${testCase.testId}-${dataSet.id}`,
+        entity: dataSet.entity,
+        variant: dataSet.variant,
+        case: dataSet.case,
+        expected: dataSet.expected,
+        description: dataSet.description,
+        record: JSON.stringify(dataSet.record)
+      });
+      row.alignment = { vertical: 'top', wrapText: true };
+    }
+  }
+
+  return worksheet;
+}
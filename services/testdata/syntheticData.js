@@ -0,0 +1,447 @@
+// services/testdata/syntheticData.js - Synthetic healthcare test data
+//
+// Realistic but invented patients, encounters, medications, ICD-10-CM and CPT
+// codes, insurance members and ABHA IDs. Values come from a generator seeded per
+// test case, so a test keeps the same data across runs on the same day. Each
+// entity has valid, boundary and invalid cases for the boundary-value and
+// equivalence-partitioning techniques the generation prompt asks for.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_REFERENCE_FILE = path.resolve(__dirname, '../../config/testdata/reference-data.json');
+
+export const ENTITIES = ['patient', 'encounter', 'medication', 'diagnosis', 'procedure', 'insurance', 'abha'];
+export const VARIANTS = ['valid', 'boundary', 'invalid'];
+
+// Which entities a test needs, from its name, description, steps and tags. Control
+// citations are left out: citing ABDM does not make every test an ABHA test.
+const ENTITY_KEYWORDS = {
+  patient: /\b(patient|demographic|registration|chart|mrn|medical record)/i,
+  encounter: /\b(encounter|admission|admit|discharg|visit|appointment|inpatient|outpatient)/i,
+  medication: /\b(medication|prescri|drug|dose|dosage|pharmac|formulary)/i,
+  diagnosis: /\b(diagnos|icd|problem list)/i,
+  procedure: /\b(procedure|cpt|billing|charge capture|superbill)/i,
+  insurance: /\b(insurance|payer|claim|eligibility|coverage|prior auth|member id|subscriber)/i,
+  abha: /\b(abha|abdm|health id|ndhm)/i
+};
+
+// Cases per technique, so a test's datasets stay readable
+const MAX_CASES_PER_ENTITY = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function yearsAgo(today, years, extraDays = 0) {
+  const date = new Date(today);
+  date.setUTCFullYear(date.getUTCFullYear() - years);
+  return addDays(date, -extraDays);
+}
+
+/**
+ * Small deterministic PRNG (mulberry32) seeded from any string
+ */
+function createRandom(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  const next = () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+
+  return {
+    int,
+    pick: list => list[int(0, list.length - 1)],
+    digits: count => Array.from({ length: count }, () => int(0, 9)).join('')
+  };
+}
+
+// ==================== VALID RECORDS ====================
+
+function patientRecord(ref, { rnd, today }) {
+  const sex = rnd.pick(['female', 'male']);
+  const givenName = rnd.pick(ref.givenNames[sex]);
+  const familyName = rnd.pick(ref.familyNames);
+  const place = rnd.pick(ref.cities);
+
+  return {
+    mrn: `MRN${rnd.digits(8)}`,
+    givenName,
+    familyName,
+    birthDate: isoDate(yearsAgo(today, rnd.int(18, 85), rnd.int(0, 364))),
+    sex,
+    phone: `${rnd.int(201, 989)}-555-01${rnd.digits(2)}`,
+    email: `${givenName}.${familyName}${rnd.digits(2)}@example.com`.toLowerCase().replace(/[^a-z0-9.@-]/g, ''),
+    address: {
+      line: `${rnd.int(10, 9999)} ${rnd.pick(ref.streets)}`,
+      city: place.city,
+      state: place.state,
+      postalCode: place.postalCode
+    },
+    preferredLanguage: rnd.pick(ref.languages)
+  };
+}
+
+function encounterRecord(ref, ctx) {
+  const { rnd, today } = ctx;
+  const encounterClass = rnd.pick(ref.encounterClasses);
+  const start = addDays(today, -rnd.int(1, 60));
+  const end = encounterClass.code === 'IMP' ? addDays(start, rnd.int(1, 7)) : start;
+
+  return {
+    encounterId: `ENC${rnd.digits(8)}`,
+    mrn: ctx.patient.mrn,
+    class: encounterClass.code,
+    classDisplay: encounterClass.display,
+    department: rnd.pick(ref.departments),
+    attendingProvider: rnd.pick(ref.providers),
+    start: isoDate(start),
+    end: isoDate(end),
+    status: 'finished',
+    diagnosisCodes: [rnd.pick(ref.diagnoses).code]
+  };
+}
+
+function medicationRecord(ref, ctx, medication = ctx.rnd.pick(ref.medications)) {
+  const { rnd, today } = ctx;
+  return {
+    orderId: `RX${rnd.digits(8)}`,
+    mrn: ctx.patient.mrn,
+    medication: medication.name,
+    strength: medication.strength,
+    form: medication.form,
+    route: medication.route,
+    dose: medication.dose,
+    doseUnit: medication.doseUnit,
+    frequency: medication.frequency,
+    timesPerDay: medication.timesPerDay,
+    maxDailyDose: medication.maxDailyDose ?? null,
+    prescriber: rnd.pick(ref.providers),
+    startDate: isoDate(addDays(today, -rnd.int(0, 30)))
+  };
+}
+
+function diagnosisRecord(ref, ctx, diagnosis = ctx.rnd.pick(ref.diagnoses)) {
+  return {
+    mrn: ctx.patient.mrn,
+    system: 'ICD-10-CM',
+    code: diagnosis.code,
+    display: diagnosis.display,
+    recordedDate: isoDate(addDays(ctx.today, -ctx.rnd.int(0, 365)))
+  };
+}
+
+function procedureRecord(ref, ctx, procedure = ctx.rnd.pick(ref.procedures)) {
+  return {
+    mrn: ctx.patient.mrn,
+    system: 'CPT',
+    code: procedure.code,
+    display: procedure.display,
+    performedDate: isoDate(addDays(ctx.today, -ctx.rnd.int(0, 90)))
+  };
+}
+
+function insuranceRecord(ref, ctx) {
+  const { rnd, today } = ctx;
+  const payer = rnd.pick(ref.payers);
+  const year = today.getUTCFullYear();
+
+  return {
+    mrn: ctx.patient.mrn,
+    payer: payer.name,
+    planType: rnd.pick(payer.planTypes),
+    memberId: `${payer.memberIdPrefix}${rnd.digits(9)}`,
+    groupNumber: `GRP${rnd.digits(6)}`,
+    subscriberRelationship: 'self',
+    effectiveDate: `${year}-01-01`,
+    terminationDate: `${year}-12-31`
+  };
+}
+
+function abhaRecord(ref, ctx) {
+  const { rnd, patient } = ctx;
+  return {
+    mrn: patient.mrn,
+    abhaNumber: `91-${rnd.digits(4)}-${rnd.digits(4)}-${rnd.digits(4)}`,
+    abhaAddress: `${patient.givenName}.${patient.familyName}${rnd.digits(4)}@${ref.abhaDomain}`.toLowerCase().replace(/[^a-z0-9.@-]/g, '')
+  };
+}
+
+const BUILDERS = {
+  patient: patientRecord,
+  encounter: encounterRecord,
+  medication: medicationRecord,
+  diagnosis: diagnosisRecord,
+  procedure: procedureRecord,
+  insurance: insuranceRecord,
+  abha: abhaRecord
+};
+
+// ==================== BOUNDARY AND INVALID CASES ====================
+// build(valid, ctx, ref) turns a valid record into the case; expected is what
+// the system under test should do with it
+
+const CASES = {
+  patient: {
+    boundary: [
+      { case: 'newborn', description: 'Born today (age 0)', build: (r, { today }) => ({ ...r, birthDate: isoDate(today) }) },
+      { case: 'oldest-supported-age', description: 'Age 120', build: (r, { today }) => ({ ...r, birthDate: isoDate(yearsAgo(today, 120)) }) },
+      { case: 'single-character-given-name', description: 'Given name of one character', build: r => ({ ...r, givenName: 'O' }) },
+      { case: 'long-family-name', description: 'Hyphenated family name of 50 characters', build: r => ({ ...r, familyName: 'Montgomery-Fairweather-Castellanos-Whitfield-Abbot' }) }
+    ],
+    invalid: [
+      { case: 'future-birth-date', description: 'Birth date tomorrow', build: (r, { today }) => ({ ...r, birthDate: isoDate(addDays(today, 1)) }) },
+      { case: 'missing-family-name', description: 'Family name left empty', build: r => ({ ...r, familyName: '' }) },
+      { case: 'malformed-mrn', description: 'MRN with letters in the number part', build: r => ({ ...r, mrn: 'MRN12AB5678' }) },
+      { case: 'unknown-sex-code', description: 'Sex code outside the allowed values', build: r => ({ ...r, sex: 'X' }) }
+    ]
+  },
+  encounter: {
+    boundary: [
+      { case: 'same-day-discharge', description: 'Discharged on the admission date', build: r => ({ ...r, class: 'IMP', classDisplay: 'inpatient encounter', end: r.start }) },
+      { case: 'in-progress', description: 'Open encounter without an end date', build: r => ({ ...r, end: null, status: 'in-progress' }) },
+      { case: 'one-year-stay', description: 'Inpatient stay of 365 days', build: (r, { today }) => ({ ...r, class: 'IMP', classDisplay: 'inpatient encounter', start: isoDate(addDays(today, -365)), end: isoDate(today) }) }
+    ],
+    invalid: [
+      { case: 'discharge-before-admission', description: 'End date before the start date', build: r => ({ ...r, end: isoDate(addDays(new Date(r.start), -1)) }) },
+      { case: 'unknown-class', description: 'Encounter class that is not AMB, IMP or EMER', build: r => ({ ...r, class: 'XYZ', classDisplay: 'unknown' }) },
+      { case: 'missing-patient', description: 'No patient MRN', build: r => ({ ...r, mrn: null }) }
+    ]
+  },
+  medication: {
+    boundary: [
+      {
+        case: 'max-daily-dose',
+        description: 'Dose that reaches the maximum daily dose exactly',
+        build: (r, ctx, ref) => {
+          const medication = ctx.rnd.pick(ref.medications.filter(m => m.maxDailyDose));
+          return { ...medicationRecord(ref, ctx, medication), orderId: r.orderId, dose: medication.maxDailyDose / medication.timesPerDay };
+        }
+      },
+      { case: 'starts-today', description: 'Order starting today', build: (r, { today }) => ({ ...r, startDate: isoDate(today) }) }
+    ],
+    invalid: [
+      {
+        case: 'exceeds-max-daily-dose',
+        description: 'Dose one unit above the maximum daily dose',
+        build: (r, ctx, ref) => {
+          const medication = ctx.rnd.pick(ref.medications.filter(m => m.maxDailyDose));
+          return { ...medicationRecord(ref, ctx, medication), orderId: r.orderId, dose: medication.maxDailyDose / medication.timesPerDay + 1 };
+        }
+      },
+      { case: 'negative-dose', description: 'Negative dose', build: r => ({ ...r, dose: -r.dose }) },
+      { case: 'unknown-route', description: 'Route that does not exist', build: r => ({ ...r, route: 'intranasal-ocular' }) }
+    ]
+  },
+  diagnosis: {
+    boundary: [
+      { case: 'seven-character-code', description: 'Longest ICD-10-CM code form, with a 7th character', build: r => ({ ...r, code: 'S72.001A', display: 'Fracture of unspecified part of neck of right femur, initial encounter for closed fracture' }) },
+      { case: 'three-character-code', description: 'Category code without a decimal part', build: r => ({ ...r, code: 'I10', display: 'Essential (primary) hypertension' }) }
+    ],
+    invalid: [
+      { case: 'malformed-code', description: 'Digit where the leading letter belongs', build: r => ({ ...r, code: '11E.9' }) },
+      { case: 'nonexistent-code', description: 'Well-formed code that is not in ICD-10-CM', build: r => ({ ...r, code: 'E11.999' }) }
+    ]
+  },
+  procedure: {
+    boundary: [
+      { case: 'with-modifier', description: 'E/M code with modifier 25', build: r => ({ ...r, code: '99213', modifier: '25', display: 'Office or other outpatient visit, established patient, low complexity' }) },
+      { case: 'category-ii-code', description: 'Category II performance measure code', build: r => ({ ...r, code: '1036F', display: 'Current tobacco non-user' }) }
+    ],
+    invalid: [
+      { case: 'four-digit-code', description: 'Code one digit short', build: r => ({ ...r, code: r.code.slice(0, 4) }) },
+      { case: 'non-numeric-code', description: 'Letters in a Category I code', build: r => ({ ...r, code: '99A13' }) }
+    ]
+  },
+  insurance: {
+    boundary: [
+      { case: 'coverage-ends-today', description: 'Coverage whose last day is today', build: (r, { today }) => ({ ...r, terminationDate: isoDate(today) }) },
+      { case: 'coverage-starts-today', description: 'Coverage whose first day is today', build: (r, { today }) => ({ ...r, effectiveDate: isoDate(today) }) }
+    ],
+    invalid: [
+      { case: 'expired-coverage', description: 'Coverage that ended yesterday', build: (r, { today }) => ({ ...r, terminationDate: isoDate(addDays(today, -1)) }) },
+      { case: 'missing-member-id', description: 'No member ID', build: r => ({ ...r, memberId: '' }) },
+      { case: 'termination-before-effective', description: 'Termination date before the effective date', build: r => ({ ...r, terminationDate: `${Number(r.effectiveDate.slice(0, 4)) - 1}-12-31` }) }
+    ]
+  },
+  abha: {
+    boundary: [
+      { case: 'unformatted-number', description: '14-digit ABHA number without hyphens', build: r => ({ ...r, abhaNumber: r.abhaNumber.replace(/-/g, '') }) }
+    ],
+    invalid: [
+      { case: 'thirteen-digit-number', description: 'ABHA number one digit short', build: r => ({ ...r, abhaNumber: r.abhaNumber.slice(0, -1) }) },
+      { case: 'non-numeric-number', description: 'Letters in the ABHA number', build: r => ({ ...r, abhaNumber: r.abhaNumber.replace(/\d{4}$/, 'AB12') }) },
+      { case: 'foreign-address-domain', description: 'ABHA address outside the ABDM domain', build: r => ({ ...r, abhaAddress: r.abhaAddress.replace(/@.*/, '@example.com') }) }
+    ]
+  }
+};
+
+/**
+ * Entities a test case needs; falls back to a patient, the subject of most healthcare tests
+ */
+export function detectEntities(testCase) {
+  const text = [
+    testCase.testName,
+    testCase.description,
+    testCase.expectedResults,
+    ...(testCase.preconditions || []),
+    ...(testCase.testSteps || []).flatMap(s => [s.action, s.expectedResult]),
+    ...(testCase.tags || [])
+  ].filter(Boolean).join(' ');
+
+  const entities = ENTITIES.filter(entity => ENTITY_KEYWORDS[entity].test(text));
+  return entities.length > 0 ? entities : ['patient'];
+}
+
+/**
+ * Variants a test case needs, from its testing technique and test type
+ */
+export function variantsFor(testCase) {
+  const technique = String(testCase.testingTechnique || '').toLowerCase();
+  if (testCase.testType === 'negative') return ['invalid'];
+  if (technique.includes('boundary')) return ['valid', 'boundary'];
+  if (technique.includes('equivalence')) return ['valid', 'invalid'];
+  if (testCase.testType === 'edge_case') return ['boundary'];
+  return ['valid'];
+}
+
+class SyntheticDataGenerator {
+  constructor(file = process.env.TEST_DATA_REFERENCE_FILE || DEFAULT_REFERENCE_FILE) {
+    this.file = file;
+    this.reference = null;
+  }
+
+  load() {
+    this.reference = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    console.log(`🧬 [TestData] Loaded reference data v${this.reference.version} from ${this.file}`);
+    return this;
+  }
+
+  ensureLoaded() {
+    if (!this.reference) this.load();
+    return this;
+  }
+
+  get version() {
+    return this.ensureLoaded().reference.version;
+  }
+
+  /**
+   * Seeded context shared by one test's datasets, so every record refers to the same patient
+   */
+  createContext(seed, today = new Date()) {
+    this.ensureLoaded();
+    const rnd = createRandom(seed);
+    const ctx = { rnd, today: new Date(`${isoDate(today)}T00:00:00Z`) };
+    ctx.patient = patientRecord(this.reference, ctx);
+    return ctx;
+  }
+
+  /**
+   * Records for one entity and variant
+   * @param {string} entity - one of ENTITIES
+   * @param {Object} [options]
+   * @param {string} [options.variant] - valid (default), boundary or invalid
+   * @param {number} [options.count] - valid records to make, or the most cases to return
+   * @param {string} [options.seed] - same seed, same records (on the same day)
+   * @param {Object} [options.context] - from createContext(), to share a patient across entities
+   * @returns {Array<{ variant, case, description, expected, record }>}
+   */
+  generate(entity, { variant = 'valid', count, seed = 'medtestai', context } = {}) {
+    if (!BUILDERS[entity]) {
+      throw new Error(`Unknown test data entity "${entity}"; use one of ${ENTITIES.join(', ')}`);
+    }
+    if (!VARIANTS.includes(variant)) {
+      throw new Error(`Unknown test data variant "${variant}"; use one of ${VARIANTS.join(', ')}`);
+    }
+
+    const ref = this.ensureLoaded().reference;
+    const ctx = context || this.createContext(`${seed}:${entity}`);
+    const build = () => (entity === 'patient' && context ? ctx.patient : BUILDERS[entity](ref, ctx));
+
+    if (variant === 'valid') {
+      return Array.from({ length: count || 1 }, (_, i) => ({
+        variant,
+        case: 'valid',
+        description: `Valid ${entity} record`,
+        expected: 'accept',
+        // Extra records beyond the first get fresh values instead of the shared patient
+        record: i === 0 ? build() : BUILDERS[entity](ref, ctx)
+      }));
+    }
+
+    return CASES[entity][variant].slice(0, count || undefined).map(c => ({
+      variant,
+      case: c.case,
+      description: c.description,
+      expected: variant === 'invalid' ? 'reject' : 'accept',
+      record: c.build(build(), ctx, ref)
+    }));
+  }
+
+  /**
+   * Concrete datasets for one test case: the entities it mentions, in the variants its
+   * technique calls for. Records that reference a patient get that patient's valid record too.
+   */
+  dataSetsFor(testCase, { today } = {}) {
+    const seed = `${testCase.testName}|${(testCase.requirementIds || []).join(',')}`;
+    const context = this.createContext(seed, today);
+    const entities = detectEntities(testCase);
+    const variants = variantsFor(testCase);
+
+    const plan = entities.flatMap(entity => variants.map(variant => ({ entity, variant })));
+    const needsPatient = entities.some(e => e !== 'patient') && !plan.some(p => p.entity === 'patient' && p.variant === 'valid');
+    if (needsPatient) plan.unshift({ entity: 'patient', variant: 'valid' });
+
+    return plan
+      .flatMap(({ entity, variant }) => this.generate(entity, { variant, context, count: variant === 'valid' ? 1 : MAX_CASES_PER_ENTITY })
+        .map(data => ({ entity, ...data })))
+      // IDs are local to the test, so renumbering the suite never invalidates them
+      .map((data, i) => ({
+        id: `D${String(i + 1).padStart(2, '0')}`,
+        ...data
+      }));
+  }
+
+  /**
+   * Attach datasets to every test case
+   * @returns {{ testCases: Object[], summary: { referenceVersion, dataSets, byEntity, byVariant } }}
+   */
+  attachToTestCases(testCases, { today } = {}) {
+    const withData = testCases.map(testCase => ({
+      ...testCase,
+      // FHIR and HL7 v2 conformance tests already carry their data as Bundles and messages
+      dataSets: testCase.fhirBundles || testCase.hl7Messages ? [] : this.dataSetsFor(testCase, { today })
+    }));
+
+    return { testCases: withData, summary: this.summarize(withData) };
+  }
+
+  /**
+   * Count the datasets attached to a suite, e.g. one merged from kept and new tests
+   * @returns {{ referenceVersion, dataSets, byEntity, byVariant }}
+   */
+  summarize(testCases) {
+    const summary = { referenceVersion: this.version, dataSets: 0, byEntity: {}, byVariant: {} };
+    for (const { entity, variant } of testCases.flatMap(tc => tc.dataSets || [])) {
+      summary.dataSets++;
+      summary.byEntity[entity] = (summary.byEntity[entity] || 0) + 1;
+      summary.byVariant[variant] = (summary.byVariant[variant] || 0) + 1;
+    }
+    return summary;
+  }
+}
+
+export default new SyntheticDataGenerator();
@@ -0,0 +1,250 @@
+// services/tms/tmsExport.js - Native import files for TestRail, Xray and Zephyr Scale
+//
+// Each builder takes canonical test cases and a resolved mapping (tmsMappings.resolve)
+// and returns the file text the tool's importer expects. tmsRoundTrip.js reads the
+// same text back to check it.
+
+import { toCsv } from '../../utils/csv.js';
+import { escapeXml } from '../../utils/xml.js';
+
+export const TMS_FORMATS = {
+  'testrail-xml': { tool: 'TestRail', extension: 'xml', mimeType: 'application/xml' },
+  'testrail-csv': { tool: 'TestRail', extension: 'csv', mimeType: 'text/csv' },
+  'xray-json': { tool: 'Xray', extension: 'json', mimeType: 'application/json' },
+  'zephyr-scale-csv': { tool: 'Zephyr Scale', extension: 'csv', mimeType: 'text/csv' }
+};
+
+export const TESTRAIL_CSV_COLUMNS = ['Title', 'Section', 'Template', 'Type', 'Priority', 'References', 'Preconditions', 'Steps (Step)', 'Steps (Expected Result)'];
+export const ZEPHYR_CSV_COLUMNS = ['Name', 'Objective', 'Precondition', 'Folder', 'Status', 'Priority', 'Labels', 'Test Script (Step-by-Step) - Step', 'Test Script (Step-by-Step) - Test Data', 'Test Script (Step-by-Step) - Expected Result'];
+
+const CUSTOM_VALUES = {
+  compliance: tc => tc.complianceRequirements.join(', '),
+  risk: tc => tc.riskLevel,
+  automation: tc => tc.automationFeasibility
+};
+
+/**
+ * Title every tool shows; the test ID keeps it traceable to the suite
+ */
+export function caseTitle(testCase) {
+  return `${testCase.testId} ${testCase.testName}`.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Section (TestRail) or folder (Xray, Zephyr Scale) a test belongs to, as a list of names
+ */
+export function sectionPath(testCase, mapping) {
+  const path = mapping.rootFolder ? [mapping.rootFolder] : [];
+  if (mapping.sectionBy === 'category') {
+    path.push(testCase.category.charAt(0).toUpperCase() + testCase.category.slice(1));
+  } else if (mapping.sectionBy === 'requirement') {
+    path.push(testCase.requirementIds[0] || 'Unlinked');
+  }
+  return path.length > 0 ? path : ['Test Cases'];
+}
+
+export function folderPath(testCase, mapping) {
+  // "/" separates folders, so it cannot appear inside a name
+  return `/${sectionPath(testCase, mapping).map(name => name.replace(/\//g, '-')).join('/')}`;
+}
+
+/**
+ * Custom fields the mapping turns on, with their configured names
+ * @returns {Array<{ key, name, value: (testCase) => string }>}
+ */
+export function customFields(fields = {}, nameOf = name => name) {
+  return Object.entries(fields)
+    .filter(([key, config]) => config && CUSTOM_VALUES[key])
+    .map(([key, config]) => ({ key, name: nameOf(config), value: CUSTOM_VALUES[key] }));
+}
+
+// ==================== TestRail ====================
+
+function testRailCaseXml(testCase, mapping, indent) {
+  const pad = level => ' '.repeat(indent + level * 2);
+  const element = (level, name, value) => `${pad(level)}<${name}>${escapeXml(value)}</${name}>`;
+  const { testrail } = mapping;
+
+  const steps = testCase.testSteps.map((step, i) => [
+    `${pad(3)}<step>`,
+    element(4, 'index', i + 1),
+    element(4, 'content', step.action),
+    element(4, 'expected', step.expectedResult),
+    `${pad(3)}</step>`
+  ].join('\n'));
+
+  return [
+    `${pad(0)}<case>`,
+    element(1, 'title', caseTitle(testCase)),
+    element(1, 'template', testrail.template),
+    element(1, 'type', testrail.type[testCase.category]),
+    element(1, 'priority', testrail.priority[testCase.priority]),
+    element(1, 'references', testCase.requirementIds.join(', ')),
+    `${pad(1)}<custom>`,
+    element(2, 'preconds', testCase.preconditions.join('\n')),
+    `${pad(2)}<steps_separated>`,
+    ...steps,
+    `${pad(2)}</steps_separated>`,
+    ...customFields(testrail.customFields, field => field.systemName)
+      .map(field => element(2, field.name, field.value(testCase))),
+    `${pad(1)}</custom>`,
+    `${pad(0)}</case>`
+  ].join('\n');
+}
+
+function testRailSectionXml(section, mapping, indent) {
+  const pad = ' '.repeat(indent);
+  const lines = [`${pad}<section>`, `${pad}  <name>${escapeXml(section.name)}</name>`];
+  if (section.cases.length > 0) {
+    lines.push(`${pad}  <cases>`, ...section.cases.map(tc => testRailCaseXml(tc, mapping, indent + 4)), `${pad}  </cases>`);
+  }
+  if (section.children.size > 0) {
+    lines.push(`${pad}  <sections>`, ...[...section.children.values()].map(child => testRailSectionXml(child, mapping, indent + 4)), `${pad}  </sections>`);
+  }
+  lines.push(`${pad}</section>`);
+  return lines.join('\n');
+}
+
+export function buildTestRailXml(testCases, mapping) {
+  const root = { children: new Map() };
+  for (const testCase of testCases) {
+    let node = root;
+    for (const name of sectionPath(testCase, mapping)) {
+      if (!node.children.has(name)) node.children.set(name, { name, cases: [], children: new Map() });
+      node = node.children.get(name);
+    }
+    node.cases.push(testCase);
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sections>',
+    ...[...root.children.values()].map(section => testRailSectionXml(section, mapping, 2)),
+    '</sections>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * One row per step; the case's own fields are on its first row only
+ */
+export function buildTestRailCsv(testCases, mapping) {
+  const { testrail } = mapping;
+  const custom = customFields(testrail.customFields, field => field.label);
+  const header = [...TESTRAIL_CSV_COLUMNS, ...custom.map(field => field.name)];
+
+  const rows = testCases.flatMap(testCase => {
+    const steps = testCase.testSteps.length > 0 ? testCase.testSteps : [{ action: '', expectedResult: '' }];
+    return steps.map((step, i) => (i === 0
+      ? [
+        caseTitle(testCase),
+        sectionPath(testCase, mapping).join(' > '),
+        testrail.template,
+        testrail.type[testCase.category],
+        testrail.priority[testCase.priority],
+        testCase.requirementIds.join(', '),
+        testCase.preconditions.join('\n'),
+        step.action,
+        step.expectedResult,
+        ...custom.map(field => field.value(testCase))
+      ]
+      : [...Array(7).fill(''), step.action, step.expectedResult, ...custom.map(() => '')]));
+  });
+
+  return toCsv([header, ...rows]);
+}
+
+// ==================== Xray ====================
+
+// Jira labels cannot contain spaces
+const label = value => String(value).trim().replace(/\s+/g, '_');
+
+export function buildXrayJson(testCases, mapping) {
+  const { xray } = mapping;
+  const cf = xray.customFields || {};
+
+  const tests = testCases.map(testCase => {
+    const description = [testCase.description];
+    if (!cf.preconditions && testCase.preconditions.length > 0) {
+      description.push(`*Preconditions*\n${testCase.preconditions.map(p => `* ${p}`).join('\n')}`);
+    }
+    if (testCase.expectedResults) description.push(`*Expected results*\n${testCase.expectedResults}`);
+
+    const labels = [
+      ...(xray.labels || []),
+      testCase.testId,
+      ...testCase.requirementIds,
+      ...(cf.compliance ? [] : testCase.complianceRequirements),
+      ...(cf.risk ? [] : [`risk-${testCase.riskLevel.toLowerCase()}`])
+    ].map(label);
+
+    return {
+      testtype: xray.testType,
+      fields: {
+        summary: caseTitle(testCase),
+        project: { key: xray.projectKey },
+        priority: { name: xray.priority[testCase.priority] },
+        description: description.filter(Boolean).join('\n\n'),
+        labels: [...new Set(labels)],
+        ...(cf.compliance && { [cf.compliance]: CUSTOM_VALUES.compliance(testCase) }),
+        ...(cf.risk && { [cf.risk]: CUSTOM_VALUES.risk(testCase) }),
+        ...(cf.preconditions && { [cf.preconditions]: testCase.preconditions.join('\n') })
+      },
+      steps: testCase.testSteps.map(step => ({
+        action: step.action,
+        data: '',
+        result: step.expectedResult
+      })),
+      xray_test_repository_folder: folderPath(testCase, mapping)
+    };
+  });
+
+  return JSON.stringify(tests, null, 2);
+}
+
+// ==================== Zephyr Scale ====================
+
+export function buildZephyrScaleCsv(testCases, mapping) {
+  const { zephyrScale } = mapping;
+  const custom = customFields(zephyrScale.customFields);
+  const header = [...ZEPHYR_CSV_COLUMNS, ...custom.map(field => field.name)];
+
+  const rows = testCases.flatMap(testCase => {
+    const steps = testCase.testSteps.length > 0 ? testCase.testSteps : [{ action: '', expectedResult: '' }];
+    const labels = [...(zephyrScale.labels || []), testCase.testId, ...testCase.requirementIds].map(label);
+
+    return steps.map((step, i) => (i === 0
+      ? [
+        caseTitle(testCase),
+        testCase.description,
+        testCase.preconditions.join('\n'),
+        folderPath(testCase, mapping),
+        zephyrScale.status,
+        zephyrScale.priority[testCase.priority],
+        [...new Set(labels)].join(','),
+        step.action,
+        '',
+        step.expectedResult,
+        ...custom.map(field => field.value(testCase))
+      ]
+      : [...Array(7).fill(''), step.action, '', step.expectedResult, ...custom.map(() => '')]));
+  });
+
+  return toCsv([header, ...rows]);
+}
+
+const BUILDERS = {
+  'testrail-xml': buildTestRailXml,
+  'testrail-csv': buildTestRailCsv,
+  'xray-json': buildXrayJson,
+  'zephyr-scale-csv': buildZephyrScaleCsv
+};
+
+/**
+ * @returns {string} the import file's content
+ */
+export function buildTmsExport(format, testCases, mapping) {
+  const build = BUILDERS[format];
+  if (!build) throw new Error(`Unknown test management format "${format}"`);
+  return build(testCases, mapping);
+}
@@ -0,0 +1,88 @@
+// services/tms/tmsMappings.js - Field mappings for TestRail, Xray and Zephyr Scale exports and Jira pushes
+//
+// Defaults come from config/tms/field-mappings.json (or TMS_MAPPINGS_FILE); an export
+// request can override any part of them, e.g. { xray: { projectKey: 'EHR' } }.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PRIORITIES, CATEGORIES } from '../schema/testCaseSchema.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_MAPPINGS_FILE = path.resolve(__dirname, '../../config/tms/field-mappings.json');
+
+export const SECTION_STRATEGIES = ['category', 'requirement', 'none'];
+
+export class TmsMappingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'TmsMappingError';
+    this.statusCode = statusCode;
+  }
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function merge(base, override) {
+  if (!isObject(base) || !isObject(override)) return override === undefined ? base : override;
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = merge(base[key], value);
+  }
+  return merged;
+}
+
+class TmsMappings {
+  constructor(file = process.env.TMS_MAPPINGS_FILE || DEFAULT_MAPPINGS_FILE) {
+    this.file = file;
+    this.defaults = null;
+  }
+
+  load() {
+    this.defaults = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    console.log(`🗂️ [TMS] Loaded field mappings v${this.defaults.version} from ${this.file}`);
+    return this;
+  }
+
+  ensureLoaded() {
+    if (!this.defaults) this.load();
+    return this;
+  }
+
+  /**
+   * Defaults merged with a request's overrides, checked so every priority and category maps to something
+   * @throws {TmsMappingError}
+   */
+  resolve(overrides = {}) {
+    this.ensureLoaded();
+    if (overrides !== undefined && overrides !== null && !isObject(overrides)) {
+      throw new TmsMappingError('tmsMapping must be an object');
+    }
+
+    const mapping = merge(this.defaults, overrides || {});
+
+    if (!SECTION_STRATEGIES.includes(mapping.sectionBy)) {
+      throw new TmsMappingError(`sectionBy must be one of ${SECTION_STRATEGIES.join(', ')}`);
+    }
+    for (const tool of ['testrail', 'xray', 'zephyrScale', 'jira']) {
+      const missing = PRIORITIES.filter(p => !mapping[tool]?.priority?.[p]);
+      if (missing.length > 0) {
+        throw new TmsMappingError(`${tool}.priority does not map ${missing.join(', ')}`);
+      }
+    }
+    const unmappedTypes = CATEGORIES.filter(c => !mapping.testrail.type?.[c]);
+    if (unmappedTypes.length > 0) {
+      throw new TmsMappingError(`testrail.type does not map ${unmappedTypes.join(', ')}`);
+    }
+    if (!/^[A-Z][A-Z0-9_]+$/.test(mapping.xray.projectKey || '')) {
+      throw new TmsMappingError(`xray.projectKey "${mapping.xray.projectKey}" is not a Jira project key`);
+    }
+    if (!mapping.jira.issueType || !mapping.jira.linkType) {
+      throw new TmsMappingError('jira.issueType and jira.linkType are required');
+    }
+
+    return mapping;
+  }
+}
+
+export default new TmsMappings();
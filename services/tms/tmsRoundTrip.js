@@ -0,0 +1,357 @@
+// services/tms/tmsRoundTrip.js - Reads a test management export back and checks it
+//
+// The export is parsed the way the tool's importer would and compared with the
+// sample import schema in config/tms/schemas/<format>.json and with the test
+// cases it came from: every case present once, with its steps, expected results,
+// preconditions and compliance mapping intact.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseCsv } from '../../utils/csv.js';
+import { parseXml, childElements, childText } from '../../utils/xml.js';
+import { caseTitle, sectionPath, folderPath, customFields } from './tmsExport.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCHEMA_DIR = path.resolve(__dirname, '../../config/tms/schemas');
+
+const schemas = new Map();
+
+function schemaFor(format) {
+  if (!schemas.has(format)) {
+    schemas.set(format, JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, `${format}.json`), 'utf8')));
+  }
+  return schemas.get(format);
+}
+
+const same = (a, b) => String(a ?? '').trim() === String(b ?? '').trim();
+
+/**
+ * Collects issues for one export; error() and warning() take a test ID or null
+ */
+function issueList() {
+  const issues = [];
+  const add = severity => (testId, location, message) => issues.push({ severity, testId, location, message });
+  return { issues, error: add('error'), warning: add('warning') };
+}
+
+/**
+ * Compare one imported case with its source test case
+ * @param {Object} imported - { title, steps: [{ action, expected }], preconditions, compliance, priority, folder }
+ */
+function compareCase(testCase, imported, expected, { error }) {
+  const { testId } = testCase;
+  if (!same(imported.priority, expected.priority)) {
+    error(testId, 'priority', `Priority "${imported.priority}" should be "${expected.priority}"`);
+  }
+  if (expected.folder !== undefined && !same(imported.folder, expected.folder)) {
+    error(testId, 'folder', `Filed under "${imported.folder}" instead of "${expected.folder}"`);
+  }
+  if (imported.steps.length !== testCase.testSteps.length) {
+    error(testId, 'steps', `${imported.steps.length} steps imported, ${testCase.testSteps.length} expected`);
+  } else {
+    testCase.testSteps.forEach((step, i) => {
+      if (!same(imported.steps[i].action, step.action)) {
+        error(testId, `steps[${i}].action`, `Step ${i + 1} action does not match`);
+      }
+      if (!same(imported.steps[i].expected, step.expectedResult)) {
+        error(testId, `steps[${i}].expected`, `Step ${i + 1} expected result does not match`);
+      }
+    });
+  }
+  if (imported.preconditions !== undefined && !same(imported.preconditions, testCase.preconditions.join('\n'))) {
+    error(testId, 'preconditions', 'Preconditions do not match');
+  }
+  if (imported.compliance !== undefined && !same(imported.compliance, testCase.complianceRequirements.join(', '))) {
+    error(testId, 'compliance', 'Compliance requirements do not match');
+  }
+}
+
+/**
+ * Match imported cases to test cases by title; reports missing, duplicate and unknown cases
+ */
+function matchCases(testCases, importedCases, check, log) {
+  const byTitle = new Map();
+  for (const imported of importedCases) {
+    if (byTitle.has(imported.title)) log.error(null, imported.title, 'Case appears more than once');
+    byTitle.set(imported.title, imported);
+  }
+  const titles = new Set();
+  for (const testCase of testCases) {
+    const title = caseTitle(testCase);
+    titles.add(title);
+    const imported = byTitle.get(title);
+    if (!imported) {
+      log.error(testCase.testId, 'case', `"${title}" is missing from the export`);
+    } else {
+      check(testCase, imported);
+    }
+  }
+  for (const title of byTitle.keys()) {
+    if (!titles.has(title)) log.error(null, title, 'Case does not come from any test case');
+  }
+}
+
+function checkEnums(enums = {}, values, location, testId, log) {
+  for (const [field, allowed] of Object.entries(enums)) {
+    if (values[field] !== undefined && values[field] !== null && !allowed.includes(values[field])) {
+      log.error(testId, `${location}.${field}`, `"${values[field]}" is not one of ${allowed.join(', ')}`);
+    }
+  }
+}
+
+// ==================== TestRail XML ====================
+
+function verifyTestRailXml(content, testCases, mapping, log) {
+  const schema = schemaFor('testrail-xml');
+  const root = parseXml(content);
+  if (root.name !== schema.root) {
+    log.error(null, 'root', `Root element is <${root.name}>, TestRail expects <${schema.root}>`);
+    return;
+  }
+  const customNames = customFields(mapping.testrail.customFields, field => field.systemName);
+
+  const imported = [];
+  const walk = (sectionsEl, trail) => {
+    for (const section of childElements(sectionsEl, 'section')) {
+      const name = childText(section, 'name');
+      const location = [...trail, name || '?'].join(' > ');
+      for (const child of section.children) {
+        if (!schema.section.children.includes(child.name)) log.error(null, location, `Unexpected <${child.name}> in a section`);
+      }
+      for (const field of schema.section.required) {
+        if (!childText(section, field)) log.error(null, location, `Section is missing <${field}>`);
+      }
+
+      for (const caseEl of childElements(childElements(section, 'cases')[0], 'case')) {
+        const title = childText(caseEl, 'title');
+        const values = Object.fromEntries(schema.case.children.map(field => [field, childText(caseEl, field)]));
+        for (const child of caseEl.children) {
+          if (!schema.case.children.includes(child.name)) log.error(null, title, `Unexpected <${child.name}> in a case`);
+        }
+        for (const field of schema.case.required) {
+          if (!values[field]) log.error(null, title, `Case is missing <${field}>`);
+        }
+        checkEnums(schema.case.enums, values, 'case', null, log);
+
+        const custom = childElements(caseEl, 'custom')[0];
+        const steps = childElements(childElements(custom, schema.step.container)[0], 'step').map(step => {
+          for (const field of schema.step.required) {
+            if (childText(step, field) === null) log.error(null, title, `Step is missing <${field}>`);
+          }
+          return { index: Number(childText(step, 'index')), action: childText(step, 'content'), expected: childText(step, 'expected') };
+        });
+        if (steps.some((step, i) => step.index !== i + 1)) log.error(null, title, 'Step indexes are not 1..n');
+
+        const compliance = customNames.find(field => field.key === 'compliance');
+        imported.push({
+          title,
+          priority: values.priority,
+          folder: [...trail, name].join(' > '),
+          steps,
+          preconditions: childText(custom, 'preconds') ?? '',
+          compliance: compliance ? childText(custom, compliance.name) ?? '' : undefined
+        });
+      }
+
+      walk(childElements(section, 'sections')[0], [...trail, name]);
+    }
+  };
+  walk(root, []);
+
+  matchCases(testCases, imported, (testCase, found) => compareCase(testCase, found, {
+    priority: mapping.testrail.priority[testCase.priority],
+    folder: sectionPath(testCase, mapping).join(' > ')
+  }, log), log);
+  return imported.length;
+}
+
+// ==================== CSV formats ====================
+
+/**
+ * Rows to cases: a row with the case key starts a case, rows without one add steps to it
+ */
+function csvCases(content, schema, customColumns, log) {
+  const [header = [], ...rows] = parseCsv(content);
+  const known = new Set([...schema.columns, ...customColumns]);
+  for (const column of header) {
+    if (!known.has(column)) log.error(null, 'header', `Column "${column}" is not in the ${schema.format} import schema`);
+  }
+  for (const column of schema.required) {
+    if (!header.includes(column)) log.error(null, 'header', `Required column "${column}" is missing`);
+  }
+
+  const cases = [];
+  rows.forEach((cells, i) => {
+    if (cells.length !== header.length) {
+      log.error(null, `row ${i + 2}`, `Row has ${cells.length} cells, header has ${header.length}`);
+      return;
+    }
+    const row = Object.fromEntries(header.map((column, c) => [column, cells[c]]));
+    const [action, ...rest] = schema.stepColumns;
+    const step = { action: row[action], expected: row[rest[rest.length - 1]] };
+
+    if (row[schema.caseKey]) {
+      for (const column of schema.required) {
+        if (!row[column]) log.error(null, row[schema.caseKey], `"${column}" is empty`);
+      }
+      checkEnums(schema.enums, row, 'row', null, log);
+      if (schema.folderPattern && row.Folder && !new RegExp(schema.folderPattern).test(row.Folder)) {
+        log.error(null, row[schema.caseKey], `Folder "${row.Folder}" does not match ${schema.folderPattern}`);
+      }
+      cases.push({ row, steps: step.action || step.expected ? [step] : [] });
+    } else if (cases.length === 0) {
+      log.error(null, `row ${i + 2}`, 'Step row comes before any case');
+    } else {
+      const other = Object.entries(row).filter(([column, value]) => value && !schema.stepColumns.includes(column));
+      if (other.length > 0) log.warning(null, `row ${i + 2}`, `Step row sets ${other.map(([column]) => column).join(', ')}, which the importer ignores`);
+      cases[cases.length - 1].steps.push(step);
+    }
+  });
+  return cases;
+}
+
+function verifyTestRailCsv(content, testCases, mapping, log) {
+  const schema = schemaFor('testrail-csv');
+  const custom = customFields(mapping.testrail.customFields, field => field.label);
+  const compliance = custom.find(field => field.key === 'compliance');
+  const cases = csvCases(content, schema, custom.map(field => field.name), log);
+
+  matchCases(testCases, cases.map(({ row, steps }) => ({
+    title: row.Title,
+    priority: row.Priority,
+    folder: row.Section,
+    steps,
+    preconditions: row.Preconditions,
+    compliance: compliance ? row[compliance.name] : undefined
+  })), (testCase, found) => compareCase(testCase, found, {
+    priority: mapping.testrail.priority[testCase.priority],
+    folder: sectionPath(testCase, mapping).join(schema.sectionSeparator)
+  }, log), log);
+  return cases.length;
+}
+
+function verifyZephyrScaleCsv(content, testCases, mapping, log) {
+  const schema = schemaFor('zephyr-scale-csv');
+  const custom = customFields(mapping.zephyrScale.customFields);
+  const compliance = custom.find(field => field.key === 'compliance');
+  const cases = csvCases(content, schema, custom.map(field => field.name), log);
+
+  for (const { row } of cases) {
+    if (row.Status && row.Status !== mapping.zephyrScale.status) {
+      log.error(null, row.Name, `Status "${row.Status}" should be "${mapping.zephyrScale.status}"`);
+    }
+  }
+  matchCases(testCases, cases.map(({ row, steps }) => ({
+    title: row.Name,
+    priority: row.Priority,
+    folder: row.Folder,
+    steps,
+    preconditions: row.Precondition,
+    compliance: compliance ? row[compliance.name] : undefined
+  })), (testCase, found) => compareCase(testCase, found, {
+    priority: mapping.zephyrScale.priority[testCase.priority],
+    folder: folderPath(testCase, mapping)
+  }, log), log);
+  return cases.length;
+}
+
+// ==================== Xray JSON ====================
+
+function verifyXrayJson(content, testCases, mapping, log) {
+  const schema = schemaFor('xray-json');
+  const tests = JSON.parse(content);
+  if (!Array.isArray(tests)) {
+    log.error(null, 'root', 'Xray bulk import expects an array of tests');
+    return 0;
+  }
+  const cf = mapping.xray.customFields || {};
+  const folderPattern = new RegExp(schema.folderPattern);
+
+  const imported = tests.map((test, i) => {
+    const title = test.fields?.summary || `tests[${i}]`;
+    for (const key of Object.keys(test)) {
+      if (!schema.test.keys.includes(key)) log.error(null, title, `Unexpected key "${key}"`);
+    }
+    for (const key of schema.test.required) {
+      if (test[key] === undefined) log.error(null, title, `Missing "${key}"`);
+    }
+    for (const key of schema.fields.required) {
+      if (!test.fields?.[key]) log.error(null, title, `Missing fields.${key}`);
+    }
+    checkEnums(schema.test.enums, test, 'test', null, log);
+    if (test.fields?.project?.key !== mapping.xray.projectKey) {
+      log.error(null, title, `Project "${test.fields?.project?.key}" should be "${mapping.xray.projectKey}"`);
+    }
+    if (test.xray_test_repository_folder && !folderPattern.test(test.xray_test_repository_folder)) {
+      log.error(null, title, `Folder "${test.xray_test_repository_folder}" does not match ${schema.folderPattern}`);
+    }
+    if ((test.fields?.labels || []).some(value => /\s/.test(value))) {
+      log.error(null, title, 'Jira labels cannot contain spaces');
+    }
+
+    const steps = (test.steps || []).map((step, s) => {
+      for (const key of Object.keys(step)) {
+        if (!schema.step.keys.includes(key)) log.error(null, title, `Step ${s + 1} has unexpected key "${key}"`);
+      }
+      for (const key of schema.step.required) {
+        if (!step[key]) log.error(null, title, `Step ${s + 1} is missing "${key}"`);
+      }
+      return { action: step.action, expected: step.result };
+    });
+
+    return {
+      title,
+      priority: test.fields?.priority?.name,
+      folder: test.xray_test_repository_folder,
+      steps,
+      description: test.fields?.description || '',
+      labels: test.fields?.labels || [],
+      preconditions: cf.preconditions ? test.fields?.[cf.preconditions] ?? '' : undefined,
+      compliance: cf.compliance ? test.fields?.[cf.compliance] ?? '' : undefined
+    };
+  });
+
+  matchCases(testCases, imported, (testCase, found) => {
+    compareCase(testCase, found, {
+      priority: mapping.xray.priority[testCase.priority],
+      folder: folderPath(testCase, mapping)
+    }, log);
+    // Without custom fields, preconditions travel in the description and compliance in labels
+    if (!cf.preconditions && testCase.preconditions.some(p => !found.description.includes(p))) {
+      log.error(testCase.testId, 'description', 'Preconditions are missing from the description');
+    }
+    if (!cf.compliance) {
+      const missing = testCase.complianceRequirements.filter(c => !found.labels.includes(c.trim().replace(/\s+/g, '_')));
+      if (missing.length > 0) log.error(testCase.testId, 'labels', `Compliance labels missing: ${missing.join(', ')}`);
+    }
+  }, log);
+  return imported.length;
+}
+
+const VERIFIERS = {
+  'testrail-xml': verifyTestRailXml,
+  'testrail-csv': verifyTestRailCsv,
+  'xray-json': verifyXrayJson,
+  'zephyr-scale-csv': verifyZephyrScaleCsv
+};
+
+/**
+ * Round-trip an export through its sample import schema
+ * @returns {{ valid: boolean, format: string, checked: number, issues: Array<{ severity, testId, location, message }> }}
+ */
+export function verifyTmsExport(format, content, testCases, mapping) {
+  const log = issueList();
+  let checked = 0;
+  try {
+    checked = VERIFIERS[format](content, testCases, mapping, log);
+  } catch (error) {
+    log.error(null, 'file', `Export does not parse: ${error.message}`);
+  }
+  return {
+    valid: !log.issues.some(issue => issue.severity === 'error'),
+    format,
+    checked,
+    issues: log.issues
+  };
+}
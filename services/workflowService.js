@@ -0,0 +1,686 @@
+// services/workflowService.js - Document → requirements → test cases pipeline
+// Shared by /api/workflow/complete, its streaming variant and background jobs.
+
+import documentProcessor from './documentProcessor.js';
+import testCaseGeneratorMultiCompliance from './testCaseGeneratorMultiCompliance.js';
+import WebhookManager from './WebhookManager.js';
+import historyService from './HistoryService.js';
+import customFrameworks from './compliance/customFrameworks.js';
+import deidentifier, { PhiDetectedError, resolveDeidentifyMode } from './privacy/deidentifier.js';
+import { RequirementImportError } from './importers/index.js';
+import { DocumentParseError } from './documents/index.js';
+import requirementColumns from './documents/requirementColumns.js';
+import { normalizeRequirements } from './schema/requirementSchema.js';
+import { formatTestId } from './schema/testCaseSchema.js';
+import { planIncrementalRegeneration } from './schema/suiteDiff.js';
+import syntheticData from './testdata/syntheticData.js';
+import { outdatedInteroperabilityTests, summarizeInteroperabilityTests } from './fhir/interoperabilityTests.js';
+import { outdatedHl7Tests, summarizeHl7Tests } from './hl7/hl7Tests.js';
+
+/**
+ * Workflow failure that maps onto an HTTP status and a details payload
+ */
+export class WorkflowError extends Error {
+  constructor(message, statusCode = 500, details = undefined) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Read methodology, compliance frameworks, the target project and PHI handling from a multipart body
+ * (FormData sends either complianceFrameworks[] or complianceFrameworks)
+ */
+export function parseWorkflowOptions(body = {}) {
+  const methodology = body.methodology || 'agile';
+  let complianceFrameworks = [];
+
+  if (body['complianceFrameworks[]']) {
+    complianceFrameworks = Array.isArray(body['complianceFrameworks[]'])
+      ? body['complianceFrameworks[]']
+      : [body['complianceFrameworks[]']];
+  } else if (body.complianceFrameworks) {
+    complianceFrameworks = Array.isArray(body.complianceFrameworks)
+      ? body.complianceFrameworks
+      : [body.complianceFrameworks];
+  } else {
+    complianceFrameworks = ['hipaa']; // Default
+  }
+
+  return {
+    methodology,
+    complianceFrameworks,
+    projectId: body.projectId || undefined,
+    projectName: body.projectName || undefined,
+    deidentifyMode: body.deidentifyMode || undefined,
+    columnMapping: body.columnMapping || undefined,
+    reidentify: body.reidentify === true || body.reidentify === 'true'
+  };
+}
+
+/**
+ * Fold a workflow progress event into a compact status for job polling
+ * (large payloads like requirement lists and test cases are left out)
+ */
+export function summarizeProgress(previous, event, data = {}) {
+  const progress = {
+    percent: 0,
+    batchesTotal: 0,
+    batchesCompleted: 0,
+    batchesFailed: 0,
+    testCasesSoFar: 0,
+    ...previous,
+    stage: event,
+    updatedAt: new Date().toISOString()
+  };
+
+  switch (event) {
+    case 'upload':
+      progress.percent = 5;
+      break;
+    case 'extraction':
+      progress.percent = 15;
+      progress.extractionMethod = data.method;
+      break;
+    case 'deidentification':
+      progress.identifiersRemoved = data.identifiersFound;
+      break;
+    case 'requirements':
+      progress.percent = 25;
+      progress.requirementsCount = data.count;
+      break;
+    case 'generation.planned':
+      progress.percent = 25;
+      progress.batchesTotal = data.batches;
+      break;
+    case 'batch.completed':
+      progress.batchesCompleted++;
+      progress.testCasesSoFar += data.testCases.length;
+      break;
+    case 'batch.failed':
+      progress.batchesFailed++;
+      break;
+    case 'complete':
+      progress.percent = 100;
+      break;
+    default:
+      break;
+  }
+
+  if (event.startsWith('batch.') && progress.batchesTotal > 0) {
+    const finished = progress.batchesCompleted + progress.batchesFailed;
+    progress.percent = 25 + Math.round((finished / progress.batchesTotal) * 70);
+  }
+
+  return progress;
+}
+
+class WorkflowService {
+  /**
+   * Fail fast on an unknown project before spending model calls on it
+   */
+  async assertProjectExists(projectId) {
+    if (projectId && historyService.isEnabled && !(await historyService.getProject(projectId))) {
+      throw new WorkflowError('Project not found', 404, { projectId });
+    }
+  }
+
+  /**
+   * Store the run in history; persistence failures never fail the workflow
+   * @returns {Promise<Object|null>} the saved run, or null if history is disabled or saving failed
+   */
+  async saveRun(run) {
+    if (!historyService.isEnabled) {
+      return null;
+    }
+
+    try {
+      return await historyService.saveRun({
+        ...run,
+        llm: testCaseGeneratorMultiCompliance.llm?.describe()
+      });
+    } catch (historyError) {
+      console.warn('⚠️  [Workflow] Saving run to history failed:', historyError.message);
+      return null;
+    }
+  }
+
+  /**
+   * Put pseudonymized values back into a result's requirements and test cases.
+   * Only for an HTTP response: history, webhooks and job stores keep the tokens.
+   * Tests kept by an incremental regeneration were never de-identified and are left alone.
+   * @param {Object} result - a runComplete or runRegenerate result
+   * @param {Map<string, string>|null} tokenMap
+   */
+  reidentifyResult(result, tokenMap) {
+    if (!tokenMap || tokenMap.size === 0) {
+      return result;
+    }
+
+    const kept = new Set(result.metadata?.incremental?.keptTestIds || []);
+
+    return {
+      ...result,
+      ...(result.extractedData && {
+        extractedData: {
+          ...result.extractedData,
+          requirements: deidentifier.reidentify(result.extractedData.requirements, tokenMap)
+        }
+      }),
+      ...(result.requirements && { requirements: deidentifier.reidentify(result.requirements, tokenMap) }),
+      testCases: result.testCases.map(tc => (kept.has(tc.testId) ? tc : deidentifier.reidentify(tc, tokenMap))),
+      deidentification: { ...result.deidentification, reidentified: true }
+    };
+  }
+
+  /**
+   * The token map to answer with, or null (with a warning) when reidentify was asked for
+   * but the mode left nothing to re-identify
+   */
+  reidentifyTokens(reidentify, tokenMap, mode) {
+    if (!reidentify) {
+      return null;
+    }
+    if (!tokenMap || tokenMap.size === 0) {
+      console.warn(`⚠️  [Workflow] reidentify ignored: nothing to re-identify in ${mode} mode`);
+      return null;
+    }
+    return tokenMap;
+  }
+
+  /**
+   * Run the complete workflow for an uploaded file
+   * @param {Object} input - { file: multer file, methodology, complianceFrameworks, projectId, projectName,
+   *   deidentifyMode, columnMapping, reidentify, signal }
+   * @param {Function} [emit] - (event, data) progress callback; see README for event names
+   * @returns {Promise<Object>} the /api/workflow/complete response body
+   */
+  async runComplete({ reidentify, ...input }, emit = () => {}) {
+    const { result, tokenMap } = await this.runCompleteDeidentified(input, emit);
+    return this.reidentifyResult(result, this.reidentifyTokens(reidentify, tokenMap, result.deidentification.mode));
+  }
+
+  /**
+   * runComplete without re-identification, for callers that store the result
+   * @returns {Promise<{ result: Object, tokenMap: Map<string, string>|null }>} the response body with
+   *   pseudonyms in place, and the token map in pseudonymize mode
+   */
+  async runCompleteDeidentified({ file, methodology, complianceFrameworks, projectId, projectName, deidentifyMode, columnMapping, signal }, emit = () => {}) {
+    await this.assertProjectExists(projectId);
+
+    try {
+      deidentifyMode = resolveDeidentifyMode(deidentifyMode);
+      columnMapping = requirementColumns.resolve(columnMapping);
+    } catch (error) {
+      throw new WorkflowError(error.message, 400);
+    }
+
+    console.log('📋 [Workflow] Configuration:');
+    console.log('   File:', file.originalname);
+    console.log('   Size:', file.size);
+    console.log('   Methodology:', methodology);
+    console.log('   Compliance:', complianceFrameworks.join(', '));
+    console.log('   De-identification:', deidentifyMode);
+
+    emit('upload', {
+      fileName: file.originalname,
+      size: file.size,
+      methodology,
+      complianceFrameworks
+    });
+
+    // Step 1: Process document
+    console.log('📄 [Workflow] Step 1: Processing document...');
+    emit('extraction', {
+      method: documentProcessor.isDocumentAIAvailable ? 'document-ai' : 'local',
+      fileName: file.originalname
+    });
+
+    // Text and requirements come back de-identified; only they reach the LLM and history
+    let documentResult;
+    try {
+      documentResult = await documentProcessor.processDocument(file.path, file.originalname, { deidentifyMode, columnMapping });
+    } catch (error) {
+      if (error instanceof PhiDetectedError) {
+        throw new WorkflowError(error.message, error.statusCode, {
+          fileName: file.originalname,
+          deidentification: error.report,
+          suggestion: 'Remove the identifiers from the document, or use the redact or pseudonymize mode'
+        });
+      }
+      if (error instanceof RequirementImportError || error instanceof DocumentParseError) {
+        throw new WorkflowError(error.message, error.statusCode, { fileName: file.originalname });
+      }
+      throw error;
+    }
+    signal?.throwIfAborted();
+
+    const { deidentification, tokenMap } = documentResult;
+    emit('deidentification', {
+      mode: deidentification.mode,
+      identifiersFound: deidentification.identifiersFound,
+      byType: deidentification.byType
+    });
+
+    console.log(`✅ [Workflow] Document processed: ${documentResult.requirements.length} requirements`);
+    console.log(`   Method: ${documentResult.processingMethod}`);
+
+    if (!documentResult.requirements || documentResult.requirements.length === 0) {
+      throw new WorkflowError('No requirements found in document', 400, {
+        fileName: file.originalname,
+        processingMethod: documentResult.processingMethod,
+        suggestion: 'Document may be empty or in unsupported format'
+      });
+    }
+
+    // Normalize to { id, text } so test cases trace back to the same requirement IDs
+    const requirementList = normalizeRequirements(documentResult.requirements);
+
+    emit('requirements', {
+      count: requirementList.length,
+      processingMethod: documentResult.processingMethod,
+      requirements: requirementList
+    });
+
+    // Step 2: Generate test cases
+    console.log('🧪 [Workflow] Step 2: Generating test cases...');
+    console.log(`   Processing ${requirementList.length} valid requirements`);
+
+    // The project's custom frameworks are prompted for like the built-in ones
+    const catalog = await customFrameworks.catalogFor(projectId);
+    const testResult = await testCaseGeneratorMultiCompliance.generateTestCases(
+      requirementList,
+      methodology,
+      complianceFrameworks,
+      { onProgress: emit, signal, catalog }
+    );
+
+    console.log(`✅ [Workflow] Generated ${testResult.testCases?.length || 0} test cases`);
+
+    if (!testResult || !testResult.testCases || testResult.testCases.length === 0) {
+      throw new WorkflowError('Test generation failed', 500, {
+        documentProcessed: true,
+        requirementsFound: requirementList.length,
+        testCasesGenerated: 0,
+        suggestion: 'Check LLM_PROVIDER configuration and the credentials for that provider'
+      });
+    }
+
+    // Step 3: Trigger webhooks
+    try {
+      await WebhookManager.triggerWebhook('document.processed', {
+        fileName: file.originalname,
+        requirements: documentResult.requirements
+      });
+
+      await WebhookManager.triggerWebhook('test.generated', {
+        testCases: testResult.testCases,
+        summary: testResult.summary
+      });
+    } catch (webhookError) {
+      console.warn('⚠️  [Workflow] Webhook trigger failed:', webhookError.message);
+      // Continue anyway - webhooks are non-critical
+    }
+
+    const metadata = {
+      methodology: methodology,
+      complianceFrameworks: complianceFrameworks,
+      generatedAt: new Date().toISOString(),
+      requirementCount: documentResult.requirements.length,
+      testCaseCount: testResult.testCases.length,
+      ...testResult.metadata,
+      deidentification: {
+        mode: deidentification.mode,
+        identifiersFound: deidentification.identifiersFound,
+        byType: deidentification.byType
+      }
+    };
+
+    // Step 4: Save to history
+    const run = await this.saveRun({
+      kind: 'complete',
+      projectId,
+      projectName,
+      document: {
+        fileName: file.originalname,
+        documentType: documentResult.documentType,
+        processingMethod: documentResult.processingMethod,
+        size: file.size,
+        text: documentResult.text
+      },
+      requirements: requirementList,
+      testCases: testResult.testCases,
+      methodology,
+      complianceFrameworks,
+      summary: testResult.summary,
+      metadata
+    });
+
+    // Step 5: Build comprehensive response
+    const response = {
+      success: true,
+      message: `Successfully processed ${file.originalname} and generated ${testResult.testCases.length} test cases`,
+
+      // History identifiers (null when persistence is disabled)
+      runId: run?.id || null,
+      projectId: run?.projectId || null,
+
+      // Document processing results
+      extractedData: {
+        requirements: requirementList,
+        fileName: file.originalname,
+        documentType: documentResult.documentType,
+        processedAt: documentResult.processedAt,
+        processingMethod: documentResult.processingMethod,
+        text: documentResult.text, // De-identified document text
+        ocr: documentResult.metadata?.ocr || null // Per-page confidence for scanned documents
+      },
+
+      // Redaction report: counts and positions per Safe Harbor identifier, never the values
+      deidentification: { ...deidentification, reidentified: false },
+
+      // Test generation results
+      testCases: testResult.testCases,
+
+      // Metadata
+      metadata,
+
+      // Summary statistics
+      summary: testResult.summary || {
+        totalTests: testResult.testCases.length,
+        byPriority: {},
+        byCategory: {},
+        complianceCoverage: {}
+      },
+
+      // Service status
+      serviceStatus: documentResult.serviceStatus || {
+        documentAI: false,
+        cloudStorage: false,
+        geminiAI: true,
+        vertexAI: true
+      }
+    };
+
+    console.log('✅ [Workflow] Complete workflow successful');
+    console.log(`   ${documentResult.requirements.length} requirements → ${testResult.testCases.length} test cases`);
+
+    return { result: response, tokenMap };
+  }
+
+  /**
+   * Regenerate test cases from an edited requirement list.
+   * Given the previous suite (in the request, or the stored source run), only requirements
+   * that were added or edited go to the model; tests for unchanged requirements are kept as-is.
+   * @param {Object} input - { requirements, methodology, complianceFrameworks, previousSuite, incremental,
+   *   projectId, sourceRunId, deidentifyMode, reidentify, signal }
+   * @returns {Promise<Object>} the `data` object of the /api/workflow/regenerate response
+   */
+  async runRegenerate({ reidentify, ...input }, emit = () => {}) {
+    const { result, tokenMap } = await this.runRegenerateDeidentified(input, emit);
+    return this.reidentifyResult(result, this.reidentifyTokens(reidentify, tokenMap, result.deidentification.mode));
+  }
+
+  /**
+   * De-identify a regeneration's requirements, as processDocument does for an upload, before
+   * they reach the LLM, history or a job store. The previous suite is passed on as it is.
+   * @returns {{ requirements, previousRequirements, deidentification: Object, tokenMap: Map<string, string>|null }}
+   *   previousRequirements is only for telling which requirements changed
+   */
+  deidentifyRegeneration({ requirements, previousSuite, deidentifyMode }) {
+    let mode;
+    try {
+      mode = resolveDeidentifyMode(deidentifyMode);
+    } catch (error) {
+      throw new WorkflowError(error.message, 400);
+    }
+
+    try {
+      const clean = deidentifier.deidentifyRegeneration({ requirements, previousSuite }, { mode });
+      return {
+        requirements: clean.requirements,
+        previousRequirements: clean.previousRequirements,
+        deidentification: clean.report,
+        tokenMap: clean.tokenMap
+      };
+    } catch (error) {
+      if (error instanceof PhiDetectedError) {
+        throw new WorkflowError(error.message, error.statusCode, {
+          deidentification: error.report,
+          suggestion: 'Remove the identifiers from the requirements, or use the redact or pseudonymize mode'
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * runRegenerate without re-identification, for callers that store the result
+   * @param {Object} input - as runRegenerate; a queued job passes input that deidentifyRegeneration()
+   *   already cleaned, with its report as `deidentification` and its `previousRequirements`
+   * @returns {Promise<{ result: Object, tokenMap: Map<string, string>|null }>}
+   */
+  async runRegenerateDeidentified({
+    requirements,
+    methodology,
+    complianceFrameworks,
+    previousSuite,
+    previousRequirements: comparedRequirements,
+    incremental = true,
+    projectId,
+    sourceRunId,
+    deidentifyMode,
+    deidentification,
+    signal
+  }, emit = () => {}) {
+    // A regeneration becomes the next version of the run it was edited from, in the same project
+    let sourceRun = null;
+    if (sourceRunId && historyService.isEnabled) {
+      sourceRun = await historyService.getRun(sourceRunId);
+      if (!sourceRun) {
+        throw new WorkflowError('Source run not found', 404, { sourceRunId });
+      }
+    }
+    await this.assertProjectExists(projectId);
+
+    // Only de-identified requirements reach the LLM and history
+    let tokenMap = null;
+    if (!deidentification) {
+      ({ requirements, previousRequirements: comparedRequirements, deidentification, tokenMap } = this.deidentifyRegeneration({
+        requirements,
+        previousSuite,
+        deidentifyMode
+      }));
+    }
+    const deidentificationSummary = {
+      mode: deidentification.mode,
+      identifiersFound: deidentification.identifiersFound,
+      byType: deidentification.byType
+    };
+    emit('deidentification', deidentificationSummary);
+
+    // Normalize compliance frameworks
+    const frameworks = Array.isArray(complianceFrameworks)
+      ? complianceFrameworks
+      : (complianceFrameworks ? [complianceFrameworks] : ['hipaa']);
+    methodology = methodology || 'agile';
+
+    // The request's copy of the previous suite wins over the stored one (it may carry manual edits).
+    // Its requirements are compared in their de-identified form; its tests are kept exactly as sent.
+    const requestSuite = previousSuite && { requirements: comparedRequirements, testCases: previousSuite.testCases };
+    const previous = incremental === false || incremental === 'false' ? null : (requestSuite || sourceRun);
+    const previousRequirements = normalizeRequirements(previous?.requirements || []);
+    const previousTests = Array.isArray(previous?.testCases) ? previous.testCases : [];
+
+    // Normalize to { id, text } so test cases trace back to the same requirement IDs;
+    // new requirements never take over an ID from the previous version
+    const requirementList = normalizeRequirements(requirements, {
+      reservedIds: previousRequirements.map(r => r.id)
+    });
+
+    if (requirementList.length === 0) {
+      throw new WorkflowError('No valid requirement texts found', 400);
+    }
+
+    const catalog = await customFrameworks.catalogFor(sourceRun?.projectId || projectId);
+    const data = previousRequirements.length > 0 && previousTests.length > 0
+      ? await this.regenerateIncrementally(previousRequirements, previousTests, requirementList, methodology, frameworks, { emit, signal, catalog })
+      : await this.regenerateFull(requirementList, methodology, frameworks, { emit, signal, catalog });
+
+    const metadata = { ...data.metadata, deidentification: deidentificationSummary };
+    const run = await this.saveRun({
+      kind: 'regenerate',
+      projectId: sourceRun?.projectId || projectId,
+      parentRunId: sourceRun?.id,
+      documentId: sourceRun?.documentId,
+      name: sourceRun?.name,
+      requirements: requirementList,
+      testCases: data.testCases,
+      methodology,
+      complianceFrameworks: frameworks,
+      summary: data.summary,
+      metadata
+    });
+
+    const result = {
+      ...data,
+      metadata,
+      requirements: requirementList,
+      deidentification: { ...deidentification, reidentified: false },
+      runId: run?.id || null,
+      projectId: run?.projectId || null,
+      version: run?.version || null
+    };
+    return { result, tokenMap };
+  }
+
+  /**
+   * Generate the whole suite from scratch
+   */
+  async regenerateFull(requirementList, methodology, frameworks, { emit, signal, catalog }) {
+    console.log('📤 [Regenerate] Calling test generator...');
+
+    // Generate test cases using the multi-compliance generator
+    const result = await testCaseGeneratorMultiCompliance.generateTestCases(
+      requirementList,
+      methodology,
+      frameworks,
+      { onProgress: emit, signal, catalog }
+    );
+
+    console.log('✅ [Regenerate] Test generation successful');
+    console.log(`📊 [Regenerate] Generated ${result.testCases?.length || 0} test cases`);
+
+    // Validate response structure
+    if (!result || typeof result !== 'object') {
+      throw new Error('Invalid response from test generator');
+    }
+
+    if (!result.testCases || !Array.isArray(result.testCases)) {
+      throw new Error('Test generator did not return test cases array');
+    }
+
+    return {
+      testCases: result.testCases,
+      metadata: result.metadata || {
+        methodology,
+        complianceFrameworks: frameworks,
+        generatedAt: new Date().toISOString()
+      },
+      summary: result.summary || {
+        totalTests: result.testCases.length,
+        byPriority: {},
+        byCategory: {}
+      }
+    };
+  }
+
+  /**
+   * Generate tests only for added and edited requirements, keep the rest of the
+   * previous suite untouched and retire tests whose requirements are gone
+   */
+  async regenerateIncrementally(previousRequirements, previousTests, requirementList, methodology, frameworks, { emit, signal, catalog }) {
+    // FHIR and HL7 v2 tests link every requirement naming their resource or message type, so one
+    // that misses a newly naming requirement is rebuilt from the whole list rather than kept
+    const plan = planIncrementalRegeneration(previousRequirements, previousTests, requirementList, {
+      outdated: [
+        ...outdatedInteroperabilityTests(previousTests, requirementList),
+        ...outdatedHl7Tests(previousTests, requirementList)
+      ]
+    });
+    const { added, edited, deleted, unchanged } = plan.changes;
+
+    console.log(`🧮 [Regenerate] Incremental: ${added.length} added, ${edited.length} edited, ${deleted.length} deleted, ${unchanged.length} unchanged`);
+    console.log(`   Keeping ${plan.keep.length} test(s), retiring ${plan.retire.length}`);
+
+    let result = null;
+    let generated = [];
+
+    if (plan.regenerate.length > 0) {
+      console.log(`📤 [Regenerate] Calling test generator for ${plan.regenerate.length} requirement(s)...`);
+      result = await testCaseGeneratorMultiCompliance.generateTestCases(
+        plan.regenerate,
+        methodology,
+        frameworks,
+        { onProgress: emit, signal, catalog, existingTests: plan.keep, suiteRequirements: requirementList }
+      );
+
+      // Number new tests after the previous suite so kept and new IDs never collide
+      let next = highestTestNumber(previousTests);
+      generated = result.testCases.map(tc => ({ ...tc, testId: formatTestId(++next) }));
+    }
+
+    // Group tests by the position of their first requirement; unlinked tests go last
+    const position = new Map(requirementList.map((r, i) => [r.id, i]));
+    const rank = tc => Math.min(Infinity, ...(tc.requirementIds || []).map(id => position.get(id) ?? Infinity));
+    const testCases = [...plan.keep, ...generated]
+      .map(tc => ({ tc, rank: rank(tc) }))
+      .sort((a, b) => (a.rank === b.rank ? 0 : a.rank < b.rank ? -1 : 1))
+      .map(({ tc }) => tc);
+
+    return {
+      testCases,
+      metadata: {
+        methodology,
+        complianceFrameworks: frameworks,
+        requirementsCount: requirementList.length,
+        generatedAt: new Date().toISOString(),
+        ...(result && {
+          batches: result.metadata.batches,
+          validation: result.metadata.validation,
+          complianceBaseline: result.metadata.complianceBaseline,
+          complianceAnalysis: result.metadata.complianceAnalysis
+        }),
+        // Datasets, Bundles and HL7 messages travel on the tests, so these cover kept tests too
+        testData: syntheticData.summarize(testCases),
+        interoperability: summarizeInteroperabilityTests(testCases),
+        hl7v2: summarizeHl7Tests(testCases),
+        traceability: testCaseGeneratorMultiCompliance.buildTraceabilitySummary(requirementList, testCases),
+        incremental: {
+          requirements: {
+            added: added.map(r => r.id),
+            edited: edited.map(r => r.id),
+            deleted: deleted.map(r => r.id),
+            unchanged: unchanged.length
+          },
+          keptTests: plan.keep.length,
+          keptTestIds: plan.keep.map(tc => tc.testId),
+          generatedTests: generated.length,
+          retiredTests: plan.retire
+        }
+      },
+      summary: testCaseGeneratorMultiCompliance.buildSummary(testCases, methodology, frameworks, catalog)
+    };
+  }
+}
+
+function highestTestNumber(testCases) {
+  return testCases.reduce((max, tc) => {
+    const match = String(tc.testId || '').match(/(\d+)$/);
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0);
+}
+
+export default new WorkflowService();
@@ -0,0 +1,67 @@
+// test/fixtures/testCases.js - A small canonical suite for the export and push tests
+//
+// Covers several categories and priorities, multi-step tests, preconditions, compliance
+// citations, a test without requirements, and text that needs CSV and XML escaping.
+
+import { normalizeTestCases } from '../../services/schema/testCaseSchema.js';
+
+export function sampleTestCases() {
+  return normalizeTestCases([
+    {
+      testId: 'TC001',
+      testName: 'Clinician views lab results for an assigned patient',
+      category: 'functional',
+      priority: 'High',
+      description: 'Lab results are shown to the care team only',
+      preconditions: ['Clinician account exists', 'Patient is assigned to the clinician'],
+      testSteps: [
+        { step: 1, action: 'Log in as the clinician', expectedResult: 'Dashboard is shown' },
+        { step: 2, action: 'Open the patient chart, then "Lab Results"', expectedResult: 'Results list loads, newest first' }
+      ],
+      expectedResults: 'Only the assigned patient\'s results are visible',
+      complianceRequirements: ['HIPAA', '45 CFR §164.312(a)(1)'],
+      riskLevel: 'High',
+      requirementIds: ['REQ-001']
+    },
+    {
+      testId: 'TC002',
+      testName: 'Audit log records <PHI> access & export',
+      category: 'security',
+      priority: 'Critical',
+      description: 'Every read of PHI is written to the audit trail',
+      preconditions: ['Audit logging is enabled'],
+      testSteps: [
+        { step: 1, action: 'Open a patient record', expectedResult: 'Record opens' },
+        { step: 2, action: 'Export the record as PDF', expectedResult: 'File downloads' },
+        { step: 3, action: 'Query the audit log for the user, record and time', expectedResult: 'Both events are listed, with user ID and timestamp' }
+      ],
+      expectedResults: 'Audit entries exist for the view and the export',
+      complianceRequirements: ['45 CFR §164.312(b)', '21 CFR §11.10(e)'],
+      riskLevel: 'High',
+      requirementIds: ['REQ-002', 'REQ-003']
+    },
+    {
+      testId: 'TC003',
+      testName: 'Session times out after 15 minutes, "idle"',
+      category: 'compliance',
+      priority: 'Medium',
+      preconditions: [],
+      testSteps: ['Log in', 'Wait 15 minutes without input', 'Click any link'],
+      expectedResults: 'The login page is shown\nand the session cookie is cleared',
+      complianceRequirements: ['HIPAA'],
+      riskLevel: 'Medium',
+      requirementIds: ['REQ-004']
+    },
+    {
+      testId: 'TC004',
+      testName: 'Report page loads within 2 seconds',
+      category: 'performance',
+      priority: 'Low',
+      testSteps: [{ step: 1, action: 'Open the monthly report', expectedResult: 'Page renders in under 2 s' }],
+      expectedResults: 'Load time stays under 2 seconds',
+      complianceRequirements: [],
+      riskLevel: 'Low',
+      requirementIds: []
+    }
+  ]);
+}
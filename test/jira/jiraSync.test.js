@@ -0,0 +1,195 @@
+// test/jira/jiraSync.test.js - Pushing test cases to the local mock Jira
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { fileURLToPath } from 'node:url';
+import { createDatabase, setDatabase } from '../../services/db/index.js';
+import { startMockJira } from '../../services/jira/mockJiraServer.js';
+import JiraClient from '../../services/jira/JiraClient.js';
+import jiraSync from '../../services/jira/jiraSync.js';
+import tmsMappings from '../../services/tms/tmsMappings.js';
+import { normalizeTestCases } from '../../services/schema/testCaseSchema.js';
+import { sampleTestCases } from '../fixtures/testCases.js';
+
+const MOCK_SCRIPT = fileURLToPath(new URL('../../services/jira/mockJiraServer.js', import.meta.url));
+
+let mock;
+let database;
+
+// Requirement issues MED-1..MED-5 are seeded by the mock
+const requirementIssues = new Map([['REQ-001', 'MED-1'], ['REQ-002', 'MED-2'], ['REQ-003', 'MED-3']]);
+
+before(async () => {
+  database = createDatabase('sqlite', { filename: ':memory:' });
+  await database.initialize();
+  setDatabase(database);
+
+  mock = await startMockJira({ requirements: 5 });
+  jiraSync.setClient(new JiraClient({ baseUrl: mock.url }));
+  await jiraSync.initialize();
+});
+
+after(async () => {
+  await mock?.close();
+  await database?.close();
+});
+
+// Each test pushes into its own MedTestAI project so mappings never carry over
+function push(testCases, scope) {
+  return jiraSync.push(testCases, { projectKey: 'MED', scope, jira: tmsMappings.resolve().jira, requirementIssues });
+}
+
+const actions = result => result.results.map(r => r.action);
+const issueWrites = () => mock.state.requests.filter(r => ['POST', 'PUT'].includes(r.method) && r.path.startsWith('/rest/api/2/issue')).length;
+
+test('creates one Test issue per test case, linked to its requirement issues', async () => {
+  const testCases = sampleTestCases();
+  const result = await push(testCases, 'create');
+
+  assert.deepEqual(actions(result), ['created', 'created', 'created', 'created']);
+  assert.equal(result.issueType, 'Test');
+  assert.equal(new Set(result.results.map(r => r.issueKey)).size, testCases.length);
+
+  const [audit] = result.results.filter(r => r.testId === 'TC002');
+  const issue = mock.state.issues.get(audit.issueKey);
+  assert.equal(issue.fields.summary, 'Audit log records <PHI> access & export');
+  assert.equal(issue.fields.priority.name, 'Highest');
+  assert.ok(!issue.fields.labels.includes('TC002'), 'test IDs change on every generation');
+  assert.deepEqual(audit.links, ['MED-2', 'MED-3']);
+  assert.deepEqual(
+    mock.state.links.filter(link => link.inwardIssue === audit.issueKey).map(link => link.outwardIssue),
+    ['MED-2', 'MED-3']
+  );
+
+  const mappings = await jiraSync.listMappings('create', 'MED');
+  assert.deepEqual(mappings.map(m => m.testId), ['TC001', 'TC002', 'TC003', 'TC004']);
+});
+
+test('pushing the same suite again leaves every issue alone', async () => {
+  const first = await push(sampleTestCases(), 'repush');
+  const writes = issueWrites();
+
+  const second = await push(sampleTestCases(), 'repush');
+
+  assert.deepEqual(actions(second), ['unchanged', 'unchanged', 'unchanged', 'unchanged']);
+  assert.deepEqual(second.results.map(r => r.issueKey), first.results.map(r => r.issueKey));
+  assert.equal(issueWrites(), writes);
+});
+
+test('updates the issue of an edited or renumbered test', async () => {
+  const first = await push(sampleTestCases(), 'update');
+  const [login, ...rest] = sampleTestCases();
+
+  // New steps and priority under a new ID: the same test, so the same issue
+  const [edited] = normalizeTestCases([{
+    ...login,
+    testId: 'TC007',
+    priority: 'Critical',
+    testSteps: [...login.testSteps, { step: 3, action: 'Sign out', expectedResult: 'Login page is shown' }]
+  }]);
+  const second = await push([edited, ...rest], 'update');
+
+  assert.deepEqual(actions(second), ['updated', 'unchanged', 'unchanged', 'unchanged']);
+  assert.equal(second.results[0].issueKey, first.results[0].issueKey);
+
+  const issue = mock.state.issues.get(first.results[0].issueKey);
+  assert.equal(issue.fields.summary, 'Clinician views lab results for an assigned patient');
+  assert.equal(issue.fields.priority.name, 'Highest');
+  assert.match(issue.fields.description, /\|3\|Sign out\|Login page is shown\|/);
+  assert.equal(mock.state.links.filter(link => link.inwardIssue === issue.key).length, 1, 'links are not added twice');
+});
+
+test('renumbering alone leaves every issue alone', async () => {
+  await push(sampleTestCases(), 'renumber');
+  const writes = issueWrites();
+
+  const renumbered = normalizeTestCases(sampleTestCases().reverse().map((tc, i) => ({ ...tc, testId: `TC00${i + 5}` })));
+  const second = await push(renumbered, 'renumber');
+
+  assert.deepEqual(actions(second), ['unchanged', 'unchanged', 'unchanged', 'unchanged']);
+  assert.equal(issueWrites(), writes);
+});
+
+test('a renamed test with a uid updates its issue instead of orphaning it', async () => {
+  const [login] = sampleTestCases();
+  const first = await push(normalizeTestCases([{ ...login, uid: 'login-uid' }]), 'rename');
+
+  const renamed = normalizeTestCases([{ ...login, uid: 'login-uid', testName: 'Clinician opens lab results', description: 'Reworded' }]);
+  const second = await push(renamed, 'rename');
+
+  assert.deepEqual(actions(second), ['updated']);
+  assert.equal(second.results[0].issueKey, first.results[0].issueKey);
+  assert.equal(mock.state.issues.get(first.results[0].issueKey).fields.summary, 'Clinician opens lab results');
+});
+
+test('recreates an issue that was deleted in Jira', async () => {
+  const first = await push(sampleTestCases().slice(0, 1), 'deleted');
+  mock.state.issues.delete(first.results[0].issueKey);
+
+  const [login] = sampleTestCases();
+  const second = await push(normalizeTestCases([{ ...login, priority: 'Low' }]), 'deleted');
+
+  assert.deepEqual(actions(second), ['created']);
+  assert.notEqual(second.results[0].issueKey, first.results[0].issueKey);
+});
+
+// Regression: a second, unrelated suite reuses TC001/TC002 and pushes without a project
+test('a different suite with the same test IDs gets new issues instead of overwriting', async () => {
+  const suiteA = sampleTestCases().slice(0, 2);
+  const suiteB = normalizeTestCases([
+    { testId: 'TC001', testName: 'Pharmacist verifies a medication order', requirementIds: ['REQ-001'], testSteps: ['Open the order queue', 'Verify the order'], expectedResults: 'Order is verified' },
+    { testId: 'TC002', testName: 'Discharge summary is sent to the GP', requirementIds: ['REQ-002'], testSteps: ['Discharge the patient'], expectedResults: 'Summary is sent' }
+  ]);
+
+  const first = await push(suiteA, 'collision');
+  const summaries = first.results.map(r => mock.state.issues.get(r.issueKey).fields.summary);
+
+  const second = await push(suiteB, 'collision');
+
+  assert.deepEqual(actions(second), ['created', 'created']);
+  for (const { issueKey } of second.results) {
+    assert.ok(!first.results.some(r => r.issueKey === issueKey), `${issueKey} belongs to the first suite`);
+  }
+  assert.deepEqual(first.results.map(r => mock.state.issues.get(r.issueKey).fields.summary), summaries);
+
+  const again = await push(suiteA, 'collision');
+  assert.deepEqual(actions(again), ['unchanged', 'unchanged']);
+  assert.deepEqual(again.results.map(r => r.issueKey), first.results.map(r => r.issueKey));
+});
+
+test('identical tests in one suite get an issue each', async () => {
+  const [login] = sampleTestCases();
+  const twins = normalizeTestCases([login, { ...login, testId: 'TC002' }]);
+
+  const result = await push(twins, 'twins');
+
+  assert.deepEqual(actions(result), ['created', 'created']);
+  assert.notEqual(result.results[0].issueKey, result.results[1].issueKey);
+});
+
+// What `npm run jira:mock` runs
+test('the mock Jira script serves a project with seeded requirement issues', async () => {
+  const child = spawn(process.execPath, [MOCK_SCRIPT], {
+    env: { ...process.env, JIRA_MOCK_PORT: '0', JIRA_PROJECT_KEY: 'QA' },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  try {
+    let output = '';
+    for await (const chunk of child.stdout) {
+      output += chunk;
+      if (/Listening on \S+/.test(output)) break;
+    }
+    const url = output.match(/Listening on (\S+)/)?.[1];
+    assert.ok(url, output);
+
+    const project = await (await fetch(`${url}/rest/api/2/project/QA`)).json();
+    assert.ok(project.issueTypes.some(type => type.name === 'Test'));
+    const requirement = await (await fetch(`${url}/rest/api/2/issue/QA-5`)).json();
+    assert.equal(requirement.fields.issuetype.name, 'Story');
+  } finally {
+    child.kill();
+    await once(child, 'exit');
+  }
+});
@@ -0,0 +1,174 @@
+// test/jobs/jobQueue.test.js - Background jobs on the in-memory store: run, retry, cancel and stale workers
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import JobQueue, { JobStateError } from '../../services/jobs/JobQueue.js';
+import MemoryJobStore from '../../services/jobs/MemoryJobStore.js';
+
+// The queue logs from its workers while tests poll it. Node 20's test runner can fail to parse
+// a file's output when those lines land between its own reports, so they are kept out of it.
+before(() => mock.method(console, 'log', () => {}));
+after(() => mock.restoreAll());
+
+async function createQueue(options = {}) {
+  const queue = new JobQueue({ store: new MemoryJobStore(), concurrency: 1, ...options });
+  await queue.initialize();
+  return queue;
+}
+
+async function waitFor(condition, description) {
+  for (let i = 0; i < 400; i++) {
+    const value = await condition();
+    if (value) return value;
+    await sleep(5);
+  }
+  assert.fail(description);
+}
+
+async function waitForStatus(queue, id, status) {
+  const job = await waitFor(async () => {
+    const current = await queue.get(id);
+    return current.status === status && current;
+  }, `job ${id} never became ${status}`);
+  // Let the worker finish its bookkeeping so nothing runs on after the test
+  await idle(queue);
+  return job;
+}
+
+function idle(queue) {
+  return waitFor(() => queue.running.size === 0 && queue.pending.length === 0, 'the queue never went idle');
+}
+
+// A handler that runs until released, so a test can act while the job is running
+function blockingHandler() {
+  const blocking = { calls: [] };
+  const gate = new Promise(resolve => {
+    blocking.release = resolve;
+  });
+  blocking.started = new Promise(resolve => {
+    blocking.handler = async (payload, context) => {
+      blocking.calls.push({ payload, context });
+      resolve();
+      await gate;
+      return { done: true };
+    };
+  });
+  return blocking;
+}
+
+test('runs a job and stores its progress and result', async () => {
+  const queue = await createQueue();
+  queue.registerHandler('echo', async (payload, { jobId, reportProgress }) => {
+    reportProgress({ percent: 50 });
+    return { echoed: payload.value, jobId };
+  });
+
+  const job = await queue.enqueue('echo', { value: 42 });
+  assert.equal(job.status, 'queued');
+
+  const done = await waitForStatus(queue, job.id, 'succeeded');
+  assert.deepEqual(done.result, { echoed: 42, jobId: job.id });
+  assert.deepEqual(done.progress, { percent: 50 });
+  assert.equal(done.attempts, 1);
+  assert.ok(done.finishedAt);
+  assert.equal('payload' in queue.toPublic(done), false, 'the API never sees the payload');
+});
+
+test('rejects jobs of a type without a handler', async () => {
+  const queue = await createQueue();
+  await assert.rejects(queue.enqueue('missing', {}), /No job handler registered for "missing"/);
+});
+
+test('a failed job can be retried and runs again', async () => {
+  const queue = await createQueue();
+  let calls = 0;
+  queue.registerHandler('flaky', async () => {
+    calls++;
+    if (calls === 1) throw Object.assign(new Error('LLM quota exceeded'), { details: { retryAfter: 30 } });
+    return { ok: true };
+  });
+
+  const job = await queue.enqueue('flaky', {});
+  const failed = await waitForStatus(queue, job.id, 'failed');
+  assert.deepEqual(failed.error, { message: 'LLM quota exceeded', details: { retryAfter: 30 } });
+
+  const retried = await queue.retry(job.id);
+  assert.equal(retried.status, 'queued');
+  assert.equal(retried.error, null);
+
+  const done = await waitForStatus(queue, job.id, 'succeeded');
+  assert.deepEqual(done.result, { ok: true });
+  assert.equal(done.attempts, 2);
+});
+
+test('only failed jobs can be retried', async () => {
+  const queue = await createQueue();
+  queue.registerHandler('echo', async () => ({}));
+  const job = await queue.enqueue('echo', {});
+  await waitForStatus(queue, job.id, 'succeeded');
+
+  await assert.rejects(queue.retry(job.id), error => error instanceof JobStateError && error.statusCode === 409);
+  await assert.rejects(queue.retry('no-such-job'), error => error instanceof JobStateError && error.statusCode === 404);
+});
+
+test('cancelling a running job aborts its signal and keeps it cancelled', async () => {
+  const queue = await createQueue();
+  const blocking = blockingHandler();
+  queue.registerHandler('slow', blocking.handler);
+
+  const job = await queue.enqueue('slow', {});
+  await blocking.started;
+  const { signal } = blocking.calls[0].context;
+
+  const cancelled = await queue.cancel(job.id);
+  assert.equal(cancelled.status, 'cancelled');
+  assert.equal(signal.aborted, true);
+
+  // The handler finishing afterwards does not overwrite the cancellation
+  blocking.release();
+  await idle(queue);
+  const after = await queue.get(job.id);
+  assert.equal(after.status, 'cancelled');
+  assert.equal(after.result, null);
+});
+
+test('a cancelled queued job never runs', async () => {
+  const queue = await createQueue();
+  const blocking = blockingHandler();
+  queue.registerHandler('slow', blocking.handler);
+
+  const first = await queue.enqueue('slow', { n: 1 });
+  const second = await queue.enqueue('slow', { n: 2 });
+  await blocking.started;
+
+  await queue.cancel(second.id);
+  blocking.release();
+  await waitForStatus(queue, first.id, 'succeeded');
+
+  assert.deepEqual(blocking.calls.map(call => call.payload.n), [1]);
+  assert.equal((await queue.get(second.id)).status, 'cancelled');
+  await assert.rejects(queue.cancel(second.id), /already cancelled/);
+  await assert.rejects(queue.cancel('no-such-job'), error => error.statusCode === 404);
+});
+
+test('a running job whose worker stopped heartbeating is reported as failed', async () => {
+  const queue = await createQueue();
+  queue.staleMs = 60000;
+  const startedAt = new Date(Date.now() - 120000).toISOString();
+
+  // Left running by another instance, or by this one before a restart
+  await queue.store.create({
+    id: 'orphan', type: 'workflow.complete', status: 'running', payload: {}, progress: null, result: null,
+    error: null, attempts: 1, createdAt: startedAt, updatedAt: startedAt, startedAt, finishedAt: null
+  });
+
+  const job = await queue.get('orphan');
+  assert.equal(job.status, 'failed');
+  assert.match(job.error.message, /Worker stopped responding/);
+
+  // A recent heartbeat keeps it running
+  const now = new Date().toISOString();
+  await queue.store.create({ id: 'alive', type: 'workflow.complete', status: 'running', payload: {}, attempts: 1, createdAt: now, updatedAt: now });
+  assert.equal((await queue.get('alive')).status, 'running');
+});
@@ -0,0 +1,106 @@
+// test/privacy/deidentifier.test.js - PHI detection, the de-identification modes and regeneration input
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import deidentifier, { PhiDetectedError, resolveDeidentifyMode } from '../../services/privacy/deidentifier.js';
+
+const requirement = { id: 'REQ-001', text: 'Patient: John Smith, MRN: 00458213, SSN 123-45-6789 can view lab results' };
+const types = text => deidentifier.detect(text).map(f => f.type);
+
+test('detects labelled and pattern identifiers, and leaves prose alone', () => {
+  assert.deepEqual(types(requirement.text), ['NAME', 'MRN', 'SSN']);
+  assert.deepEqual(types('Email jane.doe@example.org or call (555) 123-4567'), ['EMAIL', 'PHONE']);
+  assert.deepEqual(types('The MRN lookup keeps the account for 30 days'), []);
+});
+
+test('redact replaces each identifier with its type', () => {
+  const { requirements, report, tokenMap } = deidentifier.deidentifyDocument({ requirements: [requirement] }, { mode: 'redact' });
+
+  assert.equal(requirements[0].text, 'Patient: [NAME], MRN: [MRN], SSN [SSN] can view lab results');
+  assert.equal(report.identifiersFound, 3);
+  assert.deepEqual(report.byType, { NAME: 1, MRN: 1, SSN: 1 });
+  assert.equal(tokenMap, null);
+  assert.ok(!JSON.stringify(report).includes('John Smith'), 'the report never holds original values');
+});
+
+test('pseudonymize gives a value the same token everywhere, and reidentify puts it back', () => {
+  const second = { id: 'REQ-002', text: 'MRN: 00458213 is shown on the chart header' };
+  const { requirements, tokenMap } = deidentifier.deidentifyDocument({ requirements: [requirement, second] }, { mode: 'pseudonymize' });
+
+  assert.equal(requirements[0].text, 'Patient: [NAME_1], MRN: [MRN_1], SSN [SSN_1] can view lab results');
+  assert.equal(requirements[1].text, 'MRN: [MRN_1] is shown on the chart header');
+  assert.deepEqual(deidentifier.reidentify(requirements, tokenMap), [requirement, second]);
+});
+
+test('block fails on any identifier and off passes everything through', () => {
+  assert.throws(
+    () => deidentifier.deidentifyDocument({ requirements: [requirement] }, { mode: 'block' }),
+    error => error instanceof PhiDetectedError && error.statusCode === 422 && error.report.identifiersFound === 3
+  );
+
+  const { requirements, report } = deidentifier.deidentifyDocument({ requirements: [requirement] }, { mode: 'off' });
+  assert.deepEqual(requirements, [requirement]);
+  assert.equal(report.identifiersFound, 0);
+});
+
+test('an unknown mode is rejected rather than letting identifiers through', () => {
+  assert.throws(() => resolveDeidentifyMode('nope'), /Unknown de-identification mode "nope"/);
+  assert.equal(resolveDeidentifyMode(undefined), process.env.DEIDENTIFY_MODE || 'redact');
+});
+
+test('regeneration de-identifies the edited requirements and leaves the previous tests untouched', () => {
+  const previousSuite = {
+    requirements: [requirement, { id: 'REQ-002', text: 'Dr. Alice Moreno signs the discharge summary' }],
+    testCases: [
+      { testId: 'TC001', testName: 'Lab results for John Smith', requirementIds: ['REQ-001'], testSteps: [{ step: 1, action: 'Open MRN: 00458213', expectedResult: 'Results load' }] },
+      { testId: 'TC002', testName: 'Discharge on 03/04/2024', requirementIds: ['REQ-002'] }
+    ]
+  };
+  const snapshot = structuredClone(previousSuite);
+  const edited = [requirement, { id: 'REQ-002', text: 'Dr. Alice Moreno signs and sends the discharge summary' }];
+
+  const clean = deidentifier.deidentifyRegeneration({ requirements: edited, previousSuite }, { mode: 'redact' });
+
+  assert.deepEqual(clean.requirements.map(r => r.text), [
+    'Patient: [NAME], MRN: [MRN], SSN [SSN] can view lab results',
+    '[NAME] signs and sends the discharge summary'
+  ]);
+  assert.deepEqual(previousSuite, snapshot, 'the previous suite is not modified');
+  assert.equal(clean.previousSuite, undefined, 'tests are not returned de-identified');
+
+  // The comparison copy lines up with the edited list, so only REQ-002 reads as edited
+  assert.equal(clean.previousRequirements[0].text, clean.requirements[0].text);
+  assert.notEqual(clean.previousRequirements[1].text, clean.requirements[1].text);
+
+  // The report covers only what is sent on
+  assert.equal(clean.report.identifiersFound, 4);
+  assert.ok(clean.report.findings.every(f => f.location.startsWith('requirement ')));
+});
+
+test('new pseudonyms are numbered after the tokens an earlier run left in the request', () => {
+  const previousSuite = {
+    requirements: [{ id: 'REQ-001', text: 'Patient: [NAME_1] can view lab results' }],
+    testCases: [{ testId: 'TC001', testName: 'Lab results for [NAME_1] and [NAME_2]', description: 'Chart [MRN_4]', requirementIds: ['REQ-001'] }]
+  };
+  const edited = [
+    { id: 'REQ-001', text: 'Patient: [NAME_1] can view lab results' },
+    { id: 'REQ-002', text: 'Patient: Maria Lopez, MRN: 77710022 can book visits' }
+  ];
+
+  const { requirements, previousRequirements, tokenMap } = deidentifier.deidentifyRegeneration({ requirements: edited, previousSuite }, { mode: 'pseudonymize' });
+
+  assert.equal(requirements[0].text, 'Patient: [NAME_1] can view lab results');
+  assert.equal(requirements[1].text, 'Patient: [NAME_3], MRN: [MRN_5] can book visits');
+  assert.equal(previousRequirements[0].text, requirements[0].text);
+  assert.equal(tokenMap.get('[NAME_1]'), undefined, 'an earlier run\'s token is never given a new value');
+  assert.equal(deidentifier.reidentify('[NAME_1] and [NAME_3]', tokenMap), '[NAME_1] and Maria Lopez');
+});
+
+test('regeneration in block mode ignores identifiers that only the previous suite holds', () => {
+  const previousSuite = { requirements: [requirement], testCases: [{ testId: 'TC001', testName: 'Lab results for John Smith' }] };
+  const edited = [{ id: 'REQ-001', text: 'Clinicians can view lab results' }];
+
+  const clean = deidentifier.deidentifyRegeneration({ requirements: edited, previousSuite }, { mode: 'block' });
+  assert.equal(clean.report.identifiersFound, 0);
+  assert.equal(clean.previousRequirements[0].text, 'Patient: [NAME], MRN: [MRN], SSN [SSN] can view lab results');
+});
@@ -0,0 +1,111 @@
+// test/schema/incrementalPlan.test.js - Which tests an incremental regeneration keeps, retires and rebuilds
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planIncrementalRegeneration } from '../../services/schema/suiteDiff.js';
+import { outdatedInteroperabilityTests } from '../../services/fhir/interoperabilityTests.js';
+import { outdatedHl7Tests } from '../../services/hl7/hl7Tests.js';
+
+const requirements = [
+  { id: 'REQ-001', text: 'Clinicians view lab results for assigned patients' },
+  { id: 'REQ-002', text: 'Every access to PHI is written to the audit log' },
+  { id: 'REQ-003', text: 'Audit logs can be exported for review' }
+];
+
+const tests = [
+  { testId: 'TC001', testName: 'Lab results', requirementIds: ['REQ-001'] },
+  { testId: 'TC002', testName: 'Audit export', requirementIds: ['REQ-002', 'REQ-003'] },
+  { testId: 'TC003', testName: 'Session timeout', requirementIds: [] }
+];
+
+const edit = (id, text) => requirements.map(r => (r.id === id ? { ...r, text } : r));
+const ids = list => list.map(tc => tc.testId);
+
+test('keeps every test when nothing changed', () => {
+  const plan = planIncrementalRegeneration(requirements, tests, requirements);
+
+  assert.deepEqual(ids(plan.keep), ['TC001', 'TC002', 'TC003']);
+  assert.deepEqual(plan.retire, []);
+  assert.deepEqual(plan.regenerate, []);
+});
+
+test('retires the tests of an edited requirement and regenerates only that requirement', () => {
+  const plan = planIncrementalRegeneration(requirements, tests, edit('REQ-001', 'Clinicians view and print lab results'));
+
+  assert.deepEqual(ids(plan.keep), ['TC002', 'TC003']);
+  assert.deepEqual(plan.retire.map(r => [r.testId, r.reason]), [['TC001', 'requirement-edited']]);
+  assert.deepEqual(plan.regenerate, [{ id: 'REQ-001', text: 'Clinicians view and print lab results' }]);
+});
+
+test('keeps a test linked to several requirements while one of them is unchanged', () => {
+  const plan = planIncrementalRegeneration(requirements, tests, edit('REQ-002', 'Every read and write of PHI is audited'));
+
+  assert.ok(ids(plan.keep).includes('TC002'));
+  assert.deepEqual(plan.retire, []);
+  assert.deepEqual(plan.keep.find(tc => tc.testId === 'TC002').requirementIds, ['REQ-002', 'REQ-003']);
+});
+
+test('retires a multi-requirement test once all of its requirements changed', () => {
+  const edited = edit('REQ-002', 'Every read and write of PHI is audited').filter(r => r.id !== 'REQ-003');
+  const plan = planIncrementalRegeneration(requirements, tests, edited);
+
+  assert.deepEqual(plan.retire.map(r => [r.testId, r.reason]), [['TC002', 'requirement-edited']]);
+  assert.deepEqual(plan.changes.deleted.map(r => r.id), ['REQ-003']);
+});
+
+test('a test whose requirements were all deleted is retired as removed', () => {
+  const plan = planIncrementalRegeneration(requirements, tests, requirements.filter(r => r.id === 'REQ-001'));
+
+  assert.deepEqual(plan.retire.map(r => [r.testId, r.reason]), [['TC002', 'requirement-removed']]);
+  assert.deepEqual(plan.regenerate, []);
+});
+
+test('new requirements never retire kept tests', () => {
+  const added = [...requirements, { id: 'REQ-004', text: 'Patients can download their records' }];
+  const plan = planIncrementalRegeneration(requirements, tests, added);
+
+  assert.deepEqual(ids(plan.keep), ['TC001', 'TC002', 'TC003']);
+  assert.deepEqual(plan.regenerate.map(r => r.id), ['REQ-004']);
+});
+
+test('a FHIR test is rebuilt when a new requirement names its resource, instead of losing its links', () => {
+  const fhirRequirements = [
+    { id: 'REQ-001', text: 'The system shall send Patient resources over FHIR R4' },
+    { id: 'REQ-002', text: 'Registration clerks record Patient demographics via FHIR' }
+  ];
+  const fhirTests = [
+    { testId: 'TC001', testName: 'FHIR Patient accepted', requirementIds: ['REQ-001', 'REQ-002'], tags: ['fhir-r4', 'fhir:Patient:valid'] },
+    { testId: 'TC002', testName: 'Lab results', requirementIds: ['REQ-001'], tags: [] }
+  ];
+  const updated = [...fhirRequirements, { id: 'REQ-003', text: 'Pharmacy systems query Patient over FHIR' }];
+
+  const outdated = outdatedInteroperabilityTests(fhirTests, updated);
+  assert.deepEqual(ids(outdated), ['TC001']);
+
+  const plan = planIncrementalRegeneration(fhirRequirements, fhirTests, updated, { outdated });
+  assert.deepEqual(ids(plan.keep), ['TC002']);
+  assert.deepEqual(plan.retire.map(r => [r.testId, r.reason]), [['TC001', 'requirements-changed']]);
+
+  // Editing one of the linked requirements keeps the test and all of its links
+  const reworded = [{ ...fhirRequirements[0], text: 'The system shall send Patient resources over FHIR R4 within 5 s' }, fhirRequirements[1]];
+  assert.deepEqual(outdatedInteroperabilityTests(fhirTests, reworded), []);
+  assert.ok(ids(planIncrementalRegeneration(fhirRequirements, fhirTests, reworded).keep).includes('TC001'));
+});
+
+test('an HL7 v2 test is rebuilt when a new requirement names its message type', () => {
+  const hl7Tests = [{ testId: 'TC001', testName: 'ADT accepted', requirementIds: ['REQ-001'], tags: ['hl7-v2', 'hl7v2:ADT:valid'] }];
+  const hl7Requirements = [
+    { id: 'REQ-001', text: 'Admissions are received as HL7 ADT messages' },
+    { id: 'REQ-002', text: 'Transfers arrive as HL7 v2 ADT events' }
+  ];
+
+  assert.deepEqual(ids(outdatedHl7Tests(hl7Tests, hl7Requirements)), ['TC001']);
+  assert.deepEqual(outdatedHl7Tests(hl7Tests, hl7Requirements.slice(0, 1)), []);
+});
+
+test('outdated tests are kept when nothing is regenerated, so they are never dropped without a replacement', () => {
+  const plan = planIncrementalRegeneration(requirements, tests, requirements, { outdated: [tests[0]] });
+
+  assert.deepEqual(ids(plan.keep), ['TC001', 'TC002', 'TC003']);
+  assert.deepEqual(plan.retire, []);
+});
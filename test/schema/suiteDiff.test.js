@@ -0,0 +1,108 @@
+// test/schema/suiteDiff.test.js - Pairing and diffing two versions of a suite and its requirements
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffTestSuites, diffTestCase, diffRequirements } from '../../services/schema/suiteDiff.js';
+import { normalizeTestCases } from '../../services/schema/testCaseSchema.js';
+
+// Tests the way the generator writes them: one positive and one negative per requirement
+function templated(testId, kind, requirement, requirementId) {
+  const positive = kind === 'verify';
+  return {
+    testId,
+    testName: `${positive ? 'Verify' : 'Reject invalid input'}: ${requirement}`,
+    description: `${positive ? 'Confirm that' : 'Confirm invalid input is rejected when'} ${requirement.toLowerCase()}`,
+    priority: 'High',
+    testSteps: [
+      { step: 1, action: 'Sign in as an authorized user', expectedResult: 'Dashboard is shown' },
+      { step: 2, action: `Exercise: ${requirement}`, expectedResult: positive ? 'Behaves as specified' : 'An error is shown' }
+    ],
+    expectedResults: positive ? 'The requirement is met' : 'Invalid input is rejected',
+    requirementIds: [requirementId]
+  };
+}
+
+const base = normalizeTestCases([
+  templated('TC001', 'verify', 'Clinicians view lab results', 'REQ-001'),
+  templated('TC002', 'reject', 'Clinicians view lab results', 'REQ-001'),
+  templated('TC003', 'verify', 'Nurses record vitals', 'REQ-002'),
+  templated('TC004', 'reject', 'Nurses record vitals', 'REQ-002')
+]);
+
+test('a suite compared with itself, renumbered, is all unchanged', () => {
+  const renumbered = base.map((tc, i) => ({ ...tc, testId: `TC10${i}` })).reverse();
+  const diff = diffTestSuites(base, renumbered);
+
+  assert.deepEqual(diff.summary, { baseCount: 4, targetCount: 4, added: 0, removed: 0, changed: 0, unchanged: 4 });
+  assert.ok(diff.unchanged.every(match => match.matchedBy === 'requirement'));
+});
+
+// Regression: REQ-001 edited, REQ-002 replaced by REQ-003 read as added 1 / removed 1 / changed 3
+test('template-like tests of different requirements are never paired', () => {
+  const target = normalizeTestCases([
+    templated('TC005', 'verify', 'Clinicians view and print lab results', 'REQ-001'),
+    templated('TC006', 'reject', 'Clinicians view and print lab results', 'REQ-001'),
+    templated('TC007', 'verify', 'Nurses record vital signs', 'REQ-003'),
+    templated('TC008', 'reject', 'Nurses record vital signs', 'REQ-003')
+  ]);
+
+  const diff = diffTestSuites(base, target);
+
+  assert.deepEqual(
+    { added: diff.summary.added, removed: diff.summary.removed, changed: diff.summary.changed },
+    { added: 2, removed: 2, changed: 2 }
+  );
+  assert.deepEqual(diff.changed.map(c => [c.baseTestId, c.targetTestId]), [['TC001', 'TC005'], ['TC002', 'TC006']]);
+  assert.deepEqual(diff.removed.map(tc => tc.testId), ['TC003', 'TC004']);
+  assert.deepEqual(diff.added.map(tc => tc.testId), ['TC007', 'TC008']);
+});
+
+test('a changed test lists only the fields that differ', () => {
+  const [before] = base;
+  const [after] = normalizeTestCases([{ ...before, testId: 'TC009', priority: 'Critical' }]);
+
+  const diff = diffTestSuites([before], [after]);
+
+  assert.equal(diff.changed.length, 1);
+  assert.deepEqual(diff.changed[0].changes, [{ field: 'priority', before: 'High', after: 'Critical' }]);
+  assert.deepEqual(diffTestCase(before, { ...before, testId: 'TC999' }), [], 'test IDs are not compared');
+});
+
+test('a test without links is paired by similarity only when it is nearly the same', () => {
+  const [login] = normalizeTestCases([{
+    testId: 'TC001',
+    testName: 'Session times out after 15 minutes idle',
+    testSteps: [{ step: 1, action: 'Leave the session idle for 15 minutes', expectedResult: 'User is signed out' }],
+    expectedResults: 'Idle sessions end',
+    requirementIds: []
+  }]);
+  const [same] = normalizeTestCases([{ ...login, testId: 'TC002', priority: 'Critical' }]);
+  const [other] = normalizeTestCases([{ ...login, testId: 'TC003', testName: 'Password reset email is sent', testSteps: ['Request a reset'], expectedResults: 'Email arrives' }]);
+
+  const paired = diffTestSuites([login], [same]);
+  assert.equal(paired.changed.length, 1);
+  assert.equal(paired.changed[0].matchedBy, 'similarity');
+
+  const unpaired = diffTestSuites([login], [other]);
+  assert.deepEqual([unpaired.summary.added, unpaired.summary.removed], [1, 1]);
+});
+
+test('requirements are classified by ID, including acceptance criteria edits', () => {
+  const previous = [
+    { id: 'REQ-001', text: 'Clinicians view lab results' },
+    { id: 'REQ-002', text: 'Nurses record vitals', acceptanceCriteria: ['Blood pressure is saved'] },
+    { id: 'REQ-003', text: 'Patients book visits' }
+  ];
+  const current = [
+    { id: 'REQ-001', text: 'Clinicians  view lab results ' },
+    { id: 'REQ-002', text: 'Nurses record vitals', acceptanceCriteria: ['Blood pressure and pulse are saved'] },
+    { id: 'REQ-004', text: 'Pharmacists verify orders' }
+  ];
+
+  const changes = diffRequirements(previous, current);
+
+  assert.deepEqual(changes.unchanged.map(r => r.id), ['REQ-001'], 'whitespace alone is not an edit');
+  assert.deepEqual(changes.edited.map(r => [r.id, r.previousText]), [['REQ-002', 'Nurses record vitals']]);
+  assert.deepEqual(changes.added.map(r => r.id), ['REQ-004']);
+  assert.deepEqual(changes.deleted.map(r => r.id), ['REQ-003']);
+});
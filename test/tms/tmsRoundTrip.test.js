@@ -0,0 +1,84 @@
+// test/tms/tmsRoundTrip.test.js - Every TMS export parses back into the suite it came from
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import tmsMappings from '../../services/tms/tmsMappings.js';
+import { TMS_FORMATS, buildTmsExport } from '../../services/tms/tmsExport.js';
+import { verifyTmsExport } from '../../services/tms/tmsRoundTrip.js';
+import { normalizeTestCases } from '../../services/schema/testCaseSchema.js';
+import { sampleTestCases } from '../fixtures/testCases.js';
+
+// Files by requirement under another root, with a custom priority scale and Xray custom fields
+const CUSTOM_MAPPING = {
+  sectionBy: 'requirement',
+  rootFolder: 'EHR Release 2',
+  testrail: {
+    priority: { Critical: 'P1', High: 'P2', Medium: 'P3', Low: 'P4' },
+    customFields: { automation: null }
+  },
+  xray: {
+    projectKey: 'EHR',
+    priority: { Critical: 'Blocker' },
+    customFields: { compliance: 'customfield_10100', risk: 'customfield_10101', preconditions: 'customfield_10102' }
+  },
+  zephyrScale: {
+    status: 'Approved',
+    customFields: { risk: null }
+  }
+};
+
+const MAPPINGS = {
+  default: undefined,
+  custom: CUSTOM_MAPPING
+};
+
+for (const format of Object.keys(TMS_FORMATS)) {
+  for (const [name, overrides] of Object.entries(MAPPINGS)) {
+    test(`${format} export round-trips with the ${name} mapping`, () => {
+      const testCases = sampleTestCases();
+      const mapping = tmsMappings.resolve(overrides);
+      const content = buildTmsExport(format, testCases, mapping);
+
+      const result = verifyTmsExport(format, content, testCases, mapping);
+
+      assert.deepEqual(result.issues.filter(issue => issue.severity === 'error'), []);
+      assert.equal(result.valid, true);
+      assert.equal(result.checked, testCases.length);
+      if (overrides) {
+        assert.ok(content.includes('EHR Release 2'), 'filed under the custom root');
+        assert.ok(content.includes('REQ-002'), 'filed by requirement');
+      }
+    });
+  }
+
+  test(`${format} round trip reports a test case missing from the export`, () => {
+    const testCases = sampleTestCases();
+    const mapping = tmsMappings.resolve();
+    const content = buildTmsExport(format, testCases.slice(0, -1), mapping);
+
+    const result = verifyTmsExport(format, content, testCases, mapping);
+
+    assert.equal(result.valid, false);
+    assert.ok(result.issues.some(issue => issue.severity === 'error' && issue.testId === 'TC004'), JSON.stringify(result.issues));
+  });
+
+  test(`${format} round trip reports an edited step`, () => {
+    const testCases = sampleTestCases();
+    const mapping = tmsMappings.resolve();
+    const content = buildTmsExport(format, testCases, mapping);
+    const [first, ...rest] = testCases;
+    const edited = normalizeTestCases([{ ...first, testSteps: [...first.testSteps.slice(0, -1), { step: 2, action: 'Open the billing page', expectedResult: 'Invoices load' }] }]);
+
+    const result = verifyTmsExport(format, content, [...edited, ...rest], mapping);
+
+    assert.equal(result.valid, false);
+    assert.ok(result.issues.some(issue => issue.severity === 'error' && issue.testId === 'TC001'), JSON.stringify(result.issues));
+  });
+}
+
+test('a mapping that leaves a priority unmapped is rejected', () => {
+  assert.throws(
+    () => tmsMappings.resolve({ xray: { priority: { Critical: null } } }),
+    { name: 'TmsMappingError', message: /xray\.priority does not map Critical/ }
+  );
+});
@@ -0,0 +1,73 @@
+// utils/batching.js - Token-budgeted batches and bounded concurrency
+//
+// Used to split large requirement sets across several LLM calls without
+// overflowing the context window or firing every request at once.
+
+/**
+ * Rough token estimate (~4 characters per token for English text)
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / 4);
+}
+
+/**
+ * Group items so that the summed cost of each batch stays within the budget.
+ * An item that alone exceeds the budget still gets a batch of its own.
+ * @param {Array} items
+ * @param {Object} options
+ * @param {number} options.budget - max cost per batch
+ * @param {Function} options.cost - item => number
+ * @param {number} [options.maxItems] - hard cap on batch length
+ * @returns {Array<Array>}
+ */
+export function chunkByBudget(items, { budget, cost, maxItems = Infinity }) {
+  const batches = [];
+  let current = [];
+  let used = 0;
+
+  for (const item of items) {
+    const itemCost = cost(item);
+
+    if (current.length > 0 && (used + itemCost > budget || current.length >= maxItems)) {
+      batches.push(current);
+      current = [];
+      used = 0;
+    }
+
+    current.push(item);
+    used += itemCost;
+  }
+
+  if (current.length > 0) {
+    batches.push(current);
+  }
+
+  return batches;
+}
+
+/**
+ * Run an async worker over every item with at most `limit` in flight.
+ * Never rejects: each result is { status: 'fulfilled', value } or { status: 'rejected', reason },
+ * in input order, like Promise.allSettled.
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function run() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  }
+
+  const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, run);
+  await Promise.all(runners);
+
+  return results;
+}
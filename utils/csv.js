@@ -0,0 +1,60 @@
+// utils/csv.js - CSV writing and parsing for exports and their round-trip checks
+
+/**
+ * Rows to CSV with every cell quoted
+ * @param {Array<Array<*>>} rows
+ */
+export function toCsv(rows) {
+  return rows
+    .map(row => row.map(cell => {
+      const cellStr = String(cell).replace(/"/g, '""');
+      return `"${cellStr}"`;
+    }).join(','))
+    .join('\n');
+}
+
+/**
+ * CSV text to rows of strings. Handles quoted cells with commas, doubled quotes
+ * and line breaks, and LF or CRLF row endings.
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
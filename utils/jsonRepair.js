@@ -0,0 +1,139 @@
+// utils/jsonRepair.js - Tolerant JSON parsing for LLM output
+//
+// Models routinely wrap JSON in markdown, leave trailing commas, put raw
+// newlines inside strings, or stop mid-array when they hit the token limit.
+// parseJsonWithRepair() fixes what it safely can and reports what it changed.
+
+/**
+ * Strip markdown fences and any prose before the first { or [
+ */
+export function extractJsonCandidate(text) {
+  if (!text || typeof text !== 'string') {
+    throw new Error('Invalid response: empty or non-string');
+  }
+
+  let cleaned = text.trim();
+
+  const fenced = cleaned.match(/```(?:json|JSON)?\s*\n?([\s\S]*?)(?:\n?```|$)/);
+  if (fenced && fenced[1].trim()) {
+    cleaned = fenced[1].trim();
+  }
+
+  if (cleaned.includes('<!DOCTYPE') || cleaned.includes('<html')) {
+    throw new Error('Received HTML error page instead of JSON');
+  }
+
+  const start = cleaned.search(/[{[]/);
+  if (start === -1) {
+    throw new Error('Response does not contain a JSON object or array');
+  }
+
+  return cleaned.substring(start);
+}
+
+/**
+ * Single pass over the text that:
+ *   - escapes raw control characters inside strings
+ *   - drops trailing commas before } and ]
+ *   - stops at the end of the first complete top-level value
+ *   - closes a truncated document at the last complete nested value
+ */
+export function repairJson(text) {
+  const repairs = [];
+  const stack = [];
+  const cutPoints = [];
+  let out = '';
+  let inString = false;
+  let escaped = false;
+  let complete = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+        out += ch;
+      } else if (ch === '\\') {
+        escaped = true;
+        out += ch;
+      } else if (ch === '"') {
+        inString = false;
+        out += ch;
+      } else if (ch === '\n' || ch === '\r' || ch === '\t') {
+        out += ch === '\n' ? '\\n' : ch === '\r' ? '\\r' : '\\t';
+        if (!repairs.includes('escaped control characters')) {
+          repairs.push('escaped control characters');
+        }
+      } else {
+        out += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inString = true;
+      out += ch;
+    } else if (ch === '{' || ch === '[') {
+      stack.push(ch === '{' ? '}' : ']');
+      out += ch;
+    } else if (ch === '}' || ch === ']') {
+      const trimmed = out.replace(/,\s*$/, '');
+      if (trimmed.length !== out.length && !repairs.includes('removed trailing commas')) {
+        repairs.push('removed trailing commas');
+      }
+      out = trimmed + ch;
+      stack.pop();
+      if (stack.length === 0) {
+        complete = true;
+        if (text.substring(i + 1).trim()) {
+          repairs.push('ignored text after JSON');
+        }
+        break;
+      }
+      cutPoints.push({ index: out.length, stack: [...stack] });
+    } else {
+      out += ch;
+    }
+  }
+
+  if (complete) {
+    return { text: out, repairs, truncated: false };
+  }
+
+  // Truncated: roll back to the last fully closed nested value and close the rest
+  const cut = cutPoints[cutPoints.length - 1];
+  if (!cut) {
+    throw new Error('JSON is truncated before any complete value');
+  }
+
+  const head = out.substring(0, cut.index).replace(/[,\s]+$/, '');
+  const closers = [...cut.stack].reverse().join('');
+  repairs.push('closed truncated JSON');
+
+  return { text: head + closers, repairs, truncated: true };
+}
+
+/**
+ * Parse LLM output, repairing it when a strict parse fails
+ * @returns {{ value: any, repaired: boolean, repairs: string[], truncated: boolean }}
+ */
+export function parseJsonWithRepair(text) {
+  const candidate = extractJsonCandidate(text);
+
+  try {
+    return { value: JSON.parse(candidate), repaired: false, repairs: [], truncated: false };
+  } catch (strictError) {
+    const { text: repairedText, repairs, truncated } = repairJson(candidate);
+
+    try {
+      return { value: JSON.parse(repairedText), repaired: true, repairs, truncated };
+    } catch (repairError) {
+      const error = new Error(`Failed to parse AI response as JSON: ${strictError.message}`);
+      error.cause = repairError;
+      throw error;
+    }
+  }
+}
+
+export default parseJsonWithRepair;
@@ -0,0 +1,52 @@
+// utils/sse.js - Minimal Server-Sent Events writer for Express responses
+
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Switch a response into an event stream
+ * @returns {{ send: Function, close: Function, isClosed: Function }}
+ */
+export function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Stop nginx / Cloud Run front ends from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  let sequence = 0;
+
+  // Comment lines keep idle proxies from dropping the connection during long LLM calls
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': ping\n\n');
+  }, HEARTBEAT_MS);
+
+  const cleanup = () => {
+    closed = true;
+    clearInterval(heartbeat);
+  };
+
+  // res (not req) - req 'close' fires as soon as the upload body has been consumed
+  res.on('close', cleanup);
+
+  return {
+    send(event, data = {}) {
+      if (closed) return false;
+      sequence++;
+      res.write(`id: ${sequence}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      return true;
+    },
+    close() {
+      if (closed) return;
+      cleanup();
+      res.end();
+    },
+    isClosed() {
+      return closed;
+    }
+  };
+}
@@ -0,0 +1,64 @@
+// utils/textSimilarity.js - Lightweight lexical similarity
+//
+// Bag-of-words cosine similarity with light stemming. No model calls, so it is
+// cheap enough to compare every test in one suite against every test in another.
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'into',
+  'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'their', 'then', 'this', 'to', 'was',
+  'when', 'will', 'with', 'shall', 'should', 'must', 'can', 'system', 'user', 'verify', 'test'
+]);
+
+function stem(word) {
+  return word
+    .replace(/(ies)$/, 'y')
+    .replace(/(ing|edly|ed|es|s)$/, '')
+    || word;
+}
+
+/**
+ * Lowercased, stemmed content words
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Term-frequency vector for cosineSimilarity
+ * @returns {Map<string, number>}
+ */
+export function termVector(text) {
+  const vector = new Map();
+  for (const token of tokenize(text)) {
+    vector.set(token, (vector.get(token) || 0) + 1);
+  }
+  return vector;
+}
+
+/**
+ * Cosine similarity of two term vectors, 0 (nothing shared) to 1 (same terms)
+ */
+export function cosineSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [term, count] of small) {
+    dot += count * (large.get(term) || 0);
+  }
+
+  const norm = vector => Math.sqrt([...vector.values()].reduce((sum, n) => sum + n * n, 0));
+  return dot / (norm(a) * norm(b));
+}
+
+/**
+ * Similarity of two strings (0..1)
+ */
+export function textSimilarity(a, b) {
+  return cosineSimilarity(termVector(a), termVector(b));
+}
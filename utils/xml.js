@@ -0,0 +1,80 @@
+// utils/xml.js - XML escaping and a small element-tree parser for round-trip checks
+//
+// The parser covers what the exports write: elements, attributes, text, CDATA,
+// comments and the XML declaration. It does not resolve DTDs or namespaces.
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+export function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function decode(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity] ?? match;
+  });
+}
+
+/**
+ * Parse a document into { name, attributes, children, text }
+ * @throws {Error} with the offset of the first malformed construct
+ */
+export function parseXml(xml) {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const pattern = /<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)|(<)/g;
+  let match;
+
+  while ((match = pattern.exec(xml)) !== null) {
+    const [, cdata, closing, opening, attributes, selfClosing, text, stray] = match;
+    const current = stack[stack.length - 1];
+
+    if (stray) throw new Error(`Malformed markup at offset ${match.index}`);
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (text !== undefined) {
+      current.text += decode(text);
+    } else if (closing) {
+      if (current.name !== closing) {
+        throw new Error(`</${closing}> at offset ${match.index} does not close <${current.name}>`);
+      }
+      stack.pop();
+    } else if (opening) {
+      const element = { name: opening, attributes: {}, children: [], text: '' };
+      for (const [, name, doubleQuoted, singleQuoted] of (attributes || '').matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        element.attributes[name] = decode(doubleQuoted ?? singleQuoted);
+      }
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+
+  if (stack.length > 1) throw new Error(`<${stack[stack.length - 1].name}> is never closed`);
+  const elements = root.children;
+  if (elements.length !== 1) throw new Error(`A document needs exactly one root element, found ${elements.length}`);
+  return elements[0];
+}
+
+/**
+ * Children with the given name
+ */
+export function childElements(element, name) {
+  return (element?.children || []).filter(child => child.name === name);
+}
+
+/**
+ * Trimmed text of the first child with the given name, or null
+ */
+export function childText(element, name) {
+  const child = childElements(element, name)[0];
+  return child ? child.text.trim() : null;
+}
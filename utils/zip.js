@@ -0,0 +1,18 @@
+// utils/zip.js - In-memory zip archives for multi-file downloads
+
+import JSZip from 'jszip';
+
+/**
+ * Zip files under a single root folder
+ * @param {string} root - folder name every path is placed under
+ * @param {Array<{ path: string, content: string|Buffer }>} files
+ * @returns {Promise<Buffer>}
+ */
+export async function zipFiles(root, files) {
+  const zip = new JSZip();
+  const folder = zip.folder(root);
+  for (const file of files) {
+    folder.file(file.path, file.content);
+  }
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}